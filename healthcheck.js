@@ -8,8 +8,8 @@ const http = require('http');
 
 const options = {
   host: 'localhost',
-  port: process.env.PORT || 3000,
-  path: '/api/health',
+  port: process.env.PORT || 10000,
+  path: '/health/live',
   timeout: 2000
 };
 
@@ -41,6 +41,7 @@ module.exports = {
   
   // Constants
   PLATFORM_FEE_PERCENT: parseFloat(process.env.PLATFORM_FEE) || 0.03, // 3% by default
+  PLATFORM_ACCOUNT_ID: process.env.PLATFORM_ACCOUNT_ID || null, // User whose wallet collects platform shares
   
   // Stripe Connect account types
   ACCOUNT_TYPES: {
@@ -0,0 +1,226 @@
+/**
+ * Dispute Controller
+ *
+ * Handles dispute case API endpoints: the case thread, evidence uploads,
+ * appeals and admin case management.
+ */
+
+const disputeService = require('../services/disputeService');
+const logger = require('../config/logger');
+
+/**
+ * Get a dispute case with its thread and evidence
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getDispute = async (req, res) => {
+  try {
+    const dispute = await disputeService.getCase(req.user, req.params.disputeId);
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    logger.error(`Error in getDispute controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get dispute',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Post a message to a dispute thread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const postMessage = async (req, res) => {
+  try {
+    const message = await disputeService.postMessage(req.user, req.params.disputeId, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error(`Error in postMessage controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post message',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Attach an uploaded evidence file to a dispute
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const addEvidence = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'An evidence file is required'
+      });
+    }
+
+    const evidence = await disputeService.addEvidence(req.user, req.params.disputeId, req.file, req.body.description);
+
+    res.status(201).json({
+      success: true,
+      data: evidence
+    });
+  } catch (error) {
+    logger.error(`Error in addEvidence controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add evidence',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Download an evidence file, or its thumbnail with ?variant=thumbnail
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getEvidenceFile = async (req, res) => {
+  try {
+    const { disputeId, evidenceId } = req.params;
+    const file = await disputeService.getEvidenceFile(
+      req.user,
+      disputeId,
+      evidenceId,
+      req.query.variant === 'thumbnail'
+    );
+
+    res.type(file.mime_type);
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(file.original_name)}"`);
+    res.sendFile(file.path);
+  } catch (error) {
+    logger.error(`Error in getEvidenceFile controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get evidence',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Appeal a resolved dispute
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const appealDispute = async (req, res) => {
+  try {
+    const dispute = await disputeService.appealCase(req.user.id, req.params.disputeId, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    logger.error(`Error in appealDispute controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to appeal dispute',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Ask a party to respond to a dispute (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const requestResponse = async (req, res) => {
+  try {
+    const { party_id, body } = req.body;
+    const dispute = await disputeService.requestResponse(req.user.id, req.params.disputeId, party_id, body);
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    logger.error(`Error in requestResponse controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request response',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Take a dispute into review (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const startReview = async (req, res) => {
+  try {
+    const dispute = await disputeService.startReview(req.user.id, req.params.disputeId);
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    logger.error(`Error in startReview controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start review',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Decide an appealed dispute (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const decideAppeal = async (req, res) => {
+  try {
+    const dispute = await disputeService.decideAppeal(req.user.id, req.params.disputeId, req.body.notes);
+
+    res.status(200).json({
+      success: true,
+      data: dispute
+    });
+  } catch (error) {
+    logger.error(`Error in decideAppeal controller: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decide appeal',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDispute,
+  postMessage,
+  addEvidence,
+  getEvidenceFile,
+  appealDispute,
+  requestResponse,
+  startReview,
+  decideAppeal
+};
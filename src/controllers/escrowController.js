@@ -54,7 +54,7 @@ const getEscrow = async (req, res) => {
     const { id } = req.params;
     
     // Get escrow
-    const escrow = await escrowService.getEscrow(id);
+    const escrow = await escrowService.getEscrow(id, req.user);
     
     res.status(200).json({
       success: true,
@@ -62,6 +62,21 @@ const getEscrow = async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error in getEscrow controller: ${error.message}`);
+    
+    if (error.message === 'Escrow not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Only the parties')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to get escrow',
@@ -168,7 +183,8 @@ const createDispute = async (req, res) => {
       data: {
         id: escrow.id,
         status: escrow.status,
-        dispute_reason: escrow.dispute_reason
+        dispute_reason: escrow.dispute_reason,
+        dispute: escrow.dispute
       }
     });
   } catch (error) {
@@ -191,7 +207,7 @@ const resolveDispute = async (req, res) => {
   try {
     const adminId = req.user.id;
     const { id } = req.params;
-    const { winner_id, notes } = req.body;
+    const { winner_id, allocation, notes } = req.body;
     
     // Validate input
     if (!notes) {
@@ -202,8 +218,10 @@ const resolveDispute = async (req, res) => {
       });
     }
     
-    // Resolve dispute
-    const result = await escrowService.resolveDispute(id, winner_id, adminId, notes);
+    // Resolve dispute, splitting the escrow if an allocation is given
+    const result = allocation
+      ? await escrowService.resolveDisputeSplit(id, allocation, adminId, notes)
+      : await escrowService.resolveDispute(id, winner_id, adminId, notes);
     
     res.status(200).json({
       success: true,
@@ -227,12 +245,13 @@ const resolveDispute = async (req, res) => {
  */
 const getDisputedEscrows = async (req, res) => {
   try {
-    const { limit, offset } = req.query;
+    const { limit, offset, queue } = req.query;
     
     // Get disputed escrows
     const escrows = await escrowService.getDisputedEscrows({
       limit: parseInt(limit) || 20,
-      offset: parseInt(offset) || 0
+      offset: parseInt(offset) || 0,
+      queue
     });
     
     res.status(200).json({
@@ -6,6 +6,7 @@
 
 const { Sport, League, Event } = require('../models');
 const sportsDataService = require('../services/sportsDataService');
+const liveBettingService = require('../services/liveBettingService');
 const logger = require('../config/logger');
 
 /**
@@ -202,11 +203,206 @@ const refreshEventsData = async (req, res) => {
   }
 };
 
+/**
+ * Record stat lines for an event (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateEventStats = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    
+    const event = await sportsDataService.updateEventStats(eventId, req.body);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Event stats updated',
+      data: {
+        id: event.id,
+        result_stats: event.result_stats
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in updateEventStats: ${error.message}`);
+    
+    if (error.message === 'Event not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Unknown result stats')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+/**
+ * Cancel an event and refund every bet on it (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const cancelEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    
+    const report = await sportsDataService.cancelEvent(eventId);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Event cancelled and bets voided',
+      data: report
+    });
+  } catch (error) {
+    logger.error(`Error in cancelEvent: ${error.message}`);
+    
+    if (error.message === 'Event not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message === 'Cannot cancel an event that has already completed') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+/**
+ * Record a live score, suspending the market if it changed (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateEventScore = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const homeScore = parseInt(req.body.home_score, 10);
+    const awayScore = parseInt(req.body.away_score, 10);
+    
+    if (!Number.isInteger(homeScore) || !Number.isInteger(awayScore) || homeScore < 0 || awayScore < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Home and away scores must be non-negative integers'
+      });
+    }
+    
+    const result = await liveBettingService.recordScore(eventId, homeScore, awayScore);
+    
+    return res.status(200).json({
+      success: true,
+      message: result.changed ? 'Score updated, market suspended' : 'Score unchanged',
+      data: {
+        id: result.event.id,
+        home_score: result.event.home_score,
+        away_score: result.event.away_score,
+        suspended_until: result.event.suspended_until,
+        suspended_bets: result.suspendedBets,
+        rejected_requests: result.rejectedRequests
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in updateEventScore: ${error.message}`);
+    
+    if (error.message === 'Event not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Event is already')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
+/**
+ * Set the in-play acceptance delay for a sport (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateLiveSettings = async (req, res) => {
+  try {
+    const { sportId } = req.params;
+    const { live_bet_delay_seconds } = req.body;
+    
+    // null falls back to the platform default
+    const delay = live_bet_delay_seconds === null ? null : parseInt(live_bet_delay_seconds, 10);
+    
+    if (delay !== null && (!Number.isInteger(delay) || delay < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Live bet delay must be a non-negative number of seconds'
+      });
+    }
+    
+    const sport = await Sport.findByPk(sportId);
+    
+    if (!sport) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sport not found'
+      });
+    }
+    
+    await sport.update({ live_bet_delay_seconds: delay });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Live settings updated',
+      data: {
+        id: sport.id,
+        live_bet_delay_seconds: sport.live_bet_delay_seconds
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in updateLiveSettings: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+};
+
 module.exports = {
   getAllSports,
   getSportEvents,
   getEventById,
   refreshSportsData,
-  refreshEventsData
+  refreshEventsData,
+  updateEventStats,
+  cancelEvent,
+  updateEventScore,
+  updateLiveSettings
 };
 
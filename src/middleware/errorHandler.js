@@ -99,6 +99,7 @@ const globalErrorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    ...(err.isOperational && err.code && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     timestamp: new Date().toISOString(),
     requestId: req.id || 'unknown'
@@ -128,9 +129,10 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -154,80 +156,105 @@ const businessErrorHandlers = {
   insufficientFunds: (availableBalance, requiredAmount) => {
     return new AppError(
       `Insufficient funds. Available: ${availableBalance}, Required: ${requiredAmount}`,
-      400
+      400,
+      'INSUFFICIENT_FUNDS'
     );
   },
 
   betNotFound: (betId) => {
-    return new AppError(`Bet with ID ${betId} not found`, 404);
+    return new AppError(`Bet with ID ${betId} not found`, 404, 'BET_NOT_FOUND');
   },
 
   betAlreadyMatched: (betId) => {
-    return new AppError(`Bet ${betId} is already matched`, 400);
+    return new AppError(`Bet ${betId} is already matched`, 400, 'BET_ALREADY_MATCHED');
   },
 
   betExpired: (betId) => {
-    return new AppError(`Bet ${betId} has expired`, 400);
+    return new AppError(`Bet ${betId} has expired`, 400, 'BET_EXPIRED');
   },
 
   eventNotFound: (eventId) => {
-    return new AppError(`Event with ID ${eventId} not found`, 404);
+    return new AppError(`Event with ID ${eventId} not found`, 404, 'EVENT_NOT_FOUND');
   },
 
   eventAlreadyStarted: (eventId) => {
-    return new AppError(`Event ${eventId} has already started`, 400);
+    return new AppError(`Event ${eventId} has already started`, 400, 'EVENT_ALREADY_STARTED');
   },
 
   userNotFound: (userId) => {
-    return new AppError(`User with ID ${userId} not found`, 404);
+    return new AppError(`User with ID ${userId} not found`, 404, 'USER_NOT_FOUND');
   },
 
   userNotVerified: (userId) => {
-    return new AppError(`User ${userId} is not verified`, 403);
+    return new AppError(`User ${userId} is not verified`, 403, 'USER_NOT_VERIFIED');
   },
 
   userSuspended: (userId) => {
-    return new AppError(`User ${userId} is suspended`, 403);
+    return new AppError(`User ${userId} is suspended`, 403, 'USER_SUSPENDED');
   },
 
   escrowNotFound: (escrowId) => {
-    return new AppError(`Escrow with ID ${escrowId} not found`, 404);
+    return new AppError(`Escrow with ID ${escrowId} not found`, 404, 'ESCROW_NOT_FOUND');
   },
 
   escrowAlreadyReleased: (escrowId) => {
-    return new AppError(`Escrow ${escrowId} has already been released`, 400);
+    return new AppError(`Escrow ${escrowId} has already been released`, 400, 'ESCROW_ALREADY_RELEASED');
   },
 
   paymentMethodNotFound: (paymentMethodId) => {
-    return new AppError(`Payment method with ID ${paymentMethodId} not found`, 404);
+    return new AppError(`Payment method with ID ${paymentMethodId} not found`, 404, 'PAYMENT_METHOD_NOT_FOUND');
   },
 
   transactionFailed: (reason) => {
-    return new AppError(`Transaction failed: ${reason}`, 400);
+    return new AppError(`Transaction failed: ${reason}`, 400, 'TRANSACTION_FAILED');
   },
 
   withdrawalLimitExceeded: (limit, amount) => {
-    return new AppError(`Withdrawal limit exceeded. Limit: ${limit}, Requested: ${amount}`, 400);
+    return new AppError(`Withdrawal limit exceeded. Limit: ${limit}, Requested: ${amount}`, 400, 'WITHDRAWAL_LIMIT_EXCEEDED');
   },
 
   duplicateBet: () => {
-    return new AppError('You have already placed a similar bet on this event', 400);
+    return new AppError('You have already placed a similar bet on this event', 400, 'DUPLICATE_BET');
   },
 
   selfBetting: () => {
-    return new AppError('You cannot bet against yourself', 400);
+    return new AppError('You cannot bet against yourself', 400, 'SELF_BETTING');
   },
 
   regionRestricted: (region) => {
-    return new AppError(`Betting is not available in your region: ${region}`, 403);
+    return new AppError(`Betting is not available in your region: ${region}`, 403, 'REGION_RESTRICTED');
   },
 
   ageRestricted: () => {
-    return new AppError('You must be 18 or older to place bets', 403);
+    return new AppError('You must be 18 or older to place bets', 403, 'AGE_RESTRICTED');
   },
 
   maintenanceMode: () => {
-    return new AppError('Platform is currently under maintenance. Please try again later.', 503);
+    return new AppError('Platform is currently under maintenance. Please try again later.', 503, 'MAINTENANCE_MODE');
+  },
+
+  stakeBelowMinimum: (minimum, amount) => {
+    return new AppError(`Stake is below the minimum. Minimum: ${minimum}, Requested: ${amount}`, 400, 'STAKE_BELOW_MINIMUM');
+  },
+
+  stakeAboveMaximum: (maximum, amount) => {
+    return new AppError(`Stake is above the maximum. Maximum: ${maximum}, Requested: ${amount}`, 400, 'STAKE_ABOVE_MAXIMUM');
+  },
+
+  exposureLimitExceeded: (limit, exposure, amount) => {
+    return new AppError(
+      `Open exposure limit exceeded. Limit: ${limit}, Current: ${exposure}, Requested: ${amount}`,
+      400,
+      'EXPOSURE_LIMIT_EXCEEDED'
+    );
+  },
+
+  oddsOffMarket: (odds, fairOdds) => {
+    return new AppError(`Odds of ${odds} are too far from the market price of ${fairOdds}`, 400, 'ODDS_OFF_MARKET');
+  },
+
+  eventBetLimitExceeded: (eventId, limit) => {
+    return new AppError(`You have reached the limit of ${limit} bets on event ${eventId}`, 400, 'EVENT_BET_LIMIT_EXCEEDED');
   }
 };
 
@@ -1,10 +1,12 @@
 const auth = require('./auth');
 const errorHandler = require('./errorHandler');
 const validate = require('./validate');
+const odds = require('./odds');
 
 module.exports = {
   auth,
   errorHandler,
-  validate
+  validate,
+  odds
 };
 
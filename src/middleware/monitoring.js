@@ -274,10 +274,11 @@ const shutdownMonitoring = (server) => {
     server.close(() => {
       logger.info('HTTP server closed.');
       
-      // Close database connections
+      // Close cache and database connections
+      const cacheService = require('../services/cacheService');
       const { sequelize } = require('../models');
-      sequelize.close().then(() => {
-        logger.info('Database connections closed.');
+      Promise.all([cacheService.close(), sequelize.close()]).then(() => {
+        logger.info('Cache and database connections closed.');
         process.exit(0);
       }).catch((error) => {
         logger.error('Error closing database connections', { error: error.message });
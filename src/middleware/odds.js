@@ -0,0 +1,88 @@
+const { ODDS_FORMATS, isOddsFormat, toDecimal, resolveOddsFormat } = require('../utils/odds');
+
+/**
+ * Send a validation error in the same shape as the validate middleware
+ * @param {Object} res - Express response
+ * @param {string} field - Offending field
+ * @param {string} message - Error message
+ */
+const sendValidationError = (res, field, message) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: [{ field, message }]
+});
+
+const formatList = Object.values(ODDS_FORMATS).join(', ');
+
+/**
+ * Middleware to convert odds in the request body to decimal odds. Odds are
+ * read in body.odds_format, else the user's preferred or regional format.
+ * Runs before validation so validators and services only ever see decimal.
+ */
+exports.normalizeOdds = (req, res, next) => {
+  const requested = req.body.odds_format;
+  
+  if (requested !== undefined && !isOddsFormat(requested)) {
+    return sendValidationError(res, 'odds_format', `Odds format must be one of: ${formatList}`);
+  }
+  
+  const format = resolveOddsFormat(req.user, requested);
+  
+  try {
+    if (req.body.odds !== undefined) {
+      req.body.odds = toDecimal(req.body.odds, format);
+    }
+  } catch (error) {
+    return sendValidationError(res, 'odds', error.message);
+  }
+  
+  // Parlay legs are quoted in the same format as the bet
+  const legs = req.body.bet_details && req.body.bet_details.legs;
+  
+  if (Array.isArray(legs)) {
+    for (let i = 0; i < legs.length; i++) {
+      try {
+        if (legs[i] && legs[i].odds !== undefined) {
+          legs[i].odds = toDecimal(legs[i].odds, format);
+        }
+      } catch (error) {
+        return sendValidationError(res, `bet_details.legs[${i}].odds`, error.message);
+      }
+    }
+  }
+  
+  // Bet slip lines are quoted in the same format as the slip
+  const lines = req.body.lines;
+  
+  if (Array.isArray(lines)) {
+    for (let i = 0; i < lines.length; i++) {
+      try {
+        if (lines[i] && lines[i].odds !== undefined) {
+          lines[i].odds = toDecimal(lines[i].odds, format);
+        }
+      } catch (error) {
+        return sendValidationError(res, `lines[${i}].odds`, error.message);
+      }
+    }
+  }
+  
+  delete req.body.odds_format;
+  
+  next();
+};
+
+/**
+ * Middleware to pick the format odds are rendered in: the oddsFormat query
+ * parameter, else the user's preferred or regional format
+ */
+exports.displayOdds = (req, res, next) => {
+  const requested = req.query.oddsFormat;
+  
+  if (requested !== undefined && !isOddsFormat(requested)) {
+    return sendValidationError(res, 'oddsFormat', `Odds format must be one of: ${formatList}`);
+  }
+  
+  req.oddsFormat = resolveOddsFormat(req.user, requested);
+  
+  next();
+};
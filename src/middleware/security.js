@@ -102,7 +102,11 @@ const securityMiddleware = {
         'https://admin.playchacha.net',
         'http://localhost:3000',
         'http://localhost:3001',
-        'http://localhost:5173' // Vite dev server
+        'http://localhost:5173', // Vite dev server
+        ...(process.env.ALLOWED_ORIGINS || process.env.FRONTEND_URL || '')
+          .split(',')
+          .map(allowed => allowed.trim())
+          .filter(Boolean)
       ];
       
       if (process.env.NODE_ENV === 'development') {
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+
+// Root directory for uploaded files
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_PATH || 'uploads');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024; // 5MB
+
+// Evidence can be a screenshot or a document such as a bank statement
+const EVIDENCE_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+const EVIDENCE_DIR = path.join(UPLOAD_ROOT, 'disputes');
+
+/**
+ * Multer middleware for dispute evidence: one file in the `file` field,
+ * stored under a random name so uploads never collide or overwrite
+ */
+const evidenceUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(EVIDENCE_DIR, { recursive: true }, (error) => cb(error, EVIDENCE_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${EVIDENCE_MIME_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!EVIDENCE_MIME_TYPES[file.mimetype]) {
+      return cb(new AppError('Evidence must be a JPEG, PNG or WebP image or a PDF', 400, 'UNSUPPORTED_FILE_TYPE'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+module.exports = {
+  UPLOAD_ROOT,
+  MAX_FILE_SIZE,
+  EVIDENCE_MIME_TYPES,
+  evidenceUpload
+};
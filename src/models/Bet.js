@@ -27,19 +27,27 @@ const Bet = sequelize.define('Bet', {
     type: DataTypes.STRING(50),
     allowNull: false,
     validate: {
-      isIn: [['moneyline', 'spread', 'over_under', 'prop']]
+      isIn: [['moneyline', 'spread', 'over_under', 'prop', 'parlay']]
     }
   },
   bet_details: {
     type: DataTypes.JSONB,
     allowNull: false
   },
+  market_key: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Two-way market the bet trades on (e.g. moneyline, spread:-3.5)'
+  },
   odds: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
     validate: {
-      isDecimal: true
-    }
+      isDecimal: true,
+      min: 1.01,
+      max: 1001
+    },
+    comment: 'Decimal odds; other formats are converted by utils/odds'
   },
   stake_amount: {
     type: DataTypes.DECIMAL(15, 2),
@@ -49,6 +57,12 @@ const Bet = sequelize.define('Bet', {
       min: 1
     }
   },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD',
+    comment: 'Currency of the creator\'s wallet the stake was taken from'
+  },
   potential_payout: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: false,
@@ -57,16 +71,79 @@ const Bet = sequelize.define('Bet', {
       min: 0
     }
   },
+  matched_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    comment: 'Portion of the creator stake already matched by takers'
+  },
+  cancelled_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    validate: {
+      isDecimal: true,
+      min: 0
+    },
+    comment: 'Unmatched portion of the creator stake refunded on cancellation or expiry'
+  },
+  remaining_amount: {
+    type: DataTypes.VIRTUAL,
+    get() {
+      if (this.status !== 'open') {
+        return 0;
+      }
+      
+      const remaining = parseFloat(this.stake_amount) - parseFloat(this.matched_amount || 0);
+      return Math.max(Math.round(remaining * 100) / 100, 0);
+    }
+  },
   status: {
     type: DataTypes.STRING(20),
     defaultValue: 'open',
     validate: {
-      isIn: [['open', 'matched', 'settled', 'cancelled', 'refunded']]
+      isIn: [['open', 'suspended', 'matched', 'settled', 'cancelled', 'refunded', 'expired']]
     }
   },
   expiry_time: {
     type: DataTypes.DATE,
-    allowNull: true
+    allowNull: true,
+    comment: 'When the bet stops taking matches; for private bets, when the invite lapses'
+  },
+  visibility: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'public',
+    validate: {
+      isIn: [['public', 'private']]
+    }
+  },
+  invite_code: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    unique: true,
+    comment: 'Share code that lets anyone holding it take a private bet'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Current version of the terms; every version is kept in bet_versions'
+  },
+  price_flagged: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Odds strayed from the market consensus by more than the flag threshold'
+  },
+  promotion_code: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Fee promotion the creator placed the bet under'
   }
 }, {
   timestamps: true,
@@ -84,6 +161,22 @@ const Bet = sequelize.define('Bet', {
     },
     {
       fields: ['bet_type']
+    },
+    {
+      fields: ['event_id', 'market_key', 'status']
+    },
+    {
+      fields: ['visibility', 'status']
+    },
+    {
+      // Bet board sorts; the ID breaks ties so cursors stay stable
+      fields: ['status', 'visibility', 'odds', 'id']
+    },
+    {
+      fields: ['status', 'visibility', 'stake_amount', 'id']
+    },
+    {
+      fields: ['status', 'visibility', 'created_at', 'id']
     }
   ]
 });
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * BetInvite Model
+ *
+ * A named user's access to a private bet. A challenge is an invite the
+ * invitee has to accept or decline; a declined or lapsed challenge refunds
+ * the creator.
+ */
+const BetInvite = sequelize.define('BetInvite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bet_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bets',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Invited user'
+  },
+  invited_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  kind: {
+    type: DataTypes.ENUM('invite', 'challenge'),
+    allowNull: false,
+    defaultValue: 'invite'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'expired'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'bet_invites',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['bet_id', 'user_id']
+    },
+    {
+      fields: ['user_id', 'status']
+    }
+  ]
+});
+
+module.exports = BetInvite;
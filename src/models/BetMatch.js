@@ -31,6 +31,14 @@ const BetMatch = sequelize.define('BetMatch', {
       min: 1
     }
   },
+  creator_stake: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    validate: {
+      isDecimal: true,
+      min: 0
+    }
+  },
   potential_payout: {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: false,
@@ -39,11 +47,19 @@ const BetMatch = sequelize.define('BetMatch', {
       min: 0
     }
   },
+  odds: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      isDecimal: true
+    },
+    comment: 'Odds this match was filled at, which differ from the bet odds after a counter-offer'
+  },
   status: {
     type: DataTypes.STRING(20),
     defaultValue: 'active',
     validate: {
-      isIn: [['active', 'settled', 'cancelled', 'refunded']]
+      isIn: [['active', 'disputed', 'settled', 'cancelled', 'refunded']]
     }
   },
   platform_fee: {
@@ -57,6 +73,30 @@ const BetMatch = sequelize.define('BetMatch', {
   escrow_id: {
     type: DataTypes.UUID,
     allowNull: false
+  },
+  creator_holder_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: "Current owner of the creator's side if it was sold (null means the bet creator)"
+  },
+  taker_holder_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: "Current owner of the taker's side if it was sold (null means the original taker)"
+  },
+  bet_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Version of the bet terms the taker matched'
   }
 }, {
   timestamps: true,
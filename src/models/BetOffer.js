@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * BetOffer Model
+ *
+ * One proposal in a negotiation between a bet's creator and a would-be
+ * taker. Odds are quoted from the creator's side, like the bet's own odds,
+ * and the stake is the taker's. A counter closes the offer it answers and
+ * opens a new one in the same thread; the whole thread shares one expiry.
+ */
+const BetOffer = sequelize.define('BetOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bet_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bets',
+      key: 'id'
+    }
+  },
+  taker_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User negotiating to take the bet'
+  },
+  proposed_by: {
+    type: DataTypes.ENUM('taker', 'creator'),
+    allowNull: false
+  },
+  parent_offer_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Offer this one counters (null for the opening offer of a thread)'
+  },
+  odds: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 1.01
+    }
+  },
+  stake_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 1
+    },
+    comment: 'Taker stake'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'countered', 'expired'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  bet_match_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Bet match created when the offer was accepted'
+  },
+  responded_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'bet_offers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['bet_id', 'taker_id']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+module.exports = BetOffer;
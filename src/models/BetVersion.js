@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * BetVersion Model
+ *
+ * One version of a bet's terms. A version is written when the bet is created
+ * and each time its creator amends or cancels it, so a dispute can see the
+ * exact terms a taker matched (see BetMatch.bet_version).
+ */
+const BetVersion = sequelize.define('BetVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bet_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bets',
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  change_type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['created', 'amended', 'cancelled']]
+    }
+  },
+  odds: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  stake_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  potential_payout: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false
+  },
+  expiry_time: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  bet_details: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  changed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'bet_versions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['bet_id', 'version']
+    }
+  ]
+});
+
+module.exports = BetVersion;
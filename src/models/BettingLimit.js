@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * BettingLimit Model
+ *
+ * An admin-defined stake rule. A rule applies to a bet when every scope field
+ * it sets (user, sport, bet type, region) matches; unset scope fields match
+ * anything. Where several rules apply, the most restrictive value of each
+ * limit wins.
+ */
+const BettingLimit = sequelize.define('BettingLimit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Limit a single user, or null for everyone'
+  },
+  sport_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'sports',
+      key: 'id'
+    }
+  },
+  bet_type: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      isIn: [['moneyline', 'spread', 'over_under', 'prop', 'parlay']]
+    }
+  },
+  region: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'ISO country code the user is registered in'
+  },
+  min_stake: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  max_stake: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  max_open_exposure: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Most a user can have staked on unsettled bets at once'
+  },
+  max_bets_per_event: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Most bets a user can create or take on one event'
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'betting_limits',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['active']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = BettingLimit;
@@ -0,0 +1,150 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * DisputeCase Model
+ *
+ * A dispute over a bet escrow. The case is opened by one party and waits for
+ * the other to respond; once both sides have been heard it is under review
+ * until an admin resolves it. An admin can ask either party for more and the
+ * case waits on them again. A resolved case can be appealed once by either
+ * party within the appeal window.
+ *
+ * Two SLA timers run on a case: the respondent must answer by
+ * response_due_at or the case resolves in the opener's favour, and an admin
+ * must act by admin_due_at or the case moves to the senior queue.
+ */
+const DisputeCase = sequelize.define('DisputeCase', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  escrow_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'escrows',
+      key: 'id'
+    }
+  },
+  opened_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  respondent_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'The other party to the bet'
+  },
+  status: {
+    type: DataTypes.ENUM('opened', 'awaiting_response', 'under_review', 'resolved', 'appealed'),
+    allowNull: false,
+    defaultValue: 'opened'
+  },
+  awaiting_party_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Party an admin has asked to respond while awaiting_response'
+  },
+  response_due_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Deadline for the respondent to answer while the case is opened'
+  },
+  admin_due_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Deadline for an admin to act before the case escalates'
+  },
+  queue: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'standard',
+    validate: {
+      isIn: [['standard', 'senior']]
+    }
+  },
+  escalated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  resolution: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      isIn: [['winner_declared', 'refunded', 'split']]
+    }
+  },
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  appealed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  appeal_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  appealed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  appeal_notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Admin decision on the appeal'
+  }
+}, {
+  tableName: 'dispute_cases',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['escrow_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['status', 'response_due_at']
+    },
+    {
+      fields: ['queue', 'admin_due_at']
+    }
+  ]
+});
+
+module.exports = DisputeCase;
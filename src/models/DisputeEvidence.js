@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * DisputeEvidence Model
+ *
+ * A file a party or admin attached to a dispute, such as a screenshot of the
+ * result. Files are stored on local disk; images also get a thumbnail.
+ */
+const DisputeEvidence = sequelize.define('DisputeEvidence', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  dispute_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'dispute_cases',
+      key: 'id'
+    }
+  },
+  uploaded_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  original_name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  mime_type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'File size in bytes'
+  },
+  file_path: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  thumbnail_path: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: 'Thumbnail for image evidence'
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'dispute_evidence',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['dispute_id']
+    }
+  ]
+});
+
+module.exports = DisputeEvidence;
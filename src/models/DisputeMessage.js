@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * DisputeMessage Model
+ *
+ * A message in a dispute's thread. Both parties and the admins handling the
+ * case read the same thread.
+ */
+const DisputeMessage = sequelize.define('DisputeMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  dispute_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'dispute_cases',
+      key: 'id'
+    }
+  },
+  author_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  author_role: {
+    type: DataTypes.ENUM('party', 'admin'),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 5000]
+    }
+  }
+}, {
+  tableName: 'dispute_messages',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['dispute_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = DisputeMessage;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * DisputeTransition Model
+ *
+ * One step in a dispute's history: a status change, or an escalation to the
+ * senior queue. Steps taken by the SLA timers have no actor.
+ */
+const DisputeTransition = sequelize.define('DisputeTransition', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  dispute_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'dispute_cases',
+      key: 'id'
+    }
+  },
+  event: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [[
+        'opened',
+        'responded',
+        'response_requested',
+        'review_started',
+        'escalated',
+        'resolved',
+        'default_resolved',
+        'appealed',
+        'appeal_decided'
+      ]]
+    }
+  },
+  from_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Null for the step that opened the case'
+  },
+  to_status: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  actor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Null when an SLA timer took the step'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'dispute_transitions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['dispute_id', 'created_at']
+    }
+  ]
+});
+
+module.exports = DisputeTransition;
@@ -6,7 +6,8 @@ const User = require('./User');
 /**
  * Escrow Model
  * 
- * Represents funds held in escrow for a bet match.
+ * Represents funds held in escrow for a bet match, or the entry fees held
+ * for a tournament until its prizes are paid out.
  */
 const Escrow = sequelize.define('Escrow', {
   id: {
@@ -16,11 +17,21 @@ const Escrow = sequelize.define('Escrow', {
   },
   bet_match_id: {
     type: DataTypes.UUID,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'BetMatches',
       key: 'id'
-    }
+    },
+    comment: 'Bet match the escrow holds stakes for (null for tournament escrows)'
+  },
+  tournament_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'tournaments',
+      key: 'id'
+    },
+    comment: 'Tournament the escrow holds entry fees for'
   },
   amount: {
     type: DataTypes.DECIMAL(15, 2),
@@ -47,7 +58,12 @@ const Escrow = sequelize.define('Escrow', {
     type: DataTypes.DECIMAL(15, 2),
     allowNull: false,
     defaultValue: 0.00,
-    comment: 'Platform fee amount (3% of total pot)'
+    comment: 'Platform fee charged on release; until then the most the fee rule can charge'
+  },
+  fee_rule: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Fee terms applied to each side ({ creator, taker }), so settlements can be reproduced'
   },
   released_at: {
     type: DataTypes.DATE,
@@ -46,6 +46,17 @@ const Event = sequelize.define('Event', {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  score_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Bumped on every live score change so pending in-play bets can tell'
+  },
+  suspended_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'In-play market is suspended until this time after a score change'
+  },
   api_event_id: {
     type: DataTypes.STRING(100),
     allowNull: false,
@@ -54,6 +65,11 @@ const Event = sequelize.define('Event', {
   event_data: {
     type: DataTypes.JSONB,
     allowNull: true
+  },
+  result_stats: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Stat lines used to settle prop bets (players, first_to_score, propositions)'
   }
 }, {
   timestamps: true,
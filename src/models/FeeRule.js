@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * FeeRule Model
+ *
+ * An admin-defined platform fee. The basis says what the rate is charged on:
+ * the whole pot, only the winner's own stake, only the winner's net winnings
+ * (the loser's stake), or a flat amount per bet match. A rule applies to a
+ * party when every scope field it sets (sport, region, promotion code)
+ * matches, their staked volume reaches min_volume, and it is inside its
+ * validity window. Where several rules apply, the most specific wins:
+ * promotion over sport over region, then the highest volume tier.
+ */
+const FeeRule = sequelize.define('FeeRule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  basis: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pot',
+    validate: {
+      isIn: [['pot', 'winner_stake', 'net_winnings', 'flat']]
+    }
+  },
+  rate: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 1
+    },
+    comment: 'Fraction charged on the basis; unused for flat fees'
+  },
+  flat_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Amount charged per bet match for flat fees'
+  },
+  min_volume: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Volume tier: least a user must have staked in the volume window'
+  },
+  sport_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'sports',
+      key: 'id'
+    }
+  },
+  region: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    comment: 'ISO country code the user is registered in'
+  },
+  promotion_code: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'Only applies to bets placed or taken with this code'
+  },
+  vip_discounts: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Fraction taken off the fee for each VIP tier, e.g. { "1": 0.1, "2": 0.25 }'
+  },
+  starts_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ends_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'fee_rules',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['active']
+    },
+    {
+      fields: ['promotion_code']
+    }
+  ]
+});
+
+module.exports = FeeRule;
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * LiveBetRequest Model
+ *
+ * An in-play bet or take waiting out its sport's acceptance delay. No money
+ * moves until the request is accepted; if the score changes while it is
+ * pending, it is rejected instead.
+ */
+const LiveBetRequest = sequelize.define('LiveBetRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'take'),
+    allowNull: false
+  },
+  bet_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Bet being taken, or the bet created once a create request is accepted'
+  },
+  bet_match_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Bet match created once a take request is accepted'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  score_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Event score version when the request was made'
+  },
+  accept_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  rejection_reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  processed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'live_bet_requests',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status', 'accept_at']
+    },
+    {
+      fields: ['event_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = LiveBetRequest;
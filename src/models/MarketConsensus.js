@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * MarketConsensus Model
+ *
+ * The fair price of one market on an event, built from the bookmaker prices
+ * in the odds feed with each bookmaker's margin taken out. Offers are checked
+ * against it so mispriced bets can be flagged or refused.
+ */
+const MarketConsensus = sequelize.define('MarketConsensus', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  market_key: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Two-way market (see utils/markets), e.g. moneyline or spread:-3.5'
+  },
+  fair_odds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Decimal fair odds per selection, e.g. { home: 1.8, away: 2.25 }'
+  },
+  bookmaker_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  average_margin: {
+    type: DataTypes.DECIMAL(6, 4),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Mean bookmaker overround removed to get the fair price'
+  },
+  priced_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'market_consensus',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['event_id', 'market_key']
+    }
+  ]
+});
+
+module.exports = MarketConsensus;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * ParlayLeg Model
+ *
+ * One selection inside a parlay bet. Each leg is resolved when its own event
+ * finishes; the parlay itself settles once no leg is left pending.
+ */
+const ParlayLeg = sequelize.define('ParlayLeg', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bet_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bets',
+      key: 'id'
+    }
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  leg_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  bet_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      isIn: [['moneyline', 'spread', 'over_under', 'prop']]
+    }
+  },
+  bet_details: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  odds: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 1.01
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'won', 'lost', 'push', 'void'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: "Result from the parlay creator's side"
+  },
+  settled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'parlay_legs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['bet_id']
+    },
+    {
+      fields: ['event_id', 'status']
+    }
+  ]
+});
+
+module.exports = ParlayLeg;
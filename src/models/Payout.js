@@ -39,7 +39,7 @@ const Payout = sequelize.define('Payout', {
     }
   },
   status: {
-    type: DataTypes.ENUM('pending', 'completed', 'failed'),
+    type: DataTypes.ENUM('pending', 'completed', 'failed', 'reversed'),
     allowNull: false,
     defaultValue: 'pending'
   },
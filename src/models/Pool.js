@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Pool Model
+ *
+ * A group contest on one event. Every entry's stake is held in the pool's
+ * pot until the event settles, when the winning entries split the pot pro
+ * rata to their stakes. A pool that fails to reach its minimum number of
+ * participants by the time it closes refunds every entry.
+ *
+ * Pool types:
+ *   winner_takes_all - fixed entry fee, pick the result; correct picks share the pot
+ *   pari_mutuel      - stake at least the entry fee on a result; correct picks share pro rata
+ *   score_contest    - fixed entry fee, guess the score; the closest guess wins
+ */
+const Pool = sequelize.define('Pool', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  creator_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  pool_type: {
+    type: DataTypes.ENUM('winner_takes_all', 'pari_mutuel', 'score_contest'),
+    allowNull: false
+  },
+  entry_fee: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Stake per entry; the minimum stake for pari-mutuel pools'
+  },
+  max_entries: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 2
+    },
+    comment: 'Entry cap, or null for no cap'
+  },
+  min_participants: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    validate: {
+      min: 2
+    },
+    comment: 'Entries needed by closing time, or the pool is refunded'
+  },
+  pot_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Stakes held for the pool'
+  },
+  platform_fee: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Fee taken from the pot at settlement'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'locked', 'settled', 'refunded'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  closes_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'No entries after this time; never later than the event start'
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Winning pick or score, or the reason the pool was refunded'
+  },
+  settled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'pools',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['event_id']
+    },
+    {
+      fields: ['status', 'closes_at']
+    }
+  ]
+});
+
+module.exports = Pool;
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * PoolEntry Model
+ *
+ * One user's stake in a pool, with either a result pick or a score guess
+ * depending on the pool type.
+ */
+const PoolEntry = sequelize.define('PoolEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  pool_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'pools',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  selection: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    validate: {
+      isIn: [['home', 'draw', 'away']]
+    },
+    comment: 'Result pick for winner-takes-all and pari-mutuel pools'
+  },
+  predicted_home_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  predicted_away_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  stake_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  payout_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'won', 'lost', 'refunded'),
+    allowNull: false,
+    defaultValue: 'active'
+  }
+}, {
+  tableName: 'pool_entries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['pool_id', 'user_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+module.exports = PoolEntry;
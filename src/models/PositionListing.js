@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * PositionListing Model
+ *
+ * One side of an active bet match offered for sale. Once a listing is
+ * bought, the buyer holds that side and is paid at settlement.
+ */
+const PositionListing = sequelize.define('PositionListing', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bet_match_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'bet_matches',
+      key: 'id'
+    }
+  },
+  side: {
+    type: DataTypes.ENUM('creator', 'taker'),
+    allowNull: false
+  },
+  seller_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  price: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: true,
+      min: 0.01
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'sold', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  buyer_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sold_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'position_listings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['bet_match_id', 'status']
+    },
+    {
+      fields: ['seller_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = PositionListing;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * ReconciliationReport Model
+ *
+ * The outcome of one run of the ledger reconciliation job: the platform-wide
+ * totals it compared and every escrow or wallet that did not add up.
+ */
+const ReconciliationReport = sequelize.define('ReconciliationReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'balanced', 'mismatched', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  triggered_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'Admin who ran the check; null for scheduled runs'
+  },
+  totals: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Platform-wide balances, funds held, deposits, withdrawals and fees compared'
+  },
+  mismatch_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  mismatches: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Each failed check with the expected and actual amounts'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'reconciliation_reports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * SettlementReport Model
+ *
+ * Tracks the automatic settlement of every bet match on a completed or
+ * cancelled event, so an interrupted run can be resumed without paying
+ * anyone twice.
+ */
+const SettlementReport = sequelize.define('SettlementReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'in_progress', 'completed', 'partial'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  total_matches: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  settled_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  refunded_bets: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Bets voided because the event was cancelled'
+  },
+  results: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Outcome of each bet match, keyed by bet match ID'
+  },
+  event_result: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Result payload the matches were settled against'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'settlement_reports',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = SettlementReport;
@@ -19,6 +19,14 @@ const Sport = sequelize.define('Sport', {
   active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  live_bet_delay_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    },
+    comment: 'Acceptance delay for in-play bets; falls back to LIVE_BET_DELAY_SECONDS'
   }
 }, {
   timestamps: true,
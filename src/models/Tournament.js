@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * Tournament Model
+ *
+ * A multi-week contest on a league's events. Entrants pick the result of
+ * each event before it starts and score points for correct picks; when every
+ * event has finished, the entry fees held in the tournament's escrow are paid
+ * out to the top of the leaderboard by prize tier.
+ *
+ * Formats:
+ *   pickem  - every correct pick scores the same
+ *   bracket - picks in later rounds are worth more (round_multiplier per round)
+ */
+const Tournament = sequelize.define('Tournament', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  league_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'leagues',
+      key: 'id'
+    }
+  },
+  creator_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  format: {
+    type: DataTypes.ENUM('pickem', 'bracket'),
+    allowNull: false,
+    defaultValue: 'pickem'
+  },
+  entry_fee: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  max_entries: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 2
+    },
+    comment: 'Entry cap, or null for no cap'
+  },
+  scoring: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: { correct_pick: 1, round_multiplier: 1 },
+    comment: 'Points for a correct pick, and the factor they grow by each round'
+  },
+  prize_tiers: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [100],
+    comment: 'Percentage of the prize pool paid to each finishing position'
+  },
+  registration_closes_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Start of the first event; no entries after this'
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'completed'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'tournaments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['league_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = Tournament;
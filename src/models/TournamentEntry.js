@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * TournamentEntry Model
+ *
+ * A user's place in a tournament: their running score and, once the
+ * tournament is over, their final rank and prize.
+ */
+const TournamentEntry = sequelize.define('TournamentEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tournament_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'tournaments',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  correct_picks: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Leaderboard position; tied entries share a rank'
+  },
+  prize_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  payout_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payouts',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'tournament_entries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['tournament_id', 'user_id']
+    },
+    {
+      fields: ['tournament_id', 'points']
+    }
+  ]
+});
+
+module.exports = TournamentEntry;
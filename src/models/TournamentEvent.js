@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * TournamentEvent Model
+ *
+ * An event that counts towards a tournament, and the round it belongs to.
+ */
+const TournamentEvent = sequelize.define('TournamentEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tournament_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'tournaments',
+      key: 'id'
+    }
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  round: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  }
+}, {
+  tableName: 'tournament_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['tournament_id', 'event_id']
+    },
+    {
+      fields: ['event_id']
+    }
+  ]
+});
+
+module.exports = TournamentEvent;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * TournamentPick Model
+ *
+ * An entrant's pick for one tournament event. Picks can be changed until
+ * the event starts and are scored when its result lands.
+ */
+const TournamentPick = sequelize.define('TournamentPick', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  entry_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'tournament_entries',
+      key: 'id'
+    }
+  },
+  tournament_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'tournaments',
+      key: 'id'
+    }
+  },
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'events',
+      key: 'id'
+    }
+  },
+  selection: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: [['home', 'draw', 'away']]
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'won', 'lost', 'void'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  points: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'tournament_picks',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['entry_id', 'event_id']
+    },
+    {
+      fields: ['tournament_id', 'event_id', 'status']
+    }
+  ]
+});
+
+module.exports = TournamentPick;
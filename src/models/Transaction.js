@@ -30,7 +30,7 @@ const Transaction = sequelize.define('Transaction', {
     }
   },
   type: {
-    type: DataTypes.ENUM('deposit', 'withdrawal', 'bet', 'win', 'fee', 'refund'),
+    type: DataTypes.ENUM('deposit', 'withdrawal', 'bet', 'win', 'fee', 'refund', 'position_purchase', 'position_sale'),
     allowNull: false
   },
   status: {
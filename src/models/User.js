@@ -90,14 +90,60 @@ const User = sequelize.define('User', {
       isIn: [['active', 'suspended', 'banned', 'inactive']]
     }
   },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'user',
+    validate: {
+      isIn: [['user', 'admin']]
+    },
+    comment: 'Admins can manage disputes, limits and sports data'
+  },
   profile_image_url: {
     type: DataTypes.STRING(255),
     allowNull: true
+  },
+  odds_format: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      isIn: [['decimal', 'american', 'fractional', 'hong_kong', 'implied']]
+    },
+    comment: 'Preferred odds format (null means the convention for the user\'s country)'
+  },
+  settled_bets_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Bet matches the user has been a party to that have settled'
+  },
+  reputation_score: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    },
+    comment: 'Share of settled bet matches not lost in a dispute (null until the first settles)'
+  },
+  vip_tier: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'VIP tier set by admins; 0 for regular users. Fee rules can discount each tier'
   }
 }, {
   timestamps: true,
   underscored: true,
   tableName: 'users',
+  indexes: [
+    {
+      fields: ['reputation_score']
+    }
+  ],
   hooks: {
     beforeCreate: async (user) => {
       if (user.password_hash) {
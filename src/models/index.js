@@ -10,6 +10,27 @@ const Bet = require('./Bet');
 const BetMatch = require('./BetMatch');
 const Escrow = require('./Escrow');
 const Payout = require('./Payout');
+const SettlementReport = require('./SettlementReport');
+const ParlayLeg = require('./ParlayLeg');
+const LiveBetRequest = require('./LiveBetRequest');
+const PositionListing = require('./PositionListing');
+const BetInvite = require('./BetInvite');
+const BetOffer = require('./BetOffer');
+const Pool = require('./Pool');
+const PoolEntry = require('./PoolEntry');
+const Tournament = require('./Tournament');
+const TournamentEvent = require('./TournamentEvent');
+const TournamentEntry = require('./TournamentEntry');
+const TournamentPick = require('./TournamentPick');
+const BettingLimit = require('./BettingLimit');
+const FeeRule = require('./FeeRule');
+const MarketConsensus = require('./MarketConsensus');
+const BetVersion = require('./BetVersion');
+const DisputeCase = require('./DisputeCase');
+const DisputeMessage = require('./DisputeMessage');
+const DisputeEvidence = require('./DisputeEvidence');
+const DisputeTransition = require('./DisputeTransition');
+const ReconciliationReport = require('./ReconciliationReport');
 
 // Define relationships
 
@@ -31,11 +52,11 @@ PaymentMethod.belongsTo(User, { foreignKey: 'user_id' });
 
 // Sport - League (one-to-many)
 Sport.hasMany(League, { foreignKey: 'sport_id', as: 'leagues' });
-League.belongsTo(Sport, { foreignKey: 'sport_id' });
+League.belongsTo(Sport, { foreignKey: 'sport_id', as: 'sport' });
 
 // League - Event (one-to-many)
 League.hasMany(Event, { foreignKey: 'league_id', as: 'events' });
-Event.belongsTo(League, { foreignKey: 'league_id' });
+Event.belongsTo(League, { foreignKey: 'league_id', as: 'league' });
 
 // User - Bet (one-to-many) as creator
 User.hasMany(Bet, { foreignKey: 'creator_id', as: 'createdBets' });
@@ -43,11 +64,11 @@ Bet.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
 
 // Event - Bet (one-to-many)
 Event.hasMany(Bet, { foreignKey: 'event_id', as: 'bets' });
-Bet.belongsTo(Event, { foreignKey: 'event_id' });
+Bet.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
 
 // Bet - BetMatch (one-to-many)
 Bet.hasMany(BetMatch, { foreignKey: 'bet_id', as: 'matches' });
-BetMatch.belongsTo(Bet, { foreignKey: 'bet_id' });
+BetMatch.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
 
 // User - BetMatch (one-to-many) as taker
 User.hasMany(BetMatch, { foreignKey: 'taker_id', as: 'takenBets' });
@@ -55,7 +76,7 @@ BetMatch.belongsTo(User, { foreignKey: 'taker_id', as: 'taker' });
 
 // BetMatch - Escrow (one-to-one)
 BetMatch.hasOne(Escrow, { foreignKey: 'bet_match_id', as: 'escrow' });
-Escrow.belongsTo(BetMatch, { foreignKey: 'bet_match_id' });
+Escrow.belongsTo(BetMatch, { foreignKey: 'bet_match_id', as: 'betMatch' });
 
 // User - Escrow (one-to-many) as winner
 User.hasMany(Escrow, { foreignKey: 'winner_id', as: 'wonEscrows' });
@@ -77,6 +98,100 @@ Payout.belongsTo(User, { foreignKey: 'user_id' });
 Transaction.hasOne(Payout, { foreignKey: 'transaction_id', as: 'payout' });
 Payout.belongsTo(Transaction, { foreignKey: 'transaction_id' });
 
+// Event - SettlementReport (one-to-one)
+Event.hasOne(SettlementReport, { foreignKey: 'event_id', as: 'settlementReport' });
+SettlementReport.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+
+// Bet - ParlayLeg (one-to-many)
+Bet.hasMany(ParlayLeg, { foreignKey: 'bet_id', as: 'legs' });
+ParlayLeg.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+
+// Event - ParlayLeg (one-to-many)
+Event.hasMany(ParlayLeg, { foreignKey: 'event_id', as: 'parlayLegs' });
+ParlayLeg.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+
+// LiveBetRequest associations
+User.hasMany(LiveBetRequest, { foreignKey: 'user_id', as: 'liveBetRequests' });
+LiveBetRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+LiveBetRequest.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+
+// BetMatch - PositionListing (one-to-many)
+BetMatch.hasMany(PositionListing, { foreignKey: 'bet_match_id', as: 'listings' });
+PositionListing.belongsTo(BetMatch, { foreignKey: 'bet_match_id', as: 'betMatch' });
+PositionListing.belongsTo(User, { foreignKey: 'seller_id', as: 'seller' });
+PositionListing.belongsTo(User, { foreignKey: 'buyer_id', as: 'buyer' });
+
+// Bet - BetInvite (one-to-many)
+Bet.hasMany(BetInvite, { foreignKey: 'bet_id', as: 'invites' });
+BetInvite.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+User.hasMany(BetInvite, { foreignKey: 'user_id', as: 'betInvites' });
+BetInvite.belongsTo(User, { foreignKey: 'user_id', as: 'invitee' });
+BetInvite.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+
+// Bet - BetOffer (one-to-many)
+Bet.hasMany(BetOffer, { foreignKey: 'bet_id', as: 'offers' });
+BetOffer.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+BetOffer.belongsTo(User, { foreignKey: 'taker_id', as: 'taker' });
+
+// Pool associations
+Event.hasMany(Pool, { foreignKey: 'event_id', as: 'pools' });
+Pool.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+Pool.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
+Pool.hasMany(PoolEntry, { foreignKey: 'pool_id', as: 'entries' });
+PoolEntry.belongsTo(Pool, { foreignKey: 'pool_id', as: 'pool' });
+User.hasMany(PoolEntry, { foreignKey: 'user_id', as: 'poolEntries' });
+PoolEntry.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Tournament associations
+League.hasMany(Tournament, { foreignKey: 'league_id', as: 'tournaments' });
+Tournament.belongsTo(League, { foreignKey: 'league_id', as: 'league' });
+Tournament.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
+Tournament.hasOne(Escrow, { foreignKey: 'tournament_id', as: 'escrow' });
+Escrow.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+Tournament.hasMany(TournamentEvent, { foreignKey: 'tournament_id', as: 'fixtures' });
+TournamentEvent.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+TournamentEvent.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+Tournament.hasMany(TournamentEntry, { foreignKey: 'tournament_id', as: 'entries' });
+TournamentEntry.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+TournamentEntry.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+TournamentEntry.hasMany(TournamentPick, { foreignKey: 'entry_id', as: 'picks' });
+TournamentPick.belongsTo(TournamentEntry, { foreignKey: 'entry_id', as: 'entry' });
+TournamentPick.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+
+// BettingLimit associations
+User.hasMany(BettingLimit, { foreignKey: 'user_id', as: 'bettingLimits' });
+BettingLimit.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+BettingLimit.belongsTo(Sport, { foreignKey: 'sport_id', as: 'sport' });
+
+// FeeRule associations
+FeeRule.belongsTo(Sport, { foreignKey: 'sport_id', as: 'sport' });
+
+// MarketConsensus associations
+Event.hasMany(MarketConsensus, { foreignKey: 'event_id', as: 'consensus' });
+MarketConsensus.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+
+// BetVersion associations
+Bet.hasMany(BetVersion, { foreignKey: 'bet_id', as: 'versions' });
+BetVersion.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+
+// DisputeCase associations
+Escrow.hasOne(DisputeCase, { foreignKey: 'escrow_id', as: 'dispute' });
+DisputeCase.belongsTo(Escrow, { foreignKey: 'escrow_id', as: 'escrow' });
+DisputeCase.belongsTo(User, { foreignKey: 'opened_by', as: 'opener' });
+DisputeCase.belongsTo(User, { foreignKey: 'respondent_id', as: 'respondent' });
+DisputeCase.hasMany(DisputeMessage, { foreignKey: 'dispute_id', as: 'messages' });
+DisputeMessage.belongsTo(DisputeCase, { foreignKey: 'dispute_id', as: 'dispute' });
+DisputeMessage.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
+DisputeCase.hasMany(DisputeEvidence, { foreignKey: 'dispute_id', as: 'evidence' });
+DisputeEvidence.belongsTo(DisputeCase, { foreignKey: 'dispute_id', as: 'dispute' });
+DisputeEvidence.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+DisputeCase.hasMany(DisputeTransition, { foreignKey: 'dispute_id', as: 'transitions' });
+DisputeTransition.belongsTo(DisputeCase, { foreignKey: 'dispute_id', as: 'dispute' });
+DisputeTransition.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+
+// ReconciliationReport associations
+ReconciliationReport.belongsTo(User, { foreignKey: 'triggered_by', as: 'triggeredBy' });
+
 // Export models
 module.exports = {
   sequelize,
@@ -90,6 +205,27 @@ module.exports = {
   Bet,
   BetMatch,
   Escrow,
-  Payout
+  Payout,
+  SettlementReport,
+  ParlayLeg,
+  LiveBetRequest,
+  PositionListing,
+  BetInvite,
+  BetOffer,
+  Pool,
+  PoolEntry,
+  Tournament,
+  TournamentEvent,
+  TournamentEntry,
+  TournamentPick,
+  BettingLimit,
+  FeeRule,
+  MarketConsensus,
+  BetVersion,
+  DisputeCase,
+  DisputeMessage,
+  DisputeEvidence,
+  DisputeTransition,
+  ReconciliationReport
 };
 
@@ -0,0 +1,180 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const bettingLimitService = require('../services/bettingLimitService');
+const { auth, validate } = require('../middleware');
+
+const router = express.Router();
+
+const BET_TYPES = ['moneyline', 'spread', 'over_under', 'prop', 'parlay'];
+
+// Betting limits are managed by admins only
+router.use(auth.authenticate, auth.isAdmin);
+
+const ruleValidators = [
+  body('user_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid user ID'),
+  body('sport_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid sport ID'),
+  body('bet_type')
+    .optional({ nullable: true })
+    .isIn(BET_TYPES)
+    .withMessage('Invalid bet type'),
+  body('region')
+    .optional({ nullable: true })
+    .isISO31661Alpha2()
+    .withMessage('Region must be a two-letter country code'),
+  body(['min_stake', 'max_stake', 'max_open_exposure'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Limit amounts must be positive numbers'),
+  body('max_bets_per_event')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Bets per event must be at least 1'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+];
+
+/**
+ * @route GET /api/betting-limits
+ * @desc Get betting limits, optionally filtered by user, sport and whether they are active
+ * @access Admin
+ */
+router.get(
+  '/',
+  validate([
+    query('userId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    query('sportId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid sport ID'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive integer')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { userId, sportId, active, limit, offset } = req.query;
+
+      const limits = await bettingLimitService.getLimits({
+        userId,
+        sportId,
+        active: active === undefined ? undefined : active === 'true',
+        limit: limit ? parseInt(limit) : 50,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: limits
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/betting-limits
+ * @desc Create a betting limit. Scope fields left unset match every bet;
+ *       where several rules apply, the most restrictive value of each limit wins
+ * @access Admin
+ */
+router.post(
+  '/',
+  validate([
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    ...ruleValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const limit = await bettingLimitService.createLimit(req.user.id, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Betting limit created successfully',
+        data: limit
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/betting-limits/:limitId
+ * @desc Update a betting limit
+ * @access Admin
+ */
+router.put(
+  '/:limitId',
+  validate([
+    param('limitId')
+      .isUUID()
+      .withMessage('Invalid betting limit ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    ...ruleValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const limit = await bettingLimitService.updateLimit(req.params.limitId, req.body);
+      res.json({
+        success: true,
+        message: 'Betting limit updated successfully',
+        data: limit
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/betting-limits/:limitId
+ * @desc Delete a betting limit
+ * @access Admin
+ */
+router.delete(
+  '/:limitId',
+  validate([
+    param('limitId')
+      .isUUID()
+      .withMessage('Invalid betting limit ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      await bettingLimitService.deleteLimit(req.params.limitId);
+      res.json({
+        success: true,
+        message: 'Betting limit deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
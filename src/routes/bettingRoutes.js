@@ -1,30 +1,818 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const { bettingService } = require('../services');
-const { auth, validate } = require('../middleware');
+const { Bet, BetMatch, Event, User } = require('../models');
+const propBetService = require('../services/propBetService');
+const exchangeService = require('../services/exchangeService');
+const parlayService = require('../services/parlayService');
+const liveBettingService = require('../services/liveBettingService');
+const cashOutService = require('../services/cashOutService');
+const challengeService = require('../services/challengeService');
+const counterOfferService = require('../services/counterOfferService');
+const betSlipService = require('../services/betSlipService');
+const { auth, validate, odds } = require('../middleware');
+const { withOddsDisplay } = require('../utils/odds');
 
 const router = express.Router();
 
+// Fields shared by every request that creates a bet
+const betValidators = [
+    body('event_id')
+      .if(body('bet_type').not().equals('parlay'))
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    body('bet_type')
+      .isIn(['moneyline', 'spread', 'over_under', 'prop', 'parlay'])
+      .withMessage('Invalid bet type'),
+    body('bet_details')
+      .notEmpty()
+      .withMessage('Bet details are required'),
+    body('bet_details')
+      .if(body('bet_type').equals('prop'))
+      .custom(details => propBetService.validatePropDetails(details)),
+    body('bet_details.legs')
+      .if(body('bet_type').equals('parlay'))
+      .custom(legs => parlayService.validateParlayLegs(legs)),
+    body('odds')
+      .if(body('bet_type').not().equals('parlay'))
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    body('stake_amount')
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1'),
+    body('expiry_time')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid expiry time format')
+];
+
+// Fee promotion a bet is placed or taken under
+const promotionCodeValidator = body('promotion_code')
+  .optional()
+  .isAlphanumeric()
+  .isLength({ max: 50 })
+  .withMessage('Invalid promotion code');
+
+/**
+ * @route GET /api/bets
+ * @desc Search the bet board, with odds also rendered in the format given by oddsFormat.
+ *       Sort by newest, best_odds (best for the taker), soonest_start or largest_stake;
+ *       pass next_cursor back as cursor for the next page. market_value compares the
+ *       taker's odds with the market consensus (null when unpriced)
+ * @access Public
+ */
+router.get(
+  '/',
+  odds.displayOdds,
+  validate([
+    query(['eventId', 'leagueId', 'sportId'])
+      .optional()
+      .isUUID()
+      .withMessage('Invalid ID'),
+    query('betType')
+      .optional()
+      .isIn(['moneyline', 'spread', 'over_under', 'prop', 'parlay'])
+      .withMessage('Invalid bet type'),
+    query(['startsAfter', 'startsBefore'])
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid kickoff time format'),
+    query(['minOdds', 'maxOdds'])
+      .optional()
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    query(['minStake', 'maxStake'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Stake must be a positive number'),
+    query('minReputation')
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Reputation must be between 0 and 100'),
+    query('currency')
+      .optional()
+      .isISO4217()
+      .withMessage('Invalid currency code'),
+    query('sort')
+      .optional()
+      .isIn(['newest', 'best_odds', 'soonest_start', 'largest_stake'])
+      .withMessage('Invalid sort'),
+    query('cursor')
+      .optional()
+      .isBase64({ urlSafe: true })
+      .withMessage('Invalid cursor'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { eventId, leagueId, sportId, betType, startsAfter, startsBefore, currency, sort, cursor, limit } = req.query;
+      const toNumber = value => (value === undefined ? undefined : parseFloat(value));
+      
+      const filters = {
+        eventId,
+        leagueId,
+        sportId,
+        betType,
+        startsAfter: startsAfter ? new Date(startsAfter) : undefined,
+        startsBefore: startsBefore ? new Date(startsBefore) : undefined,
+        minOdds: toNumber(req.query.minOdds),
+        maxOdds: toNumber(req.query.maxOdds),
+        minStake: toNumber(req.query.minStake),
+        maxStake: toNumber(req.query.maxStake),
+        minReputation: toNumber(req.query.minReputation),
+        currency: currency ? currency.toUpperCase() : undefined
+      };
+      
+      const options = {
+        sort,
+        cursor,
+        limit: limit ? parseInt(limit) : 20
+      };
+      
+      const bets = await bettingService.getAvailableBets(filters, options);
+      res.json({
+        success: true,
+        data: {
+          ...bets,
+          bets: bets.bets.map(bet => withOddsDisplay(bet, req.oddsFormat))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets
+ * @desc Create a new bet (parlays take their legs in bet_details.legs and are priced from them);
+ *       bets on live events are held for the sport's acceptance delay. Private bets are
+ *       only open to the usernames in invitees and to holders of their share code.
+ *       Odds may be quoted in any format via odds_format (default: the user's preference).
+ *       A promotion_code places the bet under a fee promotion
+ * @access Private
+ */
+router.post(
+  '/',
+  auth.authenticate,
+  auth.isVerified,
+  odds.normalizeOdds,
+  odds.displayOdds,
+  validate([
+    ...betValidators,
+    body('visibility')
+      .optional()
+      .isIn(['public', 'private'])
+      .withMessage('Visibility must be public or private'),
+    body('invitees')
+      .optional()
+      .isArray({ min: 1, max: 50 })
+      .withMessage('Invitees must be a list of 1 to 50 usernames'),
+    promotionCodeValidator
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await liveBettingService.submitBet(req.user.id, req.body);
+      
+      // In-play bets wait out the acceptance delay before they are placed
+      if (result.pending) {
+        return res.status(202).json({
+          success: true,
+          message: 'In-play bet pending acceptance',
+          data: result.request
+        });
+      }
+      
+      res.status(201).json({
+        success: true,
+        message: 'Bet created successfully',
+        data: withOddsDisplay(result.bet, req.oddsFormat)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/slip
+ * @desc Place a bet slip: new bets (action 'place') and takes of open bets (action 'take')
+ *       in one transaction. In all_or_nothing mode (the default) any failing line rejects
+ *       the slip; in accept_partial mode the lines that succeed are kept. Every line reports
+ *       its outcome and, if it failed, why. Odds may be quoted in any format via odds_format
+ * @access Private
+ */
+router.post(
+  '/slip',
+  auth.authenticate,
+  auth.isVerified,
+  odds.normalizeOdds,
+  odds.displayOdds,
+  validate([
+    body('mode')
+      .optional()
+      .isIn(Object.values(betSlipService.SLIP_MODES))
+      .withMessage('Mode must be all_or_nothing or accept_partial'),
+    body('lines')
+      .isArray({ min: 1, max: betSlipService.MAX_SLIP_LINES })
+      .withMessage(`A bet slip must have between 1 and ${betSlipService.MAX_SLIP_LINES} lines`),
+    body('lines.*.action')
+      .isIn(betSlipService.LINE_ACTIONS)
+      .withMessage('Line action must be place or take'),
+    body(['lines.*.event_id', 'lines.*.bet_id'])
+      .optional()
+      .isUUID()
+      .withMessage('Invalid ID'),
+    body('lines.*.bet_type')
+      .optional()
+      .isIn(['moneyline', 'spread', 'over_under', 'prop'])
+      .withMessage('Invalid bet type (parlays are placed on their own)'),
+    body('lines.*')
+      .custom(line => line.action !== 'place' || line.bet_type !== 'prop' || propBetService.validatePropDetails(line.bet_details)),
+    body('lines.*.odds')
+      .optional()
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    body('lines.*.stake_amount')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1'),
+    body('lines.*.invite_code')
+      .optional()
+      .isAlphanumeric()
+      .withMessage('Invalid invite code')
+  ]),
+  async (req, res, next) => {
+    try {
+      const lines = req.body.lines.map(line => ({
+        ...line,
+        stake_amount: line.stake_amount !== undefined ? parseFloat(line.stake_amount) : undefined,
+        invite_code: line.invite_code ? line.invite_code.toUpperCase() : undefined
+      }));
+      
+      const slip = await betSlipService.placeSlip(req.user.id, lines, { mode: req.body.mode });
+      
+      res.status(slip.status === 'rejected' ? 400 : 201).json({
+        success: slip.status !== 'rejected',
+        message: slip.status === 'rejected' ? 'Bet slip rejected' : 'Bet slip placed',
+        data: {
+          ...slip,
+          lines: slip.lines.map(line => (line.bet ? { ...line, bet: withOddsDisplay(line.bet, req.oddsFormat) } : line))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/markets/:eventId
+ * @desc Get the order book for every market traded on an event
+ * @access Public
+ */
+router.get(
+  '/markets/:eventId',
+  validate([
+    param('eventId')
+      .isUUID()
+      .withMessage('Invalid event ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const markets = await exchangeService.getEventMarkets(req.params.eventId);
+      res.json({
+        success: true,
+        data: markets
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/markets/:eventId/:marketKey
+ * @desc Get the order book for one market, e.g. moneyline or spread:-3.5
+ * @access Public
+ */
+router.get(
+  '/markets/:eventId/:marketKey',
+  validate([
+    param('eventId')
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    param('marketKey')
+      .matches(/^(moneyline|(spread|over_under):-?\d+(\.\d+)?)$/)
+      .withMessage('Invalid market')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { eventId, marketKey } = req.params;
+      const orderBook = await exchangeService.getOrderBook(eventId, marketKey);
+      res.json({
+        success: true,
+        data: orderBook
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/markets/:eventId/offers
+ * @desc Place an offer, matching it against crossing offers before resting the rest
+ * @access Private
+ */
+router.post(
+  '/markets/:eventId/offers',
+  auth.authenticate,
+  auth.isVerified,
+  odds.normalizeOdds,
+  validate([
+    param('eventId')
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    body('bet_type')
+      .isIn(['moneyline', 'spread', 'over_under'])
+      .withMessage('Invalid bet type'),
+    body('bet_details.pick')
+      .isIn(['home', 'away', 'over', 'under'])
+      .withMessage('Invalid pick'),
+    body('odds')
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    body('stake_amount')
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1'),
+    body('expiry_time')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid expiry time format')
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await exchangeService.placeOffer(req.user.id, {
+        ...req.body,
+        event_id: req.params.eventId
+      });
+      res.status(201).json({
+        success: true,
+        message: result.matches.length ? 'Offer matched' : 'Offer placed',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/live-requests/:requestId
+ * @desc Get the status of an in-play bet or take waiting for acceptance
+ * @access Private
+ */
+router.get(
+  '/live-requests/:requestId',
+  auth.authenticate,
+  validate([
+    param('requestId')
+      .isUUID()
+      .withMessage('Invalid request ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const request = await liveBettingService.getRequest(req.user.id, req.params.requestId);
+      res.json({
+        success: true,
+        data: request
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/cash-out/listings
+ * @desc Get positions listed for cash-out
+ * @access Public
+ */
+router.get(
+  '/cash-out/listings',
+  validate([
+    query('eventId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    query('betMatchId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid bet match ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive integer')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { eventId, betMatchId, limit, offset } = req.query;
+      
+      const listings = await cashOutService.getOpenListings({ eventId, betMatchId }, {
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: listings
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/cash-out/listings/:listingId/buy
+ * @desc Buy a listed position, taking over that side of the bet match
+ * @access Private
+ */
+router.post(
+  '/cash-out/listings/:listingId/buy',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    param('listingId')
+      .isUUID()
+      .withMessage('Invalid listing ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await cashOutService.buyPosition(req.user.id, req.params.listingId);
+      res.json({
+        success: true,
+        message: 'Position bought successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/bets/cash-out/listings/:listingId/cancel
+ * @desc Withdraw a cash-out listing
+ * @access Private
+ */
+router.put(
+  '/cash-out/listings/:listingId/cancel',
+  auth.authenticate,
+  validate([
+    param('listingId')
+      .isUUID()
+      .withMessage('Invalid listing ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const listing = await cashOutService.cancelListing(req.user.id, req.params.listingId);
+      res.json({
+        success: true,
+        message: 'Listing cancelled successfully',
+        data: listing
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/matches/:betMatchId/cash-out
+ * @desc List your side of an active bet match for sale
+ * @access Private
+ */
+router.post(
+  '/matches/:betMatchId/cash-out',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    param('betMatchId')
+      .isUUID()
+      .withMessage('Invalid bet match ID'),
+    body('price')
+      .isFloat({ min: 0.01 })
+      .withMessage('Price must be greater than 0')
+  ]),
+  async (req, res, next) => {
+    try {
+      const listing = await cashOutService.listPosition(
+        req.user.id,
+        req.params.betMatchId,
+        parseFloat(req.body.price)
+      );
+      res.status(201).json({
+        success: true,
+        message: 'Position listed for cash-out',
+        data: listing
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/matches/:betMatchId/ownership
+ * @desc Get the ownership history of a bet match
+ * @access Public
+ */
+router.get(
+  '/matches/:betMatchId/ownership',
+  validate([
+    param('betMatchId')
+      .isUUID()
+      .withMessage('Invalid bet match ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const history = await cashOutService.getOwnershipHistory(req.params.betMatchId);
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/challenges
+ * @desc Challenge a user to a private bet they can accept or decline
+ * @access Private
+ */
+router.post(
+  '/challenges',
+  auth.authenticate,
+  auth.isVerified,
+  odds.normalizeOdds,
+  validate([
+    ...betValidators,
+    body('username')
+      .trim()
+      .notEmpty()
+      .withMessage('Username of the user to challenge is required')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { username, ...betData } = req.body;
+      const bet = await challengeService.createChallenge(req.user.id, username, betData);
+      res.status(201).json({
+        success: true,
+        message: 'Challenge sent successfully',
+        data: bet
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/invites
+ * @desc Get the private bet invites and challenges sent to the current user
+ * @access Private
+ */
+router.get(
+  '/invites',
+  auth.authenticate,
+  validate([
+    query('status')
+      .optional()
+      .isIn(['pending', 'accepted', 'declined', 'expired'])
+      .withMessage('Invalid invite status'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive integer')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { status, limit, offset } = req.query;
+      
+      const invites = await challengeService.getUserInvites(req.user.id, {
+        status,
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: invites
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/invites/:inviteId/accept
+ * @desc Accept a challenge, taking the bet in full
+ * @access Private
+ */
+router.post(
+  '/invites/:inviteId/accept',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    param('inviteId')
+      .isUUID()
+      .withMessage('Invalid invite ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await challengeService.acceptChallenge(req.user.id, req.params.inviteId);
+      res.json({
+        success: true,
+        message: 'Challenge accepted successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/invites/:inviteId/decline
+ * @desc Decline a challenge, refunding the challenger
+ * @access Private
+ */
+router.post(
+  '/invites/:inviteId/decline',
+  auth.authenticate,
+  validate([
+    param('inviteId')
+      .isUUID()
+      .withMessage('Invalid invite ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const invite = await challengeService.declineChallenge(req.user.id, req.params.inviteId);
+      res.json({
+        success: true,
+        message: 'Challenge declined',
+        data: invite
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/shared/:inviteCode
+ * @desc Get a private bet from its share code; take it by passing the code as invite_code
+ * @access Private
+ */
+router.get(
+  '/shared/:inviteCode',
+  auth.authenticate,
+  validate([
+    param('inviteCode')
+      .isAlphanumeric()
+      .withMessage('Invalid invite code')
+  ]),
+  async (req, res, next) => {
+    try {
+      const bet = await challengeService.getBetByInviteCode(req.params.inviteCode.toUpperCase());
+      res.json({
+        success: true,
+        data: bet
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/offers/:offerId/counter
+ * @desc Answer an offer with different odds or stake
+ * @access Private
+ */
+router.post(
+  '/offers/:offerId/counter',
+  auth.authenticate,
+  auth.isVerified,
+  odds.normalizeOdds,
+  validate([
+    param('offerId')
+      .isUUID()
+      .withMessage('Invalid offer ID'),
+    body('odds')
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    body('stake_amount')
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1')
+  ]),
+  async (req, res, next) => {
+    try {
+      const offer = await counterOfferService.counterOffer(req.user.id, req.params.offerId, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Counter-offer sent',
+        data: offer
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/offers/:offerId/accept
+ * @desc Accept an offer, matching the bet at the agreed odds and stake
+ * @access Private
+ */
+router.post(
+  '/offers/:offerId/accept',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    param('offerId')
+      .isUUID()
+      .withMessage('Invalid offer ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await counterOfferService.acceptOffer(req.user.id, req.params.offerId);
+      res.json({
+        success: true,
+        message: 'Offer accepted, bet matched successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/offers/:offerId/reject
+ * @desc Reject an offer, closing the negotiation
+ * @access Private
+ */
+router.post(
+  '/offers/:offerId/reject',
+  auth.authenticate,
+  validate([
+    param('offerId')
+      .isUUID()
+      .withMessage('Invalid offer ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const offer = await counterOfferService.rejectOffer(req.user.id, req.params.offerId);
+      res.json({
+        success: true,
+        message: 'Offer rejected',
+        data: offer
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
- * @route GET /api/bets
- * @desc Get available bets
- * @access Public
+ * @route GET /api/bets/history
+ * @desc Get user's betting history
+ * @access Private
  */
 router.get(
-  '/',
+  '/history',
+  auth.authenticate,
+  odds.displayOdds,
   validate([
-    query('eventId')
-      .optional()
-      .isUUID()
-      .withMessage('Invalid event ID'),
-    query('sportId')
-      .optional()
-      .isUUID()
-      .withMessage('Invalid sport ID'),
-    query('betType')
+    query('status')
       .optional()
-      .isIn(['moneyline', 'spread', 'over_under', 'prop'])
-      .withMessage('Invalid bet type'),
+      .isIn(['open', 'suspended', 'matched', 'settled', 'cancelled', 'refunded', 'expired'])
+      .withMessage('Invalid status'),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 100 })
@@ -36,23 +824,21 @@ router.get(
   ]),
   async (req, res, next) => {
     try {
-      const { eventId, sportId, betType, limit, offset } = req.query;
-      
-      const filters = {
-        eventId,
-        sportId,
-        betType
-      };
+      const { status, limit, offset } = req.query;
       
       const options = {
+        status,
         limit: limit ? parseInt(limit) : 20,
         offset: offset ? parseInt(offset) : 0
       };
       
-      const bets = await bettingService.getAvailableBets(filters, options);
+      const bets = await bettingService.getUserBets(req.user.id, options);
       res.json({
         success: true,
-        data: bets
+        data: {
+          ...bets,
+          bets: bets.bets.map(bet => withOddsDisplay(bet, req.oddsFormat))
+        }
       });
     } catch (error) {
       next(error);
@@ -61,42 +847,41 @@ router.get(
 );
 
 /**
- * @route POST /api/bets
- * @desc Create a new bet
+ * @route GET /api/bets/matches
+ * @desc Get user's bet matches (bets taken)
  * @access Private
  */
-router.post(
-  '/',
+router.get(
+  '/matches',
   auth.authenticate,
-  auth.isVerified,
   validate([
-    body('event_id')
-      .isUUID()
-      .withMessage('Invalid event ID'),
-    body('bet_type')
-      .isIn(['moneyline', 'spread', 'over_under', 'prop'])
-      .withMessage('Invalid bet type'),
-    body('bet_details')
-      .notEmpty()
-      .withMessage('Bet details are required'),
-    body('odds')
-      .isFloat({ min: 1.01 })
-      .withMessage('Odds must be at least 1.01'),
-    body('stake_amount')
-      .isFloat({ min: 1 })
-      .withMessage('Stake amount must be at least 1'),
-    body('expiry_time')
+    query('status')
       .optional()
-      .isISO8601()
-      .withMessage('Invalid expiry time format')
+      .isIn(['active', 'disputed', 'settled', 'cancelled', 'refunded'])
+      .withMessage('Invalid status'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive integer')
   ]),
   async (req, res, next) => {
     try {
-      const bet = await bettingService.createBet(req.user.id, req.body);
-      res.status(201).json({
+      const { status, limit, offset } = req.query;
+      
+      const options = {
+        status,
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      };
+      
+      const betMatches = await bettingService.getUserBetMatches(req.user.id, options);
+      res.json({
         success: true,
-        message: 'Bet created successfully',
-        data: bet
+        data: betMatches
       });
     } catch (error) {
       next(error);
@@ -111,6 +896,7 @@ router.post(
  */
 router.get(
   '/:betId',
+  odds.displayOdds,
   validate([
     param('betId')
       .isUUID()
@@ -120,6 +906,7 @@ router.get(
     try {
       const { betId } = req.params;
       const bet = await Bet.findByPk(betId, {
+        attributes: { exclude: ['invite_code'] },
         include: [
           {
             model: User,
@@ -153,7 +940,7 @@ router.get(
       
       res.json({
         success: true,
-        data: bet
+        data: withOddsDisplay(bet, req.oddsFormat)
       });
     } catch (error) {
       next(error);
@@ -163,7 +950,11 @@ router.get(
 
 /**
  * @route POST /api/bets/:betId/take
- * @desc Take (match) a bet
+ * @desc Take (match) a bet, optionally only part of it via stake_amount;
+ *       takes on live events are held for the sport's acceptance delay.
+ *       Private bets need an invite or their share code in invite_code.
+ *       Pass the bet_version you were shown to refuse terms amended since,
+ *       and a promotion_code to take it under a fee promotion
  * @access Private
  */
 router.post(
@@ -173,12 +964,40 @@ router.post(
   validate([
     param('betId')
       .isUUID()
-      .withMessage('Invalid bet ID')
+      .withMessage('Invalid bet ID'),
+    body('stake_amount')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1'),
+    body('invite_code')
+      .optional()
+      .isAlphanumeric()
+      .withMessage('Invalid invite code'),
+    body('bet_version')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Bet version must be a positive integer'),
+    promotionCodeValidator
   ]),
   async (req, res, next) => {
     try {
       const { betId } = req.params;
-      const result = await bettingService.takeBet(req.user.id, betId);
+      const { stake_amount, invite_code, bet_version, promotion_code } = req.body;
+      const result = await liveBettingService.submitTake(req.user.id, betId, {
+        stake_amount: stake_amount !== undefined ? parseFloat(stake_amount) : undefined,
+        invite_code: invite_code ? invite_code.toUpperCase() : undefined,
+        bet_version: bet_version !== undefined ? parseInt(bet_version, 10) : undefined,
+        promotion_code: promotion_code ? promotion_code.toUpperCase() : undefined
+      });
+      
+      if (result.pending) {
+        return res.status(202).json({
+          success: true,
+          message: 'In-play take pending acceptance',
+          data: result.request
+        });
+      }
+      
       res.json({
         success: true,
         message: 'Bet matched successfully',
@@ -190,6 +1009,93 @@ router.post(
   }
 );
 
+/**
+ * @route GET /api/bets/:betId/share
+ * @desc Get the share code and link for a private bet
+ * @access Private
+ */
+router.get(
+  '/:betId/share',
+  auth.authenticate,
+  validate([
+    param('betId')
+      .isUUID()
+      .withMessage('Invalid bet ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const share = await challengeService.getShareLink(req.user.id, req.params.betId);
+      res.json({
+        success: true,
+        data: share
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/bets/:betId/offers
+ * @desc Propose different odds (creator's side) or stake for an open bet instead of taking it as posted
+ * @access Private
+ */
+router.post(
+  '/:betId/offers',
+  auth.authenticate,
+  auth.isVerified,
+  odds.normalizeOdds,
+  validate([
+    param('betId')
+      .isUUID()
+      .withMessage('Invalid bet ID'),
+    body('odds')
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    body('stake_amount')
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1')
+  ]),
+  async (req, res, next) => {
+    try {
+      const offer = await counterOfferService.proposeOffer(req.user.id, req.params.betId, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Offer sent',
+        data: offer
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/bets/:betId/offers
+ * @desc Get the negotiations on a bet (the creator sees all of them, anyone else their own)
+ * @access Private
+ */
+router.get(
+  '/:betId/offers',
+  auth.authenticate,
+  validate([
+    param('betId')
+      .isUUID()
+      .withMessage('Invalid bet ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const offers = await counterOfferService.getBetOffers(req.user.id, req.params.betId);
+      res.json({
+        success: true,
+        data: offers
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 /**
  * @route PUT /api/bets/:betId/cancel
  * @desc Cancel a bet
@@ -219,41 +1125,46 @@ router.put(
 );
 
 /**
- * @route GET /api/bets/history
- * @desc Get user's betting history
+ * @route PUT /api/bets/:betId/amend
+ * @desc Amend the odds, stake or expiry of a bet nobody has matched yet; the wallet
+ *       is charged or refunded the stake difference. Odds may be quoted in any format
+ *       via odds_format
  * @access Private
  */
-router.get(
-  '/history',
+router.put(
+  '/:betId/amend',
   auth.authenticate,
+  odds.normalizeOdds,
+  odds.displayOdds,
   validate([
-    query('status')
+    param('betId')
+      .isUUID()
+      .withMessage('Invalid bet ID'),
+    body('odds')
       .optional()
-      .isIn(['open', 'matched', 'settled', 'cancelled', 'refunded'])
-      .withMessage('Invalid status'),
-    query('limit')
+      .isFloat({ min: 1.01 })
+      .withMessage('Odds must be at least 1.01'),
+    body('stake_amount')
       .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100'),
-    query('offset')
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1'),
+    body('expiry_time')
       .optional()
-      .isInt({ min: 0 })
-      .withMessage('Offset must be a positive integer')
+      .isISO8601()
+      .withMessage('Invalid expiry time format')
   ]),
   async (req, res, next) => {
     try {
-      const { status, limit, offset } = req.query;
-      
-      const options = {
-        status,
-        limit: limit ? parseInt(limit) : 20,
-        offset: offset ? parseInt(offset) : 0
-      };
-      
-      const bets = await bettingService.getUserBets(req.user.id, options);
+      const { odds: newOdds, stake_amount, expiry_time } = req.body;
+      const bet = await bettingService.amendBet(req.user.id, req.params.betId, {
+        odds: newOdds,
+        stake_amount: stake_amount !== undefined ? parseFloat(stake_amount) : undefined,
+        expiry_time
+      });
       res.json({
         success: true,
-        data: bets
+        message: 'Bet amended successfully',
+        data: withOddsDisplay(bet, req.oddsFormat)
       });
     } catch (error) {
       next(error);
@@ -262,41 +1173,51 @@ router.get(
 );
 
 /**
- * @route GET /api/bets/matches
- * @desc Get user's bet matches (bets taken)
- * @access Private
+ * @route GET /api/bets/:betId/versions
+ * @desc Get every version of a bet's terms and the version each taker matched
+ * @access Private (parties to the bet and admins)
  */
 router.get(
-  '/matches',
+  '/:betId/versions',
   auth.authenticate,
   validate([
-    query('status')
-      .optional()
-      .isIn(['active', 'settled', 'cancelled', 'refunded'])
-      .withMessage('Invalid status'),
-    query('limit')
-      .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Limit must be between 1 and 100'),
-    query('offset')
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage('Offset must be a positive integer')
+    param('betId')
+      .isUUID()
+      .withMessage('Invalid bet ID')
   ]),
   async (req, res, next) => {
     try {
-      const { status, limit, offset } = req.query;
-      
-      const options = {
-        status,
-        limit: limit ? parseInt(limit) : 20,
-        offset: offset ? parseInt(offset) : 0
-      };
-      
-      const betMatches = await bettingService.getUserBetMatches(req.user.id, options);
+      const history = await bettingService.getBetVersions(req.user, req.params.betId);
       res.json({
         success: true,
-        data: betMatches
+        data: history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/bets/:betId/resume
+ * @desc Re-open a bet suspended by a score change
+ * @access Private
+ */
+router.put(
+  '/:betId/resume',
+  auth.authenticate,
+  validate([
+    param('betId')
+      .isUUID()
+      .withMessage('Invalid bet ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const bet = await liveBettingService.resumeBet(req.user.id, req.params.betId);
+      res.json({
+        success: true,
+        message: 'Bet resumed successfully',
+        data: bet
       });
     } catch (error) {
       next(error);
@@ -1,70 +1,174 @@
 /**
  * Escrow Routes
  * 
- * This file defines the API routes for escrow operations.
+ * This file defines the API routes for escrow operations and the dispute
+ * cases raised over them.
  */
 
 const express = require('express');
 const router = express.Router();
 const escrowController = require('../controllers/escrowController');
+const disputeController = require('../controllers/disputeController');
 const { auth } = require('../middleware');
 const { validate } = require('../middleware');
-const { body } = require('express-validator');
+const { evidenceUpload } = require('../middleware/upload');
+const { body, param, query } = require('express-validator');
+
+const disputeIdParam = param('disputeId').isUUID().withMessage('Invalid dispute ID');
 
 // Middleware to ensure user is authenticated
 router.use(auth.authenticate);
 
-// Create an escrow for a bet match
-router.post(
-  '/',
-  [
-    body('bet_match_id').notEmpty().withMessage('Bet match ID is required'),
-    validate
-  ],
-  escrowController.createEscrow
-);
-
-// Get escrow details
+// Get escrow details (parties and admins)
 router.get('/:id', escrowController.getEscrow);
 
 // Get escrows for a user
 router.get('/', escrowController.getUserEscrows);
 
-// Release escrow funds to winner
+// Create a dispute for an escrow, opening a case
 router.post(
-  '/:id/release',
-  [
-    body('winner_id').notEmpty().withMessage('Winner ID is required'),
-    validate
-  ],
-  escrowController.releaseEscrow
+  '/:id/dispute',
+  validate([
+    body('reason')
+      .notEmpty()
+      .withMessage('Dispute reason is required')
+      .isLength({ max: 2000 })
+      .withMessage('Dispute reason cannot exceed 2000 characters')
+  ]),
+  escrowController.createDispute
+);
+
+// Get a dispute case with its thread and evidence (parties and admins)
+router.get(
+  '/disputes/:disputeId',
+  validate([disputeIdParam]),
+  disputeController.getDispute
 );
 
-// Create a dispute for an escrow
+// Post to a dispute thread (parties and admins)
 router.post(
-  '/:id/dispute',
-  [
-    body('reason').notEmpty().withMessage('Dispute reason is required'),
-    validate
-  ],
-  escrowController.createDispute
+  '/disputes/:disputeId/messages',
+  validate([
+    disputeIdParam,
+    body('body')
+      .notEmpty()
+      .withMessage('Message is required')
+      .isLength({ max: 5000 })
+      .withMessage('Message cannot exceed 5000 characters')
+  ]),
+  disputeController.postMessage
+);
+
+// Upload evidence to a dispute as multipart field `file` (parties and admins)
+router.post(
+  '/disputes/:disputeId/evidence',
+  validate([disputeIdParam]),
+  evidenceUpload,
+  disputeController.addEvidence
+);
+
+// Download evidence, or its thumbnail with ?variant=thumbnail (parties and admins)
+router.get(
+  '/disputes/:disputeId/evidence/:evidenceId',
+  validate([
+    disputeIdParam,
+    param('evidenceId').isUUID().withMessage('Invalid evidence ID')
+  ]),
+  disputeController.getEvidenceFile
+);
+
+// Appeal a resolved dispute (parties)
+router.post(
+  '/disputes/:disputeId/appeal',
+  validate([
+    disputeIdParam,
+    body('reason').notEmpty().withMessage('Appeal reason is required')
+  ]),
+  disputeController.appealDispute
 );
 
 // Admin routes
 router.use(auth.isAdmin);
 
-// Resolve a disputed escrow (admin only)
+// Create an escrow for a bet match (admin only)
+router.post(
+  '/',
+  validate([
+    body('bet_match_id').notEmpty().withMessage('Bet match ID is required')
+  ]),
+  escrowController.createEscrow
+);
+
+// Release escrow funds to winner (admin only)
+router.post(
+  '/:id/release',
+  validate([
+    body('winner_id').notEmpty().withMessage('Winner ID is required')
+  ]),
+  escrowController.releaseEscrow
+);
+
+// Resolve a disputed escrow for one winner, as a refund, or split by
+// `allocation` across creator, taker and platform (admin only)
 router.post(
   '/:id/resolve',
-  [
+  validate([
     body('notes').notEmpty().withMessage('Resolution notes are required'),
-    validate
-  ],
+    body('winner_id')
+      .if(body('allocation').exists())
+      .isEmpty()
+      .withMessage('Give either a winner or an allocation, not both'),
+    body('allocation')
+      .optional()
+      .isObject()
+      .withMessage('Allocation must be an object of creator, taker and platform amounts'),
+    body(['allocation.creator', 'allocation.taker', 'allocation.platform'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Allocation amounts must be non-negative numbers')
+  ]),
   escrowController.resolveDispute
 );
 
-// Get all disputed escrows (admin only)
-router.get('/admin/disputed', escrowController.getDisputedEscrows);
+// Get the dispute queue with each case's thread, evidence and history;
+// ?queue=senior for escalated cases (admin only)
+router.get(
+  '/admin/disputed',
+  validate([
+    query('queue')
+      .optional()
+      .isIn(['standard', 'senior'])
+      .withMessage('Queue must be standard or senior')
+  ]),
+  escrowController.getDisputedEscrows
+);
 
-module.exports = router;
+// Ask a party to respond to a dispute (admin only)
+router.post(
+  '/disputes/:disputeId/request-response',
+  validate([
+    disputeIdParam,
+    body('party_id').isUUID().withMessage('Party ID is required'),
+    body('body').notEmpty().withMessage('Message is required')
+  ]),
+  disputeController.requestResponse
+);
+
+// Take a dispute into review (admin only)
+router.post(
+  '/disputes/:disputeId/review',
+  validate([disputeIdParam]),
+  disputeController.startReview
+);
 
+// Decide an appealed dispute (admin only)
+router.post(
+  '/disputes/:disputeId/appeal/decision',
+  validate([
+    disputeIdParam,
+    body('notes').notEmpty().withMessage('Decision notes are required')
+  ]),
+  disputeController.decideAppeal
+);
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const feeService = require('../services/feeService');
+const { auth, validate } = require('../middleware');
+
+const router = express.Router();
+
+// Fee rules are managed by admins only
+router.use(auth.authenticate, auth.isAdmin);
+
+const ruleValidators = [
+  body('basis')
+    .optional()
+    .isIn(feeService.FEE_BASES)
+    .withMessage(`Basis must be one of ${feeService.FEE_BASES.join(', ')}`),
+  body('rate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Rate must be a fraction between 0 and 1'),
+  body(['flat_amount', 'min_volume'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Fee amounts must be positive numbers'),
+  body('sport_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid sport ID'),
+  body('region')
+    .optional({ nullable: true })
+    .isISO31661Alpha2()
+    .withMessage('Region must be a two-letter country code'),
+  body('promotion_code')
+    .optional({ nullable: true })
+    .isAlphanumeric()
+    .isLength({ max: 50 })
+    .withMessage('Invalid promotion code'),
+  body('vip_discounts')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('VIP discounts must map tiers to fractions'),
+  body(['starts_at', 'ends_at'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+];
+
+/**
+ * @route GET /api/fee-rules
+ * @desc Get fee rules, optionally filtered by sport and whether they are active
+ * @access Admin
+ */
+router.get(
+  '/',
+  validate([
+    query('sportId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid sport ID'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive integer')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { sportId, active, limit, offset } = req.query;
+
+      const rules = await feeService.getRules({
+        sportId,
+        active: active === undefined ? undefined : active === 'true',
+        limit: limit ? parseInt(limit) : 50,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: rules
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/fee-rules
+ * @desc Create a fee rule. The basis is what the rate is charged on (pot, winner_stake,
+ *       net_winnings) or flat for a fixed flat_amount. Scope fields left unset match every
+ *       bet; the most specific matching rule wins (promotion, then sport, then region),
+ *       then the highest min_volume tier the user has reached
+ * @access Admin
+ */
+router.post(
+  '/',
+  validate([
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    ...ruleValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const rule = await feeService.createRule(req.user.id, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Fee rule created successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/fee-rules/vip/:userId
+ * @desc Set a user's VIP tier (0 for none); fee rules discount each tier via vip_discounts
+ * @access Admin
+ */
+router.put(
+  '/vip/:userId',
+  validate([
+    param('userId')
+      .isUUID()
+      .withMessage('Invalid user ID'),
+    body('vip_tier')
+      .isInt({ min: 0 })
+      .withMessage('VIP tier must be a non-negative integer')
+  ]),
+  async (req, res, next) => {
+    try {
+      const result = await feeService.setVipTier(req.params.userId, parseInt(req.body.vip_tier, 10));
+      res.json({
+        success: true,
+        message: 'VIP tier updated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/fee-rules/:ruleId
+ * @desc Update a fee rule; escrows already created keep the terms they were given
+ * @access Admin
+ */
+router.put(
+  '/:ruleId',
+  validate([
+    param('ruleId')
+      .isUUID()
+      .withMessage('Invalid fee rule ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    ...ruleValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const rule = await feeService.updateRule(req.params.ruleId, req.body);
+      res.json({
+        success: true,
+        message: 'Fee rule updated successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/fee-rules/:ruleId
+ * @desc Delete a fee rule
+ * @access Admin
+ */
+router.delete(
+  '/:ruleId',
+  validate([
+    param('ruleId')
+      .isUUID()
+      .withMessage('Invalid fee rule ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      await feeService.deleteRule(req.params.ruleId);
+      res.json({
+        success: true,
+        message: 'Fee rule deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
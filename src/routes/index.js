@@ -6,6 +6,11 @@ const paymentRoutes = require('./paymentRoutes');
 const escrowRoutes = require('./escrowRoutes');
 const sportsRoutes = require('./sportsRoutes');
 const bettingRoutes = require('./bettingRoutes');
+const poolRoutes = require('./poolRoutes');
+const tournamentRoutes = require('./tournamentRoutes');
+const bettingLimitRoutes = require('./bettingLimitRoutes');
+const feeRuleRoutes = require('./feeRuleRoutes');
+const reconciliationRoutes = require('./reconciliationRoutes');
 
 const router = express.Router();
 
@@ -26,6 +31,11 @@ router.use('/payments', paymentRoutes);
 router.use('/escrow', escrowRoutes);
 router.use('/sports', sportsRoutes);
 router.use('/bets', bettingRoutes);
+router.use('/pools', poolRoutes);
+router.use('/tournaments', tournamentRoutes);
+router.use('/betting-limits', bettingLimitRoutes);
+router.use('/fee-rules', feeRuleRoutes);
+router.use('/reconciliation', reconciliationRoutes);
 
 module.exports = router;
 
@@ -24,10 +24,9 @@ router.get('/methods', paymentController.getPaymentMethods);
 // Create a payment method
 router.post(
   '/methods',
-  [
-    body('payment_method_id').notEmpty().withMessage('Payment method ID is required'),
-    validate
-  ],
+  validate([
+    body('payment_method_id').notEmpty().withMessage('Payment method ID is required')
+  ]),
   paymentController.createPaymentMethod
 );
 
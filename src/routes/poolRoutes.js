@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const poolService = require('../services/poolService');
+const { auth, validate } = require('../middleware');
+
+const router = express.Router();
+
+const paginationValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive integer')
+];
+
+/**
+ * @route GET /api/pools
+ * @desc Get pools, optionally filtered by event and status
+ * @access Public
+ */
+router.get(
+  '/',
+  validate([
+    query('eventId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    query('status')
+      .optional()
+      .isIn(['open', 'locked', 'settled', 'refunded'])
+      .withMessage('Invalid pool status'),
+    ...paginationValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const { eventId, status, limit, offset } = req.query;
+
+      const pools = await poolService.getPools({
+        eventId,
+        status,
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: pools
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/pools
+ * @desc Create a pool on an upcoming event. entry_fee is the stake per entry,
+ *       or the minimum stake for pari-mutuel pools
+ * @access Private
+ */
+router.post(
+  '/',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    body('event_id')
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('pool_type')
+      .isIn(Object.values(poolService.POOL_TYPES))
+      .withMessage('Invalid pool type'),
+    body('entry_fee')
+      .isFloat({ min: 1 })
+      .withMessage('Entry fee must be at least 1'),
+    body('max_entries')
+      .optional()
+      .isInt({ min: 2 })
+      .withMessage('Entry cap must be at least 2'),
+    body('min_participants')
+      .optional()
+      .isInt({ min: 2 })
+      .withMessage('Minimum participants must be at least 2'),
+    body('closes_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Invalid closing time format')
+  ]),
+  async (req, res, next) => {
+    try {
+      const pool = await poolService.createPool(req.user.id, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Pool created successfully',
+        data: pool
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/pools/entries
+ * @desc Get the pools the current user has entered
+ * @access Private
+ */
+router.get(
+  '/entries',
+  auth.authenticate,
+  validate(paginationValidators),
+  async (req, res, next) => {
+    try {
+      const { limit, offset } = req.query;
+
+      const entries = await poolService.getUserEntries(req.user.id, {
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: entries
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/pools/:poolId
+ * @desc Get pool details; picks are hidden until entries close
+ * @access Public
+ */
+router.get(
+  '/:poolId',
+  validate([
+    param('poolId')
+      .isUUID()
+      .withMessage('Invalid pool ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const pool = await poolService.getPool(req.params.poolId);
+      res.json({
+        success: true,
+        data: pool
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/pools/:poolId/entries
+ * @desc Enter a pool with a result pick (selection) or a score guess
+ *       (predicted_home_score, predicted_away_score); pari-mutuel entries also set stake_amount
+ * @access Private
+ */
+router.post(
+  '/:poolId/entries',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    param('poolId')
+      .isUUID()
+      .withMessage('Invalid pool ID'),
+    body('selection')
+      .optional()
+      .isIn(poolService.POOL_SELECTIONS)
+      .withMessage('Invalid selection'),
+    body(['predicted_home_score', 'predicted_away_score'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Score guesses must be whole numbers of zero or more'),
+    body('stake_amount')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Stake amount must be at least 1')
+  ]),
+  async (req, res, next) => {
+    try {
+      const entry = await poolService.joinPool(req.user.id, req.params.poolId, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Entered pool successfully',
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
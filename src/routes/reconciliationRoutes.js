@@ -0,0 +1,97 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const reconciliationService = require('../services/reconciliationService');
+const { auth, validate } = require('../middleware');
+
+const router = express.Router();
+
+// Ledger reconciliation is for admins only
+router.use(auth.authenticate, auth.isAdmin);
+
+/**
+ * @route GET /api/reconciliation
+ * @desc Get reconciliation reports, newest first, with their totals but not their mismatches
+ * @access Admin
+ */
+router.get(
+  '/',
+  validate([
+    query('status')
+      .optional()
+      .isIn(['running', 'balanced', 'mismatched', 'failed'])
+      .withMessage('Status must be one of running, balanced, mismatched, failed'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive integer')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { status, limit, offset } = req.query;
+
+      const reports = await reconciliationService.getReports({
+        status,
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: reports
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/reconciliation
+ * @desc Run the reconciliation checks now and return the report
+ * @access Admin
+ */
+router.post(
+  '/',
+  async (req, res, next) => {
+    try {
+      const report = await reconciliationService.runReconciliation(req.user.id);
+      res.status(201).json({
+        success: true,
+        message: report.status === 'balanced' ? 'Ledger balanced' : `Found ${report.mismatch_count} mismatches`,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/reconciliation/:reportId
+ * @desc Get a reconciliation report with every mismatch it found
+ * @access Admin
+ */
+router.get(
+  '/:reportId',
+  validate([
+    param('reportId')
+      .isUUID()
+      .withMessage('Invalid report ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const report = await reconciliationService.getReport(req.params.reportId);
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
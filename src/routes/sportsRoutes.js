@@ -5,9 +5,41 @@
  */
 
 const express = require('express');
+const { body, param } = require('express-validator');
 const router = express.Router();
 const sportsController = require('../controllers/sportsController');
-const { auth } = require('../middleware');
+const { RESULT_STAT_KEYS } = require('../services/sportsDataService');
+const { auth, validate } = require('../middleware');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Stat lines recorded by admins for settling prop bets
+const eventStatsValidators = [
+  param('eventId')
+    .isUUID()
+    .withMessage('Invalid event ID'),
+  body()
+    .custom(stats => isPlainObject(stats) && Object.keys(stats).every(key => RESULT_STAT_KEYS.includes(key)))
+    .withMessage(`Stats can only include ${RESULT_STAT_KEYS.join(', ')}`),
+  body('first_to_score')
+    .optional()
+    .isIn(['home', 'away', 'none'])
+    .withMessage('First to score must be home, away or none'),
+  body('players')
+    .optional()
+    .custom(isPlainObject)
+    .withMessage('Players must map each player to their stats'),
+  body('players.*')
+    .custom(stats => isPlainObject(stats) && Object.values(stats).every(value => typeof value === 'number' && Number.isFinite(value)))
+    .withMessage('Player stats must be numbers'),
+  body('propositions')
+    .optional()
+    .custom(isPlainObject)
+    .withMessage('Propositions must map each proposition to its answer'),
+  body('propositions.*')
+    .custom(value => typeof value === 'boolean')
+    .withMessage('Proposition answers must be true or false')
+];
 
 // Public routes
 router.get('/sports', sportsController.getAllSports);
@@ -15,8 +47,12 @@ router.get('/sports/:sportId/events', sportsController.getSportEvents);
 router.get('/events/:eventId', sportsController.getEventById);
 
 // Admin routes - protected
-router.post('/refresh/sports', auth.protect, auth.authorize('admin'), sportsController.refreshSportsData);
-router.post('/refresh/events/:sportKey', auth.protect, auth.authorize('admin'), sportsController.refreshEventsData);
+router.post('/refresh/sports', auth.authenticate, auth.isAdmin, sportsController.refreshSportsData);
+router.post('/refresh/events/:sportKey', auth.authenticate, auth.isAdmin, sportsController.refreshEventsData);
+router.put('/events/:eventId/stats', auth.authenticate, auth.isAdmin, validate(eventStatsValidators), sportsController.updateEventStats);
+router.post('/events/:eventId/cancel', auth.authenticate, auth.isAdmin, sportsController.cancelEvent);
+router.put('/events/:eventId/score', auth.authenticate, auth.isAdmin, sportsController.updateEventScore);
+router.put('/sports/:sportId/live-settings', auth.authenticate, auth.isAdmin, sportsController.updateLiveSettings);
 
 module.exports = router;
 
@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const tournamentService = require('../services/tournamentService');
+const { RESULT_SELECTIONS } = require('../utils/markets');
+const { auth, validate } = require('../middleware');
+
+const router = express.Router();
+
+const paginationValidators = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive integer')
+];
+
+const fixtureValidators = [
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('At least one event is required'),
+  body('events.*.event_id')
+    .isUUID()
+    .withMessage('Invalid event ID'),
+  body('events.*.round')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Round must be at least 1')
+];
+
+/**
+ * @route GET /api/tournaments
+ * @desc Get tournaments, optionally filtered by league and status
+ * @access Public
+ */
+router.get(
+  '/',
+  validate([
+    query('leagueId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid league ID'),
+    query('status')
+      .optional()
+      .isIn(['open', 'completed'])
+      .withMessage('Invalid tournament status'),
+    ...paginationValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const { leagueId, status, limit, offset } = req.query;
+
+      const tournaments = await tournamentService.getTournaments({
+        leagueId,
+        status,
+        limit: limit ? parseInt(limit) : 20,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: tournaments
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/tournaments
+ * @desc Create a pick'em or bracket tournament on a league's upcoming events.
+ *       prize_tiers are the percentages of the prize pool paid to each finishing position
+ * @access Private
+ */
+router.post(
+  '/',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    body('league_id')
+      .isUUID()
+      .withMessage('Invalid league ID'),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    body('format')
+      .optional()
+      .isIn(tournamentService.TOURNAMENT_FORMATS)
+      .withMessage('Invalid tournament format'),
+    body('entry_fee')
+      .isFloat({ min: 1 })
+      .withMessage('Entry fee must be at least 1'),
+    body('max_entries')
+      .optional()
+      .isInt({ min: 2 })
+      .withMessage('Entry cap must be at least 2'),
+    body('scoring.correct_pick')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Points for a correct pick must be at least 1'),
+    body('scoring.round_multiplier')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Round multiplier must be at least 1'),
+    body('prize_tiers')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Prize tiers must be a list of percentages'),
+    ...fixtureValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const tournament = await tournamentService.createTournament(req.user.id, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Tournament created successfully',
+        data: tournament
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/tournaments/:tournamentId
+ * @desc Get tournament details with its events by round
+ * @access Public
+ */
+router.get(
+  '/:tournamentId',
+  validate([
+    param('tournamentId')
+      .isUUID()
+      .withMessage('Invalid tournament ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const tournament = await tournamentService.getTournament(req.params.tournamentId);
+      res.json({
+        success: true,
+        data: tournament
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/tournaments/:tournamentId/events
+ * @desc Add events to a tournament, e.g. the next round of a bracket
+ * @access Private
+ */
+router.post(
+  '/:tournamentId/events',
+  auth.authenticate,
+  validate([
+    param('tournamentId')
+      .isUUID()
+      .withMessage('Invalid tournament ID'),
+    ...fixtureValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const fixtures = await tournamentService.addTournamentEvents(req.user.id, req.params.tournamentId, req.body.events);
+      res.status(201).json({
+        success: true,
+        message: 'Events added to tournament',
+        data: fixtures
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/tournaments/:tournamentId/leaderboard
+ * @desc Get a tournament's leaderboard
+ * @access Public
+ */
+router.get(
+  '/:tournamentId/leaderboard',
+  validate([
+    param('tournamentId')
+      .isUUID()
+      .withMessage('Invalid tournament ID'),
+    ...paginationValidators
+  ]),
+  async (req, res, next) => {
+    try {
+      const { limit, offset } = req.query;
+
+      const leaderboard = await tournamentService.getLeaderboard(req.params.tournamentId, {
+        limit: limit ? parseInt(limit) : 50,
+        offset: offset ? parseInt(offset) : 0
+      });
+      res.json({
+        success: true,
+        data: leaderboard
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/tournaments/:tournamentId/entries
+ * @desc Enter a tournament, paying the entry fee into its escrow
+ * @access Private
+ */
+router.post(
+  '/:tournamentId/entries',
+  auth.authenticate,
+  auth.isVerified,
+  validate([
+    param('tournamentId')
+      .isUUID()
+      .withMessage('Invalid tournament ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const entry = await tournamentService.joinTournament(req.user.id, req.params.tournamentId);
+      res.status(201).json({
+        success: true,
+        message: 'Entered tournament successfully',
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /api/tournaments/:tournamentId/picks
+ * @desc Get the current user's picks
+ * @access Private
+ */
+router.get(
+  '/:tournamentId/picks',
+  auth.authenticate,
+  validate([
+    param('tournamentId')
+      .isUUID()
+      .withMessage('Invalid tournament ID')
+  ]),
+  async (req, res, next) => {
+    try {
+      const picks = await tournamentService.getUserPicks(req.user.id, req.params.tournamentId);
+      res.json({
+        success: true,
+        data: picks
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/tournaments/:tournamentId/picks
+ * @desc Make or change picks; each pick locks when its event starts
+ * @access Private
+ */
+router.put(
+  '/:tournamentId/picks',
+  auth.authenticate,
+  validate([
+    param('tournamentId')
+      .isUUID()
+      .withMessage('Invalid tournament ID'),
+    body('picks')
+      .isArray({ min: 1 })
+      .withMessage('At least one pick is required'),
+    body('picks.*.event_id')
+      .isUUID()
+      .withMessage('Invalid event ID'),
+    body('picks.*.selection')
+      .isIn(RESULT_SELECTIONS)
+      .withMessage('Invalid selection')
+  ]),
+  async (req, res, next) => {
+    try {
+      const picks = await tournamentService.submitPicks(req.user.id, req.params.tournamentId, req.body.picks);
+      res.json({
+        success: true,
+        message: 'Picks saved',
+        data: picks
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
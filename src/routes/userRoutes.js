@@ -1,7 +1,10 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { userService } = require('../services');
+const locationDetectionService = require('../services/locationDetectionService');
+const internationalizationService = require('../services/internationalizationService');
 const { auth, validate } = require('../middleware');
+const { ODDS_FORMATS } = require('../utils/odds');
 
 const router = express.Router();
 
@@ -46,7 +49,11 @@ router.put(
     body('state')
       .optional()
       .isLength({ max: 100 })
-      .withMessage('State cannot exceed 100 characters')
+      .withMessage('State cannot exceed 100 characters'),
+    body('odds_format')
+      .optional({ nullable: true })
+      .isIn(Object.values(ODDS_FORMATS))
+      .withMessage('Invalid odds format')
   ]),
   async (req, res, next) => {
     try {
@@ -142,5 +149,45 @@ router.get('/kyc/status', auth.authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @route POST /api/users/location
+ * @desc Detect the caller's location from their IP, refined by browser coordinates,
+ *       with the languages and betting rules that apply there
+ * @access Public
+ */
+router.post(
+  '/location',
+  validate([
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+  ]),
+  async (req, res, next) => {
+    try {
+      const { latitude, longitude } = req.body;
+      const detected = await locationDetectionService.detectLocation(req);
+      const location = locationDetectionService.enhanceWithBrowserLocation(detected, { latitude, longitude });
+
+      res.json({
+        success: true,
+        data: {
+          language: location.regulatory.language,
+          languages: internationalizationService.getLanguagesForRegion(location.country),
+          country: location.country,
+          coordinates: { latitude: location.latitude, longitude: location.longitude },
+          regulatory: location.regulatory
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
 
@@ -23,24 +23,22 @@ router.get('/transactions', walletController.getTransactions);
 // Process a deposit
 router.post(
   '/deposit',
-  [
+  validate([
     body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
     body('payment_method_id').notEmpty().withMessage('Payment method ID is required'),
-    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
-    validate
-  ],
+    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code')
+  ]),
   walletController.deposit
 );
 
 // Process a withdrawal
 router.post(
   '/withdraw',
-  [
+  validate([
     body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
     body('withdrawal_method').notEmpty().withMessage('Withdrawal method is required'),
-    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
-    validate
-  ],
+    body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code')
+  ]),
   walletController.withdraw
 );
 
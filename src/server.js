@@ -1,237 +1,187 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import morgan from 'morgan';
-import compression from 'compression';
-import rateLimit from 'express-rate-limit';
-import { createServer } from 'http';
-import { Server } from 'socket.io';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-const app = express();
-const server = createServer(app);
-
-// Socket.IO setup with CORS
-const io = new Server(server, {
-  cors: {
-    origin: process.env.FRONTEND_URL || "http://localhost:3000",
-    methods: ["GET", "POST"],
-    credentials: true
-  }
-});
-
-// Security middleware
-app.use(helmet({
-  crossOriginEmbedderPolicy: false,
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-    },
-  },
-}));
-
-// CORS configuration
-const corsOptions = {
-  origin: function (origin, callback) {
-    const allowedOrigins = (process.env.ALLOWED_ORIGINS || process.env.FRONTEND_URL || "http://localhost:3000").split(',');
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
+require('dotenv').config();
+
+const express = require('express');
+const morgan = require('morgan');
+const { createServer } = require('http');
+const { sequelize } = require('./models');
+const routes = require('./routes');
+const logger = require('./config/logger');
+const {
+  rateLimiters,
+  securityMiddleware,
+  securityHeaders,
+  validateInput,
+  checkAdminIP
+} = require('./middleware/security');
+const {
+  healthCheck,
+  readinessCheck,
+  livenessCheck,
+  metricsEndpoint,
+  performanceMonitoring,
+  requestTimeout,
+  memoryMonitoring,
+  shutdownMonitoring
+} = require('./middleware/monitoring');
+const { globalErrorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const cacheService = require('./services/cacheService');
+const internationalizationService = require('./services/internationalizationService');
+const { attachSocketServer } = require('./services/socketService');
+const { scheduleDataSync } = require('./services/sportsDataService');
+const { scheduleSettlement } = require('./services/settlementService');
+const { scheduleBetExpiry } = require('./services/betExpiryService');
+const { scheduleLiveBetProcessing } = require('./services/liveBettingService');
+const { schedulePoolClosing } = require('./services/poolService');
+const { scheduleInviteExpiry } = require('./services/challengeService');
+const { scheduleOfferExpiry } = require('./services/counterOfferService');
+const { scheduleDisputeSlas } = require('./services/disputeSlaService');
+const { scheduleReconciliation } = require('./services/reconciliationService');
+
+const API_PREFIX = '/api/v1';
+
+// Stripe signs the exact bytes it sends, so the webhook needs the unparsed body
+const WEBHOOK_PATH = `${API_PREFIX}/payments/webhook`;
+
+/**
+ * Apply a rate limiter to requests that change state only
+ * @param {Function} limiter - Rate limiter middleware
+ * @returns {Function} Express middleware
+ */
+const writesOnly = (limiter) => (req, res, next) => (
+  req.method === 'GET' ? next() : limiter(req, res, next)
+);
+
+/**
+ * Build the Express app. Expects the i18n service to be initialized.
+ * @returns {Object} Express app
+ */
+const createApp = () => {
+  const app = express();
+
+  app.set('trust proxy', 1);
+
+  // Security
+  app.use(securityMiddleware.helmet);
+  app.use(securityMiddleware.cors);
+  app.use(securityHeaders);
+  app.use(securityMiddleware.compression);
+
+  // Body parsing
+  app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith(WEBHOOK_PATH)) {
+        req.rawBody = buf;
+      }
     }
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Data sanitization
+  app.use(securityMiddleware.mongoSanitize);
+  app.use(securityMiddleware.xss);
+  app.use(securityMiddleware.hpp);
+  app.use(validateInput);
+
+  // Monitoring
+  if (process.env.ENABLE_REQUEST_LOGGING === 'true') {
+    app.use(morgan('combined'));
+  }
+  app.use(performanceMonitoring);
+  app.use(requestTimeout());
+
+  app.use(internationalizationService.getMiddleware());
+
+  // Health and metrics
+  app.get('/health', healthCheck);
+  app.get('/health/ready', readinessCheck);
+  app.get('/health/live', livenessCheck);
+  app.get('/metrics', checkAdminIP, metricsEndpoint);
+
+  // Rate limits
+  app.use(API_PREFIX, rateLimiters.general);
+  app.use(`${API_PREFIX}/auth/forgot-password`, rateLimiters.passwordReset);
+  app.use(`${API_PREFIX}/auth/reset-password`, rateLimiters.passwordReset);
+  app.use(`${API_PREFIX}/auth`, writesOnly(rateLimiters.auth));
+  app.use(`${API_PREFIX}/wallet/deposit`, rateLimiters.wallet);
+  app.use(`${API_PREFIX}/wallet/withdraw`, rateLimiters.wallet);
+  app.use(`${API_PREFIX}/bets`, writesOnly(rateLimiters.betting));
+
+  app.get(`${API_PREFIX}/status`, (req, res) => {
+    res.json({
+      message: 'PlayChaCha API is running',
+      version: process.env.npm_package_version || '1.0.0',
+      environment: process.env.NODE_ENV || 'development',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.use(API_PREFIX, routes);
+
+  app.use(notFoundHandler);
+  app.use(globalErrorHandler);
+
+  return app;
 };
 
-app.use(cors(corsOptions));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use(limiter);
-
-// Body parsing middleware
-app.use(compression());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Logging
-if (process.env.ENABLE_REQUEST_LOGGING === 'true') {
-  app.use(morgan('combined'));
-}
+/**
+ * Start the recurring background jobs
+ */
+const startScheduledJobs = () => {
+  scheduleDataSync();
+  scheduleSettlement();
+  scheduleBetExpiry();
+  scheduleLiveBetProcessing();
+  schedulePoolClosing();
+  scheduleInviteExpiry();
+  scheduleOfferExpiry();
+  scheduleDisputeSlas();
+  scheduleReconciliation();
+};
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development',
-    version: process.env.npm_package_version || '1.0.0'
-  });
-});
-
-// API routes
-app.get('/api/v1/status', (req, res) => {
-  res.json({
-    message: 'PlayChaCha API is running',
-    version: '1.0.0',
-    environment: process.env.NODE_ENV || 'development',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Sports events endpoint (mock data for now)
-app.get('/api/v1/sports/events', (req, res) => {
-  const mockEvents = [
-    {
-      id: 1,
-      sport: 'NFL',
-      homeTeam: 'Chiefs',
-      awayTeam: 'Bills',
-      homeScore: 21,
-      awayScore: 17,
-      status: '3rd Quarter',
-      league: 'NFL',
-      live: true
-    },
-    {
-      id: 2,
-      sport: 'NBA',
-      homeTeam: 'Lakers',
-      awayTeam: 'Warriors',
-      homeScore: 89,
-      awayScore: 92,
-      status: '4th Quarter',
-      league: 'NBA',
-      live: true
-    },
-    {
-      id: 3,
-      sport: 'Soccer',
-      homeTeam: 'Real Madrid',
-      awayTeam: 'Barcelona',
-      homeScore: 2,
-      awayScore: 1,
-      status: "78'",
-      league: 'La Liga',
-      live: true
-    }
-  ];
+/**
+ * Boot the server: database, cache, i18n, HTTP and sockets, then scheduled jobs
+ * @returns {Promise<Object>} HTTP server
+ */
+const start = async () => {
+  await sequelize.authenticate();
+  logger.info('Database connection established');
+
+  // The app runs without Redis; the cache logs and carries on if it is down
+  await cacheService.initialize();
+
+  await internationalizationService.initialize();
+
+  const app = createApp();
+  const server = createServer(app);
 
-  res.json({
-    success: true,
-    data: mockEvents,
-    timestamp: new Date().toISOString()
+  attachSocketServer(server, {
+    origins: (process.env.ALLOWED_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000').split(',')
   });
-});
-
-// User location endpoint
-app.post('/api/v1/user/location', (req, res) => {
-  const { latitude, longitude } = req.body;
-  
-  // Mock location-based language detection
-  let language = 'en';
-  let country = 'US';
-  
-  // Simple geo-based language assignment (mock)
-  if (latitude && longitude) {
-    if (latitude > 36 && latitude < 44 && longitude > -9 && longitude < 3) {
-      language = 'es';
-      country = 'ES';
-    } else if (latitude > 42 && latitude < 51 && longitude > -5 && longitude < 8) {
-      language = 'fr';
-      country = 'FR';
-    } else if (latitude > 47 && latitude < 55 && longitude > 5 && longitude < 15) {
-      language = 'de';
-      country = 'DE';
-    }
+
+  const port = process.env.PORT || 10000;
+  await new Promise(resolve => server.listen(port, '0.0.0.0', resolve));
+  logger.info(`PlayChaCha Backend running on port ${port} (${process.env.NODE_ENV || 'development'})`);
+
+  // Several instances can share a database; only one of them should run the jobs
+  if (process.env.ENABLE_SCHEDULED_JOBS !== 'false') {
+    startScheduledJobs();
   }
-  
-  res.json({
-    success: true,
-    data: {
-      language,
-      country,
-      coordinates: { latitude, longitude }
-    }
-  });
-});
-
-// Socket.IO for real-time updates
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  // Join sports events room
-  socket.join('sports-events');
-  
-  // Send initial sports data
-  socket.emit('sports-update', {
-    events: [
-      { id: 1, homeScore: 21, awayScore: 17 },
-      { id: 2, homeScore: 89, awayScore: 92 },
-      { id: 3, homeScore: 2, awayScore: 1 }
-    ]
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
-
-// Simulate live score updates
-setInterval(() => {
-  const randomEvent = Math.floor(Math.random() * 3) + 1;
-  const scoreUpdate = {
-    eventId: randomEvent,
-    homeScore: Math.floor(Math.random() * 100),
-    awayScore: Math.floor(Math.random() * 100),
-    timestamp: new Date().toISOString()
-  };
-  
-  io.to('sports-events').emit('score-update', scoreUpdate);
-}, 5000);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    path: req.originalUrl
-  });
-});
+  memoryMonitoring();
+  shutdownMonitoring(server);
 
-// Start server
-const PORT = process.env.PORT || 10000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 PlayChaCha Backend running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
-});
+  return server;
+};
 
-export default app;
+if (require.main === module) {
+  start().catch(error => {
+    logger.error(`Failed to start server: ${error.message}`, { stack: error.stack });
+    process.exit(1);
+  });
+}
 
+module.exports = {
+  createApp,
+  start
+};
@@ -0,0 +1,96 @@
+/**
+ * Bet Expiry Service
+ *
+ * This service sweeps open bets whose expiry time has passed. Each one is
+ * expired and its unmatched stake refunded to the creator's wallet in a
+ * single transaction, so a run that dies part-way can simply be repeated.
+ */
+
+const { Op } = require('sequelize');
+const { Bet } = require('../models');
+const bettingService = require('./bettingService');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const logger = require('../config/logger');
+
+// Bets expired per run; anything left over is picked up by the next run
+const EXPIRY_BATCH_SIZE = 100;
+
+/**
+ * Expire every open bet past its expiry time
+ * @returns {Promise<Object>} Counts of bets expired and failed, and the total refunded
+ */
+const expireStaleBets = async () => {
+  try {
+    const bets = await Bet.findAll({
+      attributes: ['id'],
+      where: {
+        status: { [Op.in]: ['open', 'suspended'] },
+        expiry_time: { [Op.lte]: new Date() }
+      },
+      order: [['expiry_time', 'ASC']],
+      limit: EXPIRY_BATCH_SIZE
+    });
+
+    let expired = 0;
+    let failed = 0;
+    let refunded = 0;
+
+    for (const { id } of bets) {
+      try {
+        const result = await bettingService.expireBet(id);
+
+        // Someone else closed the bet since it was picked up
+        if (!result) {
+          continue;
+        }
+
+        expired++;
+        refunded += result.refundAmount;
+
+        notify(result.bet.creator_id, NOTIFICATION_TYPES.BET_EXPIRED, {
+          bet_id: id,
+          refund_amount: result.refundAmount
+        });
+      } catch (error) {
+        failed++;
+        logger.error(`Error expiring bet ${id}: ${error.message}`);
+      }
+    }
+
+    if (expired > 0 || failed > 0) {
+      logger.info(`Bet expiry sweep expired ${expired} bets, ${failed} failed`, {
+        refunded: Math.round(refunded * 100) / 100
+      });
+    }
+
+    return {
+      expired,
+      failed,
+      refunded: Math.round(refunded * 100) / 100
+    };
+  } catch (error) {
+    logger.error(`Error sweeping expired bets: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Schedule the bet expiry sweep
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleBetExpiry = (interval = 60000) => { // Default: 1 minute
+  setInterval(async () => {
+    try {
+      await expireStaleBets();
+    } catch (error) {
+      logger.error(`Error in scheduled bet expiry: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Bet expiry scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  expireStaleBets,
+  scheduleBetExpiry
+};
@@ -0,0 +1,163 @@
+/**
+ * Bet Slip Service
+ *
+ * This service places a bet slip: several new bets and takes of existing
+ * bets submitted together. The whole slip runs in one database transaction
+ * and each line in a savepoint of its own, so a failing line is undone on
+ * its own and every line can report why it failed. In all-or-nothing mode
+ * one failure rolls back the whole slip; in accept-partial mode the lines
+ * that went through are kept.
+ *
+ * Slips are for pre-match betting; in-play bets go through the live betting
+ * acceptance delay one at a time.
+ */
+
+const { sequelize } = require('../config');
+const bettingService = require('./bettingService');
+const logger = require('../config/logger');
+
+const SLIP_MODES = {
+  ALL_OR_NOTHING: 'all_or_nothing',
+  ACCEPT_PARTIAL: 'accept_partial'
+};
+
+const LINE_ACTIONS = ['place', 'take'];
+
+// Most lines one slip can carry
+const MAX_SLIP_LINES = 20;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Place or take the bet on one slip line
+ * @param {string} userId - User ID
+ * @param {Object} line - Slip line
+ * @param {Object} transaction - Savepoint for the line
+ * @returns {Promise<Object>} Line result
+ */
+const placeLine = async (userId, line, transaction) => {
+  if (line.action === 'take') {
+    const { betMatch } = await bettingService.takeBet(userId, line.bet_id, {
+      stake_amount: line.stake_amount,
+      invite_code: line.invite_code,
+      transaction
+    });
+
+    return {
+      status: 'matched',
+      stake: parseFloat(betMatch.stake_amount),
+      bet_match: betMatch
+    };
+  }
+
+  const bet = await bettingService.createBet(userId, {
+    event_id: line.event_id,
+    bet_type: line.bet_type,
+    bet_details: line.bet_details,
+    odds: line.odds,
+    stake_amount: line.stake_amount,
+    expiry_time: line.expiry_time
+  }, { transaction });
+
+  return {
+    status: 'placed',
+    stake: parseFloat(bet.stake_amount),
+    bet
+  };
+};
+
+/**
+ * Place a bet slip
+ * @param {string} userId - User ID
+ * @param {Array<Object>} lines - Lines to place ({ action: 'place', ...bet } or { action: 'take', bet_id, stake_amount })
+ * @param {Object} options - Slip options
+ * @param {string} options.mode - all_or_nothing (default) or accept_partial
+ * @returns {Promise<Object>} Slip outcome with the result of every line
+ */
+const placeSlip = async (userId, lines, options = {}) => {
+  const mode = options.mode || SLIP_MODES.ALL_OR_NOTHING;
+
+  if (!Object.values(SLIP_MODES).includes(mode)) {
+    throw new Error(`Unknown slip mode: ${mode}`);
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_SLIP_LINES) {
+    throw new Error(`A bet slip must have between 1 and ${MAX_SLIP_LINES} lines`);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const results = [];
+
+    for (const [index, line] of lines.entries()) {
+      const savepoint = await sequelize.transaction({ transaction });
+
+      try {
+        if (!LINE_ACTIONS.includes(line.action)) {
+          throw new Error(`Unknown slip action: ${line.action}`);
+        }
+
+        const result = await placeLine(userId, line, savepoint);
+        await savepoint.commit();
+
+        results.push({ index, action: line.action, ...result });
+      } catch (error) {
+        await savepoint.rollback();
+
+        results.push({
+          index,
+          action: line.action,
+          status: 'failed',
+          error: {
+            message: error.message,
+            code: error.code || null
+          }
+        });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed');
+    const rejected = failed.length === results.length ||
+      (failed.length > 0 && mode === SLIP_MODES.ALL_OR_NOTHING);
+
+    if (rejected) {
+      await transaction.rollback();
+
+      // Lines that went through are undone with the rest of the slip
+      results.forEach(result => {
+        if (result.status !== 'failed') {
+          result.status = 'rolled_back';
+          delete result.bet;
+          delete result.bet_match;
+        }
+      });
+    } else {
+      await transaction.commit();
+    }
+
+    const accepted = results.filter(result => ['placed', 'matched'].includes(result.status));
+
+    return {
+      mode,
+      status: rejected ? 'rejected' : (failed.length > 0 ? 'partial' : 'accepted'),
+      accepted_count: accepted.length,
+      failed_count: failed.length,
+      total_stake: roundCurrency(accepted.reduce((sum, result) => sum + result.stake, 0)),
+      lines: results
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error placing bet slip: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+module.exports = {
+  SLIP_MODES,
+  LINE_ACTIONS,
+  MAX_SLIP_LINES,
+  placeSlip
+};
@@ -0,0 +1,334 @@
+/**
+ * Betting Limit Service
+ *
+ * This service evaluates the admin-defined betting limits: minimum and
+ * maximum stake per sport, bet type and region, maximum open exposure per
+ * user, and maximum bets per event. Rules are checked when a bet is created,
+ * amended and taken; a breach is rejected with the matching business
+ * error so clients can tell the limits apart by code.
+ */
+
+const { Op } = require('sequelize');
+const { BettingLimit, Bet, BetMatch, League, User } = require('../models');
+const { businessErrorHandlers } = require('../middleware/errorHandler');
+const logger = require('../config/logger');
+
+const LIMIT_FIELDS = ['min_stake', 'max_stake', 'max_open_exposure', 'max_bets_per_event'];
+const SCOPE_FIELDS = ['user_id', 'sport_id', 'bet_type', 'region'];
+
+// Creator stakes still held on bets that have not settled or been refunded
+const OPEN_BET_STATUSES = ['open', 'suspended', 'matched'];
+
+// Bets that never went ahead do not count towards the per-event limit
+const VOID_BET_STATUSES = ['cancelled', 'expired', 'refunded'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Match rules whose scope field is unset or equal to the given value
+ * @param {*} value - Value of the bet being checked
+ * @returns {Object} Where clause for the scope field
+ */
+const scopeCondition = (value) => (value ? { [Op.or]: [null, value] } : null);
+
+/**
+ * Find the active rules that apply to a bet
+ * @param {Object} scope - Bet scope
+ * @param {string} scope.userId - User ID
+ * @param {string} scope.sportId - Sport ID
+ * @param {string} scope.betType - Bet type
+ * @param {string} scope.region - User's country code
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Array} Applicable rules
+ */
+const findApplicableLimits = ({ userId, sportId, betType, region }, transaction) => BettingLimit.findAll({
+  where: {
+    active: true,
+    user_id: scopeCondition(userId),
+    sport_id: scopeCondition(sportId),
+    bet_type: scopeCondition(betType),
+    region: scopeCondition(region)
+  },
+  transaction
+});
+
+/**
+ * Combine rules into the most restrictive value of each limit
+ * @param {Array} rules - Applicable rules
+ * @returns {Object} Effective limits (null where no rule sets one)
+ */
+const resolveLimits = (rules) => {
+  const limits = { min_stake: null, max_stake: null, max_open_exposure: null, max_bets_per_event: null };
+
+  rules.forEach(rule => {
+    LIMIT_FIELDS.forEach(field => {
+      if (rule[field] === null || rule[field] === undefined) {
+        return;
+      }
+
+      const value = parseFloat(rule[field]);
+      const pick = field === 'min_stake' ? Math.max : Math.min;
+
+      limits[field] = limits[field] === null ? value : pick(limits[field], value);
+    });
+  });
+
+  return limits;
+};
+
+/**
+ * Get the total a user has staked on unsettled bets, as creator and as taker
+ * @param {string} userId - User ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {number} Open exposure
+ */
+const getOpenExposure = async (userId, transaction) => {
+  const [created, cancelled, taken] = await Promise.all([
+    Bet.sum('stake_amount', {
+      where: { creator_id: userId, status: { [Op.in]: OPEN_BET_STATUSES } },
+      transaction
+    }),
+    Bet.sum('cancelled_amount', {
+      where: { creator_id: userId, status: { [Op.in]: OPEN_BET_STATUSES } },
+      transaction
+    }),
+    BetMatch.sum('stake_amount', {
+      where: { taker_id: userId, status: 'active' },
+      transaction
+    })
+  ]);
+
+  return roundCurrency((created || 0) - (cancelled || 0) + (taken || 0));
+};
+
+/**
+ * Count the bets a user has created or taken on an event
+ * @param {string} userId - User ID
+ * @param {string} eventId - Event ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {number} Bets on the event
+ */
+const countEventBets = async (userId, eventId, transaction) => {
+  const [created, taken] = await Promise.all([
+    Bet.count({
+      where: { creator_id: userId, event_id: eventId, status: { [Op.notIn]: VOID_BET_STATUSES } },
+      transaction
+    }),
+    BetMatch.count({
+      where: { taker_id: userId, status: { [Op.ne]: 'cancelled' } },
+      include: [{ model: Bet, as: 'bet', attributes: [], where: { event_id: eventId } }],
+      transaction
+    })
+  ]);
+
+  return created + taken;
+};
+
+/**
+ * Check a new stake against every limit that applies to it
+ * @param {Object} params - Stake being placed
+ * @param {string} params.userId - User placing or taking the bet
+ * @param {Object} params.event - Event the bet is on
+ * @param {string} params.betType - Bet type
+ * @param {number} params.stake - Stake the user is putting up
+ * @param {number} params.addedExposure - Exposure the change adds (defaults to the stake)
+ * @param {boolean} params.newBet - Whether the change adds a bet on the event (false for amendments)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Object} Effective limits
+ * @throws {AppError} With the code of the first limit breached
+ */
+const assertBetWithinLimits = async ({ userId, event, betType, stake, addedExposure = stake, newBet = true }, transaction) => {
+  const [user, league] = await Promise.all([
+    User.findByPk(userId, { attributes: ['id', 'country'], transaction }),
+    League.findByPk(event.league_id, { attributes: ['id', 'sport_id'], transaction })
+  ]);
+
+  const rules = await findApplicableLimits({
+    userId,
+    sportId: league ? league.sport_id : null,
+    betType,
+    region: user ? user.country : null
+  }, transaction);
+
+  const limits = resolveLimits(rules);
+  const amount = parseFloat(stake);
+
+  if (limits.min_stake !== null && amount < limits.min_stake) {
+    throw businessErrorHandlers.stakeBelowMinimum(limits.min_stake, amount);
+  }
+
+  if (limits.max_stake !== null && amount > limits.max_stake) {
+    throw businessErrorHandlers.stakeAboveMaximum(limits.max_stake, amount);
+  }
+
+  const added = parseFloat(addedExposure);
+
+  if (limits.max_open_exposure !== null && added > 0) {
+    const exposure = await getOpenExposure(userId, transaction);
+
+    if (exposure + added > limits.max_open_exposure) {
+      throw businessErrorHandlers.exposureLimitExceeded(limits.max_open_exposure, exposure, added);
+    }
+  }
+
+  if (limits.max_bets_per_event !== null && newBet) {
+    const placed = await countEventBets(userId, event.id, transaction);
+
+    if (placed >= limits.max_bets_per_event) {
+      throw businessErrorHandlers.eventBetLimitExceeded(event.id, limits.max_bets_per_event);
+    }
+  }
+
+  return limits;
+};
+
+/**
+ * A rule must set at least one limit to have any effect
+ * @param {Object} data - Rule data
+ */
+const assertSetsALimit = (data) => {
+  if (LIMIT_FIELDS.every(field => data[field] === null || data[field] === undefined)) {
+    throw new Error('A betting limit must set at least one limit');
+  }
+
+  if (data.min_stake != null && data.max_stake != null && parseFloat(data.min_stake) > parseFloat(data.max_stake)) {
+    throw new Error('Minimum stake cannot be above maximum stake');
+  }
+};
+
+/**
+ * Pick the rule fields an admin can set
+ * @param {Object} data - Request data
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (data) => [...SCOPE_FIELDS, ...LIMIT_FIELDS, 'name', 'active'].reduce((fields, field) => {
+  if (data[field] !== undefined) {
+    fields[field] = data[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Create a betting limit
+ * @param {string} adminId - Admin creating the rule
+ * @param {Object} data - Rule data
+ * @returns {Object} Created rule
+ */
+const createLimit = async (adminId, data) => {
+  try {
+    const fields = pickRuleFields(data);
+    assertSetsALimit(fields);
+
+    if (fields.region) {
+      fields.region = fields.region.toUpperCase();
+    }
+
+    return await BettingLimit.create({ ...fields, created_by: adminId });
+  } catch (error) {
+    logger.error(`Error creating betting limit: ${error.message}`, { adminId });
+    throw error;
+  }
+};
+
+/**
+ * Update a betting limit
+ * @param {string} limitId - Rule ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated rule
+ */
+const updateLimit = async (limitId, data) => {
+  try {
+    const rule = await BettingLimit.findByPk(limitId);
+
+    if (!rule) {
+      throw new Error('Betting limit not found');
+    }
+
+    const fields = pickRuleFields(data);
+    assertSetsALimit({ ...rule.get({ plain: true }), ...fields });
+
+    if (fields.region) {
+      fields.region = fields.region.toUpperCase();
+    }
+
+    return await rule.update(fields);
+  } catch (error) {
+    logger.error(`Error updating betting limit: ${error.message}`, { limitId });
+    throw error;
+  }
+};
+
+/**
+ * Delete a betting limit
+ * @param {string} limitId - Rule ID
+ * @returns {boolean} True once deleted
+ */
+const deleteLimit = async (limitId) => {
+  try {
+    const deleted = await BettingLimit.destroy({ where: { id: limitId } });
+
+    if (!deleted) {
+      throw new Error('Betting limit not found');
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting betting limit: ${error.message}`, { limitId });
+    throw error;
+  }
+};
+
+/**
+ * Get betting limits
+ * @param {Object} options - Filter options
+ * @param {string} options.userId - Only rules for this user
+ * @param {string} options.sportId - Only rules for this sport
+ * @param {boolean} options.active - Only active or inactive rules
+ * @param {number} options.limit - Number of rules to return
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Object} Rules and total count
+ */
+const getLimits = async ({ userId, sportId, active, limit = 50, offset = 0 } = {}) => {
+  try {
+    const where = {};
+
+    if (userId) {
+      where.user_id = userId;
+    }
+
+    if (sportId) {
+      where.sport_id = sportId;
+    }
+
+    if (active !== undefined) {
+      where.active = active;
+    }
+
+    const { count, rows } = await BettingLimit.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      limits: rows,
+      total: count,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting betting limits: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  resolveLimits,
+  getOpenExposure,
+  assertBetWithinLimits,
+  createLimit,
+  updateLimit,
+  deleteLimit,
+  getLimits
+};
@@ -1,7 +1,201 @@
-const { Bet, BetMatch, Escrow, Event, User, Wallet, Transaction } = require('../models');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Bet, BetMatch, BetInvite, BetVersion, Escrow, Event, League, User, Wallet, Transaction } = require('../models');
 const { sequelize } = require('../config');
-const { auth } = require('../config');
 const logger = require('../config/logger');
+const escrowService = require('./escrowService');
+const propBetService = require('./propBetService');
+const parlayService = require('./parlayService');
+const bettingLimitService = require('./bettingLimitService');
+const feeService = require('./feeService');
+const marketConsensusService = require('./marketConsensusService');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const { getMarketKey } = require('../utils/markets');
+const { calculatePayout, assertDecimalOdds } = require('../utils/odds');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Outcome returned by determineWinner when neither side wins
+const PUSH = 'push';
+
+// Smallest stake a taker can match a bet with
+const MIN_MATCH_STAKE = 1;
+
+// How long an in-play bet stays open when no expiry time is given
+const LIVE_BET_EXPIRY_MINUTES = parseInt(process.env.LIVE_BET_EXPIRY_MINUTES, 10) || 10;
+
+// Bet board sort orders. Best odds are best for the taker, who gets more the
+// lower the odds the creator posted. Each sort is keyed on one column so a
+// cursor can resume after the last bet seen.
+const BET_BOARD_SORTS = {
+  newest: {
+    column: 'created_at',
+    direction: 'DESC',
+    order: [['created_at', 'DESC']],
+    cursorValue: bet => bet.createdAt
+  },
+  best_odds: {
+    column: 'odds',
+    direction: 'ASC',
+    order: [['odds', 'ASC']],
+    cursorValue: bet => bet.odds
+  },
+  soonest_start: {
+    column: '$event.start_time$',
+    direction: 'ASC',
+    order: [[{ model: Event, as: 'event' }, 'start_time', 'ASC']],
+    cursorValue: bet => bet.event.start_time
+  },
+  largest_stake: {
+    column: 'stake_amount',
+    direction: 'DESC',
+    order: [['stake_amount', 'DESC']],
+    cursorValue: bet => bet.stake_amount
+  }
+};
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Build a where condition for a value between optional bounds
+ * @param {*} min - Lower bound (inclusive)
+ * @param {*} max - Upper bound (inclusive)
+ * @returns {Object} Where condition
+ */
+const buildRange = (min, max) => ({
+  ...(min !== undefined && min !== null && { [Op.gte]: min }),
+  ...(max !== undefined && max !== null && { [Op.lte]: max })
+});
+
+/**
+ * Run a callback once a transaction is committed. A savepoint is only
+ * committed with the transaction it belongs to, so the hook goes on that.
+ * @param {Object} transaction - Transaction or savepoint
+ * @param {Function} callback - Callback
+ */
+const afterCommit = (transaction, callback) => {
+  let root = transaction;
+  
+  while (root.parent) {
+    root = root.parent;
+  }
+  
+  root.afterCommit(() => callback());
+};
+
+/**
+ * Check that a live event's market is taking in-play bets
+ * @param {Object} event - Event
+ * @throws {Error} If the event is not live or its market is suspended
+ */
+const assertInPlayMarket = (event) => {
+  if (event.status !== 'live') {
+    throw new Error('Event is not live');
+  }
+  
+  if (event.suspended_until && new Date(event.suspended_until) > new Date()) {
+    throw new Error('Market is suspended after a score change');
+  }
+};
+
+/**
+ * Keep a copy of a bet's current terms as its latest version
+ * @param {Object} bet - Bet
+ * @param {string} changeType - 'created', 'amended' or 'cancelled'
+ * @param {string} userId - User who made the change
+ * @param {Object} transaction - Database transaction
+ * @returns {Promise<Object>} Bet version
+ */
+const recordBetVersion = (bet, changeType, userId, transaction) => BetVersion.create({
+  bet_id: bet.id,
+  version: bet.version,
+  change_type: changeType,
+  odds: bet.odds,
+  stake_amount: bet.stake_amount,
+  potential_payout: bet.potential_payout,
+  expiry_time: bet.expiry_time,
+  bet_details: bet.bet_details,
+  changed_by: userId
+}, { transaction });
+
+/**
+ * Generate a share code for a private bet
+ * @returns {string} Invite code
+ */
+const generateInviteCode = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+/**
+ * Invite named users to a private bet
+ * @param {Object} bet - Private bet
+ * @param {Array<string>} usernames - Usernames to invite
+ * @param {string} kind - 'invite' or 'challenge'
+ * @param {Object} transaction - Database transaction
+ * @returns {Promise<Array>} Created invites
+ */
+const createInvites = async (bet, usernames, kind, transaction) => {
+  const uniqueUsernames = [...new Set(usernames)];
+  
+  const users = await User.findAll({
+    where: { username: { [Op.in]: uniqueUsernames } },
+    attributes: ['id', 'username'],
+    transaction
+  });
+  
+  const missing = uniqueUsernames.filter(username => !users.some(user => user.username === username));
+  
+  if (missing.length > 0) {
+    throw new Error(`User not found: ${missing.join(', ')}`);
+  }
+  
+  if (users.some(user => user.id === bet.creator_id)) {
+    throw new Error('Cannot invite yourself to your own bet');
+  }
+  
+  return Promise.all(users.map(user => BetInvite.create({
+    bet_id: bet.id,
+    user_id: user.id,
+    invited_by: bet.creator_id,
+    kind
+  }, { transaction })));
+};
+
+/**
+ * Check a user may take a private bet
+ * @param {Object} bet - Private bet
+ * @param {string} userId - Taker's user ID
+ * @param {string} inviteCode - Share code presented by the taker (optional)
+ * @param {Object} transaction - Database transaction
+ * @returns {Promise<Object|null>} The taker's invite, if they were named
+ * @throws {Error} If the user was not invited and has no valid code
+ */
+const findTakerInvite = async (bet, userId, inviteCode, transaction) => {
+  const invite = await BetInvite.findOne({
+    where: { bet_id: bet.id, user_id: userId },
+    transaction
+  });
+  
+  if (invite && invite.kind === 'challenge') {
+    if (invite.status !== 'pending') {
+      throw new Error(`Challenge is no longer pending, current status: ${invite.status}`);
+    }
+    
+    return invite;
+  }
+  
+  if (invite && ['pending', 'accepted'].includes(invite.status)) {
+    return invite;
+  }
+  
+  if (bet.invite_code && inviteCode === bet.invite_code) {
+    return null;
+  }
+  
+  throw new Error('This bet is private');
+};
 
 /**
  * Betting service for handling bet creation, matching, and settlement
@@ -11,12 +205,29 @@ class BettingService {
    * Create a new bet
    * @param {string} userId - User ID
    * @param {Object} betData - Bet data
+   * @param {Object} options - Options
+   * @param {boolean} options.inPlay - Place the bet on a live event (after its acceptance delay)
+   * @param {boolean} options.challenge - Make the bet a direct challenge to its single invitee
+   * @param {Object} options.transaction - Place the bet inside this transaction, left for the caller to commit
    * @returns {Object} Created bet
    */
-  async createBet(userId, betData) {
-    const transaction = await sequelize.transaction();
+  async createBet(userId, betData, options = {}) {
+    const ownTransaction = !options.transaction;
+    const transaction = options.transaction || await sequelize.transaction();
     
     try {
+      // Private bets are open to named invitees and, unless a challenge, to holders of the share code
+      const invitees = betData.invitees || [];
+      const isPrivate = betData.visibility === 'private' || Boolean(options.challenge);
+      
+      if (invitees.length > 0 && !isPrivate) {
+        throw new Error('Only private bets can have invitees');
+      }
+      
+      if (options.challenge && invitees.length !== 1) {
+        throw new Error('A challenge must name exactly one user');
+      }
+      
       // Get user's wallet
       const wallet = await Wallet.findOne({
         where: {
@@ -34,68 +245,140 @@ class BettingService {
         throw new Error('Insufficient balance');
       }
       
+      // Parlays are priced from their legs and open on their first event
+      const parlay = betData.bet_type === 'parlay'
+        ? await parlayService.prepareParlay(betData.bet_details.legs, transaction)
+        : null;
+      
       // Get event
-      const event = await Event.findByPk(betData.event_id, { transaction });
+      const event = parlay
+        ? parlay.firstEvent
+        : await Event.findByPk(betData.event_id, { transaction });
       
       if (!event) {
         throw new Error('Event not found');
       }
       
-      // Check if event has started
-      if (new Date(event.start_time) <= new Date()) {
+      // Bets on a cancelled event have already been voided
+      if (event.status === 'cancelled') {
+        throw new Error('Cannot place bet on a cancelled event');
+      }
+      
+      // Check if event has started; in-play bets need a live, unsuspended market
+      if (options.inPlay && !parlay) {
+        assertInPlayMarket(event);
+      } else if (new Date(event.start_time) <= new Date()) {
         throw new Error('Cannot place bet on event that has already started');
       }
       
-      // Calculate potential payout based on odds
-      const potentialPayout = betData.stake_amount * betData.odds;
+      // Check the stake against the admin-defined betting limits
+      await bettingLimitService.assertBetWithinLimits({
+        userId,
+        event,
+        betType: betData.bet_type,
+        stake: betData.stake_amount
+      }, transaction);
+      
+      const odds = parlay ? parlay.odds : betData.odds;
+      const marketKey = getMarketKey(betData.bet_type, betData.bet_details);
+      
+      // Calculate potential payout based on odds (throws unless they are decimal)
+      const potentialPayout = calculatePayout(betData.stake_amount, odds);
+      
+      // Refuse odds far off the market consensus and flag ones that stray
+      const priceCheck = parlay ? null : await marketConsensusService.checkOfferPrice({
+        eventId: event.id,
+        marketKey,
+        pick: betData.bet_details && betData.bet_details.pick,
+        odds
+      }, transaction);
       
       // Create bet
       const bet = await Bet.create({
         creator_id: userId,
-        event_id: betData.event_id,
+        event_id: event.id,
         bet_type: betData.bet_type,
-        bet_details: betData.bet_details,
-        odds: betData.odds,
+        bet_details: parlay ? { legs: parlay.legs } : betData.bet_details,
+        market_key: marketKey,
+        odds,
         stake_amount: betData.stake_amount,
+        currency: wallet.currency,
         potential_payout: potentialPayout,
         status: 'open',
-        expiry_time: betData.expiry_time || new Date(event.start_time)
+        expiry_time: betData.expiry_time || (options.inPlay
+          ? new Date(Date.now() + LIVE_BET_EXPIRY_MINUTES * 60000)
+          : new Date(event.start_time)),
+        visibility: isPrivate ? 'private' : 'public',
+        invite_code: isPrivate && !options.challenge ? generateInviteCode() : null,
+        price_flagged: Boolean(priceCheck && priceCheck.flagged),
+        promotion_code: betData.promotion_code ? betData.promotion_code.toUpperCase() : null
       }, { transaction });
       
+      if (parlay) {
+        await parlayService.createLegs(bet.id, parlay.legs, transaction);
+      }
+      
+      await recordBetVersion(bet, 'created', userId, transaction);
+      
+      const invites = invitees.length > 0
+        ? await createInvites(bet, invitees, options.challenge ? 'challenge' : 'invite', transaction)
+        : [];
+      
       // Create transaction record for bet placement
       await Transaction.create({
         user_id: userId,
         wallet_id: wallet.id,
         amount: -betData.stake_amount,
-        transaction_type: 'bet_place',
+        type: 'bet',
         status: 'completed',
-        reference_id: bet.id
+        reference_id: bet.id,
+        description: 'Stake placed on new bet'
       }, { transaction });
       
       // Update wallet balance
       await wallet.decrement('balance', { by: betData.stake_amount, transaction });
       
-      await transaction.commit();
+      afterCommit(transaction, () => invites.forEach(invite => notify(
+        invite.user_id,
+        invite.kind === 'challenge' ? NOTIFICATION_TYPES.CHALLENGE_RECEIVED : NOTIFICATION_TYPES.BET_INVITE,
+        { bet_id: bet.id, invite_id: invite.id, from_user_id: userId }
+      )));
+      
+      if (ownTransaction) {
+        await transaction.commit();
+      }
+      
+      bet.setDataValue('invites', invites);
       
       return bet;
     } catch (error) {
-      await transaction.rollback();
+      if (ownTransaction) {
+        await transaction.rollback();
+      }
       logger.error('Error creating bet:', error);
       throw error;
     }
   }
   
   /**
-   * Take (match) an existing bet
+   * Take (match) an existing bet, in full or in part
    * @param {string} userId - User ID
    * @param {string} betId - Bet ID
+   * @param {Object} options - Match options
+   * @param {number} options.stake_amount - Taker stake (defaults to everything still unmatched)
+   * @param {boolean} options.inPlay - Take a bet on a live event (after its acceptance delay)
+   * @param {string} options.invite_code - Share code for a private bet
+   * @param {number} options.odds - Odds agreed in an accepted counter-offer (defaults to the bet's odds)
+   * @param {number} options.bet_version - Version of the bet terms the taker saw (rejected if it has since changed)
+   * @param {Object} options.transaction - Take the bet inside this transaction, left for the caller to commit
    * @returns {Object} Bet match data
    */
-  async takeBet(userId, betId) {
-    const transaction = await sequelize.transaction();
+  async takeBet(userId, betId, options = {}) {
+    const ownTransaction = !options.transaction;
+    const transaction = options.transaction || await sequelize.transaction();
     
     try {
-      // Get bet
+      // Get bet, locking it so concurrent takers cannot overfill it
       const bet = await Bet.findByPk(betId, {
         include: [
           {
@@ -108,6 +391,7 @@ class BettingService {
             as: 'event'
           }
         ],
+        lock: { level: transaction.LOCK.UPDATE, of: Bet },
         transaction
       });
       
@@ -120,8 +404,19 @@ class BettingService {
         throw new Error('Bet is not open for matching');
       }
       
-      // Check if event has started
-      if (new Date(bet.event.start_time) <= new Date()) {
+      // Expired bets wait for the expiry sweep to refund them
+      if (bet.expiry_time && new Date(bet.expiry_time) <= new Date()) {
+        throw new Error('Bet has expired');
+      }
+      
+      if (bet.event.status === 'cancelled') {
+        throw new Error('Cannot take bet on a cancelled event');
+      }
+      
+      // Check if event has started; in-play takes need a live, unsuspended market
+      if (options.inPlay) {
+        assertInPlayMarket(bet.event);
+      } else if (new Date(bet.event.start_time) <= new Date()) {
         throw new Error('Cannot take bet on event that has already started');
       }
       
@@ -130,6 +425,16 @@ class BettingService {
         throw new Error('Cannot take your own bet');
       }
       
+      // Refuse to match terms the taker has not seen
+      if (options.bet_version !== undefined && parseInt(options.bet_version, 10) !== bet.version) {
+        throw new Error(`Bet has been amended since you viewed it; it is now at version ${bet.version}`);
+      }
+      
+      // Private bets are only open to invitees and holders of the share code
+      const invite = bet.visibility === 'private'
+        ? await findTakerInvite(bet, userId, options.invite_code, transaction)
+        : null;
+      
       // Get user's wallet
       const wallet = await Wallet.findOne({
         where: {
@@ -142,75 +447,186 @@ class BettingService {
         throw new Error('Wallet not found');
       }
       
-      // Calculate required stake amount
-      const requiredStake = bet.potential_payout - bet.stake_amount;
+      // Work out how much of the creator's stake this taker covers
+      const odds = options.odds ? parseFloat(options.odds) : parseFloat(bet.odds);
+      const { creatorStake, takerStake } = this.calculateFill(bet, options.stake_amount, odds);
       
       // Check if user has sufficient balance
-      if (wallet.balance < requiredStake) {
+      if (parseFloat(wallet.balance) < takerStake) {
         throw new Error('Insufficient balance');
       }
       
-      // Calculate platform fee (3% of total pot)
-      const totalPot = bet.stake_amount + requiredStake;
-      const platformFee = totalPot * auth.platformFee;
-      
-      // Create escrow
-      const escrow = await Escrow.create({
-        creator_amount: bet.stake_amount,
-        taker_amount: requiredStake,
+      // Check the taker's stake against the admin-defined betting limits
+      await bettingLimitService.assertBetWithinLimits({
+        userId,
+        event: bet.event,
+        betType: bet.bet_type,
+        stake: takerStake
+      }, transaction);
+      
+      // The market may have moved since the bet was posted; check the taker's side
+      const priceCheck = await marketConsensusService.checkTakerPrice(bet, odds, transaction);
+      
+      // Each side's fee terms; the winner's are charged on release
+      const totalPot = creatorStake + takerStake;
+      const feeQuote = await feeService.quoteMatchFees({
+        creatorId: bet.creator_id,
+        takerId: userId,
+        event: bet.event,
+        creatorStake,
+        takerStake,
+        creatorPromotionCode: bet.promotion_code,
+        takerPromotionCode: options.promotion_code
+      }, transaction);
+      const platformFee = feeQuote.platform_fee;
+      
+      // Build escrow first so the bet match can reference its ID
+      const escrow = Escrow.build({
+        amount: totalPot,
         platform_fee: platformFee,
-        status: 'held'
-      }, { transaction });
+        fee_rule: feeQuote.fee_rule,
+        status: 'active'
+      });
       
       // Create bet match
       const betMatch = await BetMatch.create({
         bet_id: bet.id,
         taker_id: userId,
-        stake_amount: requiredStake,
-        potential_payout: bet.stake_amount + requiredStake - platformFee,
+        stake_amount: takerStake,
+        creator_stake: creatorStake,
+        potential_payout: roundCurrency(totalPot - feeQuote.fees.taker),
+        odds,
         status: 'active',
         platform_fee: platformFee,
-        escrow_id: escrow.id
+        escrow_id: escrow.id,
+        bet_version: bet.version
       }, { transaction });
       
-      // Update escrow with bet match ID
-      await escrow.update({
-        bet_match_id: betMatch.id
-      }, { transaction });
+      // Persist escrow linked to the bet match
+      escrow.bet_match_id = betMatch.id;
+      await escrow.save({ transaction });
+      
+      // Record the fill; the bet stays open until nothing is left to match.
+      // A leftover too small for a taker to cover is handed back instead.
+      const matchedAmount = roundCurrency(parseFloat(bet.matched_amount) + creatorStake);
+      const leftover = roundCurrency(parseFloat(bet.stake_amount) - matchedAmount);
+      const refundLeftover = leftover > 0 && roundCurrency(leftover * (parseFloat(bet.odds) - 1)) < MIN_MATCH_STAKE;
       
-      // Update bet status
       await bet.update({
-        status: 'matched'
+        matched_amount: matchedAmount,
+        status: leftover <= 0 || refundLeftover ? 'matched' : 'open',
+        ...(refundLeftover ? { cancelled_amount: leftover } : {}),
+        price_flagged: bet.price_flagged || Boolean(priceCheck && priceCheck.flagged)
       }, { transaction });
       
+      if (refundLeftover) {
+        const creatorWallet = await Wallet.findOne({
+          where: {
+            user_id: bet.creator_id
+          },
+          transaction
+        });
+        
+        await Transaction.create({
+          user_id: bet.creator_id,
+          wallet_id: creatorWallet.id,
+          amount: leftover,
+          type: 'refund',
+          status: 'completed',
+          reference_id: bet.id,
+          description: 'Unmatched stake refunded (below the minimum match)'
+        }, { transaction });
+        
+        await creatorWallet.increment('balance', { by: leftover, transaction });
+      }
+      
+      const acceptedInvite = invite && invite.status === 'pending';
+      
+      if (acceptedInvite) {
+        await invite.update({ status: 'accepted', responded_at: new Date() }, { transaction });
+      }
+      
       // Create transaction record for bet placement
       await Transaction.create({
         user_id: userId,
         wallet_id: wallet.id,
-        amount: -requiredStake,
-        transaction_type: 'bet_place',
+        amount: -takerStake,
+        type: 'bet',
         status: 'completed',
-        reference_id: betMatch.id
+        reference_id: betMatch.id,
+        description: 'Stake placed to match bet'
       }, { transaction });
       
       // Update wallet balance
-      await wallet.decrement('balance', { by: requiredStake, transaction });
+      await wallet.decrement('balance', { by: takerStake, transaction });
+      
+      if (acceptedInvite) {
+        afterCommit(transaction, () => notify(
+          bet.creator_id,
+          invite.kind === 'challenge' ? NOTIFICATION_TYPES.CHALLENGE_ACCEPTED : NOTIFICATION_TYPES.INVITE_ACCEPTED,
+          { bet_id: bet.id, invite_id: invite.id, bet_match_id: betMatch.id, by_user_id: userId }
+        ));
+      }
       
-      await transaction.commit();
+      if (ownTransaction) {
+        await transaction.commit();
+      }
       
       return {
         betMatch,
         escrow
       };
     } catch (error) {
-      await transaction.rollback();
+      if (ownTransaction) {
+        await transaction.rollback();
+      }
       logger.error('Error taking bet:', error);
       throw error;
     }
   }
   
   /**
-   * Cancel a bet
+   * Work out the creator and taker stakes for a (partial) fill of a bet
+   * @param {Object} bet - Bet being matched
+   * @param {number} requestedTakerStake - Taker stake asked for (optional)
+   * @param {number} odds - Odds to fill at (defaults to the bet's odds)
+   * @returns {Object} Creator stake covered and taker stake required
+   */
+  calculateFill(bet, requestedTakerStake, odds = parseFloat(bet.odds)) {
+    const unmatched = roundCurrency(parseFloat(bet.stake_amount) - parseFloat(bet.matched_amount));
+    const maxTakerStake = roundCurrency(unmatched * (odds - 1));
+    
+    if (unmatched <= 0) {
+      throw new Error('Bet has no unmatched stake left');
+    }
+    
+    // Taking everything that is left
+    if (requestedTakerStake === undefined || requestedTakerStake === null) {
+      return { creatorStake: unmatched, takerStake: maxTakerStake };
+    }
+    
+    const takerStake = roundCurrency(parseFloat(requestedTakerStake));
+    
+    if (!(takerStake >= MIN_MATCH_STAKE)) {
+      throw new Error(`Stake amount must be at least ${MIN_MATCH_STAKE}`);
+    }
+    
+    if (takerStake > maxTakerStake) {
+      throw new Error(`Stake amount exceeds the ${maxTakerStake} still available on this bet`);
+    }
+    
+    if (takerStake === maxTakerStake) {
+      return { creatorStake: unmatched, takerStake };
+    }
+    
+    return {
+      creatorStake: roundCurrency(takerStake / (odds - 1)),
+      takerStake
+    };
+  }
+  
+  /**
+   * Cancel a bet, refunding whatever has not been matched yet
    * @param {string} userId - User ID
    * @param {string} betId - Bet ID
    * @returns {Object} Cancelled bet
@@ -219,8 +635,11 @@ class BettingService {
     const transaction = await sequelize.transaction();
     
     try {
-      // Get bet
-      const bet = await Bet.findByPk(betId, { transaction });
+      // Get bet, locking it so a taker cannot fill it mid-cancel
+      const bet = await Bet.findByPk(betId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
       
       if (!bet) {
         throw new Error('Bet not found');
@@ -231,11 +650,14 @@ class BettingService {
         throw new Error('Only the creator can cancel this bet');
       }
       
-      // Check if bet is open
-      if (bet.status !== 'open') {
+      // Check if bet is open (a bet suspended by a score change can still be pulled)
+      if (!['open', 'suspended'].includes(bet.status)) {
         throw new Error('Only open bets can be cancelled');
       }
       
+      // Matched portions stay live; only the remainder comes back
+      const refundAmount = roundCurrency(parseFloat(bet.stake_amount) - parseFloat(bet.matched_amount));
+      
       // Get user's wallet
       const wallet = await Wallet.findOne({
         where: {
@@ -246,21 +668,26 @@ class BettingService {
       
       // Update bet status
       await bet.update({
-        status: 'cancelled'
+        status: parseFloat(bet.matched_amount) > 0 ? 'matched' : 'cancelled',
+        cancelled_amount: refundAmount,
+        version: bet.version + 1
       }, { transaction });
       
+      await recordBetVersion(bet, 'cancelled', userId, transaction);
+      
       // Create transaction record for refund
       await Transaction.create({
         user_id: userId,
         wallet_id: wallet.id,
-        amount: bet.stake_amount,
-        transaction_type: 'bet_refund',
+        amount: refundAmount,
+        type: 'refund',
         status: 'completed',
-        reference_id: bet.id
+        reference_id: bet.id,
+        description: 'Stake refunded for cancelled bet'
       }, { transaction });
       
       // Update wallet balance
-      await wallet.increment('balance', { by: bet.stake_amount, transaction });
+      await wallet.increment('balance', { by: refundAmount, transaction });
       
       await transaction.commit();
       
@@ -273,42 +700,288 @@ class BettingService {
   }
   
   /**
-   * Settle a bet based on event results
+   * Amend the odds, stake or expiry of a bet nobody has matched yet. The
+   * stake difference is taken from or returned to the creator's wallet, and
+   * the new terms are kept as the bet's next version.
+   * @param {string} userId - User ID
+   * @param {string} betId - Bet ID
+   * @param {Object} changes - New terms
+   * @param {number} changes.odds - New decimal odds
+   * @param {number} changes.stake_amount - New stake
+   * @param {Date} changes.expiry_time - New expiry time
+   * @returns {Object} Amended bet
+   */
+  async amendBet(userId, betId, changes = {}) {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      // Lock the bet so a taker cannot match it mid-amendment
+      const bet = await Bet.findByPk(betId, {
+        include: [
+          {
+            model: Event,
+            as: 'event'
+          }
+        ],
+        lock: { level: transaction.LOCK.UPDATE, of: Bet },
+        transaction
+      });
+      
+      if (!bet) {
+        throw new Error('Bet not found');
+      }
+      
+      if (bet.creator_id !== userId) {
+        throw new Error('Only the creator can amend this bet');
+      }
+      
+      if (bet.status !== 'open') {
+        throw new Error('Only open bets can be amended');
+      }
+      
+      if (parseFloat(bet.matched_amount) > 0) {
+        throw new Error('Bets that have been partly matched cannot be amended');
+      }
+      
+      if (bet.bet_type === 'parlay') {
+        throw new Error('Parlays are priced from their legs and cannot be amended');
+      }
+      
+      const odds = changes.odds !== undefined ? assertDecimalOdds(changes.odds) : parseFloat(bet.odds);
+      const stake = changes.stake_amount !== undefined ? roundCurrency(parseFloat(changes.stake_amount)) : parseFloat(bet.stake_amount);
+      const expiryTime = changes.expiry_time !== undefined ? new Date(changes.expiry_time) : bet.expiry_time;
+      
+      if (odds === parseFloat(bet.odds) && stake === parseFloat(bet.stake_amount) &&
+        new Date(expiryTime).getTime() === new Date(bet.expiry_time).getTime()) {
+        throw new Error('Nothing to amend');
+      }
+      
+      if (!(stake >= 1)) {
+        throw new Error('Stake amount must be at least 1');
+      }
+      
+      if (new Date(expiryTime) <= new Date()) {
+        throw new Error('Expiry time must be in the future');
+      }
+      
+      // A pre-match bet cannot stay open past kickoff
+      if (bet.event.status !== 'live' && new Date(expiryTime) > new Date(bet.event.start_time)) {
+        throw new Error('Expiry time cannot be after the event starts');
+      }
+      
+      const stakeChange = roundCurrency(stake - parseFloat(bet.stake_amount));
+      
+      await bettingLimitService.assertBetWithinLimits({
+        userId,
+        event: bet.event,
+        betType: bet.bet_type,
+        stake,
+        addedExposure: stakeChange,
+        newBet: false
+      }, transaction);
+      
+      if (odds !== parseFloat(bet.odds)) {
+        await marketConsensusService.checkOfferPrice({
+          eventId: bet.event_id,
+          marketKey: bet.market_key,
+          pick: bet.bet_details && bet.bet_details.pick,
+          odds
+        }, transaction);
+      }
+      
+      const wallet = await Wallet.findOne({
+        where: {
+          user_id: userId
+        },
+        transaction
+      });
+      
+      if (!wallet) {
+        throw new Error('Wallet not found');
+      }
+      
+      if (stakeChange > 0 && parseFloat(wallet.balance) < stakeChange) {
+        throw new Error('Insufficient balance');
+      }
+      
+      if (stakeChange !== 0) {
+        // Take the extra stake, or give back what was taken off
+        await Transaction.create({
+          user_id: userId,
+          wallet_id: wallet.id,
+          amount: -stakeChange,
+          type: stakeChange > 0 ? 'bet' : 'refund',
+          status: 'completed',
+          reference_id: bet.id,
+          description: stakeChange > 0 ? 'Stake increased on amended bet' : 'Stake reduced on amended bet',
+          metadata: { bet_version: bet.version + 1 }
+        }, { transaction });
+        
+        if (stakeChange > 0) {
+          await wallet.decrement('balance', { by: stakeChange, transaction });
+        } else {
+          await wallet.increment('balance', { by: -stakeChange, transaction });
+        }
+      }
+      
+      await bet.update({
+        odds,
+        stake_amount: stake,
+        potential_payout: calculatePayout(stake, odds),
+        expiry_time: expiryTime,
+        version: bet.version + 1
+      }, { transaction });
+      
+      await recordBetVersion(bet, 'amended', userId, transaction);
+      
+      await transaction.commit();
+      
+      return bet;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Error amending bet:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every version of a bet's terms, with the version each taker matched.
+   * Open to the creator, the bet's takers and admins.
+   * @param {Object} user - Requesting user (id and role)
+   * @param {string} betId - Bet ID
+   * @returns {Object} Versions, oldest first, and matches
+   */
+  async getBetVersions(user, betId) {
+    try {
+      const bet = await Bet.findByPk(betId, {
+        include: [
+          {
+            model: BetVersion,
+            as: 'versions'
+          },
+          {
+            model: BetMatch,
+            as: 'matches',
+            attributes: ['id', 'taker_id', 'stake_amount', 'odds', 'bet_version', 'status']
+          }
+        ],
+        order: [[{ model: BetVersion, as: 'versions' }, 'version', 'ASC']]
+      });
+      
+      if (!bet) {
+        throw new Error('Bet not found');
+      }
+      
+      const isParty = bet.creator_id === user.id || bet.matches.some(match => match.taker_id === user.id);
+      
+      if (!isParty && user.role !== 'admin') {
+        throw new Error('Only the parties to a bet can see its history');
+      }
+      
+      return {
+        bet_id: bet.id,
+        current_version: bet.version,
+        versions: bet.versions,
+        matches: bet.matches
+      };
+    } catch (error) {
+      logger.error('Error getting bet versions:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Expire a bet whose expiry time has passed, refunding the unmatched stake.
+   * Safe to retry: the bet is locked and re-checked, so a second run finds
+   * nothing left to refund.
+   * @param {string} betId - Bet ID
+   * @returns {Object|null} Expired bet and refund, or null if there was nothing to expire
+   */
+  async expireBet(betId) {
+    const transaction = await sequelize.transaction();
+    
+    try {
+      // Lock the bet so a taker, the creator or another run cannot touch it mid-expiry
+      const bet = await Bet.findByPk(betId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      if (!bet) {
+        throw new Error('Bet not found');
+      }
+      
+      if (!['open', 'suspended'].includes(bet.status) || !bet.expiry_time || new Date(bet.expiry_time) > new Date()) {
+        await transaction.commit();
+        return null;
+      }
+      
+      // Matched portions stay live; only the remainder comes back
+      const refundAmount = roundCurrency(parseFloat(bet.stake_amount) - parseFloat(bet.matched_amount));
+      
+      await bet.update({
+        status: parseFloat(bet.matched_amount) > 0 ? 'matched' : 'expired',
+        cancelled_amount: refundAmount
+      }, { transaction });
+      
+      if (refundAmount > 0) {
+        const wallet = await Wallet.findOne({
+          where: {
+            user_id: bet.creator_id
+          },
+          transaction
+        });
+        
+        await Transaction.create({
+          user_id: bet.creator_id,
+          wallet_id: wallet.id,
+          amount: refundAmount,
+          type: 'refund',
+          status: 'completed',
+          reference_id: bet.id,
+          description: 'Stake refunded for expired bet',
+          metadata: {
+            bet_id: bet.id,
+            reason: 'expired'
+          }
+        }, { transaction });
+        
+        await wallet.increment('balance', { by: refundAmount, transaction });
+      }
+      
+      await transaction.commit();
+      
+      return {
+        bet,
+        refundAmount
+      };
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Error expiring bet:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Settle a bet match based on event results
    * @param {string} betMatchId - Bet match ID
    * @param {Object} eventResult - Event result data
    * @returns {Object} Settlement result
    */
   async settleBet(betMatchId, eventResult) {
-    const transaction = await sequelize.transaction();
-    
     try {
       // Get bet match
       const betMatch = await BetMatch.findByPk(betMatchId, {
         include: [
           {
             model: Bet,
-            as: 'bet',
-            include: [
-              {
-                model: Event,
-                as: 'event'
-              },
-              {
-                model: User,
-                as: 'creator'
-              }
-            ]
-          },
-          {
-            model: User,
-            as: 'taker'
+            as: 'bet'
           },
           {
             model: Escrow,
             as: 'escrow'
           }
-        ],
-        transaction
+        ]
       });
       
       if (!betMatch) {
@@ -320,145 +993,290 @@ class BettingService {
         throw new Error('Bet match is not active');
       }
       
-      // Check if escrow is held
-      if (betMatch.escrow.status !== 'held') {
-        throw new Error('Escrow funds are not held');
+      if (!betMatch.escrow) {
+        throw new Error('Escrow not found for bet match');
       }
       
       // Determine winner based on bet type and event result
-      const winnerId = this.determineWinner(betMatch.bet, eventResult);
+      const winnerId = this.determineWinner(betMatch.bet, eventResult, betMatch);
+      
+      let result;
+      
+      if (winnerId === PUSH) {
+        // Both stakes go back without a platform fee
+        const refund = await escrowService.refundEscrow(betMatch.escrow.id, 'push');
+        
+        result = {
+          betMatch,
+          outcome: 'push',
+          winnerId: null,
+          winnings: 0,
+          payouts: refund.payouts
+        };
+      } else {
+        // Pay the winner out of escrow (also marks the bet match settled)
+        const payout = await escrowService.releaseEscrow(betMatch.escrow.id, winnerId);
+        
+        result = {
+          betMatch,
+          outcome: 'winner',
+          winnerId,
+          winnings: payout.amount,
+          payoutId: payout.payout_id
+        };
+      }
       
-      // Get winner's wallet
-      const winnerWallet = await Wallet.findOne({
+      // Close the bet once none of its matches are still running
+      const activeMatches = await BetMatch.count({
         where: {
-          user_id: winnerId
-        },
-        transaction
+          bet_id: betMatch.bet_id,
+          status: 'active'
+        }
       });
       
-      if (!winnerWallet) {
-        throw new Error('Winner wallet not found');
+      // (a bet that is still open keeps taking matches for its unmatched stake)
+      if (activeMatches === 0 && betMatch.bet.status === 'matched') {
+        await betMatch.bet.update({ status: 'settled' });
       }
       
-      // Calculate winnings (total pot minus platform fee)
-      const totalPot = betMatch.escrow.creator_amount + betMatch.escrow.taker_amount;
-      const winnings = totalPot - betMatch.escrow.platform_fee;
-      
-      // Update escrow
-      await betMatch.escrow.update({
-        status: 'released',
-        winner_id: winnerId,
-        released_at: new Date()
-      }, { transaction });
+      return result;
+    } catch (error) {
+      logger.error('Error settling bet:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Void a bet and refund every stake on it (e.g. when its event is cancelled)
+   * @param {string} betId - Bet ID
+   * @param {string} reason - Void reason
+   * @returns {Object} Void result
+   */
+  async voidBet(betId, reason) {
+    try {
+      const bet = await Bet.findByPk(betId, {
+        include: [
+          {
+            model: BetMatch,
+            as: 'matches',
+            include: [
+              {
+                model: Escrow,
+                as: 'escrow'
+              }
+            ]
+          }
+        ]
+      });
       
-      // Update bet match
-      await betMatch.update({
-        status: 'settled'
-      }, { transaction });
+      if (!bet) {
+        throw new Error('Bet not found');
+      }
       
-      // Create transaction record for winnings
-      await Transaction.create({
-        user_id: winnerId,
-        wallet_id: winnerWallet.id,
-        amount: winnings,
-        transaction_type: 'bet_win',
-        status: 'completed',
-        reference_id: betMatch.id
-      }, { transaction });
+      const refunds = [];
       
-      // Create transaction record for platform fee
-      await Transaction.create({
-        user_id: winnerId,
-        wallet_id: winnerWallet.id,
-        amount: -betMatch.escrow.platform_fee,
-        transaction_type: 'fee',
-        status: 'completed',
-        reference_id: betMatch.id
-      }, { transaction });
+      // Refund every matched portion still held in escrow
+      const refundActiveMatches = async () => {
+        for (const betMatch of bet.matches) {
+          if (betMatch.status === 'active' && betMatch.escrow && betMatch.escrow.status === 'active') {
+            refunds.push(await escrowService.refundEscrow(betMatch.escrow.id, reason));
+          }
+        }
+      };
       
-      // Update winner's wallet balance
-      await winnerWallet.increment('balance', { by: winnings, transaction });
+      await refundActiveMatches();
       
-      await transaction.commit();
+      // Refund whatever part of the creator's stake was never matched
+      if (['open', 'suspended'].includes(bet.status)) {
+        const matchedBefore = parseFloat(bet.matched_amount);
+        const transaction = await sequelize.transaction();
+        
+        try {
+          // Re-read the bet under a row lock so a concurrent take cannot fill
+          // the stake being refunded
+          await bet.reload({ lock: { level: transaction.LOCK.UPDATE, of: Bet }, transaction });
+          
+          // Cancelled, expired and refunded bets have had their stake back already
+          if (!['open', 'suspended', 'matched'].includes(bet.status)) {
+            throw new Error(`Bet can no longer be voided, current status: ${bet.status}`);
+          }
+          
+          const refundAmount = roundCurrency(parseFloat(bet.stake_amount) - parseFloat(bet.matched_amount));
+          
+          if (refundAmount > 0) {
+            const wallet = await Wallet.findOne({
+              where: {
+                user_id: bet.creator_id
+              },
+              transaction
+            });
+            
+            await Transaction.create({
+              user_id: bet.creator_id,
+              wallet_id: wallet.id,
+              amount: refundAmount,
+              type: 'refund',
+              status: 'completed',
+              reference_id: bet.id,
+              description: 'Stake refunded for voided bet',
+              metadata: {
+                bet_id: bet.id,
+                reason
+              }
+            }, { transaction });
+            
+            await wallet.increment('balance', { by: refundAmount, transaction });
+          }
+          
+          await bet.update({
+            status: 'refunded',
+            cancelled_amount: refundAmount
+          }, { transaction });
+          
+          await transaction.commit();
+        } catch (error) {
+          await transaction.rollback();
+          throw error;
+        }
+        
+        // A take that got in before the lock left a match still to refund
+        if (parseFloat(bet.matched_amount) > matchedBefore) {
+          await refundActiveMatches();
+        }
+      } else if (bet.status === 'matched') {
+        await bet.update({ status: 'refunded' });
+      }
       
       return {
-        betMatch,
-        winnerId,
-        winnings
+        bet,
+        refunds
       };
     } catch (error) {
-      await transaction.rollback();
-      logger.error('Error settling bet:', error);
+      logger.error('Error voiding bet:', error);
       throw error;
     }
   }
   
   /**
-   * Get available bets
+   * Search the open public bets on the bet board. Pages are keyset-paginated:
+   * pass the next_cursor of one page to get the next, in the same sort.
    * @param {Object} filters - Filter criteria
+   * @param {string} filters.eventId - Event ID
+   * @param {string} filters.leagueId - League ID
+   * @param {string} filters.sportId - Sport ID
+   * @param {string} filters.betType - Bet type
+   * @param {Date} filters.startsAfter - Earliest kickoff
+   * @param {Date} filters.startsBefore - Latest kickoff
+   * @param {number} filters.minOdds - Lowest posted (creator) odds
+   * @param {number} filters.maxOdds - Highest posted (creator) odds
+   * @param {number} filters.minStake - Smallest creator stake
+   * @param {number} filters.maxStake - Largest creator stake
+   * @param {number} filters.minReputation - Lowest creator reputation score
+   * @param {string} filters.currency - Stake currency
    * @param {Object} options - Query options
-   * @returns {Array} List of bets
+   * @param {string} options.sort - One of BET_BOARD_SORTS (default newest)
+   * @param {number} options.limit - Number of bets per page
+   * @param {string} options.cursor - Cursor from the previous page
+   * @returns {Object} Bets and the cursor of the next page (null on the last page)
    */
   async getAvailableBets(filters = {}, options = {}) {
     try {
-      const { limit = 20, offset = 0 } = options;
-      const { eventId, sportId, betType } = filters;
+      const { limit = 20, cursor, sort = 'newest' } = options;
+      const sortOrder = BET_BOARD_SORTS[sort];
       
-      // Build query
-      const query = {
-        where: {
-          status: 'open',
-          expiry_time: {
-            [sequelize.Op.gt]: new Date()
-          }
-        },
+      if (!sortOrder) {
+        throw new Error(`Unknown sort: ${sort}`);
+      }
+      
+      const conditions = [
+        { status: 'open' },
+        { visibility: 'public' },
+        { expiry_time: { [Op.gt]: new Date() } }
+      ];
+      const eventWhere = {};
+      
+      if (filters.eventId) {
+        conditions.push({ event_id: filters.eventId });
+      }
+      
+      if (filters.betType) {
+        conditions.push({ bet_type: filters.betType });
+      }
+      
+      if (filters.currency) {
+        conditions.push({ currency: filters.currency });
+      }
+      
+      if (filters.minOdds !== undefined || filters.maxOdds !== undefined) {
+        conditions.push({ odds: buildRange(filters.minOdds, filters.maxOdds) });
+      }
+      
+      if (filters.minStake !== undefined || filters.maxStake !== undefined) {
+        conditions.push({ stake_amount: buildRange(filters.minStake, filters.maxStake) });
+      }
+      
+      if (filters.leagueId) {
+        eventWhere.league_id = filters.leagueId;
+      }
+      
+      if (filters.startsAfter || filters.startsBefore) {
+        eventWhere.start_time = buildRange(filters.startsAfter, filters.startsBefore);
+      }
+      
+      // Carry on strictly after the last bet of the previous page
+      if (cursor) {
+        const last = decodeCursor(cursor, sort);
+        const direction = sortOrder.direction === 'ASC' ? Op.gt : Op.lt;
+        
+        conditions.push({
+          [Op.or]: [
+            { [sortOrder.column]: { [direction]: last.value } },
+            { [sortOrder.column]: last.value, id: { [Op.gt]: last.id } }
+          ]
+        });
+      }
+      
+      const bets = await Bet.findAll({
+        where: { [Op.and]: conditions },
         include: [
           {
             model: User,
             as: 'creator',
-            attributes: ['id', 'username']
+            attributes: ['id', 'username', 'reputation_score', 'settled_bets_count'],
+            ...(filters.minReputation !== undefined && {
+              where: { reputation_score: { [Op.gte]: filters.minReputation } }
+            })
           },
           {
             model: Event,
             as: 'event',
+            where: eventWhere,
             include: [
               {
                 model: League,
-                as: 'league'
+                as: 'league',
+                ...(filters.sportId && { where: { sport_id: filters.sportId } })
               }
             ]
           }
         ],
-        limit,
-        offset,
-        order: [['created_at', 'DESC']]
-      };
-      
-      // Add event filter if provided
-      if (eventId) {
-        query.where.event_id = eventId;
-      }
-      
-      // Add sport filter if provided
-      if (sportId) {
-        query.include[1].include[0].where = {
-          sport_id: sportId
-        };
-      }
+        order: [...sortOrder.order, ['id', 'ASC']],
+        // Fetch one extra row to tell whether there is another page
+        limit: limit + 1,
+        subQuery: false
+      });
       
-      // Add bet type filter if provided
-      if (betType) {
-        query.where.bet_type = betType;
-      }
+      const page = bets.slice(0, limit);
+      const lastBet = page[page.length - 1];
       
-      // Get bets
-      const bets = await Bet.findAndCountAll(query);
+      // Show takers how each bet is priced against the market
+      await marketConsensusService.attachMarketValue(page);
       
       return {
-        total: bets.count,
-        bets: bets.rows,
+        bets: page,
         limit,
-        offset
+        sort,
+        next_cursor: bets.length > limit ? encodeCursor(sort, sortOrder.cursorValue(lastBet), lastBet.id) : null
       };
     } catch (error) {
       logger.error('Error getting available bets:', error);
@@ -592,19 +1410,24 @@ class BettingService {
    * Determine winner based on bet type and event result
    * @param {Object} bet - Bet object
    * @param {Object} eventResult - Event result data
-   * @returns {string} Winner user ID
+   * @param {Object} betMatch - Bet match being settled (a bet can have several)
+   * @returns {string} Winner user ID (current holder of the winning side), or PUSH when the result lands exactly on the line
    */
-  determineWinner(bet, eventResult) {
+  determineWinner(bet, eventResult, betMatch) {
     const { home_score, away_score } = eventResult;
-    const { creator_id } = bet;
     const { bet_type, bet_details } = bet;
     
-    // Get taker ID from first match (assuming only one match per bet)
-    const taker_id = bet.matches[0].taker_id;
+    // Pay whoever holds each side now, in case a position was sold
+    const creator_id = betMatch.creator_holder_id || bet.creator_id;
+    const taker_id = betMatch.taker_holder_id || betMatch.taker_id;
     
     switch (bet_type) {
       case 'moneyline':
-        // Moneyline bet on which team wins
+        // Moneyline bet on which team wins; a draw is a push
+        if (home_score === away_score) {
+          return PUSH;
+        }
+        
         if (bet_details.pick === 'home') {
           return home_score > away_score ? creator_id : taker_id;
         } else {
@@ -612,10 +1435,14 @@ class BettingService {
         }
         
       case 'spread':
-        // Spread bet with handicap
+        // Spread bet with handicap; landing exactly on the number is a push
         const spread = parseFloat(bet_details.spread);
         const adjustedHomeScore = home_score + spread;
         
+        if (adjustedHomeScore === away_score) {
+          return PUSH;
+        }
+        
         if (bet_details.pick === 'home') {
           return adjustedHomeScore > away_score ? creator_id : taker_id;
         } else {
@@ -623,10 +1450,14 @@ class BettingService {
         }
         
       case 'over_under':
-        // Over/under bet on total score
+        // Over/under bet on total score; hitting the total exactly is a push
         const total = parseFloat(bet_details.total);
         const actualTotal = home_score + away_score;
         
+        if (actualTotal === total) {
+          return PUSH;
+        }
+        
         if (bet_details.pick === 'over') {
           return actualTotal > total ? creator_id : taker_id;
         } else {
@@ -634,10 +1465,14 @@ class BettingService {
         }
         
       case 'prop':
-        // Prop bets would require custom logic based on the specific prop
-        // For now, we'll just return the creator as winner (placeholder)
-        logger.warn('Prop bet settlement not fully implemented');
-        return creator_id;
+        // Prop bets settle against the event's recorded stat lines
+        const outcome = propBetService.determinePropOutcome(bet_details, eventResult);
+        
+        if (outcome === propBetService.OUTCOMES.PUSH) {
+          return PUSH;
+        }
+        
+        return outcome === propBetService.OUTCOMES.CREATOR ? creator_id : taker_id;
         
       default:
         logger.error('Unknown bet type:', bet_type);
@@ -0,0 +1,393 @@
+/**
+ * Cash-Out Service
+ *
+ * This service lets either party of an active bet match exit early by
+ * listing their side for sale. The buyer pays the seller directly and takes
+ * over the side, so settlement pays whoever holds it at result time. Every
+ * change of ownership is written to the transaction ledger.
+ */
+
+const { Op } = require('sequelize');
+const { PositionListing, BetMatch, Bet, Event, Escrow, User, Transaction, sequelize } = require('../models');
+const { getCreatorHolderId, getTakerHolderId } = require('./escrowService');
+const walletService = require('./walletService');
+const logger = require('../config/logger');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out which side of a bet match a user holds
+ * @param {Object} betMatch - Bet match with its bet loaded
+ * @param {string} userId - User ID
+ * @returns {string|null} 'creator', 'taker' or null
+ */
+const getHeldSide = (betMatch, userId) => {
+  if (getCreatorHolderId(betMatch) === userId) {
+    return 'creator';
+  }
+
+  return getTakerHolderId(betMatch) === userId ? 'taker' : null;
+};
+
+/**
+ * Check a bet match can still change hands
+ * @param {Object} betMatch - Bet match with its bet, event and escrow loaded
+ * @throws {Error} If the match is settled, disputed or its event is over
+ */
+const assertTradeable = (betMatch) => {
+  if (betMatch.status !== 'active' || !betMatch.escrow || betMatch.escrow.status !== 'active') {
+    throw new Error('Only active bet matches can be cashed out');
+  }
+
+  if (['completed', 'cancelled'].includes(betMatch.bet.event.status)) {
+    throw new Error('Cannot cash out after the event has finished');
+  }
+};
+
+/**
+ * List your side of an active bet match for sale
+ * @param {string} userId - Seller's user ID
+ * @param {string} betMatchId - Bet match ID
+ * @param {number} price - Asking price
+ * @returns {Promise<Object>} Created listing
+ */
+const listPosition = async (userId, betMatchId, price) => {
+  try {
+    const betMatch = await BetMatch.findByPk(betMatchId, {
+      include: [
+        {
+          model: Bet,
+          as: 'bet',
+          include: [{ model: Event, as: 'event' }]
+        },
+        {
+          model: Escrow,
+          as: 'escrow'
+        }
+      ]
+    });
+
+    if (!betMatch) {
+      throw new Error('Bet match not found');
+    }
+
+    const side = getHeldSide(betMatch, userId);
+
+    if (!side) {
+      throw new Error('You do not hold a side of this bet match');
+    }
+
+    assertTradeable(betMatch);
+
+    const askingPrice = roundCurrency(parseFloat(price));
+    const maxPayout = roundCurrency(parseFloat(betMatch.escrow.amount) - parseFloat(betMatch.escrow.platform_fee));
+
+    // Nobody would pay more than the side can ever win
+    if (!(askingPrice > 0) || askingPrice >= maxPayout) {
+      throw new Error(`Price must be greater than 0 and less than the ${maxPayout} this side can win`);
+    }
+
+    const existing = await PositionListing.findOne({
+      where: { bet_match_id: betMatchId, side, status: 'open' }
+    });
+
+    if (existing) {
+      throw new Error('This side is already listed for sale');
+    }
+
+    const listing = await PositionListing.create({
+      bet_match_id: betMatchId,
+      side,
+      seller_id: userId,
+      price: askingPrice
+    });
+
+    logger.info(`Position listed for cash-out on bet match ${betMatchId}`, {
+      listing_id: listing.id,
+      side,
+      price: askingPrice
+    });
+
+    return listing;
+  } catch (error) {
+    logger.error(`Error listing position: ${error.message}`, { userId, betMatchId });
+    throw error;
+  }
+};
+
+/**
+ * Withdraw a listing that has not sold
+ * @param {string} userId - Seller's user ID
+ * @param {string} listingId - Listing ID
+ * @returns {Promise<Object>} Cancelled listing
+ */
+const cancelListing = async (userId, listingId) => {
+  try {
+    const listing = await PositionListing.findByPk(listingId);
+
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.seller_id !== userId) {
+      throw new Error('Only the seller can cancel this listing');
+    }
+
+    if (listing.status !== 'open') {
+      throw new Error(`Listing is not open, current status: ${listing.status}`);
+    }
+
+    await listing.update({ status: 'cancelled' });
+
+    return listing;
+  } catch (error) {
+    logger.error(`Error cancelling listing: ${error.message}`, { userId, listingId });
+    throw error;
+  }
+};
+
+/**
+ * Buy a listed position. Payment, the ledger entries and the change of
+ * ownership all happen in one transaction.
+ * @param {string} buyerId - Buyer's user ID
+ * @param {string} listingId - Listing ID
+ * @returns {Promise<Object>} Sold listing and ledger entries
+ */
+const buyPosition = async (buyerId, listingId) => {
+  const t = await sequelize.transaction();
+
+  try {
+    // Lock the listing so it cannot be sold twice
+    const listing = await PositionListing.findByPk(listingId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.status !== 'open') {
+      throw new Error(`Listing is not open, current status: ${listing.status}`);
+    }
+
+    // Lock the escrow and then its match so settlement cannot pay out
+    // mid-sale; releaseEscrow takes the same locks in the same order
+    const escrow = await Escrow.findOne({
+      where: { bet_match_id: listing.bet_match_id },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    const betMatch = await BetMatch.findByPk(listing.bet_match_id, {
+      include: [{ model: Bet, as: 'bet' }],
+      lock: { level: t.LOCK.UPDATE, of: BetMatch },
+      transaction: t
+    });
+
+    betMatch.escrow = escrow;
+
+    // A share lock holds off the event being marked finished until the sale is done
+    betMatch.bet.event = await Event.findByPk(betMatch.bet.event_id, {
+      lock: t.LOCK.SHARE,
+      transaction: t
+    });
+
+    assertTradeable(betMatch);
+
+    if (getHeldSide(betMatch, listing.seller_id) !== listing.side) {
+      throw new Error('Seller no longer holds this position');
+    }
+
+    if (buyerId === listing.seller_id) {
+      throw new Error('Cannot buy your own listing');
+    }
+
+    // One user may not end up on both sides of the same match
+    const otherSideHolder = listing.side === 'creator' ? getTakerHolderId(betMatch) : getCreatorHolderId(betMatch);
+
+    if (buyerId === otherSideHolder) {
+      throw new Error('Cannot buy the other side of a bet you already hold');
+    }
+
+    const price = parseFloat(listing.price);
+    const buyerWallet = await walletService.getWallet(buyerId, 'USD', t);
+    const sellerWallet = await walletService.getWallet(listing.seller_id, 'USD', t);
+
+    // Lock the buyer's wallet so the balance cannot be spent elsewhere before it is charged
+    await buyerWallet.reload({ lock: t.LOCK.UPDATE, transaction: t });
+
+    if (parseFloat(buyerWallet.balance) < price) {
+      throw new Error('Insufficient balance');
+    }
+
+    const metadata = {
+      listing_id: listing.id,
+      bet_match_id: betMatch.id,
+      bet_id: betMatch.bet_id,
+      escrow_id: betMatch.escrow.id,
+      side: listing.side,
+      from_user_id: listing.seller_id,
+      to_user_id: buyerId,
+      price
+    };
+
+    const purchase = await Transaction.create({
+      wallet_id: buyerWallet.id,
+      amount: -price,
+      type: 'position_purchase',
+      status: 'completed',
+      reference_id: listing.id,
+      description: `Bought the ${listing.side} side of a bet`,
+      metadata
+    }, { transaction: t });
+
+    const sale = await Transaction.create({
+      wallet_id: sellerWallet.id,
+      amount: price,
+      type: 'position_sale',
+      status: 'completed',
+      reference_id: listing.id,
+      description: `Cashed out the ${listing.side} side of a bet`,
+      metadata
+    }, { transaction: t });
+
+    await walletService.updateBalance(buyerWallet.id, -price, t);
+    await walletService.updateBalance(sellerWallet.id, price, t);
+
+    // Hand the side over; settlement pays whoever holds it, and taker_id
+    // keeps who originally took the match
+    await betMatch.update({
+      [listing.side === 'creator' ? 'creator_holder_id' : 'taker_holder_id']: buyerId
+    }, { transaction: t });
+
+    await listing.update({
+      status: 'sold',
+      buyer_id: buyerId,
+      sold_at: new Date()
+    }, { transaction: t });
+
+    await t.commit();
+
+    logger.info(`Position sold on bet match ${betMatch.id}`, {
+      listing_id: listing.id,
+      side: listing.side,
+      seller_id: listing.seller_id,
+      buyer_id: buyerId,
+      price
+    });
+
+    return {
+      listing,
+      purchase_transaction_id: purchase.id,
+      sale_transaction_id: sale.id
+    };
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error buying position: ${error.message}`, { buyerId, listingId });
+    throw error;
+  }
+};
+
+/**
+ * Get open listings
+ * @param {Object} filters - Filters (eventId, betMatchId)
+ * @param {Object} options - Query options (limit, offset)
+ * @returns {Promise<Object>} Listings and total
+ */
+const getOpenListings = async (filters = {}, options = {}) => {
+  try {
+    const { limit = 20, offset = 0 } = options;
+    const where = { status: 'open' };
+
+    if (filters.betMatchId) {
+      where.bet_match_id = filters.betMatchId;
+    }
+
+    const listings = await PositionListing.findAndCountAll({
+      where,
+      include: [
+        {
+          model: BetMatch,
+          as: 'betMatch',
+          where: { status: 'active' },
+          include: [
+            {
+              model: Bet,
+              as: 'bet',
+              ...(filters.eventId ? { where: { event_id: filters.eventId } } : {})
+            }
+          ]
+        },
+        {
+          model: User,
+          as: 'seller',
+          attributes: ['id', 'username']
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      total: listings.count,
+      listings: listings.rows,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting open listings: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the ownership history of a bet match from the ledger
+ * @param {string} betMatchId - Bet match ID
+ * @returns {Promise<Array>} Sales, oldest first
+ */
+const getOwnershipHistory = async (betMatchId) => {
+  try {
+    const listings = await PositionListing.findAll({
+      attributes: ['id'],
+      where: {
+        bet_match_id: betMatchId,
+        status: 'sold'
+      }
+    });
+
+    if (listings.length === 0) {
+      return [];
+    }
+
+    const purchases = await Transaction.findAll({
+      where: {
+        type: 'position_purchase',
+        reference_id: { [Op.in]: listings.map(listing => listing.id) }
+      },
+      order: [['created_at', 'ASC']]
+    });
+
+    return purchases.map(purchase => ({
+      listing_id: purchase.reference_id,
+      side: purchase.metadata.side,
+      from_user_id: purchase.metadata.from_user_id,
+      to_user_id: purchase.metadata.to_user_id,
+      price: purchase.metadata.price,
+      transaction_id: purchase.id,
+      sold_at: purchase.created_at
+    }));
+  } catch (error) {
+    logger.error(`Error getting ownership history: ${error.message}`, { betMatchId });
+    throw error;
+  }
+};
+
+module.exports = {
+  listPosition,
+  cancelListing,
+  buyPosition,
+  getOpenListings,
+  getOwnershipHistory
+};
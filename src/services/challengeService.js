@@ -0,0 +1,299 @@
+/**
+ * Challenge Service
+ *
+ * This service handles private bets between friends. A private bet is only
+ * open to the users it names and to holders of its share code; a challenge
+ * is a private bet aimed at one user, who accepts or declines it. Invites
+ * lapse with their bet's expiry time, when the bet expiry sweep refunds
+ * whatever is still unmatched.
+ */
+
+const { Op } = require('sequelize');
+const { Bet, BetInvite, Event, User } = require('../models');
+const bettingService = require('./bettingService');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const logger = require('../config/logger');
+
+/**
+ * Challenge a user to a bet
+ * @param {string} userId - Challenger's user ID
+ * @param {string} username - Username of the user being challenged
+ * @param {Object} betData - Bet data
+ * @returns {Promise<Object>} Created bet with its invite
+ */
+const createChallenge = async (userId, username, betData) => {
+  try {
+    const bet = await bettingService.createBet(userId, {
+      ...betData,
+      visibility: 'private',
+      invitees: [username]
+    }, { challenge: true });
+
+    logger.info(`Challenge ${bet.id} sent to ${username}`, { creator_id: userId });
+
+    return bet;
+  } catch (error) {
+    logger.error(`Error creating challenge: ${error.message}`, { userId, username });
+    throw error;
+  }
+};
+
+/**
+ * Find a pending challenge addressed to a user
+ * @param {string} userId - Challenged user's ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Pending challenge invite
+ */
+const findPendingChallenge = async (userId, inviteId) => {
+  const invite = await BetInvite.findOne({
+    where: { id: inviteId, user_id: userId, kind: 'challenge' }
+  });
+
+  if (!invite) {
+    throw new Error('Challenge not found');
+  }
+
+  if (invite.status !== 'pending') {
+    throw new Error(`Challenge is no longer pending, current status: ${invite.status}`);
+  }
+
+  return invite;
+};
+
+/**
+ * Accept a challenge by taking the bet in full
+ * @param {string} userId - Challenged user's ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Bet match data
+ */
+const acceptChallenge = async (userId, inviteId) => {
+  try {
+    const invite = await findPendingChallenge(userId, inviteId);
+
+    // Taking the bet marks the challenge accepted and tells the challenger
+    return await bettingService.takeBet(userId, invite.bet_id);
+  } catch (error) {
+    logger.error(`Error accepting challenge: ${error.message}`, { userId, inviteId });
+    throw error;
+  }
+};
+
+/**
+ * Decline a challenge, refunding the challenger's stake
+ * @param {string} userId - Challenged user's ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Declined invite
+ */
+const declineChallenge = async (userId, inviteId) => {
+  try {
+    const invite = await findPendingChallenge(userId, inviteId);
+
+    await bettingService.cancelBet(invite.invited_by, invite.bet_id);
+
+    await invite.update({
+      status: 'declined',
+      responded_at: new Date()
+    });
+
+    notify(invite.invited_by, NOTIFICATION_TYPES.CHALLENGE_DECLINED, {
+      bet_id: invite.bet_id,
+      invite_id: invite.id,
+      by_user_id: userId
+    });
+
+    return invite;
+  } catch (error) {
+    logger.error(`Error declining challenge: ${error.message}`, { userId, inviteId });
+    throw error;
+  }
+};
+
+/**
+ * Get the invites and challenges sent to a user
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options (status, limit, offset)
+ * @returns {Promise<Object>} Invites and total
+ */
+const getUserInvites = async (userId, options = {}) => {
+  try {
+    const { status, limit = 20, offset = 0 } = options;
+    const where = { user_id: userId };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const invites = await BetInvite.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Bet,
+          as: 'bet',
+          attributes: { exclude: ['invite_code'] },
+          include: [
+            {
+              model: Event,
+              as: 'event'
+            },
+            {
+              model: User,
+              as: 'creator',
+              attributes: ['id', 'username']
+            }
+          ]
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      total: invites.count,
+      invites: invites.rows,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting invites: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+/**
+ * Look up a private bet from its share code
+ * @param {string} inviteCode - Share code
+ * @returns {Promise<Object>} Bet
+ */
+const getBetByInviteCode = async (inviteCode) => {
+  try {
+    const bet = await Bet.findOne({
+      where: { invite_code: inviteCode },
+      include: [
+        {
+          model: Event,
+          as: 'event'
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'username']
+        }
+      ]
+    });
+
+    if (!bet) {
+      throw new Error('Invite code not found');
+    }
+
+    return bet;
+  } catch (error) {
+    logger.error(`Error getting bet by invite code: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the share code and link for a private bet
+ * @param {string} userId - Creator's user ID
+ * @param {string} betId - Bet ID
+ * @returns {Promise<Object>} Invite code and share link
+ */
+const getShareLink = async (userId, betId) => {
+  try {
+    const bet = await Bet.findByPk(betId);
+
+    if (!bet) {
+      throw new Error('Bet not found');
+    }
+
+    if (bet.creator_id !== userId) {
+      throw new Error('Only the creator can share this bet');
+    }
+
+    if (!bet.invite_code) {
+      throw new Error('Bet has no share code');
+    }
+
+    return {
+      invite_code: bet.invite_code,
+      share_link: `${process.env.FRONTEND_URL}/bets/invite/${bet.invite_code}`,
+      expiry_time: bet.expiry_time
+    };
+  } catch (error) {
+    logger.error(`Error getting share link: ${error.message}`, { userId, betId });
+    throw error;
+  }
+};
+
+/**
+ * Expire invites still pending on private bets whose invite has run out.
+ * The bets themselves are expired and refunded by the bet expiry sweep.
+ * @returns {Promise<number>} Number of invites expired
+ */
+const expireInvites = async () => {
+  try {
+    const now = new Date();
+
+    // Also covers invites left pending on bets that other invitees filled
+    const pendingInvites = await BetInvite.findAll({
+      where: { status: 'pending' },
+      include: [
+        {
+          model: Bet,
+          as: 'bet',
+          where: { expiry_time: { [Op.lte]: now } }
+        }
+      ]
+    });
+
+    for (const invite of pendingInvites) {
+      await invite.update({ status: 'expired', responded_at: now });
+
+      const data = { bet_id: invite.bet_id, invite_id: invite.id };
+
+      if (invite.kind === 'challenge') {
+        notify(invite.user_id, NOTIFICATION_TYPES.CHALLENGE_EXPIRED, data);
+        notify(invite.invited_by, NOTIFICATION_TYPES.CHALLENGE_EXPIRED, data);
+      } else {
+        notify(invite.user_id, NOTIFICATION_TYPES.INVITE_EXPIRED, data);
+      }
+    }
+
+    if (pendingInvites.length > 0) {
+      logger.info(`Expired ${pendingInvites.length} bet invites`);
+    }
+
+    return pendingInvites.length;
+  } catch (error) {
+    logger.error(`Error expiring invites: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Schedule expiry of lapsed invites
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleInviteExpiry = (interval = 60000) => { // Default: 1 minute
+  setInterval(async () => {
+    try {
+      await expireInvites();
+    } catch (error) {
+      logger.error(`Error in scheduled invite expiry: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Invite expiry scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  createChallenge,
+  acceptChallenge,
+  declineChallenge,
+  getUserInvites,
+  getBetByInviteCode,
+  getShareLink,
+  expireInvites,
+  scheduleInviteExpiry
+};
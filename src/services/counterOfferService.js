@@ -0,0 +1,407 @@
+/**
+ * Counter-Offer Service
+ *
+ * This service lets a would-be taker negotiate an open bet instead of taking
+ * it as posted. The taker proposes odds and a stake; whoever did not make
+ * the latest proposal can accept, reject or counter it. An accepted offer is
+ * filled through bettingService.takeBet at the agreed terms, and every
+ * negotiation thread lapses at a single expiry time.
+ */
+
+const { Op } = require('sequelize');
+const { Bet, BetOffer, Event, User } = require('../models');
+const bettingService = require('./bettingService');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const logger = require('../config/logger');
+
+// How long a negotiation thread stays open
+const OFFER_EXPIRY_MINUTES = parseInt(process.env.COUNTER_OFFER_EXPIRY_MINUTES, 10) || 30;
+
+/**
+ * Check a bet can still be negotiated
+ * @param {Object} bet - Bet with its event loaded
+ * @throws {Error} If the bet cannot take counter-offers
+ */
+const assertNegotiable = (bet) => {
+  if (bet.status !== 'open') {
+    throw new Error('Bet is not open for matching');
+  }
+
+  if (bet.bet_type === 'parlay') {
+    throw new Error('Parlay odds are set by their legs and cannot be negotiated');
+  }
+
+  if (bet.visibility === 'private') {
+    throw new Error('Private bets cannot be negotiated');
+  }
+
+  if (new Date(bet.event.start_time) <= new Date()) {
+    throw new Error('Cannot negotiate a bet on an event that has already started');
+  }
+};
+
+/**
+ * Check proposed terms fit what is left of the bet
+ * @param {Object} bet - Bet
+ * @param {Object} terms - Proposed odds and taker stake
+ * @returns {Object} Parsed odds and stake
+ * @throws {Error} If the terms are invalid or the bet cannot cover them
+ */
+const parseTerms = (bet, terms) => {
+  const odds = Math.round(parseFloat(terms.odds) * 100) / 100;
+  const stake = parseFloat(terms.stake_amount);
+
+  if (!(odds >= 1.01)) {
+    throw new Error('Odds must be at least 1.01');
+  }
+
+  // Throws if the creator's unmatched stake cannot cover the taker stake at these odds
+  bettingService.calculateFill(bet, stake, odds);
+
+  return { odds, stake_amount: stake };
+};
+
+/**
+ * Get the user who made an offer
+ * @param {Object} offer - Offer with its bet loaded
+ * @returns {string} Proposer's user ID
+ */
+const getProposerId = (offer) =>
+  (offer.proposed_by === 'taker' ? offer.taker_id : offer.bet.creator_id);
+
+/**
+ * Get the user who has to answer an offer
+ * @param {Object} offer - Offer with its bet loaded
+ * @returns {string} Responder's user ID
+ */
+const getResponderId = (offer) =>
+  (offer.proposed_by === 'taker' ? offer.bet.creator_id : offer.taker_id);
+
+/**
+ * Load a pending offer the user is entitled to answer
+ * @param {string} userId - Responder's user ID
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Object>} Offer with its bet and event loaded
+ */
+const findActionableOffer = async (userId, offerId) => {
+  const offer = await BetOffer.findByPk(offerId, {
+    include: [
+      {
+        model: Bet,
+        as: 'bet',
+        include: [{ model: Event, as: 'event' }]
+      }
+    ]
+  });
+
+  if (!offer) {
+    throw new Error('Offer not found');
+  }
+
+  if (getResponderId(offer) !== userId) {
+    throw new Error('Only the other party can respond to this offer');
+  }
+
+  if (offer.status !== 'pending') {
+    throw new Error(`Offer is no longer pending, current status: ${offer.status}`);
+  }
+
+  if (new Date(offer.expires_at) <= new Date()) {
+    await offer.update({ status: 'expired' });
+    throw new Error('Offer has expired');
+  }
+
+  return offer;
+};
+
+/**
+ * Move a pending offer to a new status unless someone else got there first
+ * @param {Object} offer - Offer
+ * @param {string} status - New status
+ * @returns {Promise<void>}
+ */
+const claimOffer = async (offer, status) => {
+  const [claimed] = await BetOffer.update(
+    { status, responded_at: new Date() },
+    { where: { id: offer.id, status: 'pending' } }
+  );
+
+  if (claimed === 0) {
+    throw new Error('Offer is no longer pending');
+  }
+
+  offer.status = status;
+};
+
+/**
+ * Propose different terms for an open bet
+ * @param {string} userId - Would-be taker's user ID
+ * @param {string} betId - Bet ID
+ * @param {Object} terms - Odds (creator's side) and taker stake
+ * @returns {Promise<Object>} Created offer
+ */
+const proposeOffer = async (userId, betId, terms) => {
+  try {
+    const bet = await Bet.findByPk(betId, {
+      include: [{ model: Event, as: 'event' }]
+    });
+
+    if (!bet) {
+      throw new Error('Bet not found');
+    }
+
+    if (bet.creator_id === userId) {
+      throw new Error('Cannot make an offer on your own bet');
+    }
+
+    assertNegotiable(bet);
+
+    const { odds, stake_amount } = parseTerms(bet, terms);
+
+    const pending = await BetOffer.findOne({
+      where: { bet_id: bet.id, taker_id: userId, status: 'pending' }
+    });
+
+    if (pending) {
+      throw new Error('You already have a negotiation open on this bet');
+    }
+
+    // The thread cannot outlive the bet itself
+    const threadExpiry = new Date(Date.now() + OFFER_EXPIRY_MINUTES * 60000);
+    const expiresAt = bet.expiry_time && new Date(bet.expiry_time) < threadExpiry
+      ? new Date(bet.expiry_time)
+      : threadExpiry;
+
+    const offer = await BetOffer.create({
+      bet_id: bet.id,
+      taker_id: userId,
+      proposed_by: 'taker',
+      odds,
+      stake_amount,
+      expires_at: expiresAt
+    });
+
+    notify(bet.creator_id, NOTIFICATION_TYPES.OFFER_RECEIVED, {
+      bet_id: bet.id,
+      offer_id: offer.id,
+      from_user_id: userId
+    });
+
+    return offer;
+  } catch (error) {
+    logger.error(`Error proposing offer: ${error.message}`, { userId, betId });
+    throw error;
+  }
+};
+
+/**
+ * Answer an offer with different terms
+ * @param {string} userId - Responder's user ID
+ * @param {string} offerId - Offer being countered
+ * @param {Object} terms - Odds (creator's side) and taker stake
+ * @returns {Promise<Object>} Counter-offer
+ */
+const counterOffer = async (userId, offerId, terms) => {
+  try {
+    const offer = await findActionableOffer(userId, offerId);
+
+    assertNegotiable(offer.bet);
+
+    const { odds, stake_amount } = parseTerms(offer.bet, terms);
+
+    await claimOffer(offer, 'countered');
+
+    const counter = await BetOffer.create({
+      bet_id: offer.bet_id,
+      taker_id: offer.taker_id,
+      proposed_by: offer.proposed_by === 'taker' ? 'creator' : 'taker',
+      parent_offer_id: offer.id,
+      odds,
+      stake_amount,
+      expires_at: offer.expires_at
+    });
+
+    notify(getProposerId(offer), NOTIFICATION_TYPES.OFFER_COUNTERED, {
+      bet_id: offer.bet_id,
+      offer_id: counter.id,
+      from_user_id: userId
+    });
+
+    return counter;
+  } catch (error) {
+    logger.error(`Error countering offer: ${error.message}`, { userId, offerId });
+    throw error;
+  }
+};
+
+/**
+ * Accept an offer, filling the bet at the agreed terms
+ * @param {string} userId - Responder's user ID
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Object>} Accepted offer, bet match and escrow
+ */
+const acceptOffer = async (userId, offerId) => {
+  try {
+    const offer = await findActionableOffer(userId, offerId);
+
+    await claimOffer(offer, 'accepted');
+
+    let result;
+
+    try {
+      // The taker's wallet is debited whichever side accepts; they proposed or agreed to these terms
+      result = await bettingService.takeBet(offer.taker_id, offer.bet_id, {
+        stake_amount: parseFloat(offer.stake_amount),
+        odds: parseFloat(offer.odds)
+      });
+    } catch (error) {
+      await BetOffer.update({ status: 'pending', responded_at: null }, { where: { id: offer.id } });
+      throw error;
+    }
+
+    await offer.update({ bet_match_id: result.betMatch.id });
+
+    notify(getProposerId(offer), NOTIFICATION_TYPES.OFFER_ACCEPTED, {
+      bet_id: offer.bet_id,
+      offer_id: offer.id,
+      bet_match_id: result.betMatch.id,
+      by_user_id: userId
+    });
+
+    logger.info(`Offer ${offer.id} accepted on bet ${offer.bet_id}`, {
+      odds: offer.odds,
+      stake_amount: offer.stake_amount
+    });
+
+    return {
+      offer,
+      ...result
+    };
+  } catch (error) {
+    logger.error(`Error accepting offer: ${error.message}`, { userId, offerId });
+    throw error;
+  }
+};
+
+/**
+ * Reject an offer, closing the negotiation
+ * @param {string} userId - Responder's user ID
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Object>} Rejected offer
+ */
+const rejectOffer = async (userId, offerId) => {
+  try {
+    const offer = await findActionableOffer(userId, offerId);
+
+    await claimOffer(offer, 'rejected');
+
+    notify(getProposerId(offer), NOTIFICATION_TYPES.OFFER_REJECTED, {
+      bet_id: offer.bet_id,
+      offer_id: offer.id,
+      by_user_id: userId
+    });
+
+    return offer;
+  } catch (error) {
+    logger.error(`Error rejecting offer: ${error.message}`, { userId, offerId });
+    throw error;
+  }
+};
+
+/**
+ * Get the negotiations on a bet. The creator sees every thread, anyone else
+ * only their own.
+ * @param {string} userId - User ID
+ * @param {string} betId - Bet ID
+ * @returns {Promise<Array>} Offers, oldest first
+ */
+const getBetOffers = async (userId, betId) => {
+  try {
+    const bet = await Bet.findByPk(betId);
+
+    if (!bet) {
+      throw new Error('Bet not found');
+    }
+
+    const where = { bet_id: betId };
+
+    if (bet.creator_id !== userId) {
+      where.taker_id = userId;
+    }
+
+    return await BetOffer.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'taker',
+          attributes: ['id', 'username']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+  } catch (error) {
+    logger.error(`Error getting bet offers: ${error.message}`, { userId, betId });
+    throw error;
+  }
+};
+
+/**
+ * Expire negotiations whose thread has lapsed
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireOffers = async () => {
+  try {
+    const lapsed = await BetOffer.findAll({
+      where: {
+        status: 'pending',
+        expires_at: { [Op.lte]: new Date() }
+      },
+      include: [{ model: Bet, as: 'bet' }]
+    });
+
+    for (const offer of lapsed) {
+      await offer.update({ status: 'expired' });
+
+      notify(getProposerId(offer), NOTIFICATION_TYPES.OFFER_EXPIRED, {
+        bet_id: offer.bet_id,
+        offer_id: offer.id
+      });
+    }
+
+    if (lapsed.length > 0) {
+      logger.info(`Expired ${lapsed.length} counter-offers`);
+    }
+
+    return lapsed.length;
+  } catch (error) {
+    logger.error(`Error expiring offers: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Schedule expiry of lapsed negotiations
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleOfferExpiry = (interval = 60000) => { // Default: 1 minute
+  setInterval(async () => {
+    try {
+      await expireOffers();
+    } catch (error) {
+      logger.error(`Error in scheduled offer expiry: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Offer expiry scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  proposeOffer,
+  counterOffer,
+  acceptOffer,
+  rejectOffer,
+  getBetOffers,
+  expireOffers,
+  scheduleOfferExpiry
+};
@@ -0,0 +1,766 @@
+/**
+ * Dispute Service
+ *
+ * This service manages dispute cases over bet escrows: the thread between
+ * both parties and the admins handling the case, the evidence each side
+ * uploads, and the case status. A case is opened by one party and waits for
+ * the other to respond; any reply from the party being waited on puts it
+ * under review. Admins can ask either party for more, resolve the case
+ * through escrowService.resolveDispute, and decide appeals.
+ *
+ * Cases run on SLA timers, enforced by disputeSlaService: the respondent has
+ * DISPUTE_RESPONSE_HOURS to answer before the case resolves in the opener's
+ * favour, and a case no admin has acted on for DISPUTE_ESCALATION_HOURS
+ * moves to the senior queue. Every step a case takes is recorded as a
+ * DisputeTransition.
+ *
+ * Evidence files are stored on local disk under UPLOAD_PATH; images also get
+ * a JPEG thumbnail so the admin queue can show them without loading the
+ * full upload.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DisputeCase, DisputeMessage, DisputeEvidence, DisputeTransition, User, sequelize } = require('../models');
+const { UPLOAD_ROOT } = require('../middleware/upload');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const logger = require('../config/logger');
+
+const DISPUTE_STATUSES = {
+  OPENED: 'opened',
+  AWAITING_RESPONSE: 'awaiting_response',
+  UNDER_REVIEW: 'under_review',
+  RESOLVED: 'resolved',
+  APPEALED: 'appealed'
+};
+
+// Cases still being argued; parties can add messages and evidence to these
+const ACTIVE_STATUSES = [
+  DISPUTE_STATUSES.OPENED,
+  DISPUTE_STATUSES.AWAITING_RESPONSE,
+  DISPUTE_STATUSES.UNDER_REVIEW,
+  DISPUTE_STATUSES.APPEALED
+];
+
+const DISPUTE_QUEUES = {
+  STANDARD: 'standard',
+  SENIOR: 'senior'
+};
+
+// How long after resolution a party can appeal
+const APPEAL_WINDOW_HOURS = parseInt(process.env.DISPUTE_APPEAL_WINDOW_HOURS, 10) || 72;
+
+// How long the respondent has to answer before the case goes to the opener
+const RESPONSE_HOURS = parseInt(process.env.DISPUTE_RESPONSE_HOURS, 10) || 48;
+
+// How long a case can go without an admin acting on it before it escalates
+const ESCALATION_HOURS = parseInt(process.env.DISPUTE_ESCALATION_HOURS, 10) || 24;
+
+// How long after an event a result can still be disputed
+const SETTLEMENT_WINDOW_HOURS = parseInt(process.env.DISPUTE_SETTLEMENT_WINDOW_HOURS, 10) || 72;
+
+const THUMBNAIL_SIZE = 320;
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const userAttributes = ['id', 'username'];
+
+/**
+ * A time the given number of hours from now
+ * @param {number} hours - Hours ahead
+ * @returns {Date} Deadline
+ */
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600000);
+
+/**
+ * Last moment a dispute can be raised over a bet on an event: the settlement
+ * window counts from the end of the event, or its start if no end is known
+ * @param {Object} event - Event the bet is on
+ * @returns {Date} Deadline
+ */
+const getDisputeDeadline = (event) => {
+  const endedAt = new Date(event.end_time || event.start_time);
+  return new Date(endedAt.getTime() + SETTLEMENT_WINDOW_HOURS * 3600000);
+};
+
+/**
+ * Update a case and record the step in its history. The update only applies
+ * while the case is still in the status the caller saw, so two requests
+ * moving the same case cannot both go through.
+ * @param {Object} dispute - Dispute case
+ * @param {Object} changes - Fields to update
+ * @param {Object} step - What happened
+ * @param {string} step.event - Transition event
+ * @param {string} step.actorId - User taking the step; null for SLA timers
+ * @param {Object} step.details - Anything else worth keeping (optional)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Updated case
+ */
+const applyTransition = async (dispute, changes, { event, actorId = null, details = null }, transaction) => {
+  const fromStatus = dispute.status;
+
+  const [updated] = await DisputeCase.update(changes, {
+    where: { id: dispute.id, status: fromStatus },
+    transaction
+  });
+
+  if (updated === 0) {
+    throw new Error(`Dispute is no longer ${fromStatus}; it was changed by another request`);
+  }
+
+  await dispute.reload({ transaction });
+
+  await DisputeTransition.create({
+    dispute_id: dispute.id,
+    event,
+    from_status: fromStatus,
+    to_status: dispute.status,
+    actor_id: actorId,
+    details
+  }, { transaction });
+
+  return dispute;
+};
+
+/**
+ * Whether a user is one of the two parties to a case
+ * @param {Object} dispute - Dispute case
+ * @param {string} userId - User ID
+ * @returns {boolean} True for the opener and the respondent
+ */
+const isParty = (dispute, userId) => dispute.opened_by === userId || dispute.respondent_id === userId;
+
+/**
+ * Find a case and check the user may take part in it
+ * @param {Object} user - Requesting user (id and role)
+ * @param {string} disputeId - Dispute case ID
+ * @returns {Promise<Object>} Dispute case
+ */
+const findCaseForUser = async (user, disputeId) => {
+  const dispute = await DisputeCase.findByPk(disputeId);
+
+  if (!dispute) {
+    throw new Error('Dispute not found');
+  }
+
+  if (!isParty(dispute, user.id) && user.role !== 'admin') {
+    throw new Error('Only the parties to a dispute and admins can access it');
+  }
+
+  return dispute;
+};
+
+/**
+ * Everyone on a case except the given user
+ * @param {Object} dispute - Dispute case
+ * @param {string} userId - User to leave out
+ * @returns {Array<string>} Party user IDs
+ */
+const otherParties = (dispute, userId) => [dispute.opened_by, dispute.respondent_id].filter(id => id !== userId);
+
+/**
+ * Work out the status change caused by a party adding to the thread: a reply
+ * from the party the case is waiting on puts it under review, and stops the
+ * respondent's clock
+ * @param {Object} dispute - Dispute case
+ * @param {string} userId - Party posting
+ * @returns {Object|null} Fields to update, or null if the status stays
+ */
+const responseTransition = (dispute, userId) => {
+  const answersOpening = dispute.status === DISPUTE_STATUSES.OPENED && userId === dispute.respondent_id;
+  const answersRequest = dispute.status === DISPUTE_STATUSES.AWAITING_RESPONSE && userId === dispute.awaiting_party_id;
+
+  if (answersOpening || answersRequest) {
+    return { status: DISPUTE_STATUSES.UNDER_REVIEW, awaiting_party_id: null, response_due_at: null };
+  }
+
+  return null;
+};
+
+/**
+ * Check the case is still open to new messages and evidence
+ * @param {Object} dispute - Dispute case
+ */
+const assertCaseActive = (dispute) => {
+  if (!ACTIVE_STATUSES.includes(dispute.status)) {
+    throw new Error(`Dispute is ${dispute.status} and no longer takes new messages or evidence`);
+  }
+};
+
+/**
+ * Record the effect of a party or admin adding to the thread: a reply the
+ * case was waiting on moves it along, and any admin post restarts the
+ * escalation clock
+ * @param {Object} dispute - Dispute case
+ * @param {Object} user - Author (id and role)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const recordActivity = async (dispute, user, transaction) => {
+  if (!isParty(dispute, user.id)) {
+    await dispute.update({ admin_due_at: hoursFromNow(ESCALATION_HOURS) }, { transaction });
+    return;
+  }
+
+  const transition = responseTransition(dispute, user.id);
+  if (transition) {
+    await applyTransition(dispute, transition, { event: 'responded', actorId: user.id }, transaction);
+  }
+};
+
+/**
+ * Open a case for a newly disputed escrow, starting the respondent's and the
+ * admins' clocks. Called by escrowService.createDispute.
+ * @param {Object} params - Case details
+ * @param {string} params.escrowId - Escrow ID
+ * @param {string} params.openedBy - Party opening the dispute
+ * @param {string} params.respondentId - The other party
+ * @param {string} params.reason - Why the result is disputed
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Created case
+ */
+const openCase = async ({ escrowId, openedBy, respondentId, reason }, transaction) => {
+  const existing = await DisputeCase.findOne({ where: { escrow_id: escrowId }, transaction });
+
+  if (existing) {
+    throw new Error('This escrow has already been disputed');
+  }
+
+  const dispute = await DisputeCase.create({
+    escrow_id: escrowId,
+    opened_by: openedBy,
+    respondent_id: respondentId,
+    status: DISPUTE_STATUSES.OPENED,
+    reason,
+    response_due_at: hoursFromNow(RESPONSE_HOURS),
+    admin_due_at: hoursFromNow(ESCALATION_HOURS)
+  }, { transaction });
+
+  await DisputeTransition.create({
+    dispute_id: dispute.id,
+    event: 'opened',
+    from_status: null,
+    to_status: dispute.status,
+    actor_id: openedBy
+  }, { transaction });
+
+  return dispute;
+};
+
+/**
+ * Mark the case for an escrow resolved. Called by escrowService.resolveDispute.
+ * Escrows disputed before cases existed have none, and are left alone.
+ *
+ * A default resolution is only recorded while the case is still opened and
+ * past its response deadline, so a respondent answering at the last moment
+ * rolls the resolution back.
+ * @param {string} escrowId - Escrow ID
+ * @param {Object} resolution - Resolution details
+ * @param {string} resolution.adminId - Admin resolving the dispute; null for a default resolution
+ * @param {string} resolution.outcome - winner_declared, refunded or split
+ * @param {Object} resolution.allocation - Amounts paid to each share of a split (optional)
+ * @param {boolean} resolution.byDefault - Resolved because the respondent never answered
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Resolved case
+ */
+const markResolved = async (escrowId, { adminId, outcome, allocation = null, byDefault = false }, transaction) => {
+  const dispute = await DisputeCase.findOne({ where: { escrow_id: escrowId }, transaction });
+
+  if (!dispute) {
+    if (byDefault) {
+      throw new Error('Dispute not found');
+    }
+    return null;
+  }
+
+  if (dispute.status === DISPUTE_STATUSES.RESOLVED) {
+    throw new Error('Dispute has already been resolved');
+  }
+
+  const overdue = dispute.status === DISPUTE_STATUSES.OPENED &&
+    dispute.response_due_at &&
+    new Date(dispute.response_due_at) <= new Date();
+
+  if (byDefault && !overdue) {
+    throw new Error('Dispute is no longer waiting on an overdue response');
+  }
+
+  return applyTransition(dispute, {
+    status: DISPUTE_STATUSES.RESOLVED,
+    awaiting_party_id: null,
+    resolution: outcome,
+    resolved_by: adminId,
+    resolved_at: new Date(),
+    response_due_at: null,
+    admin_due_at: null
+  }, {
+    event: byDefault ? 'default_resolved' : 'resolved',
+    actorId: adminId,
+    details: allocation ? { outcome, allocation } : { outcome }
+  }, transaction);
+};
+
+/**
+ * Load cases with their full thread, evidence and history
+ * @param {Array<string>} disputeIds - Dispute case IDs
+ * @returns {Promise<Array>} Cases
+ */
+const getCaseThreads = (disputeIds) => DisputeCase.findAll({
+  where: { id: disputeIds },
+  include: [
+    { model: User, as: 'opener', attributes: userAttributes },
+    { model: User, as: 'respondent', attributes: userAttributes },
+    {
+      model: DisputeMessage,
+      as: 'messages',
+      include: [{ model: User, as: 'author', attributes: userAttributes }]
+    },
+    {
+      model: DisputeEvidence,
+      as: 'evidence',
+      include: [{ model: User, as: 'uploader', attributes: userAttributes }]
+    },
+    {
+      model: DisputeTransition,
+      as: 'transitions',
+      include: [{ model: User, as: 'actor', attributes: userAttributes }]
+    }
+  ],
+  order: [
+    [{ model: DisputeMessage, as: 'messages' }, 'created_at', 'ASC'],
+    [{ model: DisputeEvidence, as: 'evidence' }, 'created_at', 'ASC'],
+    [{ model: DisputeTransition, as: 'transitions' }, 'created_at', 'ASC']
+  ]
+});
+
+/**
+ * Get a case with its thread, evidence and history
+ * @param {Object} user - Requesting user (id and role)
+ * @param {string} disputeId - Dispute case ID
+ * @returns {Promise<Object>} Case
+ */
+const getCase = async (user, disputeId) => {
+  try {
+    await findCaseForUser(user, disputeId);
+
+    const [dispute] = await getCaseThreads([disputeId]);
+    return dispute;
+  } catch (error) {
+    logger.error(`Error getting dispute: ${error.message}`, { disputeId, userId: user.id });
+    throw error;
+  }
+};
+
+/**
+ * Post a message to a case's thread
+ * @param {Object} user - Author (id and role)
+ * @param {string} disputeId - Dispute case ID
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Created message
+ */
+const postMessage = async (user, disputeId, body) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const dispute = await findCaseForUser(user, disputeId);
+    assertCaseActive(dispute);
+
+    const message = await DisputeMessage.create({
+      dispute_id: dispute.id,
+      author_id: user.id,
+      author_role: isParty(dispute, user.id) ? 'party' : 'admin',
+      body
+    }, { transaction: t });
+
+    await recordActivity(dispute, user, t);
+
+    await t.commit();
+
+    otherParties(dispute, user.id).forEach(userId => notify(userId, NOTIFICATION_TYPES.DISPUTE_MESSAGE, {
+      dispute_id: dispute.id,
+      message_id: message.id
+    }));
+
+    return message;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error posting dispute message: ${error.message}`, { disputeId, userId: user.id });
+    throw error;
+  }
+};
+
+/**
+ * Remove uploaded files, ignoring any that are already gone
+ * @param {Array<string>} filePaths - Absolute file paths
+ */
+const removeFiles = async (filePaths) => {
+  await Promise.all(filePaths.filter(Boolean).map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+};
+
+/**
+ * Make a thumbnail next to an uploaded image
+ * @param {string} filePath - Absolute path of the upload
+ * @returns {Promise<string>} Absolute path of the thumbnail
+ */
+const createThumbnail = async (filePath) => {
+  // Loaded here rather than at the top so the services that depend on this
+  // module still load where the sharp native binary is missing
+  const sharp = require('sharp');
+  const { dir, name } = path.parse(filePath);
+  const thumbnailPath = path.join(dir, `${name}-thumb.jpg`);
+
+  await sharp(filePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toFile(thumbnailPath);
+
+  return thumbnailPath;
+};
+
+/**
+ * Attach an uploaded file to a case as evidence. The upload is removed again
+ * if it cannot be attached.
+ * @param {Object} user - Uploader (id and role)
+ * @param {string} disputeId - Dispute case ID
+ * @param {Object} file - File stored by the evidence upload middleware
+ * @param {string} description - What the file shows (optional)
+ * @returns {Promise<Object>} Created evidence
+ */
+const addEvidence = async (user, disputeId, file, description) => {
+  const t = await sequelize.transaction();
+  let thumbnailPath = null;
+
+  try {
+    if (!file) {
+      throw new Error('An evidence file is required');
+    }
+
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const dispute = await findCaseForUser(user, disputeId);
+    assertCaseActive(dispute);
+
+    if (file.mimetype.startsWith('image/')) {
+      thumbnailPath = await createThumbnail(file.path);
+    }
+
+    const evidence = await DisputeEvidence.create({
+      dispute_id: dispute.id,
+      uploaded_by: user.id,
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size: file.size,
+      file_path: path.relative(UPLOAD_ROOT, file.path),
+      thumbnail_path: thumbnailPath ? path.relative(UPLOAD_ROOT, thumbnailPath) : null,
+      description: description || null
+    }, { transaction: t });
+
+    await recordActivity(dispute, user, t);
+
+    await t.commit();
+
+    otherParties(dispute, user.id).forEach(userId => notify(userId, NOTIFICATION_TYPES.DISPUTE_MESSAGE, {
+      dispute_id: dispute.id,
+      evidence_id: evidence.id
+    }));
+
+    return evidence;
+  } catch (error) {
+    await t.rollback();
+    await removeFiles([file && file.path, thumbnailPath]);
+    logger.error(`Error adding dispute evidence: ${error.message}`, { disputeId, userId: user.id });
+    throw error;
+  }
+};
+
+/**
+ * Locate an evidence file on disk for download
+ * @param {Object} user - Requesting user (id and role)
+ * @param {string} disputeId - Dispute case ID
+ * @param {string} evidenceId - Evidence ID
+ * @param {boolean} thumbnail - Return the thumbnail instead of the original
+ * @returns {Promise<Object>} Absolute path, MIME type and original file name
+ */
+const getEvidenceFile = async (user, disputeId, evidenceId, thumbnail = false) => {
+  try {
+    await findCaseForUser(user, disputeId);
+
+    const evidence = await DisputeEvidence.findOne({ where: { id: evidenceId, dispute_id: disputeId } });
+
+    if (!evidence) {
+      throw new Error('Evidence not found');
+    }
+
+    if (thumbnail && !evidence.thumbnail_path) {
+      throw new Error('This evidence has no thumbnail');
+    }
+
+    return {
+      path: path.join(UPLOAD_ROOT, thumbnail ? evidence.thumbnail_path : evidence.file_path),
+      mime_type: thumbnail ? 'image/jpeg' : evidence.mime_type,
+      original_name: evidence.original_name
+    };
+  } catch (error) {
+    logger.error(`Error getting dispute evidence: ${error.message}`, { disputeId, evidenceId });
+    throw error;
+  }
+};
+
+/**
+ * Ask a party for a response; the case waits on them until they reply (admin only)
+ * @param {string} adminId - Admin user ID
+ * @param {string} disputeId - Dispute case ID
+ * @param {string} partyId - Party to respond
+ * @param {string} body - What the admin needs from them
+ * @returns {Promise<Object>} Updated case
+ */
+const requestResponse = async (adminId, disputeId, partyId, body) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const dispute = await DisputeCase.findByPk(disputeId);
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    assertCaseActive(dispute);
+
+    if (!isParty(dispute, partyId)) {
+      throw new Error('Responses can only be requested from a party to the dispute');
+    }
+
+    await DisputeMessage.create({
+      dispute_id: dispute.id,
+      author_id: adminId,
+      author_role: 'admin',
+      body
+    }, { transaction: t });
+
+    await applyTransition(dispute, {
+      status: DISPUTE_STATUSES.AWAITING_RESPONSE,
+      awaiting_party_id: partyId,
+      response_due_at: null,
+      admin_due_at: hoursFromNow(ESCALATION_HOURS)
+    }, {
+      event: 'response_requested',
+      actorId: adminId,
+      details: { party_id: partyId }
+    }, t);
+
+    await t.commit();
+
+    notify(partyId, NOTIFICATION_TYPES.DISPUTE_RESPONSE_REQUESTED, { dispute_id: dispute.id });
+
+    return dispute;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error requesting dispute response: ${error.message}`, { disputeId, adminId });
+    throw error;
+  }
+};
+
+/**
+ * Take a case into review without waiting on either party (admin only)
+ * @param {string} adminId - Admin user ID
+ * @param {string} disputeId - Dispute case ID
+ * @returns {Promise<Object>} Updated case
+ */
+const startReview = async (adminId, disputeId) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const dispute = await DisputeCase.findByPk(disputeId);
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (![DISPUTE_STATUSES.OPENED, DISPUTE_STATUSES.AWAITING_RESPONSE].includes(dispute.status)) {
+      throw new Error(`Dispute cannot be taken into review from status ${dispute.status}`);
+    }
+
+    await applyTransition(dispute, {
+      status: DISPUTE_STATUSES.UNDER_REVIEW,
+      awaiting_party_id: null,
+      response_due_at: null,
+      admin_due_at: hoursFromNow(ESCALATION_HOURS)
+    }, { event: 'review_started', actorId: adminId }, t);
+
+    await t.commit();
+
+    return dispute;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error starting dispute review: ${error.message}`, { disputeId, adminId });
+    throw error;
+  }
+};
+
+/**
+ * Appeal a resolved case. Each case can be appealed once, by either party,
+ * within the appeal window.
+ * @param {string} userId - Party appealing
+ * @param {string} disputeId - Dispute case ID
+ * @param {string} reason - Grounds for the appeal
+ * @returns {Promise<Object>} Updated case
+ */
+const appealCase = async (userId, disputeId, reason) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const dispute = await DisputeCase.findByPk(disputeId);
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (!isParty(dispute, userId)) {
+      throw new Error('Only the parties to a dispute can appeal it');
+    }
+
+    if (dispute.status !== DISPUTE_STATUSES.RESOLVED) {
+      throw new Error('Only resolved disputes can be appealed');
+    }
+
+    if (dispute.appealed_at) {
+      throw new Error('This dispute has already been appealed');
+    }
+
+    const deadline = new Date(new Date(dispute.resolved_at).getTime() + APPEAL_WINDOW_HOURS * 3600000);
+    if (new Date() > deadline) {
+      throw new Error(`Disputes can only be appealed within ${APPEAL_WINDOW_HOURS} hours of resolution`);
+    }
+
+    await applyTransition(dispute, {
+      status: DISPUTE_STATUSES.APPEALED,
+      appealed_by: userId,
+      appeal_reason: reason,
+      appealed_at: new Date(),
+      admin_due_at: hoursFromNow(ESCALATION_HOURS)
+    }, { event: 'appealed', actorId: userId }, t);
+
+    await t.commit();
+
+    otherParties(dispute, userId).forEach(partyId => notify(partyId, NOTIFICATION_TYPES.DISPUTE_APPEALED, {
+      dispute_id: dispute.id
+    }));
+
+    return dispute;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error appealing dispute: ${error.message}`, { disputeId, userId });
+    throw error;
+  }
+};
+
+/**
+ * Decide an appeal and close the case again (admin only). Funds released by
+ * the original resolution are not moved; the decision is recorded on the case.
+ * @param {string} adminId - Admin user ID
+ * @param {string} disputeId - Dispute case ID
+ * @param {string} notes - Decision on the appeal
+ * @returns {Promise<Object>} Updated case
+ */
+const decideAppeal = async (adminId, disputeId, notes) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const dispute = await DisputeCase.findByPk(disputeId);
+
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+
+    if (dispute.status !== DISPUTE_STATUSES.APPEALED) {
+      throw new Error('Dispute has not been appealed');
+    }
+
+    await applyTransition(dispute, {
+      status: DISPUTE_STATUSES.RESOLVED,
+      appeal_notes: notes,
+      resolved_by: adminId,
+      admin_due_at: null
+    }, { event: 'appeal_decided', actorId: adminId }, t);
+
+    await t.commit();
+
+    [dispute.opened_by, dispute.respondent_id].forEach(userId => notify(userId, NOTIFICATION_TYPES.DISPUTE_RESOLVED, {
+      dispute_id: dispute.id,
+      appeal: true
+    }));
+
+    return dispute;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error deciding dispute appeal: ${error.message}`, { disputeId, adminId });
+    throw error;
+  }
+};
+
+/**
+ * Move a case no admin has acted on in time to the senior queue. Called by
+ * the SLA sweep; a case an admin has since picked up is left alone.
+ * @param {string} disputeId - Dispute case ID
+ * @returns {Promise<Object|null>} Escalated case, or null if no longer overdue
+ */
+const escalateCase = async (disputeId) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const dispute = await DisputeCase.findByPk(disputeId, { transaction: t });
+
+    const overdue = dispute &&
+      ACTIVE_STATUSES.includes(dispute.status) &&
+      dispute.queue === DISPUTE_QUEUES.STANDARD &&
+      dispute.admin_due_at &&
+      new Date(dispute.admin_due_at) <= new Date();
+
+    if (!overdue) {
+      await t.rollback();
+      return null;
+    }
+
+    await applyTransition(dispute, {
+      queue: DISPUTE_QUEUES.SENIOR,
+      escalated_at: new Date()
+    }, {
+      event: 'escalated',
+      details: { admin_due_at: dispute.admin_due_at }
+    }, t);
+
+    await t.commit();
+
+    return dispute;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error escalating dispute: ${error.message}`, { disputeId });
+    throw error;
+  }
+};
+
+module.exports = {
+  DISPUTE_STATUSES,
+  DISPUTE_QUEUES,
+  ACTIVE_STATUSES,
+  APPEAL_WINDOW_HOURS,
+  RESPONSE_HOURS,
+  ESCALATION_HOURS,
+  SETTLEMENT_WINDOW_HOURS,
+  getDisputeDeadline,
+  openCase,
+  markResolved,
+  getCaseThreads,
+  getCase,
+  postMessage,
+  addEvidence,
+  getEvidenceFile,
+  requestResponse,
+  startReview,
+  appealCase,
+  decideAppeal,
+  escalateCase
+};
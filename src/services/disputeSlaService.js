@@ -0,0 +1,147 @@
+/**
+ * Dispute SLA Service
+ *
+ * This service enforces the timers on dispute cases. Cases whose respondent
+ * has not answered by the response deadline are resolved in the opener's
+ * favour, releasing the escrow to them; cases no admin has acted on by the
+ * escalation deadline move to the senior queue. Each case is handled on its
+ * own, so a run that dies part-way can simply be repeated.
+ */
+
+const { Op } = require('sequelize');
+const { DisputeCase } = require('../models');
+const disputeService = require('./disputeService');
+const escrowService = require('./escrowService');
+const logger = require('../config/logger');
+
+const { DISPUTE_STATUSES, DISPUTE_QUEUES, ACTIVE_STATUSES, RESPONSE_HOURS } = disputeService;
+
+// Cases handled per timer per run; anything left over is picked up by the next run
+const SLA_BATCH_SIZE = 100;
+
+/**
+ * Resolve every opened case whose respondent missed the response deadline
+ * in favour of the party who opened it
+ * @returns {Promise<Object>} Counts of cases resolved and failed
+ */
+const resolveUnansweredDisputes = async () => {
+  try {
+    const disputes = await DisputeCase.findAll({
+      attributes: ['id', 'escrow_id', 'opened_by'],
+      where: {
+        status: DISPUTE_STATUSES.OPENED,
+        response_due_at: { [Op.lte]: new Date() }
+      },
+      order: [['response_due_at', 'ASC']],
+      limit: SLA_BATCH_SIZE
+    });
+
+    let resolved = 0;
+    let failed = 0;
+
+    for (const dispute of disputes) {
+      try {
+        await escrowService.resolveDispute(
+          dispute.escrow_id,
+          dispute.opened_by,
+          null,
+          `Resolved for the filer: no response within ${RESPONSE_HOURS} hours`,
+          { byDefault: true }
+        );
+        resolved++;
+      } catch (error) {
+        failed++;
+        logger.error(`Error resolving unanswered dispute ${dispute.id}: ${error.message}`);
+      }
+    }
+
+    return { resolved, failed };
+  } catch (error) {
+    logger.error(`Error resolving unanswered disputes: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Move every case no admin has acted on by its deadline to the senior queue
+ * @returns {Promise<Object>} Counts of cases escalated and failed
+ */
+const escalateStaleDisputes = async () => {
+  try {
+    const disputes = await DisputeCase.findAll({
+      attributes: ['id'],
+      where: {
+        status: { [Op.in]: ACTIVE_STATUSES },
+        queue: DISPUTE_QUEUES.STANDARD,
+        admin_due_at: { [Op.lte]: new Date() }
+      },
+      order: [['admin_due_at', 'ASC']],
+      limit: SLA_BATCH_SIZE
+    });
+
+    let escalated = 0;
+    let failed = 0;
+
+    for (const { id } of disputes) {
+      try {
+        // An admin picked the case up since it was selected
+        if (await disputeService.escalateCase(id)) {
+          escalated++;
+        }
+      } catch (error) {
+        failed++;
+        logger.error(`Error escalating dispute ${id}: ${error.message}`);
+      }
+    }
+
+    return { escalated, failed };
+  } catch (error) {
+    logger.error(`Error escalating stale disputes: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Run both dispute timers. Default resolutions go first so a case that is
+ * about to close is not escalated on its way out.
+ * @returns {Promise<Object>} Counts from each timer
+ */
+const enforceDisputeSlas = async () => {
+  const defaults = await resolveUnansweredDisputes();
+  const escalations = await escalateStaleDisputes();
+
+  if (defaults.resolved > 0 || escalations.escalated > 0 || defaults.failed > 0 || escalations.failed > 0) {
+    logger.info(`Dispute SLA sweep resolved ${defaults.resolved} and escalated ${escalations.escalated} disputes`, {
+      failed: defaults.failed + escalations.failed
+    });
+  }
+
+  return {
+    resolved: defaults.resolved,
+    escalated: escalations.escalated,
+    failed: defaults.failed + escalations.failed
+  };
+};
+
+/**
+ * Schedule the dispute SLA sweep
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleDisputeSlas = (interval = 300000) => { // Default: 5 minutes
+  setInterval(async () => {
+    try {
+      await enforceDisputeSlas();
+    } catch (error) {
+      logger.error(`Error in scheduled dispute SLA sweep: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Dispute SLA sweep scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  resolveUnansweredDisputes,
+  escalateStaleDisputes,
+  enforceDisputeSlas,
+  scheduleDisputeSlas
+};
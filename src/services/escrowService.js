@@ -4,11 +4,70 @@
  * This service handles escrow operations for bets.
  */
 
-const { Escrow, BetMatch, Bet, User, Wallet, Transaction, Payout, sequelize } = require('../models');
-const { PLATFORM_FEE_PERCENT } = require('../config/stripe');
+const { Op } = require('sequelize');
+const { Escrow, BetMatch, Bet, Event, User, Wallet, Transaction, Payout, DisputeCase, sequelize } = require('../models');
+const { PLATFORM_ACCOUNT_ID } = require('../config/stripe');
 const walletService = require('./walletService');
+const reputationService = require('./reputationService');
+const disputeService = require('./disputeService');
+const feeService = require('./feeService');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
 const logger = require('../config/logger');
 
+/**
+ * Get whoever holds the creator's side of a bet match: the bet creator,
+ * unless that side has been sold on
+ * @param {Object} betMatch - Bet match with its bet loaded
+ * @returns {string} User ID
+ */
+const getCreatorHolderId = (betMatch) => betMatch.creator_holder_id || betMatch.bet.creator_id;
+
+/**
+ * Get whoever holds the taker's side of a bet match: the original taker,
+ * unless that side has been sold on
+ * @param {Object} betMatch - Bet match
+ * @returns {string} User ID
+ */
+const getTakerHolderId = (betMatch) => betMatch.taker_holder_id || betMatch.taker_id;
+
+/**
+ * Fee charged when a bet escrow is released to the given winner, under the
+ * winning side's fee terms
+ * @param {Object} escrow - Escrow with its bet match and bet loaded
+ * @param {string} winnerId - Winner user ID
+ * @returns {number} Fee
+ */
+const getWinnerFee = (escrow, winnerId) => feeService.calculateEscrowFee(
+  escrow,
+  winnerId === getCreatorHolderId(escrow.betMatch) ? 'creator' : 'taker'
+);
+
+// Shares a disputed escrow can be split across
+const ALLOCATION_SHARES = ['creator', 'taker', 'platform'];
+
+/**
+ * Tell both parties a dispute has been resolved and refresh their reputation
+ * @param {Object} escrow - Resolved escrow with its bet match and bet loaded
+ * @param {Object|null} dispute - Resolved case, if the escrow has one
+ * @param {string} resolution - How the dispute was resolved
+ * @returns {Promise<void>}
+ */
+const announceResolution = async (escrow, dispute, resolution) => {
+  if (dispute) {
+    [dispute.opened_by, dispute.respondent_id].forEach(userId => notify(userId, NOTIFICATION_TYPES.DISPUTE_RESOLVED, {
+      dispute_id: dispute.id,
+      resolution
+    }));
+  }
+  
+  // A dispute lost counts against the loser's reputation
+  try {
+    await reputationService.refreshReputation([escrow.betMatch.taker_id, escrow.betMatch.bet.creator_id]);
+  } catch (error) {
+    logger.error(`Error refreshing reputation: ${error.message}`, { escrowId: escrow.id });
+  }
+};
+
 /**
  * Create an escrow for a bet match
  * @param {string} betMatchId - Bet match ID
@@ -24,7 +83,10 @@ const createEscrow = async (betMatchId) => {
         { 
           model: Bet, 
           as: 'bet',
-          include: [{ model: User, as: 'creator' }]
+          include: [
+            { model: User, as: 'creator' },
+            { model: Event, as: 'event' }
+          ]
         },
         { model: User, as: 'taker' }
       ],
@@ -45,37 +107,49 @@ const createEscrow = async (betMatchId) => {
       throw new Error('Escrow already exists for this bet match');
     }
     
-    // Get total amount from bet
-    const amount = parseFloat(betMatch.bet.amount) * 2; // Both sides of the bet
+    // Each side's stake, recorded on the match the same way takeBet does;
+    // matches made before per-side stakes were even money on the bet's stake
+    const creatorStake = parseFloat(betMatch.creator_stake !== null ? betMatch.creator_stake : betMatch.bet.stake_amount);
+    const takerStake = parseFloat(betMatch.stake_amount !== null ? betMatch.stake_amount : betMatch.bet.stake_amount);
+    const amount = Math.round((creatorStake + takerStake) * 100) / 100;
     
-    // Calculate platform fee
-    const platformFee = amount * PLATFORM_FEE_PERCENT;
+    // Each side's fee terms; the winner's are charged on release
+    const feeQuote = await feeService.quoteMatchFees({
+      creatorId: betMatch.bet.creator_id,
+      takerId: betMatch.taker_id,
+      event: betMatch.bet.event,
+      creatorStake,
+      takerStake,
+      creatorPromotionCode: betMatch.bet.promotion_code
+    }, t);
+    const platformFee = feeQuote.platform_fee;
     
     // Create escrow record
     const escrow = await Escrow.create({
       bet_match_id: betMatchId,
       amount,
       status: 'active',
-      platform_fee: platformFee
+      platform_fee: platformFee,
+      fee_rule: feeQuote.fee_rule
     }, { transaction: t });
     
     // Get wallets for both users
-    const creatorWallet = await walletService.getWallet(betMatch.bet.creator_id);
-    const takerWallet = await walletService.getWallet(betMatch.taker_id);
+    const creatorWallet = await walletService.getWallet(betMatch.bet.creator_id, 'USD', t);
+    const takerWallet = await walletService.getWallet(betMatch.taker_id, 'USD', t);
     
     // Check if both users have sufficient balance
-    if (parseFloat(creatorWallet.balance) < parseFloat(betMatch.bet.amount)) {
+    if (parseFloat(creatorWallet.balance) < creatorStake) {
       throw new Error('Creator has insufficient funds');
     }
     
-    if (parseFloat(takerWallet.balance) < parseFloat(betMatch.bet.amount)) {
+    if (parseFloat(takerWallet.balance) < takerStake) {
       throw new Error('Taker has insufficient funds');
     }
     
     // Create transactions for both users
     const creatorTransaction = await Transaction.create({
       wallet_id: creatorWallet.id,
-      amount: -betMatch.bet.amount, // Negative amount for deduction
+      amount: -creatorStake, // Negative amount for deduction
       type: 'bet',
       status: 'completed',
       reference_id: escrow.id,
@@ -90,7 +164,7 @@ const createEscrow = async (betMatchId) => {
     
     const takerTransaction = await Transaction.create({
       wallet_id: takerWallet.id,
-      amount: -betMatch.bet.amount, // Negative amount for deduction
+      amount: -takerStake, // Negative amount for deduction
       type: 'bet',
       status: 'completed',
       reference_id: escrow.id,
@@ -104,8 +178,8 @@ const createEscrow = async (betMatchId) => {
     }, { transaction: t });
     
     // Update wallet balances
-    await walletService.updateBalance(creatorWallet.id, -betMatch.bet.amount, t);
-    await walletService.updateBalance(takerWallet.id, -betMatch.bet.amount, t);
+    await walletService.updateBalance(creatorWallet.id, -creatorStake, t);
+    await walletService.updateBalance(takerWallet.id, -takerStake, t);
     
     // Update bet match status
     await betMatch.update({
@@ -137,11 +211,13 @@ const createEscrow = async (betMatchId) => {
 };
 
 /**
- * Get escrow details
+ * Get escrow details. Given a user, only the parties to the bet match, past
+ * or present, and admins may see it.
  * @param {string} escrowId - Escrow ID
+ * @param {Object} user - Requesting user (id and role); omit for internal use
  * @returns {Promise<Object>} Escrow details
  */
-const getEscrow = async (escrowId) => {
+const getEscrow = async (escrowId, user = null) => {
   try {
     const escrow = await Escrow.findByPk(escrowId, {
       include: [
@@ -166,6 +242,17 @@ const getEscrow = async (escrowId) => {
       throw new Error('Escrow not found');
     }
     
+    if (user && user.role !== 'admin') {
+      const { betMatch } = escrow;
+      const parties = betMatch
+        ? [betMatch.bet.creator_id, betMatch.creator_holder_id, betMatch.taker_id, betMatch.taker_holder_id]
+        : [];
+      
+      if (!parties.includes(user.id)) {
+        throw new Error('Only the parties to a bet and admins can view its escrow');
+      }
+    }
+    
     return escrow;
   } catch (error) {
     logger.error(`Error getting escrow: ${error.message}`, { escrowId });
@@ -230,7 +317,7 @@ const releaseEscrow = async (escrowId, winnerId) => {
   const t = await sequelize.transaction();
   
   try {
-    // Get escrow details
+    // Get escrow details, locking the row so concurrent releases cannot both pay out
     const escrow = await Escrow.findByPk(escrowId, {
       include: [
         {
@@ -242,6 +329,7 @@ const releaseEscrow = async (escrowId, winnerId) => {
           ]
         }
       ],
+      lock: { level: t.LOCK.UPDATE, of: Escrow },
       transaction: t
     });
     
@@ -254,15 +342,16 @@ const releaseEscrow = async (escrowId, winnerId) => {
     }
     
     // Verify winner is part of the bet
-    const creatorId = escrow.betMatch.bet.creator_id;
-    const takerId = escrow.betMatch.taker_id;
+    const creatorId = getCreatorHolderId(escrow.betMatch);
+    const takerId = getTakerHolderId(escrow.betMatch);
     
     if (winnerId !== creatorId && winnerId !== takerId) {
       throw new Error('Winner is not part of this bet');
     }
     
-    // Calculate winnings (total amount minus platform fee)
-    const winnings = parseFloat(escrow.amount) - parseFloat(escrow.platform_fee);
+    // Calculate winnings (total amount minus the winner's platform fee)
+    const platformFee = getWinnerFee(escrow, winnerId);
+    const winnings = Math.round((parseFloat(escrow.amount) - platformFee) * 100) / 100;
     
     // Get winner's wallet
     const wallet = await walletService.getWallet(winnerId);
@@ -298,6 +387,7 @@ const releaseEscrow = async (escrowId, winnerId) => {
     await escrow.update({
       status: 'completed',
       winner_id: winnerId,
+      platform_fee: platformFee,
       released_at: new Date()
     }, { transaction: t });
     
@@ -330,13 +420,429 @@ const releaseEscrow = async (escrowId, winnerId) => {
 };
 
 /**
- * Create a dispute for an escrow
+ * Release part of the escrow to the winner and refund the rest to the other
+ * side (used when a parlay wins at reduced odds after a leg dropped out).
+ * The platform fee is charged only on the part that is paid out.
+ * @param {string} escrowId - Escrow ID
+ * @param {string} winnerId - Winner user ID
+ * @param {number} grossAmount - Winner's share of the escrow before fees
+ * @param {string} reason - Why the escrow is not paid out in full
+ * @returns {Promise<Object>} Payout details
+ */
+const releaseReducedEscrow = async (escrowId, winnerId, grossAmount, reason) => {
+  const t = await sequelize.transaction();
+  
+  try {
+    // Get escrow details, locking the row so concurrent releases cannot both pay out
+    const escrow = await Escrow.findByPk(escrowId, {
+      include: [
+        {
+          model: BetMatch,
+          as: 'betMatch',
+          include: [
+            { model: Bet, as: 'bet' },
+            { model: User, as: 'taker' }
+          ]
+        }
+      ],
+      lock: { level: t.LOCK.UPDATE, of: Escrow },
+      transaction: t
+    });
+    
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+    
+    if (escrow.status !== 'active') {
+      throw new Error(`Escrow is not active, current status: ${escrow.status}`);
+    }
+    
+    // Verify winner is part of the bet
+    const creatorId = getCreatorHolderId(escrow.betMatch);
+    const takerId = getTakerHolderId(escrow.betMatch);
+    
+    if (winnerId !== creatorId && winnerId !== takerId) {
+      throw new Error('Winner is not part of this bet');
+    }
+    
+    const amount = parseFloat(escrow.amount);
+    const gross = Math.round(grossAmount * 100) / 100;
+    
+    if (!(gross > 0) || gross > amount) {
+      throw new Error('Winner share must be greater than 0 and no more than the escrow amount');
+    }
+    
+    const platformFee = Math.round(getWinnerFee(escrow, winnerId) * (gross / amount) * 100) / 100;
+    const winnings = Math.round((gross - platformFee) * 100) / 100;
+    
+    const shares = [
+      { userId: winnerId, amount: winnings, type: 'win', description: 'Bet winnings' },
+      {
+        userId: winnerId === creatorId ? takerId : creatorId,
+        amount: Math.round((amount - gross) * 100) / 100,
+        type: 'refund',
+        description: 'Bet refund'
+      }
+    ];
+    
+    const payouts = [];
+    
+    for (const share of shares) {
+      if (share.amount <= 0) {
+        continue;
+      }
+      
+      const wallet = await walletService.getWallet(share.userId);
+      
+      const transaction = await Transaction.create({
+        wallet_id: wallet.id,
+        amount: share.amount,
+        type: share.type,
+        status: 'completed',
+        reference_id: escrow.id,
+        description: share.description,
+        metadata: {
+          escrow_id: escrow.id,
+          bet_match_id: escrow.bet_match_id,
+          reason
+        }
+      }, { transaction: t });
+      
+      await walletService.updateBalance(wallet.id, share.amount, t);
+      
+      const payout = await Payout.create({
+        user_id: share.userId,
+        escrow_id: escrow.id,
+        amount: share.amount,
+        status: 'completed',
+        transaction_id: transaction.id,
+        payout_method: 'wallet'
+      }, { transaction: t });
+      
+      payouts.push({
+        user_id: share.userId,
+        type: share.type,
+        payout_id: payout.id,
+        amount: share.amount
+      });
+    }
+    
+    await escrow.update({
+      status: 'completed',
+      winner_id: winnerId,
+      platform_fee: platformFee,
+      released_at: new Date()
+    }, { transaction: t });
+    
+    await escrow.betMatch.update({
+      status: 'settled',
+      winner_id: winnerId,
+      settled_at: new Date()
+    }, { transaction: t });
+    
+    await t.commit();
+    
+    logger.info(`Escrow partly released to winner ${winnerId}`, {
+      escrow_id: escrow.id,
+      amount: winnings,
+      reason
+    });
+    
+    return {
+      payout_id: payouts[0].payout_id,
+      amount: winnings,
+      status: 'completed',
+      escrow_id: escrow.id,
+      payouts
+    };
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error releasing reduced escrow: ${error.message}`, { escrowId, winnerId });
+    throw error;
+  }
+};
+
+/**
+ * Refund both stakes from escrow without charging the platform fee
+ * (used for pushes and voided bets)
+ * @param {string} escrowId - Escrow ID
+ * @param {string} reason - Refund reason (e.g. 'push', 'event_cancelled')
+ * @returns {Promise<Object>} Refund details
+ */
+const refundEscrow = async (escrowId, reason) => {
+  const t = await sequelize.transaction();
+  
+  try {
+    // Get escrow details, locking the row so it cannot be refunded twice
+    const escrow = await Escrow.findByPk(escrowId, {
+      include: [
+        {
+          model: BetMatch,
+          as: 'betMatch',
+          include: [
+            { model: Bet, as: 'bet' },
+            { model: User, as: 'taker' }
+          ]
+        }
+      ],
+      lock: { level: t.LOCK.UPDATE, of: Escrow },
+      transaction: t
+    });
+    
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+    
+    if (escrow.status !== 'active') {
+      throw new Error(`Escrow is not active, current status: ${escrow.status}`);
+    }
+    
+    // Each side gets back exactly what it put in
+    const takerAmount = parseFloat(escrow.betMatch.stake_amount);
+    const creatorAmount = parseFloat(escrow.amount) - takerAmount;
+    
+    const refunds = [
+      { userId: getCreatorHolderId(escrow.betMatch), amount: creatorAmount, role: 'creator' },
+      { userId: getTakerHolderId(escrow.betMatch), amount: takerAmount, role: 'taker' }
+    ];
+    
+    const payouts = [];
+    
+    for (const refund of refunds) {
+      const wallet = await walletService.getWallet(refund.userId);
+      
+      const transaction = await Transaction.create({
+        wallet_id: wallet.id,
+        amount: refund.amount,
+        type: 'refund',
+        status: 'completed',
+        reference_id: escrow.id,
+        description: 'Bet refund',
+        metadata: {
+          escrow_id: escrow.id,
+          bet_match_id: escrow.bet_match_id,
+          role: refund.role,
+          reason
+        }
+      }, { transaction: t });
+      
+      await walletService.updateBalance(wallet.id, refund.amount, t);
+      
+      const payout = await Payout.create({
+        user_id: refund.userId,
+        escrow_id: escrow.id,
+        amount: refund.amount,
+        status: 'completed',
+        transaction_id: transaction.id,
+        payout_method: 'wallet'
+      }, { transaction: t });
+      
+      payouts.push({
+        user_id: refund.userId,
+        role: refund.role,
+        payout_id: payout.id,
+        amount: refund.amount
+      });
+    }
+    
+    // No fee is taken on a refund
+    await escrow.update({
+      status: 'refunded',
+      platform_fee: 0,
+      released_at: new Date()
+    }, { transaction: t });
+    
+    await escrow.betMatch.update({
+      status: 'refunded'
+    }, { transaction: t });
+    
+    await t.commit();
+    
+    logger.info(`Escrow refunded to both parties`, {
+      escrow_id: escrow.id,
+      reason
+    });
+    
+    return {
+      escrow_id: escrow.id,
+      status: 'refunded',
+      reason,
+      payouts
+    };
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error refunding escrow: ${error.message}`, { escrowId, reason });
+    throw error;
+  }
+};
+
+/**
+ * Release a tournament escrow as prizes. Whatever the prizes leave in the
+ * escrow is kept as the platform fee.
+ * @param {string} escrowId - Escrow ID
+ * @param {Array<Object>} prizes - Prizes to pay ({ userId, amount })
+ * @returns {Promise<Object>} Payout details
+ */
+const releaseEscrowPrizes = async (escrowId, prizes) => {
+  const t = await sequelize.transaction();
+  
+  try {
+    // Lock the escrow so the prizes cannot be paid twice
+    const escrow = await Escrow.findByPk(escrowId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+    
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+    
+    if (!escrow.tournament_id) {
+      throw new Error('Only tournament escrows can be released as prizes');
+    }
+    
+    if (escrow.status !== 'active') {
+      throw new Error(`Escrow is not active, current status: ${escrow.status}`);
+    }
+    
+    const totalPrizes = Math.round(prizes.reduce((total, prize) => total + prize.amount, 0) * 100) / 100;
+    
+    if (totalPrizes > parseFloat(escrow.amount)) {
+      throw new Error('Prizes exceed the funds held in escrow');
+    }
+    
+    const payouts = [];
+    
+    for (const prize of prizes) {
+      const wallet = await walletService.getWallet(prize.userId);
+      
+      const transaction = await Transaction.create({
+        user_id: prize.userId,
+        wallet_id: wallet.id,
+        amount: prize.amount,
+        type: 'win',
+        status: 'completed',
+        reference_id: escrow.id,
+        description: 'Tournament prize',
+        metadata: {
+          escrow_id: escrow.id,
+          tournament_id: escrow.tournament_id
+        }
+      }, { transaction: t });
+      
+      await walletService.updateBalance(wallet.id, prize.amount, t);
+      
+      const payout = await Payout.create({
+        user_id: prize.userId,
+        escrow_id: escrow.id,
+        amount: prize.amount,
+        status: 'completed',
+        transaction_id: transaction.id,
+        payout_method: 'wallet'
+      }, { transaction: t });
+      
+      payouts.push({
+        user_id: prize.userId,
+        payout_id: payout.id,
+        amount: prize.amount
+      });
+    }
+    
+    await escrow.update({
+      status: 'completed',
+      platform_fee: Math.round((parseFloat(escrow.amount) - totalPrizes) * 100) / 100,
+      released_at: new Date()
+    }, { transaction: t });
+    
+    await t.commit();
+    
+    logger.info(`Escrow released as tournament prizes`, {
+      escrow_id: escrow.id,
+      tournament_id: escrow.tournament_id,
+      amount: totalPrizes
+    });
+    
+    return {
+      escrow_id: escrow.id,
+      status: 'completed',
+      payouts
+    };
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error releasing escrow prizes: ${error.message}`, { escrowId });
+    throw error;
+  }
+};
+
+/**
+ * Take back what a settled escrow paid out, so the whole amount is held again
+ * while its result is disputed. Each payout is reversed from the wallet it
+ * was paid into; if any of it has already left that wallet the dispute cannot
+ * be opened.
+ * @param {Object} escrow - Completed escrow, locked by the caller
+ * @param {Object} t - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Reversed payouts
+ */
+const clawBackPayouts = async (escrow, t) => {
+  const payouts = await Payout.findAll({
+    where: {
+      escrow_id: escrow.id,
+      status: 'completed'
+    },
+    transaction: t
+  });
+  
+  for (const payout of payouts) {
+    const amount = parseFloat(payout.amount);
+    
+    // Lock the wallet so the balance cannot be spent while it is checked
+    const wallet = await walletService.getWallet(payout.user_id, 'USD', t);
+    await wallet.reload({ lock: t.LOCK.UPDATE, transaction: t });
+    
+    if (parseFloat(wallet.balance) < amount) {
+      throw new Error('The winnings from this bet have already been spent or withdrawn');
+    }
+    
+    await Transaction.create({
+      wallet_id: wallet.id,
+      amount: -amount,
+      type: payout.user_id === escrow.winner_id ? 'win' : 'refund',
+      status: 'completed',
+      reference_id: escrow.id,
+      description: 'Bet payout reversed (result disputed)',
+      metadata: {
+        escrow_id: escrow.id,
+        bet_match_id: escrow.bet_match_id,
+        payout_id: payout.id
+      }
+    }, { transaction: t });
+    
+    await walletService.updateBalance(wallet.id, -amount, t);
+    
+    await payout.update({ status: 'reversed' }, { transaction: t });
+  }
+  
+  await escrow.update({
+    winner_id: null,
+    released_at: null
+  }, { transaction: t });
+  
+  return payouts;
+};
+
+/**
+ * Create a dispute for an escrow, opening a case the other party is asked to
+ * answer. Disputes are only accepted within the settlement window after the
+ * event, so a result that has already been settled can still be disputed; its
+ * payouts are taken back until the case is resolved.
  * @param {string} escrowId - Escrow ID
  * @param {string} userId - User ID creating the dispute
  * @param {string} reason - Reason for dispute
- * @returns {Promise<Object>} Updated escrow
+ * @returns {Promise<Object>} Updated escrow, with the new case as `dispute`
  */
 const createDispute = async (escrowId, userId, reason) => {
+  const t = await sequelize.transaction();
+  
   try {
     // Get escrow details
     const escrow = await Escrow.findByPk(escrowId, {
@@ -345,47 +851,86 @@ const createDispute = async (escrowId, userId, reason) => {
           model: BetMatch,
           as: 'betMatch',
           include: [
-            { model: Bet, as: 'bet' },
+            {
+              model: Bet,
+              as: 'bet',
+              include: [{ model: Event, as: 'event' }]
+            },
             { model: User, as: 'taker' }
           ]
         }
-      ]
+      ],
+      lock: { level: t.LOCK.UPDATE, of: Escrow },
+      transaction: t
     });
     
     if (!escrow) {
       throw new Error('Escrow not found');
     }
     
-    if (escrow.status !== 'active') {
-      throw new Error(`Escrow is not active, current status: ${escrow.status}`);
+    if (!escrow.betMatch) {
+      throw new Error('Only bet escrows can be disputed');
+    }
+    
+    if (!['active', 'completed'].includes(escrow.status)) {
+      throw new Error(`Escrow cannot be disputed, current status: ${escrow.status}`);
     }
     
     // Verify user is part of the bet
-    const creatorId = escrow.betMatch.bet.creator_id;
-    const takerId = escrow.betMatch.taker_id;
+    const creatorId = getCreatorHolderId(escrow.betMatch);
+    const takerId = getTakerHolderId(escrow.betMatch);
     
     if (userId !== creatorId && userId !== takerId) {
       throw new Error('User is not part of this bet');
     }
     
+    const { event } = escrow.betMatch.bet;
+    if (event && new Date() > disputeService.getDisputeDeadline(event)) {
+      throw new Error(`Disputes must be raised within ${disputeService.SETTLEMENT_WINDOW_HOURS} hours of the event`);
+    }
+    
+    const respondentId = userId === creatorId ? takerId : creatorId;
+    
+    if (escrow.status === 'completed') {
+      await clawBackPayouts(escrow, t);
+    }
+    
     // Update escrow status
     await escrow.update({
       status: 'disputed',
-      dispute_reason: reason
-    });
+      dispute_reason: reason.slice(0, 255)
+    }, { transaction: t });
     
     // Update bet match status
     await escrow.betMatch.update({
       status: 'disputed'
-    });
+    }, { transaction: t });
+    
+    const dispute = await disputeService.openCase({
+      escrowId: escrow.id,
+      openedBy: userId,
+      respondentId,
+      reason
+    }, t);
+    
+    await t.commit();
     
     logger.info(`Escrow disputed by user ${userId}`, {
       escrow_id: escrow.id,
+      dispute_id: dispute.id,
       reason
     });
     
+    notify(respondentId, NOTIFICATION_TYPES.DISPUTE_OPENED, {
+      dispute_id: dispute.id,
+      escrow_id: escrow.id
+    });
+    
+    escrow.dispute = dispute;
+    
     return escrow;
   } catch (error) {
+    await t.rollback();
     logger.error(`Error creating dispute: ${error.message}`, { escrowId, userId });
     throw error;
   }
@@ -395,15 +940,18 @@ const createDispute = async (escrowId, userId, reason) => {
  * Resolve a disputed escrow
  * @param {string} escrowId - Escrow ID
  * @param {string} winnerId - Winner user ID (or null for refund)
- * @param {string} adminId - Admin user ID resolving the dispute
+ * @param {string} adminId - Admin user ID resolving the dispute (null for a default resolution)
  * @param {string} notes - Resolution notes
+ * @param {Object} options - Resolution options
+ * @param {boolean} options.byDefault - The respondent never answered; the case must still be overdue
  * @returns {Promise<Object>} Resolution details
  */
-const resolveDispute = async (escrowId, winnerId, adminId, notes) => {
+const resolveDispute = async (escrowId, winnerId, adminId, notes, options = {}) => {
   const t = await sequelize.transaction();
   
   try {
-    // Get escrow details
+    // Get escrow details, locking the row so an admin and the SLA sweep
+    // cannot both resolve it
     const escrow = await Escrow.findByPk(escrowId, {
       include: [
         {
@@ -415,6 +963,7 @@ const resolveDispute = async (escrowId, winnerId, adminId, notes) => {
           ]
         }
       ],
+      lock: { level: t.LOCK.UPDATE, of: Escrow },
       transaction: t
     });
     
@@ -435,16 +984,18 @@ const resolveDispute = async (escrowId, winnerId, adminId, notes) => {
     let result;
     
     if (winnerId) {
+      // Calculate winnings (total amount minus the winner's platform fee)
+      const platformFee = getWinnerFee(escrow, winnerId);
+      const winnings = Math.round((parseFloat(escrow.amount) - platformFee) * 100) / 100;
+      
       // Release to winner
       await escrow.update({
         status: 'completed',
         winner_id: winnerId,
+        platform_fee: platformFee,
         released_at: new Date()
       }, { transaction: t });
       
-      // Calculate winnings (total amount minus platform fee)
-      const winnings = parseFloat(escrow.amount) - parseFloat(escrow.platform_fee);
-      
       // Get winner's wallet
       const wallet = await walletService.getWallet(winnerId);
       
@@ -491,8 +1042,8 @@ const resolveDispute = async (escrowId, winnerId, adminId, notes) => {
       };
     } else {
       // Refund both parties
-      const creatorId = escrow.betMatch.bet.creator_id;
-      const takerId = escrow.betMatch.taker_id;
+      const creatorId = getCreatorHolderId(escrow.betMatch);
+      const takerId = getTakerHolderId(escrow.betMatch);
       const betAmount = parseFloat(escrow.amount) / 2; // Split the total amount
       
       // Get wallets
@@ -554,13 +1105,22 @@ const resolveDispute = async (escrowId, winnerId, adminId, notes) => {
       };
     }
     
+    const dispute = await disputeService.markResolved(escrow.id, {
+      adminId,
+      outcome: result.resolution,
+      byDefault: Boolean(options.byDefault)
+    }, t);
+    
     await t.commit();
     
     logger.info(`Dispute resolved for escrow ${escrowId}`, {
-      resolution: winnerId ? 'winner_declared' : 'refunded',
-      admin_id: adminId
+      resolution: result.resolution,
+      admin_id: adminId,
+      by_default: Boolean(options.byDefault)
     });
     
+    await announceResolution(escrow, dispute, result.resolution);
+    
     return result;
   } catch (error) {
     await t.rollback();
@@ -570,16 +1130,203 @@ const resolveDispute = async (escrowId, winnerId, adminId, notes) => {
 };
 
 /**
- * Get all disputed escrows
- * @param {Object} options - Query options (limit, offset)
- * @returns {Promise<Array>} Disputed escrows
+ * Convert a split allocation to cents, checking every share is a known,
+ * non-negative amount of whole cents
+ * @param {Object} allocation - Amount for each share ({ creator, taker, platform })
+ * @returns {Object} Cents for each share
+ */
+const allocationToCents = (allocation) => {
+  const unknown = Object.keys(allocation || {}).filter(share => !ALLOCATION_SHARES.includes(share));
+  
+  if (!allocation || unknown.length > 0) {
+    throw new Error(`Allocation can only have ${ALLOCATION_SHARES.join(', ')} shares`);
+  }
+  
+  return ALLOCATION_SHARES.reduce((cents, share) => {
+    const amount = Number(allocation[share] || 0);
+    
+    if (!Number.isFinite(amount) || amount < 0 || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+      throw new Error(`The ${share} share must be a non-negative amount in whole cents`);
+    }
+    
+    cents[share] = Math.round(amount * 100);
+    return cents;
+  }, {});
+};
+
+/**
+ * Resolve a disputed escrow by splitting it across the creator, the taker
+ * and the platform: a 50/50 split on an ambiguous result, a partial refund,
+ * or a refund with the fee waived. The shares must add up to exactly the
+ * amount held. Each share above zero gets its own transaction and payout;
+ * the platform's share goes to the platform account's wallet.
+ * @param {string} escrowId - Escrow ID
+ * @param {Object} allocation - Amount for each share ({ creator, taker, platform })
+ * @param {string} adminId - Admin user ID resolving the dispute
+ * @param {string} notes - Resolution notes
+ * @returns {Promise<Object>} Resolution details
+ */
+const resolveDisputeSplit = async (escrowId, allocation, adminId, notes) => {
+  const t = await sequelize.transaction();
+  
+  try {
+    const cents = allocationToCents(allocation);
+    
+    // Get escrow details, locking the row so no other resolution can pay it out
+    const escrow = await Escrow.findByPk(escrowId, {
+      include: [
+        {
+          model: BetMatch,
+          as: 'betMatch',
+          include: [
+            { model: Bet, as: 'bet' },
+            { model: User, as: 'taker' }
+          ]
+        }
+      ],
+      lock: { level: t.LOCK.UPDATE, of: Escrow },
+      transaction: t
+    });
+    
+    if (!escrow) {
+      throw new Error('Escrow not found');
+    }
+    
+    if (escrow.status !== 'disputed') {
+      throw new Error(`Escrow is not disputed, current status: ${escrow.status}`);
+    }
+    
+    const totalCents = ALLOCATION_SHARES.reduce((total, share) => total + cents[share], 0);
+    
+    if (totalCents !== Math.round(parseFloat(escrow.amount) * 100)) {
+      throw new Error(`Allocation must add up to the escrow amount of ${parseFloat(escrow.amount).toFixed(2)}`);
+    }
+    
+    if (cents.platform > 0 && !PLATFORM_ACCOUNT_ID) {
+      throw new Error('A platform account must be configured to take a platform share');
+    }
+    
+    const recipients = {
+      creator: getCreatorHolderId(escrow.betMatch),
+      taker: getTakerHolderId(escrow.betMatch),
+      platform: PLATFORM_ACCOUNT_ID
+    };
+    
+    const payouts = [];
+    
+    for (const share of ALLOCATION_SHARES.filter(name => cents[name] > 0)) {
+      const userId = recipients[share];
+      const amount = cents[share] / 100;
+      const wallet = await walletService.getWallet(userId, 'USD', t);
+      
+      const transaction = await Transaction.create({
+        wallet_id: wallet.id,
+        amount,
+        type: share === 'platform' ? 'fee' : 'refund',
+        status: 'completed',
+        reference_id: escrow.id,
+        description: share === 'platform' ? 'Platform share (dispute resolved)' : 'Bet share (dispute resolved)',
+        metadata: {
+          escrow_id: escrow.id,
+          bet_match_id: escrow.bet_match_id,
+          dispute_resolved_by: adminId,
+          role: share
+        }
+      }, { transaction: t });
+      
+      await walletService.updateBalance(wallet.id, amount, t);
+      
+      const payout = await Payout.create({
+        user_id: userId,
+        escrow_id: escrow.id,
+        amount,
+        status: 'completed',
+        transaction_id: transaction.id,
+        payout_method: 'wallet'
+      }, { transaction: t });
+      
+      payouts.push({
+        share,
+        user_id: userId,
+        payout_id: payout.id,
+        transaction_id: transaction.id,
+        amount
+      });
+    }
+    
+    await escrow.update({
+      status: 'completed',
+      platform_fee: cents.platform / 100,
+      resolved_by: adminId,
+      resolution_notes: notes,
+      released_at: new Date()
+    }, { transaction: t });
+    
+    await escrow.betMatch.update({
+      status: 'settled',
+      settled_at: new Date()
+    }, { transaction: t });
+    
+    const split = ALLOCATION_SHARES.reduce((amounts, share) => ({ ...amounts, [share]: cents[share] / 100 }), {});
+    
+    const dispute = await disputeService.markResolved(escrow.id, {
+      adminId,
+      outcome: 'split',
+      allocation: split
+    }, t);
+    
+    await t.commit();
+    
+    logger.info(`Dispute split for escrow ${escrowId}`, {
+      allocation: split,
+      admin_id: adminId
+    });
+    
+    await announceResolution(escrow, dispute, 'split');
+    
+    return {
+      resolution: 'split',
+      allocation: split,
+      payouts
+    };
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error splitting dispute: ${error.message}`, { escrowId, adminId });
+    throw error;
+  }
+};
+
+/**
+ * Get the admin dispute queue: disputed escrows and escrows whose resolution
+ * has been appealed, each with its case thread, evidence and history
+ * @param {Object} options - Query options (limit, offset, queue)
+ * @returns {Promise<Object>} Count and escrows, oldest first
  */
 const getDisputedEscrows = async (options = {}) => {
   try {
-    const { limit = 20, offset = 0 } = options;
+    const { limit = 20, offset = 0, queue } = options;
+    
+    const where = {
+      [Op.or]: [
+        { status: 'disputed' },
+        { '$dispute.status$': disputeService.DISPUTE_STATUSES.APPEALED }
+      ]
+    };
+    
+    // Escrows disputed before cases existed only show in the standard queue
+    if (queue === disputeService.DISPUTE_QUEUES.SENIOR) {
+      where['$dispute.queue$'] = queue;
+    } else if (queue) {
+      where[Op.and] = [{
+        [Op.or]: [
+          { '$dispute.queue$': queue },
+          { '$dispute.id$': null }
+        ]
+      }];
+    }
     
     const escrows = await Escrow.findAndCountAll({
-      where: { status: 'disputed' },
+      where,
       include: [
         {
           model: BetMatch,
@@ -588,15 +1335,33 @@ const getDisputedEscrows = async (options = {}) => {
             { 
               model: Bet, 
               as: 'bet',
-              include: [{ model: User, as: 'creator' }]
+              include: [{ model: User, as: 'creator', attributes: ['id', 'username'] }]
             },
-            { model: User, as: 'taker' }
+            { model: User, as: 'taker', attributes: ['id', 'username'] }
           ]
+        },
+        {
+          model: DisputeCase,
+          as: 'dispute',
+          required: false
         }
       ],
       limit,
       offset,
-      order: [['created_at', 'DESC']]
+      subQuery: false,
+      order: [['created_at', 'ASC']]
+    });
+    
+    // Threads are loaded per page so the page size is not skewed by message counts
+    const cases = await disputeService.getCaseThreads(
+      escrows.rows.filter(escrow => escrow.dispute).map(escrow => escrow.dispute.id)
+    );
+    const casesById = new Map(cases.map(dispute => [dispute.id, dispute]));
+    
+    escrows.rows.forEach(escrow => {
+      if (escrow.dispute) {
+        escrow.setDataValue('dispute', casesById.get(escrow.dispute.id));
+      }
     });
     
     return escrows;
@@ -607,12 +1372,18 @@ const getDisputedEscrows = async (options = {}) => {
 };
 
 module.exports = {
+  getCreatorHolderId,
+  getTakerHolderId,
   createEscrow,
   getEscrow,
   getUserEscrows,
   releaseEscrow,
+  releaseReducedEscrow,
+  refundEscrow,
+  releaseEscrowPrizes,
   createDispute,
   resolveDispute,
+  resolveDisputeSplit,
   getDisputedEscrows
 };
 
@@ -0,0 +1,295 @@
+/**
+ * Exchange Service
+ *
+ * This service presents the open bets on an event as an exchange-style order
+ * book per market and matches new offers against the resting ones.
+ *
+ * Every open bet is a back offer on its pick at its odds. For each selection
+ * the book shows:
+ *   back - prices a new backer of the selection can get right now, made up of
+ *          open bets on the opposite selection at their counter odds
+ *   lay  - open bets backing the selection, which can be laid by taking them
+ * Sizes are always the backer's stake at that price.
+ */
+
+const { Op } = require('sequelize');
+const { Bet, BetMatch, sequelize } = require('../models');
+const bettingService = require('./bettingService');
+const { getMarketKey, parseMarketKey, getOppositePick, getCounterOdds } = require('../utils/markets');
+const logger = require('../config/logger');
+
+// Smallest stake worth matching or leaving on the book
+const MIN_OFFER_STAKE = 1;
+
+// Take failures caused by another user getting to a bet first, or by the
+// bet expiring after the book was read
+const STALE_OFFER_ERRORS = [
+  'Bet is not open for matching',
+  'Bet has no unmatched stake left',
+  'Bet has expired'
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Group offers into price levels
+ * @param {Array} offers - Offers with odds and amount
+ * @param {string} sort - 'desc' for back levels, 'asc' for lay levels
+ * @returns {Array} Price levels with total amount and number of offers
+ */
+const aggregateLevels = (offers, sort) => {
+  const levels = new Map();
+
+  offers.forEach(({ odds, amount }) => {
+    const level = levels.get(odds) || { odds, amount: 0, offers: 0 };
+    level.amount = roundCurrency(level.amount + amount);
+    level.offers += 1;
+    levels.set(odds, level);
+  });
+
+  return Array.from(levels.values())
+    .filter(level => level.amount > 0)
+    .sort((a, b) => (sort === 'desc' ? b.odds - a.odds : a.odds - b.odds));
+};
+
+/**
+ * Get open, unexpired public bets on a market
+ * @param {string} eventId - Event ID
+ * @param {string} marketKey - Market key
+ * @returns {Promise<Array>} Open bets
+ */
+const getOpenBets = async (eventId, marketKey) => Bet.findAll({
+  where: {
+    event_id: eventId,
+    market_key: marketKey,
+    status: 'open',
+    visibility: 'public',
+    expiry_time: {
+      [Op.gt]: new Date()
+    }
+  },
+  order: [['created_at', 'ASC']]
+});
+
+/**
+ * Get the stake matched so far on a market, counting both sides
+ * @param {string} eventId - Event ID
+ * @param {string} marketKey - Market key
+ * @returns {Promise<number>} Matched volume
+ */
+const getMatchedVolume = async (eventId, marketKey) => {
+  const matches = await BetMatch.findAll({
+    attributes: ['stake_amount', 'creator_stake'],
+    include: [
+      {
+        model: Bet,
+        as: 'bet',
+        attributes: ['stake_amount'],
+        where: {
+          event_id: eventId,
+          market_key: marketKey
+        }
+      }
+    ]
+  });
+
+  return roundCurrency(matches.reduce((total, match) => {
+    // Matches from before partial fills covered the creator's whole stake
+    const creatorStake = match.creator_stake !== null && match.creator_stake !== undefined
+      ? match.creator_stake
+      : match.bet.stake_amount;
+
+    return total + parseFloat(match.stake_amount) + parseFloat(creatorStake);
+  }, 0));
+};
+
+/**
+ * Get the order book for one market on an event
+ * @param {string} eventId - Event ID
+ * @param {string} marketKey - Market key, e.g. 'moneyline' or 'spread:-3.5'
+ * @returns {Promise<Object>} Order book with depth, best prices and matched volume
+ */
+const getOrderBook = async (eventId, marketKey) => {
+  try {
+    const { betType, line, selections } = parseMarketKey(marketKey);
+    const [bets, matchedVolume] = await Promise.all([
+      getOpenBets(eventId, marketKey),
+      getMatchedVolume(eventId, marketKey)
+    ]);
+
+    const book = {};
+
+    selections.forEach(selection => {
+      const opposite = getOppositePick(marketKey, selection);
+
+      const layOffers = bets
+        .filter(bet => bet.bet_details.pick === selection)
+        .map(bet => ({
+          odds: parseFloat(bet.odds),
+          amount: bet.remaining_amount
+        }));
+
+      const backOffers = bets
+        .filter(bet => bet.bet_details.pick === opposite)
+        .map(bet => ({
+          odds: getCounterOdds(bet.odds),
+          amount: roundCurrency(bet.remaining_amount * (parseFloat(bet.odds) - 1))
+        }));
+
+      const back = aggregateLevels(backOffers, 'desc');
+      const lay = aggregateLevels(layOffers, 'asc');
+
+      book[selection] = {
+        best_back: back.length ? back[0].odds : null,
+        best_lay: lay.length ? lay[0].odds : null,
+        back,
+        lay
+      };
+    });
+
+    return {
+      event_id: eventId,
+      market_key: marketKey,
+      bet_type: betType,
+      line,
+      matched_volume: matchedVolume,
+      selections: book
+    };
+  } catch (error) {
+    logger.error(`Error getting order book: ${error.message}`, { eventId, marketKey });
+    throw error;
+  }
+};
+
+/**
+ * Get the order books for every market traded on an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Order books
+ */
+const getEventMarkets = async (eventId) => {
+  try {
+    const markets = await Bet.findAll({
+      attributes: ['market_key'],
+      where: {
+        event_id: eventId,
+        market_key: {
+          [Op.ne]: null
+        }
+      },
+      group: ['market_key'],
+      raw: true
+    });
+
+    return Promise.all(markets.map(({ market_key }) => getOrderBook(eventId, market_key)));
+  } catch (error) {
+    logger.error(`Error getting event markets: ${error.message}`, { eventId });
+    throw error;
+  }
+};
+
+/**
+ * Place an offer on a market, matching it against crossing offers first.
+ * Whatever is left at the requested odds rests on the book as a new open bet.
+ * The fills and the resting bet commit together: if any part fails, none of
+ * the offer's money moves. Each fill runs in a savepoint so an offer another
+ * user took first is skipped without undoing the rest.
+ * @param {string} userId - User ID
+ * @param {Object} offerData - Event ID, bet type, bet details, odds and stake
+ * @returns {Promise<Object>} Fills made and the resting bet, if any
+ */
+const placeOffer = async (userId, offerData) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const marketKey = getMarketKey(offerData.bet_type, offerData.bet_details);
+
+    if (!marketKey) {
+      throw new Error('Only moneyline, spread and over/under bets can be traded on the exchange');
+    }
+
+    const pick = offerData.bet_details.pick;
+    const opposite = getOppositePick(marketKey, pick);
+    const odds = parseFloat(offerData.odds);
+    let remaining = roundCurrency(parseFloat(offerData.stake_amount));
+
+    // Opposite offers priced at or better than the requested odds, best first
+    const crossing = (await getOpenBets(offerData.event_id, marketKey))
+      .filter(bet => bet.creator_id !== userId)
+      .filter(bet => bet.bet_details.pick === opposite)
+      .filter(bet => getCounterOdds(bet.odds) >= odds)
+      .sort((a, b) => parseFloat(a.odds) - parseFloat(b.odds));
+
+    const matches = [];
+
+    for (const bet of crossing) {
+      if (remaining < MIN_OFFER_STAKE) {
+        break;
+      }
+
+      const available = roundCurrency(bet.remaining_amount * (parseFloat(bet.odds) - 1));
+      const stake = Math.min(remaining, available);
+
+      if (stake < MIN_OFFER_STAKE) {
+        continue;
+      }
+
+      const savepoint = await sequelize.transaction({ transaction });
+
+      try {
+        const { betMatch } = await bettingService.takeBet(userId, bet.id, {
+          stake_amount: stake,
+          transaction: savepoint
+        });
+        await savepoint.commit();
+
+        matches.push({
+          bet_id: bet.id,
+          bet_match_id: betMatch.id,
+          odds: getCounterOdds(bet.odds),
+          stake_amount: parseFloat(betMatch.stake_amount)
+        });
+
+        remaining = roundCurrency(remaining - parseFloat(betMatch.stake_amount));
+      } catch (error) {
+        await savepoint.rollback();
+
+        if (!STALE_OFFER_ERRORS.includes(error.message)) {
+          throw error;
+        }
+
+        logger.warn(`Skipping offer taken by another user: ${bet.id}`);
+      }
+    }
+
+    let restingBet = null;
+
+    if (remaining >= MIN_OFFER_STAKE) {
+      restingBet = await bettingService.createBet(userId, {
+        ...offerData,
+        stake_amount: remaining
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    return {
+      market_key: marketKey,
+      matched_amount: roundCurrency(matches.reduce((total, match) => total + match.stake_amount, 0)),
+      unmatched_amount: restingBet ? remaining : 0,
+      matches,
+      restingBet
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error placing offer: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+module.exports = {
+  getOrderBook,
+  getEventMarkets,
+  placeOffer
+};
@@ -0,0 +1,406 @@
+/**
+ * Fee Service
+ *
+ * This service works out the platform fee on a bet match from the
+ * admin-defined fee rules. Each side of a match gets its own terms when the
+ * escrow is created, from the rule that best fits them (sport, region,
+ * promotion code and volume tier) less any VIP discount. The terms are stored
+ * on the escrow, and only the winner's terms are charged on release, so a
+ * settlement can always be reproduced from the escrow alone. Without a
+ * matching rule the global PLATFORM_FEE_PERCENT is charged on the pot.
+ */
+
+const { Op } = require('sequelize');
+const { FeeRule, Bet, BetMatch, League, User } = require('../models');
+const { PLATFORM_FEE_PERCENT } = require('../config/stripe');
+const logger = require('../config/logger');
+
+const FEE_BASES = ['pot', 'winner_stake', 'net_winnings', 'flat'];
+
+const SCOPE_FIELDS = ['sport_id', 'region', 'promotion_code'];
+
+// How far back a user's staked volume counts towards volume tiers
+const VOLUME_WINDOW_DAYS = parseInt(process.env.FEE_VOLUME_WINDOW_DAYS, 10) || 30;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Terms charged when no fee rule applies
+ * @returns {Object} Fee terms
+ */
+const defaultTerms = () => ({
+  rule_id: null,
+  name: 'default',
+  basis: 'pot',
+  rate: PLATFORM_FEE_PERCENT,
+  flat_amount: null,
+  discount: 0
+});
+
+/**
+ * Match rules whose scope field is unset or equal to the given value
+ * @param {*} value - Value for the party being charged
+ * @returns {Object} Where clause for the scope field
+ */
+const scopeCondition = (value) => (value ? { [Op.or]: [null, value] } : null);
+
+/**
+ * How specific a rule is: a promotion beats a sport, which beats a region
+ * @param {Object} rule - Fee rule
+ * @returns {number} Specificity score
+ */
+const specificity = (rule) => (rule.promotion_code ? 4 : 0) + (rule.sport_id ? 2 : 0) + (rule.region ? 1 : 0);
+
+/**
+ * Get the total a user has staked on bet matches, as creator and as taker,
+ * within the volume window
+ * @param {string} userId - User ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} Staked volume
+ */
+const getStakedVolume = async (userId, transaction) => {
+  const since = new Date(Date.now() - VOLUME_WINDOW_DAYS * 86400000);
+
+  const [created, taken] = await Promise.all([
+    BetMatch.sum('creator_stake', {
+      where: { status: { [Op.ne]: 'cancelled' }, created_at: { [Op.gte]: since } },
+      include: [{ model: Bet, as: 'bet', attributes: [], where: { creator_id: userId } }],
+      transaction
+    }),
+    BetMatch.sum('stake_amount', {
+      where: { taker_id: userId, status: { [Op.ne]: 'cancelled' }, created_at: { [Op.gte]: since } },
+      transaction
+    })
+  ]);
+
+  return roundCurrency((created || 0) + (taken || 0));
+};
+
+/**
+ * Work out the fee terms for one side of a bet match
+ * @param {Object} params - Party being charged
+ * @param {string} params.userId - User ID
+ * @param {string} params.sportId - Sport the bet is on
+ * @param {string} params.promotionCode - Promotion the party used (optional)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Fee terms, as stored on the escrow
+ */
+const resolveFeeTerms = async ({ userId, sportId, promotionCode }, transaction) => {
+  const [user, volume] = await Promise.all([
+    User.findByPk(userId, { attributes: ['id', 'country', 'vip_tier'], transaction }),
+    getStakedVolume(userId, transaction)
+  ]);
+
+  const now = new Date();
+  const code = promotionCode ? promotionCode.toUpperCase() : null;
+
+  const rules = await FeeRule.findAll({
+    where: {
+      active: true,
+      sport_id: scopeCondition(sportId),
+      region: scopeCondition(user ? user.country : null),
+      promotion_code: scopeCondition(code),
+      min_volume: { [Op.lte]: volume },
+      [Op.and]: [
+        { [Op.or]: [{ starts_at: null }, { starts_at: { [Op.lte]: now } }] },
+        { [Op.or]: [{ ends_at: null }, { ends_at: { [Op.gt]: now } }] }
+      ]
+    },
+    order: [['created_at', 'DESC']],
+    transaction
+  });
+
+  const vipTier = user ? user.vip_tier : 0;
+
+  if (rules.length === 0) {
+    return { ...defaultTerms(), volume, vip_tier: vipTier, promotion_code: null };
+  }
+
+  // Most specific rule first, then the highest volume tier; ties go to the newest
+  const [rule] = rules.sort((a, b) => specificity(b) - specificity(a) ||
+    parseFloat(b.min_volume) - parseFloat(a.min_volume));
+
+  const discounts = rule.vip_discounts || {};
+  const discount = vipTier > 0 ? parseFloat(discounts[vipTier] || 0) : 0;
+
+  return {
+    rule_id: rule.id,
+    name: rule.name,
+    basis: rule.basis,
+    rate: rule.rate === null ? null : parseFloat(rule.rate),
+    flat_amount: rule.flat_amount === null ? null : parseFloat(rule.flat_amount),
+    discount,
+    volume,
+    vip_tier: vipTier,
+    promotion_code: rule.promotion_code
+  };
+};
+
+/**
+ * Calculate the fee a winner pays under their terms. A winner always gets
+ * at least their own stake back, so the fee never exceeds the loser's stake.
+ * @param {Object} terms - Winner's fee terms
+ * @param {number} winnerStake - Winner's stake
+ * @param {number} loserStake - Loser's stake
+ * @returns {number} Fee
+ */
+const calculateFee = (terms, winnerStake, loserStake) => {
+  const charged = {
+    pot: winnerStake + loserStake,
+    winner_stake: winnerStake,
+    net_winnings: loserStake
+  };
+
+  const fee = terms.basis === 'flat'
+    ? parseFloat(terms.flat_amount || 0)
+    : parseFloat(terms.rate || 0) * charged[terms.basis];
+
+  return roundCurrency(Math.min(fee * (1 - (terms.discount || 0)), loserStake));
+};
+
+/**
+ * Quote the fee for a new bet match: each side's terms and what it would pay
+ * if it won
+ * @param {Object} params - Bet match
+ * @param {string} params.creatorId - Creator user ID
+ * @param {string} params.takerId - Taker user ID
+ * @param {Object} params.event - Event the bet is on
+ * @param {number} params.creatorStake - Creator's stake
+ * @param {number} params.takerStake - Taker's stake
+ * @param {string} params.creatorPromotionCode - Promotion the bet was placed under (optional)
+ * @param {string} params.takerPromotionCode - Promotion the bet was taken under (optional)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Terms for the escrow, the fee if each side wins, and the larger of the two
+ */
+const quoteMatchFees = async (params, transaction) => {
+  try {
+    const { creatorId, takerId, event, creatorStake, takerStake } = params;
+
+    const league = await League.findByPk(event.league_id, { attributes: ['id', 'sport_id'], transaction });
+    const sportId = league ? league.sport_id : null;
+
+    const [creator, taker] = await Promise.all([
+      resolveFeeTerms({ userId: creatorId, sportId, promotionCode: params.creatorPromotionCode }, transaction),
+      resolveFeeTerms({ userId: takerId, sportId, promotionCode: params.takerPromotionCode }, transaction)
+    ]);
+
+    const fees = {
+      creator: calculateFee(creator, creatorStake, takerStake),
+      taker: calculateFee(taker, takerStake, creatorStake)
+    };
+
+    return {
+      fee_rule: { creator, taker },
+      fees,
+      platform_fee: Math.max(fees.creator, fees.taker)
+    };
+  } catch (error) {
+    logger.error(`Error quoting match fees: ${error.message}`, { creatorId: params.creatorId, takerId: params.takerId });
+    throw error;
+  }
+};
+
+/**
+ * Fee charged on releasing a bet escrow to the winning side. Escrows created
+ * before fee rules keep the fee they were created with.
+ * @param {Object} escrow - Escrow with its bet match loaded
+ * @param {string} winnerSide - creator or taker
+ * @returns {number} Fee
+ */
+const calculateEscrowFee = (escrow, winnerSide) => {
+  if (!escrow.fee_rule) {
+    return parseFloat(escrow.platform_fee);
+  }
+
+  const half = parseFloat(escrow.amount) / 2;
+  const stakes = {
+    creator: escrow.betMatch.creator_stake ? parseFloat(escrow.betMatch.creator_stake) : half,
+    taker: escrow.betMatch.stake_amount ? parseFloat(escrow.betMatch.stake_amount) : half
+  };
+  const loserSide = winnerSide === 'creator' ? 'taker' : 'creator';
+
+  return calculateFee(escrow.fee_rule[winnerSide], stakes[winnerSide], stakes[loserSide]);
+};
+
+/**
+ * Check a rule charges something it can calculate
+ * @param {Object} data - Rule data
+ */
+const assertChargeable = (data) => {
+  if (data.basis === 'flat') {
+    if (data.flat_amount === null || data.flat_amount === undefined) {
+      throw new Error('A flat fee rule must set a flat amount');
+    }
+  } else if (data.rate === null || data.rate === undefined) {
+    throw new Error('A percentage fee rule must set a rate');
+  }
+
+  const discounts = Object.entries(data.vip_discounts || {});
+  if (discounts.some(([tier, discount]) => !(parseInt(tier, 10) > 0) || !(discount >= 0 && discount <= 1))) {
+    throw new Error('VIP discounts must map tiers from 1 up to a fraction between 0 and 1');
+  }
+};
+
+/**
+ * Pick the rule fields an admin can set, normalising codes
+ * @param {Object} data - Request data
+ * @returns {Object} Rule fields
+ */
+const pickRuleFields = (data) => {
+  const fields = [...SCOPE_FIELDS, 'name', 'basis', 'rate', 'flat_amount', 'min_volume', 'vip_discounts', 'starts_at', 'ends_at', 'active']
+    .reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+
+  if (fields.region) {
+    fields.region = fields.region.toUpperCase();
+  }
+
+  if (fields.promotion_code) {
+    fields.promotion_code = fields.promotion_code.toUpperCase();
+  }
+
+  return fields;
+};
+
+/**
+ * Create a fee rule
+ * @param {string} adminId - Admin creating the rule
+ * @param {Object} data - Rule data
+ * @returns {Promise<Object>} Created rule
+ */
+const createRule = async (adminId, data) => {
+  try {
+    const fields = pickRuleFields(data);
+    assertChargeable({ basis: 'pot', ...fields });
+
+    return await FeeRule.create({ ...fields, created_by: adminId });
+  } catch (error) {
+    logger.error(`Error creating fee rule: ${error.message}`, { adminId });
+    throw error;
+  }
+};
+
+/**
+ * Update a fee rule. Escrows already created keep the terms they were given.
+ * @param {string} ruleId - Rule ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated rule
+ */
+const updateRule = async (ruleId, data) => {
+  try {
+    const rule = await FeeRule.findByPk(ruleId);
+
+    if (!rule) {
+      throw new Error('Fee rule not found');
+    }
+
+    const fields = pickRuleFields(data);
+    assertChargeable({ ...rule.get({ plain: true }), ...fields });
+
+    return await rule.update(fields);
+  } catch (error) {
+    logger.error(`Error updating fee rule: ${error.message}`, { ruleId });
+    throw error;
+  }
+};
+
+/**
+ * Delete a fee rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} True once deleted
+ */
+const deleteRule = async (ruleId) => {
+  try {
+    const deleted = await FeeRule.destroy({ where: { id: ruleId } });
+
+    if (!deleted) {
+      throw new Error('Fee rule not found');
+    }
+
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting fee rule: ${error.message}`, { ruleId });
+    throw error;
+  }
+};
+
+/**
+ * Get fee rules
+ * @param {Object} options - Filter options
+ * @param {string} options.sportId - Only rules for this sport
+ * @param {boolean} options.active - Only active or inactive rules
+ * @param {number} options.limit - Number of rules to return
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<Object>} Rules and total count
+ */
+const getRules = async ({ sportId, active, limit = 50, offset = 0 } = {}) => {
+  try {
+    const where = {};
+
+    if (sportId) {
+      where.sport_id = sportId;
+    }
+
+    if (active !== undefined) {
+      where.active = active;
+    }
+
+    const { count, rows } = await FeeRule.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      rules: rows,
+      total: count,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting fee rules: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Set a user's VIP tier
+ * @param {string} userId - User ID
+ * @param {number} tier - VIP tier (0 for none)
+ * @returns {Promise<Object>} User ID and tier
+ */
+const setVipTier = async (userId, tier) => {
+  try {
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await user.update({ vip_tier: tier });
+
+    return { user_id: user.id, vip_tier: user.vip_tier };
+  } catch (error) {
+    logger.error(`Error setting VIP tier: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+module.exports = {
+  FEE_BASES,
+  getStakedVolume,
+  resolveFeeTerms,
+  calculateFee,
+  quoteMatchFees,
+  calculateEscrowFee,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRules,
+  setVipTier
+};
@@ -2,7 +2,7 @@ const i18next = require('i18next');
 const Backend = require('i18next-fs-backend');
 const middleware = require('i18next-http-middleware');
 const path = require('path');
-const { logger } = require('./logger');
+const { logger } = require('../utils/logger');
 
 class InternationalizationService {
   constructor() {
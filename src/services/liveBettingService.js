@@ -0,0 +1,447 @@
+/**
+ * Live Betting Service
+ *
+ * This service handles in-play betting on live events. Bets and takes on a
+ * live market are held for the sport's acceptance delay before they go
+ * through; a score change during that time suspends the market, pulls the
+ * open bets on it and rejects whatever is still pending.
+ */
+
+const { Op } = require('sequelize');
+const { Sport, League, Event, Bet, LiveBetRequest, sequelize } = require('../models');
+const bettingService = require('./bettingService');
+const logger = require('../config/logger');
+
+const DEFAULT_DELAY_SECONDS = parseInt(process.env.LIVE_BET_DELAY_SECONDS, 10) || 5;
+const SUSPENSION_SECONDS = parseInt(process.env.LIVE_SUSPENSION_SECONDS, 10) || 30;
+
+// Reasons a pending in-play request is turned down
+const REJECTION_REASONS = {
+  SCORE_CHANGED: 'Rejected: the score changed while the bet was pending and the market was suspended',
+  NOT_LIVE: 'Rejected: the event is no longer live'
+};
+
+/**
+ * Check whether in-play betting is switched on
+ * @returns {boolean} True if live betting is enabled
+ */
+const isLiveBettingEnabled = () => process.env.ENABLE_LIVE_BETTING !== 'false';
+
+/**
+ * Check whether an event's market is suspended
+ * @param {Object} event - Event
+ * @returns {boolean} True while the market is suspended
+ */
+const isMarketSuspended = (event) =>
+  Boolean(event.suspended_until) && new Date(event.suspended_until) > new Date();
+
+/**
+ * Get the acceptance delay for in-play bets on an event
+ * @param {Object} event - Event
+ * @returns {Promise<number>} Delay in seconds
+ */
+const getAcceptanceDelay = async (event) => {
+  const league = await League.findByPk(event.league_id, {
+    include: [{ model: Sport, as: 'sport' }]
+  });
+
+  const sportDelay = league && league.sport ? league.sport.live_bet_delay_seconds : null;
+
+  return sportDelay !== null && sportDelay !== undefined ? sportDelay : DEFAULT_DELAY_SECONDS;
+};
+
+/**
+ * Queue an in-play request behind the event's acceptance delay
+ * @param {string} userId - User ID
+ * @param {Object} event - Live event
+ * @param {Object} request - Action, bet ID and payload
+ * @returns {Promise<Object>} Pending request
+ */
+const queueRequest = async (userId, event, { action, betId = null, payload }) => {
+  if (!isLiveBettingEnabled()) {
+    throw new Error('Live betting is not available');
+  }
+
+  if (isMarketSuspended(event)) {
+    throw new Error('Market is suspended after a score change');
+  }
+
+  const delay = await getAcceptanceDelay(event);
+
+  const request = await LiveBetRequest.create({
+    user_id: userId,
+    event_id: event.id,
+    action,
+    bet_id: betId,
+    payload,
+    score_version: event.score_version,
+    accept_at: new Date(Date.now() + delay * 1000)
+  });
+
+  logger.info(`In-play ${action} request queued for event ${event.id}`, {
+    request_id: request.id,
+    delay
+  });
+
+  return request;
+};
+
+/**
+ * Place a bet, holding it for the acceptance delay if its event is live
+ * @param {string} userId - User ID
+ * @param {Object} betData - Bet data
+ * @returns {Promise<Object>} Created bet, or the pending request for a live event
+ */
+const submitBet = async (userId, betData) => {
+  try {
+    const event = betData.event_id ? await Event.findByPk(betData.event_id) : null;
+
+    if (!event || event.status !== 'live') {
+      return { pending: false, bet: await bettingService.createBet(userId, betData) };
+    }
+
+    const request = await queueRequest(userId, event, { action: 'create', payload: betData });
+
+    return { pending: true, request };
+  } catch (error) {
+    logger.error(`Error submitting bet: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+/**
+ * Take a bet, holding the take for the acceptance delay if its event is live
+ * @param {string} userId - User ID
+ * @param {string} betId - Bet ID
+ * @param {Object} options - Take options (stake_amount)
+ * @returns {Promise<Object>} Bet match, or the pending request for a live event
+ */
+const submitTake = async (userId, betId, options = {}) => {
+  try {
+    const bet = await Bet.findByPk(betId, {
+      include: [{ model: Event, as: 'event' }]
+    });
+
+    if (!bet || !bet.event || bet.event.status !== 'live') {
+      return { pending: false, ...(await bettingService.takeBet(userId, betId, options)) };
+    }
+
+    if (bet.status !== 'open') {
+      throw new Error('Bet is not open for matching');
+    }
+
+    if (bet.creator_id === userId) {
+      throw new Error('Cannot take your own bet');
+    }
+
+    const request = await queueRequest(userId, bet.event, { action: 'take', betId, payload: options });
+
+    return { pending: true, request };
+  } catch (error) {
+    logger.error(`Error submitting take: ${error.message}`, { userId, betId });
+    throw error;
+  }
+};
+
+/**
+ * Reject a pending request
+ * @param {Object} request - Live bet request
+ * @param {string} reason - Rejection reason
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Rejected request
+ */
+const rejectRequest = async (request, reason, transaction) => {
+  await request.update({
+    status: 'rejected',
+    rejection_reason: reason,
+    processed_at: new Date()
+  }, { transaction });
+
+  logger.info(`In-play request ${request.id} rejected: ${reason}`);
+
+  return request;
+};
+
+/**
+ * Accept or reject a pending request once its delay is over. The request is
+ * locked and decided in one transaction, so overlapping runs cannot both
+ * place it and a run that fails part-way leaves it pending for the next.
+ * @param {string} requestId - Live bet request ID
+ * @returns {Promise<Object>} Processed request
+ */
+const processRequest = async (requestId) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const request = await LiveBetRequest.findByPk(requestId, { transaction: t });
+
+    if (!request) {
+      throw new Error('Live bet request not found');
+    }
+
+    // Lock the event before the request, the order recordScore takes them in;
+    // the share lock holds off a score change until the request is decided
+    const event = await Event.findByPk(request.event_id, {
+      lock: t.LOCK.SHARE,
+      transaction: t
+    });
+
+    await request.reload({ lock: t.LOCK.UPDATE, transaction: t });
+
+    if (request.status !== 'pending' || new Date(request.accept_at) > new Date()) {
+      await t.commit();
+      return request;
+    }
+
+    if (!event || event.status !== 'live') {
+      await rejectRequest(request, REJECTION_REASONS.NOT_LIVE, t);
+    } else if (event.score_version !== request.score_version || isMarketSuspended(event)) {
+      await rejectRequest(request, REJECTION_REASONS.SCORE_CHANGED, t);
+    } else {
+      // The bet goes in a savepoint so a refused bet is undone without the rejection
+      const savepoint = await sequelize.transaction({ transaction: t });
+      let placed = null;
+
+      try {
+        if (request.action === 'create') {
+          const bet = await bettingService.createBet(request.user_id, request.payload, {
+            inPlay: true,
+            transaction: savepoint
+          });
+          placed = { bet_id: bet.id };
+        } else {
+          const { betMatch } = await bettingService.takeBet(request.user_id, request.bet_id, {
+            ...request.payload,
+            inPlay: true,
+            transaction: savepoint
+          });
+          placed = { bet_match_id: betMatch.id };
+        }
+
+        await savepoint.commit();
+      } catch (error) {
+        if (!savepoint.finished) {
+          await savepoint.rollback();
+        }
+        placed = null;
+        await rejectRequest(request, `Rejected: ${error.message}`, t);
+      }
+
+      if (placed) {
+        await request.update({ status: 'accepted', ...placed, processed_at: new Date() }, { transaction: t });
+        logger.info(`In-play request ${request.id} accepted`, { action: request.action });
+      }
+    }
+
+    await t.commit();
+
+    return request;
+  } catch (error) {
+    if (!t.finished) {
+      await t.rollback();
+    }
+    logger.error(`Error processing live bet request: ${error.message}`, { requestId });
+    throw error;
+  }
+};
+
+/**
+ * Process every pending request whose acceptance delay is over
+ * @returns {Promise<Array>} Processed requests
+ */
+const processPendingRequests = async () => {
+  try {
+    const requests = await LiveBetRequest.findAll({
+      where: {
+        status: 'pending',
+        accept_at: { [Op.lte]: new Date() }
+      },
+      order: [['accept_at', 'ASC']]
+    });
+
+    const processed = [];
+
+    for (const request of requests) {
+      try {
+        processed.push(await processRequest(request.id));
+      } catch (error) {
+        logger.error(`Error processing live bet request ${request.id}: ${error.message}`);
+      }
+    }
+
+    return processed;
+  } catch (error) {
+    logger.error(`Error processing pending live bet requests: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Record a live score. A change from the last score recorded suspends the
+ * market, suspends every open bet on the event and rejects every request
+ * still pending on it.
+ * @param {string} eventId - Event ID
+ * @param {number} homeScore - Home score
+ * @param {number} awayScore - Away score
+ * @returns {Promise<Object>} Event and what was suspended
+ */
+const recordScore = async (eventId, homeScore, awayScore) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const event = await Event.findByPk(eventId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    if (['completed', 'cancelled'].includes(event.status)) {
+      throw new Error(`Event is already ${event.status}`);
+    }
+
+    // The first score seen (0-0 at kickoff) is where the market starts, not a change
+    const hadScore = event.home_score !== null && event.away_score !== null;
+    const changed = hadScore && (event.home_score !== homeScore || event.away_score !== awayScore);
+
+    event.status = 'live';
+    event.home_score = homeScore;
+    event.away_score = awayScore;
+
+    if (!changed) {
+      await event.save({ transaction: t });
+      await t.commit();
+      return { event, changed: false, suspendedBets: 0, rejectedRequests: 0 };
+    }
+
+    event.score_version += 1;
+    event.suspended_until = new Date(Date.now() + SUSPENSION_SECONDS * 1000);
+    await event.save({ transaction: t });
+
+    // Prices posted before the score changed are stale
+    const [suspendedBets] = await Bet.update(
+      { status: 'suspended' },
+      { where: { event_id: event.id, status: 'open' }, transaction: t }
+    );
+
+    const pending = await LiveBetRequest.findAll({
+      where: { event_id: event.id, status: 'pending' },
+      transaction: t
+    });
+
+    for (const request of pending) {
+      await rejectRequest(request, REJECTION_REASONS.SCORE_CHANGED, t);
+    }
+
+    await t.commit();
+
+    logger.info(`Score change on event ${event.id}: ${homeScore} - ${awayScore}, market suspended`, {
+      suspended_bets: suspendedBets,
+      rejected_requests: pending.length
+    });
+
+    return { event, changed: true, suspendedBets, rejectedRequests: pending.length };
+  } catch (error) {
+    if (!t.finished) {
+      await t.rollback();
+    }
+    logger.error(`Error recording score: ${error.message}`, { eventId });
+    throw error;
+  }
+};
+
+/**
+ * Re-open a bet that was suspended by a score change
+ * @param {string} userId - Creator's user ID
+ * @param {string} betId - Bet ID
+ * @returns {Promise<Object>} Re-opened bet
+ */
+const resumeBet = async (userId, betId) => {
+  try {
+    const bet = await Bet.findByPk(betId, {
+      include: [{ model: Event, as: 'event' }]
+    });
+
+    if (!bet) {
+      throw new Error('Bet not found');
+    }
+
+    if (bet.creator_id !== userId) {
+      throw new Error('Only the creator can resume this bet');
+    }
+
+    if (bet.status !== 'suspended') {
+      throw new Error('Only suspended bets can be resumed');
+    }
+
+    if (bet.event.status !== 'live') {
+      throw new Error('Event is not live');
+    }
+
+    if (isMarketSuspended(bet.event)) {
+      throw new Error('Market is suspended after a score change');
+    }
+
+    await bet.update({ status: 'open' });
+
+    return bet;
+  } catch (error) {
+    logger.error(`Error resuming bet: ${error.message}`, { userId, betId });
+    throw error;
+  }
+};
+
+/**
+ * Get an in-play request made by a user
+ * @param {string} userId - User ID
+ * @param {string} requestId - Live bet request ID
+ * @returns {Promise<Object>} Live bet request
+ */
+const getRequest = async (userId, requestId) => {
+  try {
+    const request = await LiveBetRequest.findOne({
+      where: { id: requestId, user_id: userId }
+    });
+
+    if (!request) {
+      throw new Error('Live bet request not found');
+    }
+
+    return request;
+  } catch (error) {
+    logger.error(`Error getting live bet request: ${error.message}`, { userId, requestId });
+    throw error;
+  }
+};
+
+/**
+ * Schedule processing of pending in-play requests
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleLiveBetProcessing = (interval = 1000) => { // Default: 1 second
+  setInterval(async () => {
+    try {
+      await processPendingRequests();
+    } catch (error) {
+      logger.error(`Error in scheduled live bet processing: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Live bet processing scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  REJECTION_REASONS,
+  isMarketSuspended,
+  getAcceptanceDelay,
+  submitBet,
+  submitTake,
+  processRequest,
+  processPendingRequests,
+  recordScore,
+  resumeBet,
+  getRequest,
+  scheduleLiveBetProcessing
+};
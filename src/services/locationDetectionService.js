@@ -1,6 +1,6 @@
 const geoip = require('geoip-lite');
 const axios = require('axios');
-const { logger } = require('./logger');
+const { logger } = require('../utils/logger');
 
 class LocationDetectionService {
   constructor() {
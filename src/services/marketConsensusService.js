@@ -0,0 +1,349 @@
+/**
+ * Market Consensus Service
+ *
+ * This service builds a fair price for each event market from the bookmaker
+ * prices in the odds feed and uses it to police the odds users post. Each
+ * bookmaker's margin is removed first, then the median fair probability
+ * across bookmakers becomes the consensus. Offers that stray too far from
+ * it are flagged, or refused outright past a hard threshold, so takers are
+ * not picked off by stale or fat-fingered prices.
+ *
+ * Moneyline bets push on a draw, so three-way prices are turned into
+ * draw-no-bet prices for the home and away selections.
+ */
+
+const { Op } = require('sequelize');
+const { MarketConsensus } = require('../models');
+const { businessErrorHandlers } = require('../middleware/errorHandler');
+const { getMarketKey, parseMarketKey, getOppositePick, getCounterOdds } = require('../utils/markets');
+const logger = require('../config/logger');
+
+// Deviation from the fair price (as a fraction) at which an offer is flagged or refused
+const FLAG_DEVIATION = parseFloat(process.env.ODDS_FLAG_DEVIATION) || 0.10;
+const BLOCK_DEVIATION = parseFloat(process.env.ODDS_BLOCK_DEVIATION) || 0.25;
+
+// Consensus older than this no longer reflects the market and is ignored
+const MAX_AGE_MINUTES = parseInt(process.env.ODDS_CONSENSUS_MAX_AGE_MINUTES, 10) || 60;
+
+const roundTo = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Map a bookmaker market from the odds feed onto our market key and selections
+ * @param {Object} event - Event record
+ * @param {Object} market - Feed market ({ key, outcomes: [{ name, price, point }] })
+ * @returns {Object|null} Market key and price per selection, or null if unusable
+ */
+const mapFeedMarket = (event, market) => {
+  const outcomes = market.outcomes || [];
+  const find = (name) => outcomes.find(outcome => outcome.name === name);
+
+  switch (market.key) {
+    case 'h2h': {
+      const home = find(event.home_team);
+      const away = find(event.away_team);
+      const draw = find('Draw');
+
+      if (!home || !away) {
+        return null;
+      }
+
+      return {
+        marketKey: getMarketKey('moneyline'),
+        prices: { home: home.price, away: away.price, ...(draw && { draw: draw.price }) }
+      };
+    }
+
+    case 'spreads': {
+      const home = find(event.home_team);
+      const away = find(event.away_team);
+
+      if (!home || !away || home.point === undefined) {
+        return null;
+      }
+
+      return {
+        marketKey: getMarketKey('spread', { spread: home.point }),
+        prices: { home: home.price, away: away.price }
+      };
+    }
+
+    case 'totals': {
+      const over = find('Over');
+      const under = find('Under');
+
+      if (!over || !under || over.point === undefined || over.point !== under.point) {
+        return null;
+      }
+
+      return {
+        marketKey: getMarketKey('over_under', { total: over.point }),
+        prices: { over: over.price, under: under.price }
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Take a bookmaker's margin out of its prices
+ * @param {Object} prices - Decimal price per selection
+ * @returns {Object|null} Fair probability per two-way selection and the margin removed
+ */
+const removeMargin = (prices) => {
+  const values = Object.values(prices).map(price => parseFloat(price));
+
+  if (values.some(price => !(price > 1))) {
+    return null;
+  }
+
+  const overround = values.reduce((sum, price) => sum + 1 / price, 0);
+  const probabilities = {};
+
+  Object.entries(prices).forEach(([selection, price]) => {
+    if (selection !== 'draw') {
+      probabilities[selection] = (1 / parseFloat(price)) / overround;
+    }
+  });
+
+  // Draw-no-bet: share the draw probability out between home and away
+  const total = Object.values(probabilities).reduce((sum, probability) => sum + probability, 0);
+  Object.keys(probabilities).forEach(selection => {
+    probabilities[selection] = probabilities[selection] / total;
+  });
+
+  return { probabilities, margin: overround - 1 };
+};
+
+/**
+ * Build the consensus fair price of every market the bookmakers quote
+ * @param {Object} event - Event record
+ * @param {Array} bookmakers - Bookmakers from the odds feed
+ * @returns {Array} Consensus per market ({ market_key, fair_odds, bookmaker_count, average_margin })
+ */
+const buildConsensus = (event, bookmakers = []) => {
+  const markets = {};
+
+  bookmakers.forEach(bookmaker => {
+    (bookmaker.markets || []).forEach(feedMarket => {
+      const mapped = mapFeedMarket(event, feedMarket);
+      const fair = mapped && removeMargin(mapped.prices);
+
+      if (!fair) {
+        return;
+      }
+
+      markets[mapped.marketKey] = markets[mapped.marketKey] || [];
+      markets[mapped.marketKey].push(fair);
+    });
+  });
+
+  return Object.entries(markets).map(([marketKey, quotes]) => {
+    const selections = Object.keys(quotes[0].probabilities);
+    const medians = selections.map(selection => median(quotes.map(quote => quote.probabilities[selection])));
+    const total = medians.reduce((sum, probability) => sum + probability, 0);
+
+    const fairOdds = {};
+    selections.forEach((selection, index) => {
+      fairOdds[selection] = roundTo(total / medians[index], 3);
+    });
+
+    return {
+      market_key: marketKey,
+      fair_odds: fairOdds,
+      bookmaker_count: quotes.length,
+      average_margin: roundTo(quotes.reduce((sum, quote) => sum + quote.margin, 0) / quotes.length, 4)
+    };
+  });
+};
+
+/**
+ * Store the consensus for an event from a fresh set of bookmaker prices
+ * @param {Object} event - Event record
+ * @param {Array} bookmakers - Bookmakers from the odds feed
+ * @returns {Promise<Array>} Stored consensus records
+ */
+const recordConsensus = async (event, bookmakers) => {
+  try {
+    const consensus = buildConsensus(event, bookmakers);
+    const pricedAt = new Date();
+    const records = [];
+
+    for (const market of consensus) {
+      const existing = await MarketConsensus.findOne({
+        where: { event_id: event.id, market_key: market.market_key }
+      });
+
+      records.push(existing
+        ? await existing.update({ ...market, priced_at: pricedAt })
+        : await MarketConsensus.create({ ...market, event_id: event.id, priced_at: pricedAt }));
+    }
+
+    return records;
+  } catch (error) {
+    logger.error(`Error recording market consensus: ${error.message}`, { eventId: event.id });
+    throw error;
+  }
+};
+
+/**
+ * Get the current consensus for an event market
+ * @param {string} eventId - Event ID
+ * @param {string} marketKey - Market key
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Consensus, or null if none is recent enough
+ */
+const getConsensus = (eventId, marketKey, transaction) => MarketConsensus.findOne({
+  where: {
+    event_id: eventId,
+    market_key: marketKey,
+    priced_at: { [Op.gte]: new Date(Date.now() - MAX_AGE_MINUTES * 60000) }
+  },
+  transaction
+});
+
+/**
+ * Compare odds on a selection with its fair price
+ * @param {Object} consensus - Market consensus
+ * @param {string} pick - Selection
+ * @param {number|string} odds - Decimal odds offered
+ * @returns {Object|null} Fair odds, value (odds over fair, minus one) and whether it is flagged
+ */
+const assessOdds = (consensus, pick, odds) => {
+  const fairOdds = consensus && consensus.fair_odds[pick];
+
+  if (!fairOdds) {
+    return null;
+  }
+
+  const value = roundTo(parseFloat(odds) / fairOdds - 1, 4);
+
+  return {
+    fair_odds: fairOdds,
+    value,
+    flagged: Math.abs(value) > FLAG_DEVIATION
+  };
+};
+
+/**
+ * Check an offer is priced close enough to the market to be accepted. Bets
+ * without a two-way market, or markets without a recent consensus, pass.
+ * @param {Object} offer - Offer being made
+ * @param {string} offer.eventId - Event ID
+ * @param {string} offer.marketKey - Market key
+ * @param {string} offer.pick - Selection the odds are for
+ * @param {number} offer.odds - Decimal odds
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Price assessment
+ * @throws {AppError} ODDS_OFF_MARKET if the odds are too far from the fair price
+ */
+const checkOfferPrice = async ({ eventId, marketKey, pick, odds }, transaction) => {
+  if (!marketKey || !pick) {
+    return null;
+  }
+
+  const assessment = assessOdds(await getConsensus(eventId, marketKey, transaction), pick, odds);
+
+  if (assessment && Math.abs(assessment.value) > BLOCK_DEVIATION) {
+    throw businessErrorHandlers.oddsOffMarket(parseFloat(odds), assessment.fair_odds);
+  }
+
+  return assessment;
+};
+
+/**
+ * Get the selection and odds a taker gets on the other side of a bet
+ * @param {Object} bet - Bet with market_key, bet_details and odds
+ * @param {number|string} odds - Odds the bet is filled at (defaults to the bet's odds)
+ * @returns {Object|null} Taker pick and odds, or null if the bet has no two-way pick
+ */
+const getTakerSide = (bet, odds = bet.odds) => {
+  const pick = bet.bet_details && bet.bet_details.pick;
+
+  if (!bet.market_key || !parseMarketKey(bet.market_key).selections.includes(pick)) {
+    return null;
+  }
+
+  return {
+    pick: getOppositePick(bet.market_key, pick),
+    odds: getCounterOdds(odds)
+  };
+};
+
+/**
+ * Check the taker's side of a bet against the market before it is matched;
+ * the market may have moved since the bet was posted
+ * @param {Object} bet - Bet being taken
+ * @param {number|string} odds - Odds the bet is filled at
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} Price assessment of the taker's side
+ * @throws {AppError} ODDS_OFF_MARKET if the taker's odds are too far from the fair price
+ */
+const checkTakerPrice = async (bet, odds, transaction) => {
+  const side = getTakerSide(bet, odds);
+
+  return side && checkOfferPrice({ eventId: bet.event_id, marketKey: bet.market_key, ...side }, transaction);
+};
+
+/**
+ * Attach each bet's value against the market, from the taker's side: the
+ * odds a taker gets on the opposite selection over its fair price
+ * @param {Array} bets - Bets with event_id, market_key, bet_details and odds
+ * @returns {Promise<Array>} The same bets with market_value set (null when unpriced)
+ */
+const attachMarketValue = async (bets) => {
+  const priced = bets.filter(bet => bet.market_key);
+
+  const consensus = priced.length > 0
+    ? await MarketConsensus.findAll({
+      where: {
+        event_id: { [Op.in]: [...new Set(priced.map(bet => bet.event_id))] },
+        priced_at: { [Op.gte]: new Date(Date.now() - MAX_AGE_MINUTES * 60000) }
+      }
+    })
+    : [];
+
+  const byMarket = new Map(consensus.map(market => [`${market.event_id}|${market.market_key}`, market]));
+
+  bets.forEach(bet => {
+    const market = bet.market_key && byMarket.get(`${bet.event_id}|${bet.market_key}`);
+    const side = market && getTakerSide(bet);
+    let marketValue = null;
+
+    if (side) {
+      const assessment = assessOdds(market, side.pick, side.odds);
+
+      marketValue = assessment && {
+        taker_odds: side.odds,
+        fair_odds: assessment.fair_odds,
+        value: assessment.value,
+        flagged: assessment.flagged
+      };
+    }
+
+    bet.setDataValue('market_value', marketValue);
+  });
+
+  return bets;
+};
+
+module.exports = {
+  buildConsensus,
+  recordConsensus,
+  getConsensus,
+  assessOdds,
+  checkOfferPrice,
+  checkTakerPrice,
+  attachMarketValue
+};
@@ -0,0 +1,80 @@
+/**
+ * Notification Service
+ *
+ * This service emits user notifications as in-process events. Transports
+ * such as the socket server subscribe with onNotification and deliver them
+ * to the user.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+
+const emitter = new EventEmitter();
+
+// Notification types
+const NOTIFICATION_TYPES = {
+  BET_EXPIRED: 'bet_expired',
+  BET_INVITE: 'bet_invite',
+  INVITE_ACCEPTED: 'invite_accepted',
+  INVITE_EXPIRED: 'invite_expired',
+  CHALLENGE_RECEIVED: 'challenge_received',
+  CHALLENGE_ACCEPTED: 'challenge_accepted',
+  CHALLENGE_DECLINED: 'challenge_declined',
+  CHALLENGE_EXPIRED: 'challenge_expired',
+  OFFER_RECEIVED: 'offer_received',
+  OFFER_COUNTERED: 'offer_countered',
+  OFFER_ACCEPTED: 'offer_accepted',
+  OFFER_REJECTED: 'offer_rejected',
+  OFFER_EXPIRED: 'offer_expired',
+  POOL_SETTLED: 'pool_settled',
+  POOL_REFUNDED: 'pool_refunded',
+  TOURNAMENT_COMPLETED: 'tournament_completed',
+  DISPUTE_OPENED: 'dispute_opened',
+  DISPUTE_MESSAGE: 'dispute_message',
+  DISPUTE_RESPONSE_REQUESTED: 'dispute_response_requested',
+  DISPUTE_RESOLVED: 'dispute_resolved',
+  DISPUTE_APPEALED: 'dispute_appealed'
+};
+
+/**
+ * Send a notification to a user
+ * @param {string} userId - Recipient's user ID
+ * @param {string} type - Notification type
+ * @param {Object} data - Notification payload
+ * @returns {Object} Emitted notification
+ */
+const notify = (userId, type, data = {}) => {
+  const notification = {
+    user_id: userId,
+    type,
+    data,
+    created_at: new Date()
+  };
+
+  // A failing listener must not undo the action that triggered the notification
+  try {
+    emitter.emit('notification', notification);
+  } catch (error) {
+    logger.error(`Error delivering notification: ${error.message}`, { userId, type });
+  }
+
+  logger.info(`Notification ${type} sent to user ${userId}`);
+
+  return notification;
+};
+
+/**
+ * Subscribe to every notification sent
+ * @param {Function} listener - Called with each notification
+ * @returns {Function} Unsubscribe function
+ */
+const onNotification = (listener) => {
+  emitter.on('notification', listener);
+  return () => emitter.off('notification', listener);
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  notify,
+  onNotification
+};
@@ -0,0 +1,219 @@
+/**
+ * Parlay Service
+ *
+ * This service validates and prices parlay (accumulator) bets and works out
+ * their result from the individual legs.
+ *
+ * A parlay's `bet_details` holds its legs:
+ *   { legs: [{ event_id, bet_type, bet_details, odds }, ...] }
+ * The creator backs every leg; the taker wins if any leg loses. Legs that
+ * push or are voided drop out and the combined odds are recomputed from the
+ * legs that won.
+ */
+
+const { Op } = require('sequelize');
+const { Event, ParlayLeg } = require('../models');
+const propBetService = require('./propBetService');
+
+const LEG_BET_TYPES = ['moneyline', 'spread', 'over_under', 'prop'];
+const MIN_PARLAY_LEGS = 2;
+const MAX_PARLAY_LEGS = 10;
+
+// Overall result of a parlay, from the creator's side
+const OUTCOMES = {
+  ...propBetService.OUTCOMES,
+  PENDING: 'pending'
+};
+
+const isNumeric = (value) => value !== null && value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Validate a single parlay leg
+ * @param {Object} leg - Parlay leg
+ * @param {number} index - Position of the leg, for error messages
+ * @throws {Error} If the leg is not valid
+ */
+const validateLeg = (leg, index) => {
+  const label = `Leg ${index + 1}`;
+
+  if (!leg || typeof leg !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+
+  if (typeof leg.event_id !== 'string' || !leg.event_id) {
+    throw new Error(`${label} requires an event ID`);
+  }
+
+  if (!LEG_BET_TYPES.includes(leg.bet_type)) {
+    throw new Error(`${label} bet type must be one of: ${LEG_BET_TYPES.join(', ')}`);
+  }
+
+  if (typeof leg.odds !== 'number' || !(leg.odds >= 1.01)) {
+    throw new Error(`${label} odds must be at least 1.01`);
+  }
+
+  const details = leg.bet_details || {};
+
+  switch (leg.bet_type) {
+    case 'moneyline':
+      if (!['home', 'away'].includes(details.pick)) {
+        throw new Error(`${label} requires a pick of 'home' or 'away'`);
+      }
+      break;
+
+    case 'spread':
+      if (!['home', 'away'].includes(details.pick) || !isNumeric(details.spread)) {
+        throw new Error(`${label} requires a pick of 'home' or 'away' and a numeric spread`);
+      }
+      break;
+
+    case 'over_under':
+      if (!['over', 'under'].includes(details.pick) || !isNumeric(details.total)) {
+        throw new Error(`${label} requires a pick of 'over' or 'under' and a numeric total`);
+      }
+      break;
+
+    case 'prop':
+      try {
+        propBetService.validatePropDetails(details);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+      break;
+  }
+};
+
+/**
+ * Validate the legs of a parlay
+ * @param {Array} legs - Parlay legs
+ * @throws {Error} If the legs do not make a valid parlay
+ * @returns {boolean} True when valid
+ */
+const validateParlayLegs = (legs) => {
+  if (!Array.isArray(legs) || legs.length < MIN_PARLAY_LEGS || legs.length > MAX_PARLAY_LEGS) {
+    throw new Error(`A parlay needs between ${MIN_PARLAY_LEGS} and ${MAX_PARLAY_LEGS} legs`);
+  }
+
+  legs.forEach(validateLeg);
+
+  // Legs on the same event are correlated, so each event may only appear once
+  const eventIds = new Set(legs.map(leg => leg.event_id));
+
+  if (eventIds.size !== legs.length) {
+    throw new Error('Each parlay leg must be on a different event');
+  }
+
+  return true;
+};
+
+/**
+ * Combine leg odds into parlay odds
+ * @param {Array} legs - Legs with decimal odds
+ * @returns {number} Combined decimal odds
+ */
+const calculateParlayOdds = (legs) => {
+  const odds = legs.reduce((total, leg) => total * parseFloat(leg.odds), 1);
+  return Math.round(odds * 100) / 100;
+};
+
+/**
+ * Validate and price a parlay against its events
+ * @param {Array} legs - Parlay legs
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} Combined odds, ordered legs and the first event
+ */
+const prepareParlay = async (legs, transaction) => {
+  validateParlayLegs(legs);
+
+  const events = await Event.findAll({
+    where: {
+      id: { [Op.in]: legs.map(leg => leg.event_id) }
+    },
+    transaction
+  });
+
+  if (events.length !== legs.length) {
+    throw new Error('Event not found for one or more parlay legs');
+  }
+
+  if (events.some(event => event.status === 'cancelled')) {
+    throw new Error('Cannot place a parlay with a leg on a cancelled event');
+  }
+
+  const now = new Date();
+
+  if (events.some(event => new Date(event.start_time) <= now)) {
+    throw new Error('Cannot place a parlay with a leg on an event that has already started');
+  }
+
+  const eventsById = new Map(events.map(event => [event.id, event]));
+
+  // Order legs by kick-off so the parlay opens on its first event
+  const orderedLegs = [...legs]
+    .sort((a, b) => new Date(eventsById.get(a.event_id).start_time) - new Date(eventsById.get(b.event_id).start_time))
+    .map(leg => ({
+      event_id: leg.event_id,
+      bet_type: leg.bet_type,
+      bet_details: leg.bet_details,
+      odds: leg.odds
+    }));
+
+  return {
+    odds: calculateParlayOdds(orderedLegs),
+    legs: orderedLegs,
+    firstEvent: eventsById.get(orderedLegs[0].event_id)
+  };
+};
+
+/**
+ * Store the legs of a newly created parlay
+ * @param {string} betId - Parlay bet ID
+ * @param {Array} legs - Legs returned by prepareParlay
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} Created legs
+ */
+const createLegs = async (betId, legs, transaction) => ParlayLeg.bulkCreate(
+  legs.map((leg, index) => ({
+    bet_id: betId,
+    event_id: leg.event_id,
+    leg_number: index + 1,
+    bet_type: leg.bet_type,
+    bet_details: leg.bet_details,
+    odds: leg.odds
+  })),
+  { transaction }
+);
+
+/**
+ * Work out the result of a parlay from its legs
+ * @param {Array} legs - Parlay legs with their current status
+ * @returns {Object} Outcome (one of OUTCOMES) and, if the creator won, the recomputed odds
+ */
+const determineParlayOutcome = (legs) => {
+  if (legs.some(leg => leg.status === 'pending')) {
+    return { outcome: OUTCOMES.PENDING, odds: null };
+  }
+
+  if (legs.some(leg => leg.status === 'lost')) {
+    return { outcome: OUTCOMES.TAKER, odds: null };
+  }
+
+  const wonLegs = legs.filter(leg => leg.status === 'won');
+
+  // Every leg pushed or was voided, so nothing is left to bet on
+  if (wonLegs.length === 0) {
+    return { outcome: OUTCOMES.PUSH, odds: null };
+  }
+
+  return { outcome: OUTCOMES.CREATOR, odds: calculateParlayOdds(wonLegs) };
+};
+
+module.exports = {
+  OUTCOMES,
+  MAX_PARLAY_LEGS,
+  validateParlayLegs,
+  calculateParlayOdds,
+  prepareParlay,
+  createLegs,
+  determineParlayOutcome
+};
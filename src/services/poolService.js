@@ -0,0 +1,720 @@
+/**
+ * Pool Service
+ *
+ * This service handles pool bets: group contests where any number of users
+ * stake into one pot on an event and the winners split it pro rata to their
+ * stakes. Stakes leave the entrant's wallet when they join and are held in
+ * the pool until it settles with the event, or is refunded because it never
+ * reached its minimum number of participants.
+ */
+
+const { Op } = require('sequelize');
+const { Pool, PoolEntry, Event, User, Wallet, Transaction } = require('../models');
+const { sequelize, auth } = require('../config');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const { RESULT_SELECTIONS, getResultSelection } = require('../utils/markets');
+const logger = require('../config/logger');
+
+const POOL_TYPES = {
+  WINNER_TAKES_ALL: 'winner_takes_all',
+  PARI_MUTUEL: 'pari_mutuel',
+  SCORE_CONTEST: 'score_contest'
+};
+
+const POOL_SELECTIONS = RESULT_SELECTIONS;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Rank a score guess against the final score. Lower is better: total goals
+ * off first, then whether the guess got the result wrong, then how far off
+ * the margin was.
+ * @param {Object} entry - Pool entry with a score guess
+ * @param {Object} eventResult - Event result data
+ * @returns {Array<number>} Ranking key
+ */
+const rankScoreGuess = (entry, eventResult) => {
+  const { home_score: homeScore, away_score: awayScore } = eventResult;
+  const guessHome = entry.predicted_home_score;
+  const guessAway = entry.predicted_away_score;
+
+  return [
+    Math.abs(homeScore - guessHome) + Math.abs(awayScore - guessAway),
+    getResultSelection(guessHome, guessAway) === getResultSelection(homeScore, awayScore) ? 0 : 1,
+    Math.abs((homeScore - awayScore) - (guessHome - guessAway))
+  ];
+};
+
+const compareRanks = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Work out which entries win a pool. Score contests always have a winner;
+ * entries still tied after every tie-break share the pot.
+ * @param {Object} pool - Pool
+ * @param {Array<Object>} entries - Active entries
+ * @param {Object} eventResult - Event result data
+ * @returns {Array<Object>} Winning entries (empty if nobody picked the result)
+ */
+const determineWinners = (pool, entries, eventResult) => {
+  if (pool.pool_type !== POOL_TYPES.SCORE_CONTEST) {
+    const result = getResultSelection(eventResult.home_score, eventResult.away_score);
+    return entries.filter(entry => entry.selection === result);
+  }
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const ranked = entries.map(entry => ({ entry, rank: rankScoreGuess(entry, eventResult) }));
+  const best = ranked.reduce((top, current) => (compareRanks(current.rank, top.rank) < 0 ? current : top)).rank;
+
+  return ranked
+    .filter(({ rank }) => compareRanks(rank, best) === 0)
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Split a pot between winning entries pro rata to their stakes. Shares are
+ * rounded down to the cent and the leftover cents go to the earliest entries.
+ * @param {number} amount - Amount to split
+ * @param {Array<Object>} winners - Winning entries, earliest first
+ * @returns {Map<string, number>} Payout by entry ID
+ */
+const splitPot = (amount, winners) => {
+  const totalStake = winners.reduce((total, entry) => total + parseFloat(entry.stake_amount), 0);
+  const payouts = new Map();
+  let remainingCents = Math.round(amount * 100);
+
+  winners.forEach(entry => {
+    const cents = Math.floor(amount * 100 * parseFloat(entry.stake_amount) / totalStake);
+    payouts.set(entry.id, cents);
+    remainingCents -= cents;
+  });
+
+  for (let i = 0; remainingCents > 0; i = (i + 1) % winners.length) {
+    payouts.set(winners[i].id, payouts.get(winners[i].id) + 1);
+    remainingCents -= 1;
+  }
+
+  winners.forEach(entry => payouts.set(entry.id, payouts.get(entry.id) / 100));
+
+  return payouts;
+};
+
+/**
+ * Refund every active entry in a pool and mark it refunded
+ * @param {Object} pool - Pool, locked in the transaction
+ * @param {Array<Object>} entries - Active entries
+ * @param {string} reason - Refund reason
+ * @param {Object} transaction - Database transaction
+ * @returns {Promise<void>}
+ */
+const refundEntries = async (pool, entries, reason, transaction) => {
+  for (const entry of entries) {
+    const wallet = await Wallet.findOne({
+      where: { user_id: entry.user_id },
+      transaction
+    });
+
+    await Transaction.create({
+      user_id: entry.user_id,
+      wallet_id: wallet.id,
+      amount: entry.stake_amount,
+      type: 'refund',
+      status: 'completed',
+      reference_id: pool.id,
+      description: 'Pool stake refunded',
+      metadata: {
+        pool_id: pool.id,
+        entry_id: entry.id,
+        reason
+      }
+    }, { transaction });
+
+    await wallet.increment('balance', { by: entry.stake_amount, transaction });
+    await entry.update({ status: 'refunded' }, { transaction });
+  }
+
+  await pool.update({
+    status: 'refunded',
+    result: { reason },
+    settled_at: new Date()
+  }, { transaction });
+};
+
+/**
+ * Tell every entrant how a pool ended
+ * @param {Object} pool - Settled or refunded pool
+ * @param {Array<Object>} entries - Entries
+ */
+const notifyEntrants = (pool, entries) => {
+  entries.forEach(entry => notify(
+    entry.user_id,
+    pool.status === 'refunded' ? NOTIFICATION_TYPES.POOL_REFUNDED : NOTIFICATION_TYPES.POOL_SETTLED,
+    {
+      pool_id: pool.id,
+      entry_id: entry.id,
+      status: entry.status,
+      amount: parseFloat(entry.status === 'refunded' ? entry.stake_amount : entry.payout_amount)
+    }
+  ));
+};
+
+/**
+ * Create a pool on an upcoming event
+ * @param {string} userId - Creator's user ID
+ * @param {Object} poolData - Pool data
+ * @returns {Promise<Object>} Created pool
+ */
+const createPool = async (userId, poolData) => {
+  try {
+    const event = await Event.findByPk(poolData.event_id);
+
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    if (event.status !== 'scheduled' || new Date(event.start_time) <= new Date()) {
+      throw new Error('Pools can only be created on events that have not started');
+    }
+
+    if (!Object.values(POOL_TYPES).includes(poolData.pool_type)) {
+      throw new Error(`Invalid pool type: ${poolData.pool_type}`);
+    }
+
+    const minParticipants = poolData.min_participants || 2;
+
+    if (poolData.max_entries && poolData.max_entries < minParticipants) {
+      throw new Error('Entry cap cannot be below the minimum number of participants');
+    }
+
+    // Entries close at kick-off unless the creator picks an earlier time
+    const closesAt = poolData.closes_at ? new Date(poolData.closes_at) : new Date(event.start_time);
+
+    if (closesAt <= new Date() || closesAt > new Date(event.start_time)) {
+      throw new Error('Pool must close between now and the event start time');
+    }
+
+    const pool = await Pool.create({
+      event_id: event.id,
+      creator_id: userId,
+      name: poolData.name,
+      pool_type: poolData.pool_type,
+      entry_fee: poolData.entry_fee,
+      max_entries: poolData.max_entries || null,
+      min_participants: minParticipants,
+      closes_at: closesAt
+    });
+
+    logger.info(`Pool ${pool.id} created on event ${event.id}`, { creator_id: userId, pool_type: pool.pool_type });
+
+    return pool;
+  } catch (error) {
+    logger.error(`Error creating pool: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+/**
+ * Enter a pool, moving the stake from the user's wallet into the pot
+ * @param {string} userId - User ID
+ * @param {string} poolId - Pool ID
+ * @param {Object} entryData - Pick (selection) or score guess, and stake for pari-mutuel pools
+ * @returns {Promise<Object>} Created entry
+ */
+const joinPool = async (userId, poolId, entryData) => {
+  const t = await sequelize.transaction();
+
+  try {
+    // Lock the pool so concurrent entries cannot overrun the cap
+    const pool = await Pool.findByPk(poolId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!pool) {
+      throw new Error('Pool not found');
+    }
+
+    if (pool.status !== 'open' || new Date(pool.closes_at) <= new Date()) {
+      throw new Error('Pool is closed to new entries');
+    }
+
+    const existingEntry = await PoolEntry.findOne({
+      where: { pool_id: poolId, user_id: userId },
+      transaction: t
+    });
+
+    if (existingEntry) {
+      throw new Error('You have already entered this pool');
+    }
+
+    if (pool.max_entries) {
+      const entryCount = await PoolEntry.count({
+        where: { pool_id: poolId },
+        transaction: t
+      });
+
+      if (entryCount >= pool.max_entries) {
+        throw new Error('Pool is full');
+      }
+    }
+
+    const entry = { pool_id: poolId, user_id: userId };
+
+    if (pool.pool_type === POOL_TYPES.SCORE_CONTEST) {
+      const home = Number(entryData.predicted_home_score);
+      const away = Number(entryData.predicted_away_score);
+
+      if (!Number.isInteger(home) || !Number.isInteger(away) || home < 0 || away < 0) {
+        throw new Error('Score guesses must be whole numbers of zero or more');
+      }
+
+      entry.predicted_home_score = home;
+      entry.predicted_away_score = away;
+    } else {
+      if (!POOL_SELECTIONS.includes(entryData.selection)) {
+        throw new Error(`Selection must be one of: ${POOL_SELECTIONS.join(', ')}`);
+      }
+
+      entry.selection = entryData.selection;
+    }
+
+    // Only pari-mutuel pools let entrants choose their stake
+    entry.stake_amount = pool.pool_type === POOL_TYPES.PARI_MUTUEL
+      ? roundCurrency(parseFloat(entryData.stake_amount))
+      : parseFloat(pool.entry_fee);
+
+    if (!(entry.stake_amount >= parseFloat(pool.entry_fee))) {
+      throw new Error(`Stake must be at least ${pool.entry_fee}`);
+    }
+
+    const wallet = await Wallet.findOne({
+      where: { user_id: userId },
+      transaction: t
+    });
+
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    if (parseFloat(wallet.balance) < entry.stake_amount) {
+      throw new Error('Insufficient balance');
+    }
+
+    const poolEntry = await PoolEntry.create(entry, { transaction: t });
+
+    await Transaction.create({
+      user_id: userId,
+      wallet_id: wallet.id,
+      amount: -entry.stake_amount,
+      type: 'bet',
+      status: 'completed',
+      reference_id: pool.id,
+      description: 'Stake placed in pool',
+      metadata: {
+        pool_id: pool.id,
+        entry_id: poolEntry.id
+      }
+    }, { transaction: t });
+
+    await wallet.decrement('balance', { by: entry.stake_amount, transaction: t });
+    await pool.increment('pot_amount', { by: entry.stake_amount, transaction: t });
+
+    await t.commit();
+
+    return poolEntry;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error joining pool: ${error.message}`, { userId, poolId });
+    throw error;
+  }
+};
+
+/**
+ * Get a pool with its entries. Picks stay hidden until entries close.
+ * @param {string} poolId - Pool ID
+ * @returns {Promise<Object>} Pool, entries and stake totals by selection
+ */
+const getPool = async (poolId) => {
+  try {
+    const pool = await Pool.findByPk(poolId, {
+      include: [
+        {
+          model: Event,
+          as: 'event'
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'username']
+        }
+      ]
+    });
+
+    if (!pool) {
+      throw new Error('Pool not found');
+    }
+
+    const isOpen = pool.status === 'open';
+
+    const entries = await PoolEntry.findAll({
+      where: { pool_id: poolId },
+      attributes: isOpen
+        ? { exclude: ['selection', 'predicted_home_score', 'predicted_away_score'] }
+        : undefined,
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    const data = pool.toJSON();
+    data.entries = entries;
+    data.entry_count = entries.length;
+
+    // Pari-mutuel prices come from how the pot is spread across the picks
+    if (pool.pool_type === POOL_TYPES.PARI_MUTUEL) {
+      const totals = await PoolEntry.findAll({
+        attributes: ['selection', [sequelize.fn('SUM', sequelize.col('stake_amount')), 'total']],
+        where: { pool_id: poolId },
+        group: ['selection'],
+        raw: true
+      });
+
+      data.selection_totals = POOL_SELECTIONS.reduce((result, selection) => {
+        const row = totals.find(total => total.selection === selection);
+        result[selection] = row ? roundCurrency(parseFloat(row.total)) : 0;
+        return result;
+      }, {});
+    }
+
+    return data;
+  } catch (error) {
+    logger.error(`Error getting pool: ${error.message}`, { poolId });
+    throw error;
+  }
+};
+
+/**
+ * Get pools, optionally filtered by event and status
+ * @param {Object} options - Query options (eventId, status, limit, offset)
+ * @returns {Promise<Object>} Pools and total
+ */
+const getPools = async (options = {}) => {
+  try {
+    const { eventId, status, limit = 20, offset = 0 } = options;
+    const where = {};
+
+    if (eventId) {
+      where.event_id = eventId;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    const pools = await Pool.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Event,
+          as: 'event'
+        }
+      ],
+      limit,
+      offset,
+      order: [['closes_at', 'ASC']]
+    });
+
+    return {
+      total: pools.count,
+      pools: pools.rows,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting pools: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the pools a user has entered
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options (limit, offset)
+ * @returns {Promise<Object>} Entries with their pools, and total
+ */
+const getUserEntries = async (userId, options = {}) => {
+  try {
+    const { limit = 20, offset = 0 } = options;
+
+    const entries = await PoolEntry.findAndCountAll({
+      where: { user_id: userId },
+      include: [
+        {
+          model: Pool,
+          as: 'pool',
+          include: [{ model: Event, as: 'event' }]
+        }
+      ],
+      limit,
+      offset,
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      total: entries.count,
+      entries: entries.rows,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting pool entries: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+/**
+ * Refund a pool that is still open or locked
+ * @param {string} poolId - Pool ID
+ * @param {string} reason - Refund reason
+ * @returns {Promise<Object|null>} Refunded pool, or null if it had already finished
+ */
+const refundPool = async (poolId, reason) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const pool = await Pool.findByPk(poolId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!pool) {
+      throw new Error('Pool not found');
+    }
+
+    if (!['open', 'locked'].includes(pool.status)) {
+      await t.commit();
+      return null;
+    }
+
+    const entries = await PoolEntry.findAll({
+      where: { pool_id: poolId, status: 'active' },
+      transaction: t
+    });
+
+    await refundEntries(pool, entries, reason, t);
+
+    await t.commit();
+
+    notifyEntrants(pool, entries);
+
+    return pool;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error refunding pool: ${error.message}`, { poolId, reason });
+    throw error;
+  }
+};
+
+/**
+ * Close pools whose entry window has ended: pools short of their minimum
+ * number of participants are refunded, the rest are locked until settlement
+ * @returns {Promise<Object>} Counts of pools locked, refunded and failed
+ */
+const closePools = async () => {
+  try {
+    const pools = await Pool.findAll({
+      where: {
+        status: 'open',
+        closes_at: { [Op.lte]: new Date() }
+      },
+      order: [['closes_at', 'ASC']]
+    });
+
+    let locked = 0;
+    let refunded = 0;
+    let failed = 0;
+
+    for (const pool of pools) {
+      try {
+        const entryCount = await PoolEntry.count({ where: { pool_id: pool.id } });
+
+        if (entryCount < pool.min_participants) {
+          if (await refundPool(pool.id, 'unfilled')) {
+            refunded += 1;
+          }
+        } else {
+          // Only lock a pool nothing else has finished in the meantime
+          const [updated] = await Pool.update(
+            { status: 'locked' },
+            { where: { id: pool.id, status: 'open' } }
+          );
+          locked += updated;
+        }
+      } catch (error) {
+        failed += 1;
+        logger.error(`Error closing pool ${pool.id}: ${error.message}`);
+      }
+    }
+
+    if (pools.length > 0) {
+      logger.info(`Closed ${pools.length} pools`, { locked, refunded, failed });
+    }
+
+    return { locked, refunded, failed };
+  } catch (error) {
+    logger.error(`Error closing pools: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Settle a pool against its event's result, paying the winners out of the
+ * pot. Pools that never filled, or where nobody picked the result, are
+ * refunded instead.
+ * @param {string} poolId - Pool ID
+ * @param {Object} eventResult - Event result data
+ * @returns {Promise<Object|null>} Settled or refunded pool, or null if it had already finished
+ */
+const settlePool = async (poolId, eventResult) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const pool = await Pool.findByPk(poolId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!pool) {
+      throw new Error('Pool not found');
+    }
+
+    if (!['open', 'locked'].includes(pool.status)) {
+      await t.commit();
+      return null;
+    }
+
+    const entries = await PoolEntry.findAll({
+      where: { pool_id: poolId, status: 'active' },
+      order: [['created_at', 'ASC']],
+      transaction: t
+    });
+
+    const winners = entries.length >= pool.min_participants
+      ? determineWinners(pool, entries, eventResult)
+      : [];
+
+    if (winners.length === 0) {
+      await refundEntries(pool, entries, entries.length >= pool.min_participants ? 'no_winner' : 'unfilled', t);
+      await t.commit();
+
+      notifyEntrants(pool, entries);
+
+      return pool;
+    }
+
+    const pot = roundCurrency(entries.reduce((total, entry) => total + parseFloat(entry.stake_amount), 0));
+    const platformFee = roundCurrency(pot * auth.platformFee);
+    const payouts = splitPot(roundCurrency(pot - platformFee), winners);
+
+    for (const entry of entries) {
+      if (!payouts.has(entry.id)) {
+        await entry.update({ status: 'lost' }, { transaction: t });
+        continue;
+      }
+
+      const payout = payouts.get(entry.id);
+
+      const wallet = await Wallet.findOne({
+        where: { user_id: entry.user_id },
+        transaction: t
+      });
+
+      await Transaction.create({
+        user_id: entry.user_id,
+        wallet_id: wallet.id,
+        amount: payout,
+        type: 'win',
+        status: 'completed',
+        reference_id: pool.id,
+        description: 'Pool winnings',
+        metadata: {
+          pool_id: pool.id,
+          entry_id: entry.id
+        }
+      }, { transaction: t });
+
+      await wallet.increment('balance', { by: payout, transaction: t });
+      await entry.update({ status: 'won', payout_amount: payout }, { transaction: t });
+    }
+
+    await pool.update({
+      status: 'settled',
+      platform_fee: platformFee,
+      result: {
+        home_score: eventResult.home_score,
+        away_score: eventResult.away_score,
+        selection: getResultSelection(eventResult.home_score, eventResult.away_score),
+        winner_entry_ids: winners.map(entry => entry.id)
+      },
+      settled_at: new Date()
+    }, { transaction: t });
+
+    await t.commit();
+
+    notifyEntrants(pool, entries);
+
+    logger.info(`Pool ${pool.id} settled`, { winners: winners.length, pot, platform_fee: platformFee });
+
+    return pool;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error settling pool: ${error.message}`, { poolId });
+    throw error;
+  }
+};
+
+/**
+ * Schedule closing of pools whose entry window has ended
+ * @param {number} interval - Interval in milliseconds
+ */
+const schedulePoolClosing = (interval = 60000) => { // Default: 1 minute
+  setInterval(async () => {
+    try {
+      await closePools();
+    } catch (error) {
+      logger.error(`Error in scheduled pool closing: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Pool closing scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  POOL_TYPES,
+  POOL_SELECTIONS,
+  determineWinners,
+  createPool,
+  joinPool,
+  getPool,
+  getPools,
+  getUserEntries,
+  refundPool,
+  closePools,
+  settlePool,
+  schedulePoolClosing
+};
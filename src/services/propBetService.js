@@ -0,0 +1,160 @@
+/**
+ * Prop Bet Service
+ *
+ * This service defines the structure of prop bets stored in `Bet.bet_details`
+ * and settles them against an event's recorded stat lines.
+ *
+ * Supported prop types:
+ *   player_stat    - { prop_type, player, stat, line, pick: 'over' | 'under' }
+ *   first_to_score - { prop_type, pick: 'home' | 'away' }
+ *   exact_score    - { prop_type, home_score, away_score }
+ *   yes_no         - { prop_type, proposition, question, pick: 'yes' | 'no' }
+ */
+
+const PROP_TYPES = ['player_stat', 'first_to_score', 'exact_score', 'yes_no'];
+
+// Which side of a prop bet won
+const OUTCOMES = {
+  CREATOR: 'creator',
+  TAKER: 'taker',
+  PUSH: 'push'
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate prop bet details
+ * @param {Object} details - Bet details for a prop bet
+ * @throws {Error} If the details do not describe a supported prop
+ * @returns {boolean} True when valid
+ */
+const validatePropDetails = (details) => {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    throw new Error('Prop bet details must be an object');
+  }
+
+  const { prop_type } = details;
+
+  if (!PROP_TYPES.includes(prop_type)) {
+    throw new Error(`Prop type must be one of: ${PROP_TYPES.join(', ')}`);
+  }
+
+  switch (prop_type) {
+    case 'player_stat':
+      if (!isNonEmptyString(details.player)) {
+        throw new Error('Player stat props require a player');
+      }
+      if (!isNonEmptyString(details.stat)) {
+        throw new Error('Player stat props require a stat');
+      }
+      if (typeof details.line !== 'number' || !Number.isFinite(details.line) || details.line < 0) {
+        throw new Error('Player stat props require a non-negative numeric line');
+      }
+      if (!['over', 'under'].includes(details.pick)) {
+        throw new Error("Player stat props require a pick of 'over' or 'under'");
+      }
+      break;
+
+    case 'first_to_score':
+      if (!['home', 'away'].includes(details.pick)) {
+        throw new Error("First to score props require a pick of 'home' or 'away'");
+      }
+      break;
+
+    case 'exact_score':
+      if (!isNonNegativeInteger(details.home_score) || !isNonNegativeInteger(details.away_score)) {
+        throw new Error('Exact score props require non-negative integer home and away scores');
+      }
+      break;
+
+    case 'yes_no':
+      if (!isNonEmptyString(details.proposition)) {
+        throw new Error('Yes/no props require a proposition key');
+      }
+      if (!isNonEmptyString(details.question)) {
+        throw new Error('Yes/no props require a question');
+      }
+      if (!['yes', 'no'].includes(details.pick)) {
+        throw new Error("Yes/no props require a pick of 'yes' or 'no'");
+      }
+      break;
+  }
+
+  return true;
+};
+
+/**
+ * Determine which side of a prop bet won
+ * @param {Object} details - Bet details for a prop bet
+ * @param {Object} eventResult - Event result data, including recorded stats
+ * @throws {Error} If the result does not yet contain what the prop needs
+ * @returns {string} One of OUTCOMES
+ */
+const determinePropOutcome = (details, eventResult) => {
+  const stats = eventResult.stats || {};
+
+  switch (details.prop_type) {
+    case 'player_stat': {
+      const playerStats = (stats.players || {})[details.player];
+      const value = playerStats ? playerStats[details.stat] : undefined;
+
+      if (typeof value !== 'number') {
+        throw new Error(`No ${details.stat} recorded for ${details.player}`);
+      }
+
+      if (value === details.line) {
+        return OUTCOMES.PUSH;
+      }
+
+      const wentOver = value > details.line;
+      return wentOver === (details.pick === 'over') ? OUTCOMES.CREATOR : OUTCOMES.TAKER;
+    }
+
+    case 'first_to_score': {
+      if (!['home', 'away', 'none'].includes(stats.first_to_score)) {
+        throw new Error('No first scorer recorded');
+      }
+
+      // Nobody scored, so neither side can win
+      if (stats.first_to_score === 'none') {
+        return OUTCOMES.PUSH;
+      }
+
+      return stats.first_to_score === details.pick ? OUTCOMES.CREATOR : OUTCOMES.TAKER;
+    }
+
+    case 'exact_score': {
+      const { home_score, away_score } = eventResult;
+
+      if (home_score === null || home_score === undefined || away_score === null || away_score === undefined) {
+        throw new Error('No final score recorded');
+      }
+
+      return home_score === details.home_score && away_score === details.away_score
+        ? OUTCOMES.CREATOR
+        : OUTCOMES.TAKER;
+    }
+
+    case 'yes_no': {
+      const answer = (stats.propositions || {})[details.proposition];
+
+      if (typeof answer !== 'boolean') {
+        throw new Error(`No answer recorded for proposition ${details.proposition}`);
+      }
+
+      return answer === (details.pick === 'yes') ? OUTCOMES.CREATOR : OUTCOMES.TAKER;
+    }
+
+    default:
+      throw new Error('Unknown prop type');
+  }
+};
+
+module.exports = {
+  PROP_TYPES,
+  OUTCOMES,
+  validatePropDetails,
+  determinePropOutcome
+};
@@ -0,0 +1,397 @@
+/**
+ * Reconciliation Service
+ *
+ * This service audits the ledger. Wallet balances, escrows, transactions and
+ * payouts are all written separately, so each run checks that they still
+ * agree:
+ * - every wallet balance equals the sum of its posted transactions
+ * - every completed escrow paid out its amount less the platform fee
+ * - user balances plus the funds the platform holds (escrows, unmatched bet
+ *   stakes, pool stakes) equal deposits less withdrawals and fees taken
+ * Mismatches are stored on a report for admins to investigate; nothing is
+ * corrected automatically. The platform account's wallet is left out of the
+ * platform-wide totals because what it collects is already counted as fees.
+ */
+
+const { Op, fn, col, Transaction: { ISOLATION_LEVELS } } = require('sequelize');
+const { Wallet, Transaction, Escrow, Payout, Bet, Pool, PoolEntry, ReconciliationReport, sequelize } = require('../models');
+const { PLATFORM_ACCOUNT_ID } = require('../config/stripe');
+const logger = require('../config/logger');
+
+// Escrow and bet statuses whose funds are still held by the platform
+const HELD_ESCROW_STATUSES = ['active', 'disputed'];
+const OPEN_BET_STATUSES = ['open', 'suspended'];
+
+// Transactions that have moved a wallet balance; withdrawals are debited while pending
+const POSTED_TRANSACTION_STATUSES = ['pending', 'completed'];
+
+// Rows loaded per query while scanning escrows and wallets
+const RECONCILIATION_BATCH_SIZE = 500;
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Describe a failed check
+ * @param {string} check - Check that failed
+ * @param {Object} subject - IDs identifying what failed
+ * @param {number} expectedCents - Amount the ledger says it should be
+ * @param {number} actualCents - Amount found
+ * @returns {Object} Mismatch
+ */
+const mismatch = (check, subject, expectedCents, actualCents) => ({
+  check,
+  ...subject,
+  expected: fromCents(expectedCents),
+  actual: fromCents(actualCents),
+  difference: fromCents(actualCents - expectedCents)
+});
+
+/**
+ * Load every row of a model a page at a time. Pages follow on from the last
+ * ID seen, so rows added or removed mid-scan do not shift later pages.
+ * @param {Object} model - Sequelize model
+ * @param {Object} options - Find options (where, attributes)
+ * @param {Function} handler - Called with each page of rows
+ */
+const forEachPage = async (model, options, handler) => {
+  let lastId = null;
+  let rows;
+
+  do {
+    const where = lastId === null
+      ? options.where
+      : { [Op.and]: [options.where || {}, { id: { [Op.gt]: lastId } }] };
+
+    rows = await model.findAll({
+      ...options,
+      where,
+      order: [['id', 'ASC']],
+      limit: RECONCILIATION_BATCH_SIZE
+    });
+
+    if (rows.length > 0) {
+      await handler(rows);
+      lastId = rows[rows.length - 1].id;
+    }
+  } while (rows.length === RECONCILIATION_BATCH_SIZE);
+};
+
+/**
+ * Get the IDs of the platform account's wallets
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array<string>>} Wallet IDs
+ */
+const getPlatformWalletIds = async (transaction) => {
+  if (!PLATFORM_ACCOUNT_ID) {
+    return [];
+  }
+
+  const wallets = await Wallet.findAll({ attributes: ['id'], where: { user_id: PLATFORM_ACCOUNT_ID }, transaction });
+  return wallets.map(wallet => wallet.id);
+};
+
+/**
+ * Compare what users hold and what the platform holds for them against what
+ * has come in and gone out. The sums all read one snapshot, so money moving
+ * between two of them is not reported as a mismatch.
+ * @returns {Promise<Object>} Totals and whether they balance
+ */
+const checkLedgerTotals = async () => {
+  const t = await sequelize.transaction({
+    isolationLevel: ISOLATION_LEVELS.REPEATABLE_READ,
+    readOnly: true
+  });
+
+  try {
+    const platformWalletIds = await getPlatformWalletIds(t);
+    const userWallets = (field) => (
+      platformWalletIds.length > 0 ? { [field]: { [Op.notIn]: platformWalletIds } } : {}
+    );
+
+    const sums = await Promise.all([
+      Wallet.sum('balance', { where: userWallets('id'), transaction: t }),
+      Escrow.sum('amount', { where: { status: HELD_ESCROW_STATUSES }, transaction: t }),
+      Bet.sum('stake_amount', { where: { status: OPEN_BET_STATUSES }, transaction: t }),
+      Bet.sum('matched_amount', { where: { status: OPEN_BET_STATUSES }, transaction: t }),
+      Bet.sum('cancelled_amount', { where: { status: OPEN_BET_STATUSES }, transaction: t }),
+      PoolEntry.sum('stake_amount', { where: { status: 'active' }, transaction: t }),
+      Transaction.sum('amount', {
+        where: { ...userWallets('wallet_id'), type: 'deposit', status: 'completed' },
+        transaction: t
+      }),
+      Transaction.sum('amount', {
+        where: { ...userWallets('wallet_id'), type: 'withdrawal', status: POSTED_TRANSACTION_STATUSES },
+        transaction: t
+      }),
+      Escrow.sum('platform_fee', { where: { status: 'completed' }, transaction: t }),
+      Pool.sum('platform_fee', { where: { status: 'settled' }, transaction: t })
+    ]);
+
+    await t.commit();
+
+    const [
+      balances, escrowHeld, openStakes, matchedStakes, cancelledStakes, poolStakes,
+      deposits, withdrawals, escrowFees, poolFees
+    ] = sums.map(toCents);
+
+    const held = {
+      escrows: escrowHeld,
+      open_bets: openStakes - matchedStakes - cancelledStakes,
+      pools: poolStakes
+    };
+
+    // Withdrawals are stored as negative amounts
+    const expected = deposits + withdrawals - escrowFees - poolFees;
+    const actual = balances + held.escrows + held.open_bets + held.pools;
+
+    return {
+      balanced: expected === actual,
+      totals: {
+        wallet_balances: fromCents(balances),
+        held: {
+          escrows: fromCents(held.escrows),
+          open_bets: fromCents(held.open_bets),
+          pools: fromCents(held.pools)
+        },
+        deposits: fromCents(deposits),
+        withdrawals: fromCents(-withdrawals),
+        fees: {
+          escrows: fromCents(escrowFees),
+          pools: fromCents(poolFees)
+        },
+        expected: fromCents(expected),
+        actual: fromCents(actual),
+        difference: fromCents(actual - expected)
+      },
+      mismatch: mismatch('ledger_totals', {}, expected, actual)
+    };
+  } catch (error) {
+    if (!t.finished) {
+      await t.rollback();
+    }
+    logger.error(`Error checking ledger totals: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Find completed escrows whose payouts do not add up to the escrow amount
+ * less the platform fee. Payouts to the platform account are its fee, so
+ * they are not counted as paid out.
+ * @returns {Promise<Array<Object>>} Mismatches
+ */
+const findEscrowPayoutMismatches = async () => {
+  try {
+    const mismatches = [];
+
+    await forEachPage(Escrow, {
+      attributes: ['id', 'amount', 'platform_fee', 'bet_match_id', 'tournament_id'],
+      where: { status: 'completed' }
+    }, async (escrows) => {
+      const where = {
+        escrow_id: escrows.map(escrow => escrow.id),
+        status: 'completed'
+      };
+
+      if (PLATFORM_ACCOUNT_ID) {
+        where.user_id = { [Op.ne]: PLATFORM_ACCOUNT_ID };
+      }
+
+      const payouts = await Payout.findAll({
+        attributes: ['escrow_id', [fn('SUM', col('amount')), 'paid']],
+        where,
+        group: ['escrow_id'],
+        raw: true
+      });
+
+      const paid = new Map(payouts.map(payout => [payout.escrow_id, toCents(payout.paid)]));
+
+      for (const escrow of escrows) {
+        const expected = toCents(escrow.amount) - toCents(escrow.platform_fee);
+        const actual = paid.get(escrow.id) || 0;
+
+        if (expected !== actual) {
+          mismatches.push(mismatch('escrow_payouts', {
+            escrow_id: escrow.id,
+            bet_match_id: escrow.bet_match_id,
+            tournament_id: escrow.tournament_id
+          }, expected, actual));
+        }
+      }
+    });
+
+    return mismatches;
+  } catch (error) {
+    logger.error(`Error checking escrow payouts: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Find wallets whose balance is not the sum of their posted transactions
+ * @returns {Promise<Array<Object>>} Mismatches
+ */
+const findWalletBalanceMismatches = async () => {
+  try {
+    const mismatches = [];
+
+    await forEachPage(Wallet, {
+      attributes: ['id', 'user_id', 'balance']
+    }, async (wallets) => {
+      const sums = await Transaction.findAll({
+        attributes: ['wallet_id', [fn('SUM', col('amount')), 'total']],
+        where: {
+          wallet_id: wallets.map(wallet => wallet.id),
+          status: POSTED_TRANSACTION_STATUSES
+        },
+        group: ['wallet_id'],
+        raw: true
+      });
+
+      const ledger = new Map(sums.map(sum => [sum.wallet_id, toCents(sum.total)]));
+
+      for (const wallet of wallets) {
+        const expected = ledger.get(wallet.id) || 0;
+        const actual = toCents(wallet.balance);
+
+        if (expected !== actual) {
+          mismatches.push(mismatch('wallet_balance', {
+            wallet_id: wallet.id,
+            user_id: wallet.user_id
+          }, expected, actual));
+        }
+      }
+    });
+
+    return mismatches;
+  } catch (error) {
+    logger.error(`Error checking wallet balances: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Run every check and store the outcome as a reconciliation report
+ * @param {string} adminId - Admin running the check (null for scheduled runs)
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const runReconciliation = async (adminId = null) => {
+  const report = await ReconciliationReport.create({
+    triggered_by: adminId,
+    started_at: new Date()
+  });
+
+  try {
+    const ledger = await checkLedgerTotals();
+    const mismatches = [
+      ...(ledger.balanced ? [] : [ledger.mismatch]),
+      ...await findEscrowPayoutMismatches(),
+      ...await findWalletBalanceMismatches()
+    ];
+
+    await report.update({
+      status: mismatches.length > 0 ? 'mismatched' : 'balanced',
+      totals: ledger.totals,
+      mismatch_count: mismatches.length,
+      mismatches,
+      completed_at: new Date()
+    });
+
+    if (mismatches.length > 0) {
+      logger.warn(`Reconciliation found ${mismatches.length} mismatches`, {
+        report_id: report.id,
+        difference: ledger.totals.difference
+      });
+    } else {
+      logger.info('Reconciliation balanced', { report_id: report.id });
+    }
+
+    return report;
+  } catch (error) {
+    await report.update({
+      status: 'failed',
+      last_error: error.message,
+      completed_at: new Date()
+    });
+
+    logger.error(`Error running reconciliation: ${error.message}`, { report_id: report.id });
+    throw error;
+  }
+};
+
+/**
+ * Get reconciliation reports, newest first, without their mismatch lists
+ * @param {Object} options - Filter options
+ * @param {string} options.status - Only reports with this status
+ * @param {number} options.limit - Number of reports to return
+ * @param {number} options.offset - Offset for pagination
+ * @returns {Promise<Object>} Reports and total count
+ */
+const getReports = async ({ status, limit = 20, offset = 0 } = {}) => {
+  try {
+    const { count, rows } = await ReconciliationReport.findAndCountAll({
+      attributes: { exclude: ['mismatches'] },
+      where: status ? { status } : {},
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      reports: rows,
+      total: count,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting reconciliation reports: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a reconciliation report with its mismatches
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const getReport = async (reportId) => {
+  try {
+    const report = await ReconciliationReport.findByPk(reportId);
+
+    if (!report) {
+      throw new Error('Reconciliation report not found');
+    }
+
+    return report;
+  } catch (error) {
+    logger.error(`Error getting reconciliation report: ${error.message}`, { reportId });
+    throw error;
+  }
+};
+
+/**
+ * Schedule the reconciliation job
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleReconciliation = (interval = 3600000) => { // Default: 1 hour
+  setInterval(async () => {
+    try {
+      await runReconciliation();
+    } catch (error) {
+      logger.error(`Error in scheduled reconciliation: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Reconciliation scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  checkLedgerTotals,
+  findEscrowPayoutMismatches,
+  findWalletBalanceMismatches,
+  runReconciliation,
+  getReports,
+  getReport,
+  scheduleReconciliation
+};
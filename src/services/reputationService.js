@@ -0,0 +1,81 @@
+/**
+ * Reputation Service
+ *
+ * This service keeps each user's betting reputation up to date. A user's
+ * reputation score is the share of the bet matches they have been a party
+ * to, as creator or taker, that settled without them losing a dispute over
+ * it. Scores are stored on the user so the bet board can filter on them
+ * without recounting history on every search.
+ */
+
+const { Op } = require('sequelize');
+const { BetMatch, Bet, Escrow, User } = require('../models');
+const logger = require('../config/logger');
+
+// Bet match statuses that count towards a track record
+const SETTLED_MATCH_STATUSES = ['settled', 'refunded'];
+
+/**
+ * Count a user's settled bet matches, and how many of them they lost a dispute over
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Settled and disputes lost
+ */
+const countTrackRecord = async (userId) => {
+  const query = {
+    where: {
+      status: { [Op.in]: SETTLED_MATCH_STATUSES },
+      [Op.or]: [{ taker_id: userId }, { '$bet.creator_id$': userId }]
+    },
+    include: [{ model: Bet, as: 'bet', attributes: [] }]
+  };
+
+  const [settled, disputesLost] = await Promise.all([
+    BetMatch.count(query),
+    BetMatch.count({
+      ...query,
+      include: [
+        ...query.include,
+        {
+          model: Escrow,
+          as: 'escrow',
+          attributes: [],
+          where: {
+            dispute_reason: { [Op.ne]: null },
+            winner_id: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: userId }] }
+          }
+        }
+      ]
+    })
+  ]);
+
+  return { settled, disputesLost };
+};
+
+/**
+ * Recalculate the reputation of the given users
+ * @param {Array<string>} userIds - User IDs
+ * @returns {Promise<number>} Number of users updated
+ */
+const refreshReputation = async (userIds) => {
+  try {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))];
+
+    for (const userId of uniqueIds) {
+      const { settled, disputesLost } = await countTrackRecord(userId);
+
+      await User.update({
+        settled_bets_count: settled,
+        reputation_score: settled > 0 ? Math.round(100 * (settled - disputesLost) / settled) : null
+      }, { where: { id: userId } });
+    }
+
+    return uniqueIds.length;
+  } catch (error) {
+    logger.error(`Error refreshing reputation: ${error.message}`, { userIds });
+    throw error;
+  }
+};
+
+module.exports = {
+  refreshReputation
+};
@@ -0,0 +1,539 @@
+/**
+ * Settlement Service
+ *
+ * This service settles every bet match on an event once its result is in,
+ * and refunds every stake on an event that gets cancelled.
+ * Progress is recorded per event in a settlement report so that a run which
+ * stops halfway through a card can be picked up again safely.
+ *
+ * Parlays are not settled with the single bets on their first event. Instead
+ * each event resolves the parlay legs on it, and a parlay is paid out by the
+ * run that resolves its last pending leg.
+ */
+
+const { Op } = require('sequelize');
+const { Event, Bet, BetMatch, Escrow, SettlementReport, ParlayLeg, Pool } = require('../models');
+const bettingService = require('./bettingService');
+const escrowService = require('./escrowService');
+const parlayService = require('./parlayService');
+const poolService = require('./poolService');
+const reputationService = require('./reputationService');
+const logger = require('../config/logger');
+
+/**
+ * Build the result payload bets are settled against
+ * @param {Object} event - Completed event
+ * @returns {Object} Event result data
+ */
+const buildEventResult = (event) => ({
+  home_score: event.home_score,
+  away_score: event.away_score,
+  stats: event.result_stats || {}
+});
+
+/**
+ * Count report entries with a given outcome
+ * @param {Object} results - Report results keyed by bet match ID
+ * @param {string} outcome - Outcome to count
+ * @returns {number} Number of matching entries
+ */
+const countOutcomes = (results, outcome) =>
+  Object.values(results).filter(result => result.outcome === outcome).length;
+
+/**
+ * Resolve a parlay leg against its event's result
+ * @param {Object} leg - Parlay leg
+ * @param {Object} eventResult - Event result data
+ * @returns {string} Leg status from the creator's side
+ */
+const determineLegStatus = (leg, eventResult) => {
+  const { CREATOR, TAKER } = parlayService.OUTCOMES;
+
+  // Settle the leg as a bet between the two sides of the parlay
+  const winner = bettingService.determineWinner(
+    { creator_id: CREATOR, bet_type: leg.bet_type, bet_details: leg.bet_details },
+    eventResult,
+    { taker_id: TAKER }
+  );
+
+  if (winner === CREATOR) {
+    return 'won';
+  }
+
+  return winner === TAKER ? 'lost' : 'push';
+};
+
+/**
+ * Settle the matches on a parlay once none of its legs is pending
+ * @param {string} betId - Parlay bet ID
+ * @param {Object} results - Report results to record outcomes in
+ * @returns {Promise<void>}
+ */
+const settleParlay = async (betId, results) => {
+  const { CREATOR, PUSH, PENDING } = parlayService.OUTCOMES;
+
+  const bet = await Bet.findByPk(betId, {
+    include: [
+      {
+        model: ParlayLeg,
+        as: 'legs'
+      },
+      {
+        model: BetMatch,
+        as: 'matches',
+        include: [
+          {
+            model: Escrow,
+            as: 'escrow'
+          }
+        ]
+      }
+    ]
+  });
+
+  const { outcome, odds } = parlayService.determineParlayOutcome(bet.legs);
+
+  if (outcome === PENDING) {
+    return;
+  }
+
+  for (const betMatch of bet.matches) {
+    if (betMatch.status !== 'active' || !betMatch.escrow || betMatch.escrow.status !== 'active') {
+      continue;
+    }
+
+    try {
+      if (outcome === PUSH) {
+        const refund = await escrowService.refundEscrow(betMatch.escrow.id, 'parlay_void');
+
+        results[betMatch.id] = {
+          outcome: 'settled',
+          result: 'push',
+          parlay_bet_id: bet.id,
+          payouts: refund.payouts
+        };
+        continue;
+      }
+
+      const winnerId = outcome === CREATOR
+        ? betMatch.creator_holder_id || bet.creator_id
+        : betMatch.taker_holder_id || betMatch.taker_id;
+      let payout;
+
+      if (outcome === CREATOR && odds < parseFloat(bet.odds)) {
+        // A leg dropped out, so the creator wins at the recomputed odds
+        const creatorStake = parseFloat(betMatch.creator_stake !== null ? betMatch.creator_stake : bet.stake_amount);
+        payout = await escrowService.releaseReducedEscrow(betMatch.escrow.id, winnerId, creatorStake * odds, 'parlay_leg_void');
+      } else {
+        payout = await escrowService.releaseEscrow(betMatch.escrow.id, winnerId);
+      }
+
+      results[betMatch.id] = {
+        outcome: 'settled',
+        result: 'winner',
+        parlay_bet_id: bet.id,
+        winner_id: winnerId,
+        payout_id: payout.payout_id,
+        amount: payout.amount,
+        odds
+      };
+    } catch (error) {
+      logger.error(`Error settling parlay match ${betMatch.id}: ${error.message}`, { betId });
+
+      results[betMatch.id] = {
+        outcome: 'failed',
+        parlay_bet_id: bet.id,
+        error: error.message
+      };
+    }
+  }
+
+  // Nothing left to bet on, so hand back any stake still waiting for a taker
+  if (outcome === PUSH && bet.status === 'open') {
+    await bettingService.voidBet(bet.id, 'parlay_void');
+    return;
+  }
+
+  const activeMatches = await BetMatch.count({
+    where: {
+      bet_id: bet.id,
+      status: 'active'
+    }
+  });
+
+  if (activeMatches === 0 && bet.status === 'matched') {
+    await bet.update({ status: outcome === PUSH ? 'refunded' : 'settled' });
+  }
+};
+
+/**
+ * Resolve the parlay legs on a finished event and settle every parlay left
+ * without a pending leg
+ * @param {Object} event - Completed or cancelled event
+ * @param {Object} eventResult - Event result data (null if cancelled)
+ * @param {Object} results - Report results to record outcomes in
+ * @returns {Promise<void>}
+ */
+const settleParlayLegs = async (event, eventResult, results) => {
+  const legs = await ParlayLeg.findAll({
+    where: { event_id: event.id }
+  });
+
+  const betIds = new Set();
+
+  for (const leg of legs) {
+    betIds.add(leg.bet_id);
+
+    if (leg.status !== 'pending') {
+      continue;
+    }
+
+    try {
+      // A leg on a cancelled event drops out of its parlay
+      const status = event.status === 'cancelled' ? 'void' : determineLegStatus(leg, eventResult);
+
+      await leg.update({ status, settled_at: new Date() });
+      delete results[leg.id];
+    } catch (error) {
+      logger.error(`Error resolving parlay leg ${leg.id}: ${error.message}`, { eventId: event.id });
+
+      results[leg.id] = {
+        outcome: 'failed',
+        parlay_leg_id: leg.id,
+        error: error.message
+      };
+    }
+  }
+
+  for (const betId of betIds) {
+    try {
+      await settleParlay(betId, results);
+      delete results[betId];
+    } catch (error) {
+      logger.error(`Error settling parlay ${betId}: ${error.message}`, { eventId: event.id });
+
+      results[betId] = {
+        outcome: 'failed',
+        parlay_bet_id: betId,
+        error: error.message
+      };
+    }
+  }
+};
+
+/**
+ * Settle the pools on a finished event, or refund them if it was cancelled
+ * @param {Object} event - Completed or cancelled event
+ * @param {Object} eventResult - Event result data (null if cancelled)
+ * @param {Object} results - Report results to record outcomes in
+ * @returns {Promise<void>}
+ */
+const settleEventPools = async (event, eventResult, results) => {
+  const pools = await Pool.findAll({
+    where: {
+      event_id: event.id,
+      status: { [Op.in]: ['open', 'locked'] }
+    }
+  });
+
+  for (const pool of pools) {
+    try {
+      if (event.status === 'cancelled') {
+        await poolService.refundPool(pool.id, 'event_cancelled');
+      } else {
+        await poolService.settlePool(pool.id, eventResult);
+      }
+
+      delete results[pool.id];
+    } catch (error) {
+      logger.error(`Error settling pool ${pool.id}: ${error.message}`, { eventId: event.id });
+
+      results[pool.id] = {
+        outcome: 'failed',
+        pool_id: pool.id,
+        error: error.message
+      };
+    }
+  }
+};
+
+/**
+ * Settle all bet matches on a completed event, or void them if it was cancelled
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Settlement report
+ */
+const settleEvent = async (eventId) => {
+  try {
+    const event = await Event.findByPk(eventId);
+
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    if (!['completed', 'cancelled'].includes(event.status)) {
+      throw new Error(`Event is not finished, current status: ${event.status}`);
+    }
+
+    const isCancelled = event.status === 'cancelled';
+    const eventResult = isCancelled ? null : buildEventResult(event);
+
+    const [report] = await SettlementReport.findOrCreate({
+      where: { event_id: eventId },
+      defaults: { event_id: eventId }
+    });
+
+    if (report.status === 'completed') {
+      return report;
+    }
+
+    // Every match that was live on the event, including ones a previous run
+    // already paid out or refunded before it could record them
+    const betMatches = await BetMatch.findAll({
+      where: {
+        status: { [Op.in]: ['active', 'settled', 'refunded'] }
+      },
+      include: [
+        {
+          model: Bet,
+          as: 'bet',
+          where: {
+            event_id: eventId,
+            bet_type: { [Op.ne]: 'parlay' }
+          }
+        },
+        {
+          model: Escrow,
+          as: 'escrow'
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    await report.update({
+      status: 'in_progress',
+      total_matches: betMatches.length,
+      event_result: eventResult,
+      started_at: report.started_at || new Date()
+    });
+
+    const results = { ...report.results };
+
+    for (const betMatch of betMatches) {
+      if (results[betMatch.id] && results[betMatch.id].outcome === 'settled') {
+        continue;
+      }
+
+      try {
+        if (betMatch.escrow && betMatch.escrow.status === 'completed') {
+          // Paid out by an earlier run that stopped before recording it
+          results[betMatch.id] = {
+            outcome: 'settled',
+            result: 'winner',
+            winner_id: betMatch.escrow.winner_id,
+            recovered: true
+          };
+        } else if (betMatch.escrow && betMatch.escrow.status === 'refunded') {
+          // Refunded by an earlier run that stopped before recording it
+          results[betMatch.id] = {
+            outcome: 'settled',
+            result: isCancelled ? 'void' : 'push',
+            recovered: true
+          };
+        } else if (isCancelled) {
+          const refund = await escrowService.refundEscrow(betMatch.escrow.id, 'event_cancelled');
+
+          results[betMatch.id] = {
+            outcome: 'settled',
+            result: 'void',
+            payouts: refund.payouts
+          };
+        } else {
+          const settlement = await bettingService.settleBet(betMatch.id, eventResult);
+
+          results[betMatch.id] = {
+            outcome: 'settled',
+            result: settlement.outcome,
+            winner_id: settlement.winnerId,
+            payout_id: settlement.payoutId,
+            amount: settlement.winnings
+          };
+        }
+      } catch (error) {
+        logger.error(`Error settling bet match ${betMatch.id}: ${error.message}`, { eventId });
+
+        results[betMatch.id] = {
+          outcome: 'failed',
+          error: error.message
+        };
+      }
+
+      // Record progress after every match so a restart resumes from here
+      await report.update({
+        results: { ...results },
+        settled_count: countOutcomes(results, 'settled'),
+        failed_count: countOutcomes(results, 'failed')
+      });
+    }
+
+    if (isCancelled) {
+      // Refund unmatched stakes and close out the bets themselves
+      const bets = await Bet.findAll({
+        where: {
+          event_id: eventId,
+          bet_type: { [Op.ne]: 'parlay' },
+          status: { [Op.in]: ['open', 'suspended', 'matched'] }
+        }
+      });
+
+      let refundedBets = report.refunded_bets;
+
+      for (const bet of bets) {
+        try {
+          await bettingService.voidBet(bet.id, 'event_cancelled');
+          refundedBets += 1;
+          delete results[bet.id];
+        } catch (error) {
+          logger.error(`Error voiding bet ${bet.id}: ${error.message}`, { eventId });
+
+          results[bet.id] = {
+            outcome: 'failed',
+            bet_id: bet.id,
+            error: error.message
+          };
+        }
+      }
+
+      await report.update({
+        results: { ...results },
+        refunded_bets: refundedBets,
+        failed_count: countOutcomes(results, 'failed')
+      });
+    }
+
+    // Settled matches change both parties' track records
+    try {
+      await reputationService.refreshReputation(betMatches.flatMap(betMatch => [betMatch.taker_id, betMatch.bet.creator_id]));
+    } catch (error) {
+      logger.error(`Error refreshing reputation: ${error.message}`, { eventId });
+    }
+
+    // Resolve the parlay legs on this event and pay out any parlay it completes
+    await settleParlayLegs(event, eventResult, results);
+
+    // Pay out or refund the pools on this event
+    await settleEventPools(event, eventResult, results);
+
+    await report.update({
+      results: { ...results },
+      total_matches: betMatches.length + Object.values(results).filter(result => result.parlay_bet_id || result.pool_id).length,
+      settled_count: countOutcomes(results, 'settled'),
+      failed_count: countOutcomes(results, 'failed')
+    });
+
+    const failedCount = countOutcomes(results, 'failed');
+
+    await report.update({
+      status: failedCount > 0 ? 'partial' : 'completed',
+      completed_at: failedCount > 0 ? null : new Date(),
+      last_error: failedCount > 0 ? `${failedCount} bet match(es) failed to settle` : null
+    });
+
+    logger.info(`Settlement run finished for event ${eventId}`, {
+      status: report.status,
+      total_matches: report.total_matches,
+      settled_count: report.settled_count,
+      failed_count: report.failed_count
+    });
+
+    return report;
+  } catch (error) {
+    logger.error(`Error settling event: ${error.message}`, { eventId });
+    throw error;
+  }
+};
+
+/**
+ * Settle every completed or cancelled event whose settlement has not finished yet
+ * @returns {Promise<Array>} Settlement reports
+ */
+const settleFinishedEvents = async () => {
+  try {
+    const events = await Event.findAll({
+      where: {
+        status: { [Op.in]: ['completed', 'cancelled'] },
+        [Op.or]: [
+          { '$settlementReport.id$': null },
+          { '$settlementReport.status$': { [Op.ne]: 'completed' } }
+        ]
+      },
+      include: [
+        {
+          model: SettlementReport,
+          as: 'settlementReport',
+          required: false
+        }
+      ]
+    });
+
+    const reports = [];
+
+    for (const event of events) {
+      try {
+        reports.push(await settleEvent(event.id));
+      } catch (error) {
+        logger.error(`Error in settlement run for event ${event.id}: ${error.message}`);
+      }
+    }
+
+    return reports;
+  } catch (error) {
+    logger.error(`Error settling finished events: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the settlement report for an event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Settlement report
+ */
+const getSettlementReport = async (eventId) => {
+  try {
+    const report = await SettlementReport.findOne({
+      where: { event_id: eventId }
+    });
+
+    if (!report) {
+      throw new Error('Settlement report not found');
+    }
+
+    return report;
+  } catch (error) {
+    logger.error(`Error getting settlement report: ${error.message}`, { eventId });
+    throw error;
+  }
+};
+
+/**
+ * Schedule regular settlement runs to pick up unfinished events
+ * @param {number} interval - Interval in milliseconds
+ */
+const scheduleSettlement = (interval = 600000) => { // Default: 10 minutes
+  setInterval(async () => {
+    try {
+      await settleFinishedEvents();
+    } catch (error) {
+      logger.error(`Error in scheduled settlement: ${error.message}`);
+    }
+  }, interval);
+
+  logger.info(`Settlement scheduled to run every ${interval / 1000} seconds`);
+};
+
+module.exports = {
+  buildEventResult,
+  settleEvent,
+  settleFinishedEvents,
+  getSettlementReport,
+  scheduleSettlement
+};
@@ -0,0 +1,88 @@
+/**
+ * Socket Service
+ *
+ * This service runs the Socket.IO server that pushes real-time updates to
+ * clients. Sockets authenticate with the same JWT as the REST API and join
+ * a room of their own, so notifications reach every device the user has
+ * connected.
+ */
+
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const { auth } = require('../config');
+const { User } = require('../models');
+const { onNotification } = require('./notificationService');
+const logger = require('../config/logger');
+
+/**
+ * Room holding every socket a user has open
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Authenticate a socket from the token in its handshake
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Socket.IO middleware callback
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const { token } = socket.handshake.auth || {};
+
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const decoded = jwt.verify(token, auth.jwtSecret);
+    const user = await User.findByPk(decoded.id, { attributes: ['id', 'account_status'] });
+
+    if (!user || user.account_status !== 'active') {
+      return next(new Error('Invalid token.'));
+    }
+
+    socket.data.userId = user.id;
+    next();
+  } catch (error) {
+    logger.warn(`Socket authentication failed: ${error.message}`);
+    next(new Error('Invalid token.'));
+  }
+};
+
+/**
+ * Attach the Socket.IO server to the HTTP server and start forwarding notifications
+ * @param {Object} server - HTTP server
+ * @param {Object} options - Socket options
+ * @param {Array<string>} options.origins - Origins allowed to connect
+ * @returns {Object} Socket.IO server
+ */
+const attachSocketServer = (server, { origins } = {}) => {
+  const io = new Server(server, {
+    cors: {
+      origin: origins,
+      methods: ['GET', 'POST'],
+      credentials: true
+    }
+  });
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.data.userId));
+    logger.info(`Socket connected for user ${socket.data.userId}`);
+
+    socket.on('disconnect', () => {
+      logger.info(`Socket disconnected for user ${socket.data.userId}`);
+    });
+  });
+
+  onNotification((notification) => {
+    io.to(userRoom(notification.user_id)).emit('notification', notification);
+  });
+
+  return io;
+};
+
+module.exports = {
+  attachSocketServer
+};
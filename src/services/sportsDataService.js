@@ -8,11 +8,19 @@
 const axios = require('axios');
 const logger = require('../config/logger');
 const { Sport, League, Event } = require('../models');
+const settlementService = require('./settlementService');
+const liveBettingService = require('./liveBettingService');
+const tournamentService = require('./tournamentService');
+const marketConsensusService = require('./marketConsensusService');
+const { ODDS_FORMATS } = require('../utils/odds');
 
 // API configuration
 const API_KEY = process.env.ODDS_API_KEY;
 const API_BASE_URL = 'https://api.the-odds-api.com/v4';
 
+// Result stats prop bets settle against; nothing else is stored on an event
+const RESULT_STAT_KEYS = ['players', 'first_to_score', 'propositions'];
+
 /**
  * Fetch all available sports from the API
  * @returns {Promise<Array>} List of sports
@@ -36,7 +44,7 @@ const fetchSports = async () => {
  * @param {string} sportKey - The sport key
  * @param {string} regions - Comma-separated list of regions (us, uk, eu, au)
  * @param {string} markets - Comma-separated list of markets (h2h, spreads, totals)
- * @returns {Promise<Array>} List of events with odds
+ * @returns {Promise<Array>} List of events with decimal odds
  */
 const fetchOdds = async (sportKey, regions = 'us', markets = 'h2h') => {
   try {
@@ -45,7 +53,8 @@ const fetchOdds = async (sportKey, regions = 'us', markets = 'h2h') => {
         apiKey: API_KEY,
         regions,
         markets,
-        oddsFormat: 'american'
+        // Stored odds are always decimal; utils/odds renders other formats
+        oddsFormat: ODDS_FORMATS.DECIMAL
       }
     });
     
@@ -167,15 +176,41 @@ const syncEventsData = async (sportKey) => {
  */
 const processOddsData = async (event, bookmakers) => {
   try {
-    // Implementation will depend on how we want to store odds data
-    // For now, we'll just log the number of bookmakers
-    logger.info(`Processed odds from ${bookmakers.length} bookmakers for event ID ${event.id}`);
+    // Turn the bookmaker prices into a fair price per market for the odds guard
+    const consensus = await marketConsensusService.recordConsensus(event, bookmakers);
+    
+    logger.info(`Processed odds from ${bookmakers.length} bookmakers into ${consensus.length} markets for event ID ${event.id}`);
   } catch (error) {
     logger.error(`Error processing odds data: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Read the home and away scores from a scores feed entry. The feed does not
+ * list the teams in a fixed order, so each score is matched to its team by name.
+ * @param {Object} score - Scores feed entry
+ * @param {Object} event - The event record from database
+ * @returns {Object|null} Home and away scores, or null unless both are whole numbers
+ */
+const getTeamScores = (score, event) => {
+  const scoreFor = (team) => {
+    const entry = (score.scores || []).find(item => item.name === team);
+    
+    if (!entry || entry.score === null || entry.score === undefined || String(entry.score).trim() === '') {
+      return null;
+    }
+    
+    const value = Number(entry.score);
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  };
+  
+  const home = scoreFor(score.home_team || event.home_team);
+  const away = scoreFor(score.away_team || event.away_team);
+  
+  return home === null || away === null ? null : { home, away };
+};
+
 /**
  * Update event results based on scores
  * @param {string} sportKey - The sport key
@@ -194,14 +229,48 @@ const updateEventResults = async (sportKey) => {
         continue;
       }
       
+      const teamScores = getTeamScores(score, event);
+      
       // Update event with scores and status
       if (score.completed) {
+        // Never complete (and settle) an event on a partial result
+        if (!teamScores) {
+          logger.warn(`Scores for event ID ${event.id} are missing or not numeric, skipping result update`);
+          continue;
+        }
+        
+        const wasCompleted = event.status === 'completed';
+        
         event.status = 'completed';
-        event.home_score = score.scores?.[0]?.score || 0;
-        event.away_score = score.scores?.[1]?.score || 0;
+        event.home_score = teamScores.home;
+        event.away_score = teamScores.away;
         await event.save();
         
         logger.info(`Updated results for event ID ${event.id}: ${event.home_team} ${event.home_score} - ${event.away_score} ${event.away_team}`);
+        
+        // Settle bets as soon as the event moves to completed; anything that
+        // fails here is retried by the scheduled settlement run
+        if (!wasCompleted) {
+          try {
+            await settlementService.settleEvent(event.id);
+          } catch (error) {
+            logger.error(`Error settling bets for event ID ${event.id}: ${error.message}`);
+          }
+          
+          // Score tournament picks and move the leaderboards
+          try {
+            await tournamentService.scoreEvent(event.id);
+          } catch (error) {
+            logger.error(`Error scoring tournaments for event ID ${event.id}: ${error.message}`);
+          }
+        }
+      } else if (teamScores && !['completed', 'cancelled'].includes(event.status)) {
+        // Live score: a change suspends the in-play market
+        try {
+          await liveBettingService.recordScore(event.id, teamScores.home, teamScores.away);
+        } catch (error) {
+          logger.error(`Error recording live score for event ID ${event.id}: ${error.message}`);
+        }
       }
     }
     
@@ -212,6 +281,95 @@ const updateEventResults = async (sportKey) => {
   }
 };
 
+/**
+ * Record the stat lines used to settle prop bets on an event
+ * @param {string} eventId - Event ID
+ * @param {Object} stats - Stats to merge (players, first_to_score, propositions)
+ * @returns {Promise<Object>} Updated event
+ */
+const updateEventStats = async (eventId, stats) => {
+  try {
+    const unknown = Object.keys(stats || {}).filter(key => !RESULT_STAT_KEYS.includes(key));
+    
+    if (unknown.length > 0) {
+      throw new Error(`Unknown result stats: ${unknown.join(', ')}`);
+    }
+    
+    const event = await Event.findByPk(eventId);
+    
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    
+    const current = event.result_stats || {};
+    
+    event.result_stats = {
+      ...current,
+      players: { ...(current.players || {}), ...(stats.players || {}) },
+      propositions: { ...(current.propositions || {}), ...(stats.propositions || {}) }
+    };
+    
+    if (stats.first_to_score !== undefined) {
+      event.result_stats.first_to_score = stats.first_to_score;
+    }
+    await event.save();
+    
+    logger.info(`Updated result stats for event ID ${event.id}`);
+    
+    // Props that failed for lack of stats can settle now
+    if (event.status === 'completed') {
+      try {
+        await settlementService.settleEvent(event.id);
+      } catch (error) {
+        logger.error(`Error settling bets for event ID ${event.id}: ${error.message}`);
+      }
+    }
+    
+    return event;
+  } catch (error) {
+    logger.error(`Error updating stats for event ${eventId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Cancel an event and void every bet on it
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object>} Settlement report for the voided bets
+ */
+const cancelEvent = async (eventId) => {
+  try {
+    const event = await Event.findByPk(eventId);
+    
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    
+    if (event.status === 'completed') {
+      throw new Error('Cannot cancel an event that has already completed');
+    }
+    
+    if (event.status !== 'cancelled') {
+      event.status = 'cancelled';
+      await event.save();
+      
+      logger.info(`Event ID ${event.id} cancelled: ${event.home_team} vs ${event.away_team}`);
+    }
+    
+    // Tournament picks on the event are void
+    try {
+      await tournamentService.scoreEvent(event.id);
+    } catch (error) {
+      logger.error(`Error scoring tournaments for event ID ${event.id}: ${error.message}`);
+    }
+    
+    return await settlementService.settleEvent(event.id);
+  } catch (error) {
+    logger.error(`Error cancelling event ${eventId}: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Schedule regular data synchronization
  * @param {number} interval - Interval in milliseconds
@@ -245,6 +403,9 @@ module.exports = {
   syncSportsData,
   syncEventsData,
   updateEventResults,
+  RESULT_STAT_KEYS,
+  updateEventStats,
+  cancelEvent,
   scheduleDataSync
 };
 
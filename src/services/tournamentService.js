@@ -0,0 +1,847 @@
+/**
+ * Tournament Service
+ *
+ * This service handles multi-week pick'em and bracket contests on a league's
+ * events. Entry fees are held in the tournament's escrow. Entrants pick the
+ * result of each event up to its start time, picks are scored as results
+ * land, and once every event has finished the escrow is released to the top
+ * of the leaderboard through the payout flow, tier by tier.
+ */
+
+const { Op } = require('sequelize');
+const {
+  Tournament,
+  TournamentEvent,
+  TournamentEntry,
+  TournamentPick,
+  Escrow,
+  Event,
+  League,
+  User,
+  Wallet,
+  Transaction,
+  Payout
+} = require('../models');
+const { sequelize, auth } = require('../config');
+const escrowService = require('./escrowService');
+const { notify, NOTIFICATION_TYPES } = require('./notificationService');
+const { RESULT_SELECTIONS, getResultSelection } = require('../utils/markets');
+const logger = require('../config/logger');
+
+const TOURNAMENT_FORMATS = ['pickem', 'bracket'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Fill in scoring rules for a tournament. Bracket picks double in value
+ * each round unless told otherwise.
+ * @param {string} format - Tournament format
+ * @param {Object} scoring - Requested scoring rules (optional)
+ * @returns {Object} Scoring rules
+ */
+const normalizeScoring = (format, scoring = {}) => {
+  const rules = {
+    correct_pick: scoring.correct_pick === undefined ? 1 : Number(scoring.correct_pick),
+    round_multiplier: scoring.round_multiplier === undefined
+      ? (format === 'bracket' ? 2 : 1)
+      : Number(scoring.round_multiplier)
+  };
+
+  if (!Number.isInteger(rules.correct_pick) || rules.correct_pick < 1) {
+    throw new Error('Points for a correct pick must be a whole number of at least 1');
+  }
+
+  if (!Number.isInteger(rules.round_multiplier) || rules.round_multiplier < 1) {
+    throw new Error('Round multiplier must be a whole number of at least 1');
+  }
+
+  return rules;
+};
+
+/**
+ * Check prize tiers are positive percentages adding up to 100
+ * @param {Array<number>} tiers - Percentage of the prize pool per finishing position
+ * @returns {Array<number>} Prize tiers
+ */
+const validatePrizeTiers = (tiers = [100]) => {
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.some(tier => !(Number(tier) > 0))) {
+    throw new Error('Prize tiers must be a list of positive percentages');
+  }
+
+  const total = tiers.reduce((sum, tier) => sum + Number(tier), 0);
+
+  if (Math.abs(total - 100) > 0.001) {
+    throw new Error('Prize tiers must add up to 100');
+  }
+
+  return tiers.map(Number);
+};
+
+/**
+ * Points a correct pick is worth in a round
+ * @param {Object} scoring - Scoring rules
+ * @param {number} round - Round number
+ * @returns {number} Points
+ */
+const getPickPoints = (scoring, round) =>
+  scoring.correct_pick * Math.pow(scoring.round_multiplier, round - 1);
+
+/**
+ * Check a list of events can be added to a tournament on a league
+ * @param {string} leagueId - League ID
+ * @param {Array<Object>} fixtures - Events to add ({ event_id, round })
+ * @param {Object} transaction - Database transaction
+ * @returns {Promise<Array<Object>>} The events, in the order given
+ */
+const loadFixtureEvents = async (leagueId, fixtures, transaction) => {
+  if (!Array.isArray(fixtures) || fixtures.length === 0) {
+    throw new Error('A tournament needs at least one event');
+  }
+
+  const eventIds = fixtures.map(fixture => fixture.event_id);
+
+  if (new Set(eventIds).size !== eventIds.length) {
+    throw new Error('Each event can only appear once in a tournament');
+  }
+
+  const events = await Event.findAll({
+    where: { id: { [Op.in]: eventIds } },
+    transaction
+  });
+
+  return fixtures.map(fixture => {
+    const event = events.find(candidate => candidate.id === fixture.event_id);
+
+    if (!event) {
+      throw new Error(`Event not found: ${fixture.event_id}`);
+    }
+
+    if (event.league_id !== leagueId) {
+      throw new Error(`Event ${event.id} is not in this tournament's league`);
+    }
+
+    if (event.status !== 'scheduled' || new Date(event.start_time) <= new Date()) {
+      throw new Error(`Event ${event.id} has already started`);
+    }
+
+    if (fixture.round !== undefined && !(Number.isInteger(Number(fixture.round)) && Number(fixture.round) >= 1)) {
+      throw new Error('Round must be a whole number of at least 1');
+    }
+
+    return event;
+  });
+};
+
+/**
+ * Create a tournament on a league's upcoming events
+ * @param {string} userId - Creator's user ID
+ * @param {Object} tournamentData - Tournament data, with its events as [{ event_id, round }]
+ * @returns {Promise<Object>} Created tournament
+ */
+const createTournament = async (userId, tournamentData) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const league = await League.findByPk(tournamentData.league_id, { transaction: t });
+
+    if (!league) {
+      throw new Error('League not found');
+    }
+
+    const format = tournamentData.format || 'pickem';
+
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      throw new Error(`Invalid tournament format: ${format}`);
+    }
+
+    const events = await loadFixtureEvents(league.id, tournamentData.events, t);
+
+    // Registration closes when the first event starts
+    const registrationClosesAt = new Date(Math.min(...events.map(event => new Date(event.start_time).getTime())));
+
+    const tournament = await Tournament.create({
+      league_id: league.id,
+      creator_id: userId,
+      name: tournamentData.name,
+      format,
+      entry_fee: tournamentData.entry_fee,
+      max_entries: tournamentData.max_entries || null,
+      scoring: normalizeScoring(format, tournamentData.scoring),
+      prize_tiers: validatePrizeTiers(tournamentData.prize_tiers),
+      registration_closes_at: registrationClosesAt
+    }, { transaction: t });
+
+    await TournamentEvent.bulkCreate(tournamentData.events.map(fixture => ({
+      tournament_id: tournament.id,
+      event_id: fixture.event_id,
+      round: fixture.round ? Number(fixture.round) : 1
+    })), { transaction: t });
+
+    // Entry fees are held here until the prizes are paid
+    await Escrow.create({
+      tournament_id: tournament.id,
+      amount: 0,
+      status: 'active',
+      platform_fee: 0
+    }, { transaction: t });
+
+    await t.commit();
+
+    logger.info(`Tournament ${tournament.id} created on league ${league.id}`, {
+      creator_id: userId,
+      format,
+      events: events.length
+    });
+
+    return tournament;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error creating tournament: ${error.message}`, { userId });
+    throw error;
+  }
+};
+
+/**
+ * Add events to a running tournament, e.g. the next round of a bracket
+ * @param {string} userId - Creator's user ID
+ * @param {string} tournamentId - Tournament ID
+ * @param {Array<Object>} fixtures - Events to add ({ event_id, round })
+ * @returns {Promise<Array<Object>>} Added tournament events
+ */
+const addTournamentEvents = async (userId, tournamentId, fixtures) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const tournament = await Tournament.findByPk(tournamentId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.creator_id !== userId) {
+      throw new Error('Only the creator can add events to this tournament');
+    }
+
+    if (tournament.status !== 'open') {
+      throw new Error('Tournament has already finished');
+    }
+
+    await loadFixtureEvents(tournament.league_id, fixtures, t);
+
+    const existing = await TournamentEvent.count({
+      where: {
+        tournament_id: tournamentId,
+        event_id: { [Op.in]: fixtures.map(fixture => fixture.event_id) }
+      },
+      transaction: t
+    });
+
+    if (existing > 0) {
+      throw new Error('Event is already part of this tournament');
+    }
+
+    const added = await TournamentEvent.bulkCreate(fixtures.map(fixture => ({
+      tournament_id: tournamentId,
+      event_id: fixture.event_id,
+      round: fixture.round ? Number(fixture.round) : 1
+    })), { transaction: t });
+
+    await t.commit();
+
+    return added;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error adding tournament events: ${error.message}`, { userId, tournamentId });
+    throw error;
+  }
+};
+
+/**
+ * Enter a tournament, moving the entry fee from the user's wallet into escrow
+ * @param {string} userId - User ID
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object>} Created entry
+ */
+const joinTournament = async (userId, tournamentId) => {
+  const t = await sequelize.transaction();
+
+  try {
+    // Lock the tournament so concurrent entries cannot overrun the cap
+    const tournament = await Tournament.findByPk(tournamentId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status !== 'open' || new Date(tournament.registration_closes_at) <= new Date()) {
+      throw new Error('Tournament registration has closed');
+    }
+
+    const existingEntry = await TournamentEntry.findOne({
+      where: { tournament_id: tournamentId, user_id: userId },
+      transaction: t
+    });
+
+    if (existingEntry) {
+      throw new Error('You have already entered this tournament');
+    }
+
+    if (tournament.max_entries) {
+      const entryCount = await TournamentEntry.count({
+        where: { tournament_id: tournamentId },
+        transaction: t
+      });
+
+      if (entryCount >= tournament.max_entries) {
+        throw new Error('Tournament is full');
+      }
+    }
+
+    const entryFee = parseFloat(tournament.entry_fee);
+
+    const wallet = await Wallet.findOne({
+      where: { user_id: userId },
+      transaction: t
+    });
+
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    if (parseFloat(wallet.balance) < entryFee) {
+      throw new Error('Insufficient balance');
+    }
+
+    const escrow = await Escrow.findOne({
+      where: { tournament_id: tournamentId },
+      transaction: t
+    });
+
+    const entry = await TournamentEntry.create({
+      tournament_id: tournamentId,
+      user_id: userId
+    }, { transaction: t });
+
+    await Transaction.create({
+      user_id: userId,
+      wallet_id: wallet.id,
+      amount: -entryFee,
+      type: 'bet',
+      status: 'completed',
+      reference_id: escrow.id,
+      description: 'Tournament entry fee',
+      metadata: {
+        tournament_id: tournamentId,
+        entry_id: entry.id
+      }
+    }, { transaction: t });
+
+    await wallet.decrement('balance', { by: entryFee, transaction: t });
+    await escrow.increment('amount', { by: entryFee, transaction: t });
+
+    await t.commit();
+
+    return entry;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error joining tournament: ${error.message}`, { userId, tournamentId });
+    throw error;
+  }
+};
+
+/**
+ * Make or change picks. Each pick locks when its event starts.
+ * @param {string} userId - User ID
+ * @param {string} tournamentId - Tournament ID
+ * @param {Array<Object>} picks - Picks ({ event_id, selection })
+ * @returns {Promise<Array<Object>>} Saved picks
+ */
+const submitPicks = async (userId, tournamentId, picks) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const entry = await TournamentEntry.findOne({
+      where: { tournament_id: tournamentId, user_id: userId },
+      transaction: t
+    });
+
+    if (!entry) {
+      throw new Error('You have not entered this tournament');
+    }
+
+    if (!Array.isArray(picks) || picks.length === 0) {
+      throw new Error('At least one pick is required');
+    }
+
+    const fixtures = await TournamentEvent.findAll({
+      where: {
+        tournament_id: tournamentId,
+        event_id: { [Op.in]: picks.map(pick => pick.event_id) }
+      },
+      include: [{ model: Event, as: 'event' }],
+      transaction: t
+    });
+
+    const saved = [];
+
+    for (const pick of picks) {
+      const fixture = fixtures.find(candidate => candidate.event_id === pick.event_id);
+
+      if (!fixture) {
+        throw new Error(`Event ${pick.event_id} is not part of this tournament`);
+      }
+
+      if (!RESULT_SELECTIONS.includes(pick.selection)) {
+        throw new Error(`Selection must be one of: ${RESULT_SELECTIONS.join(', ')}`);
+      }
+
+      if (fixture.event.status !== 'scheduled' || new Date(fixture.event.start_time) <= new Date()) {
+        throw new Error(`Picks for event ${pick.event_id} are locked`);
+      }
+
+      const [savedPick, created] = await TournamentPick.findOrCreate({
+        where: { entry_id: entry.id, event_id: pick.event_id },
+        defaults: {
+          tournament_id: tournamentId,
+          selection: pick.selection
+        },
+        transaction: t
+      });
+
+      if (!created) {
+        await savedPick.update({ selection: pick.selection }, { transaction: t });
+      }
+
+      saved.push(savedPick);
+    }
+
+    await t.commit();
+
+    return saved;
+  } catch (error) {
+    await t.rollback();
+    logger.error(`Error submitting tournament picks: ${error.message}`, { userId, tournamentId });
+    throw error;
+  }
+};
+
+/**
+ * Recalculate every entry's score and rank. Tied entries share a rank.
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} transaction - Database transaction
+ * @returns {Promise<Array<Object>>} Entries in leaderboard order
+ */
+const updateLeaderboard = async (tournamentId, transaction) => {
+  const entries = await TournamentEntry.findAll({
+    where: { tournament_id: tournamentId },
+    include: [{ model: TournamentPick, as: 'picks' }],
+    order: [['created_at', 'ASC']],
+    transaction
+  });
+
+  entries.forEach(entry => {
+    entry.points = entry.picks.reduce((total, pick) => total + pick.points, 0);
+    entry.correct_picks = entry.picks.filter(pick => pick.status === 'won').length;
+  });
+
+  entries.sort((a, b) => b.points - a.points || b.correct_picks - a.correct_picks);
+
+  for (const [index, entry] of entries.entries()) {
+    const previous = entries[index - 1];
+    const tied = previous && previous.points === entry.points && previous.correct_picks === entry.correct_picks;
+
+    entry.rank = tied ? previous.rank : index + 1;
+
+    await entry.save({ transaction });
+  }
+
+  return entries;
+};
+
+/**
+ * Work out each entry's prize. Entries sharing a rank split the tiers their
+ * positions cover; when there are fewer entries than tiers, the paid tiers
+ * are scaled up to cover the whole prize pool.
+ * @param {Array<Object>} entries - Entries in leaderboard order, with ranks
+ * @param {Array<number>} tiers - Prize tier percentages
+ * @param {number} prizePool - Amount to pay out
+ * @returns {Array<Object>} Prizes ({ entry, amount }), top ranks first
+ */
+const calculatePrizes = (entries, tiers, prizePool) => {
+  const paidTiers = tiers.slice(0, entries.length);
+  const paidPercent = paidTiers.reduce((total, tier) => total + tier, 0);
+  const prizes = [];
+
+  for (let position = 0; position < paidTiers.length;) {
+    const rank = entries[position].rank;
+    const tied = entries.filter(entry => entry.rank === rank);
+    const percent = tiers.slice(position, position + tied.length).reduce((total, tier) => total + tier, 0);
+    const share = Math.floor(prizePool * 100 * percent / paidPercent / tied.length) / 100;
+
+    tied.forEach(entry => prizes.push({ entry, amount: share }));
+    position += tied.length;
+  }
+
+  // Rounding leftovers go to the top of the leaderboard
+  const leftover = roundCurrency(prizePool - prizes.reduce((total, prize) => total + prize.amount, 0));
+
+  if (prizes.length > 0 && leftover > 0) {
+    prizes[0].amount = roundCurrency(prizes[0].amount + leftover);
+  }
+
+  return prizes.filter(prize => prize.amount > 0);
+};
+
+/**
+ * Check whether every event in a tournament has finished
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<boolean>} True if no event is still to be played
+ */
+const allEventsFinished = async (tournamentId) => {
+  const unfinished = await TournamentEvent.count({
+    where: { tournament_id: tournamentId },
+    include: [
+      {
+        model: Event,
+        as: 'event',
+        where: { status: { [Op.notIn]: ['completed', 'cancelled'] } }
+      }
+    ]
+  });
+
+  return unfinished === 0;
+};
+
+/**
+ * Finish a tournament: final leaderboard, then the escrow released as prizes
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object>} Completed tournament and its prizes
+ */
+const completeTournament = async (tournamentId) => {
+  try {
+    const tournament = await Tournament.findByPk(tournamentId);
+
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    if (tournament.status !== 'open') {
+      throw new Error(`Tournament is not running, current status: ${tournament.status}`);
+    }
+
+    if (!(await allEventsFinished(tournamentId))) {
+      throw new Error('Tournament still has events to play');
+    }
+
+    const t = await sequelize.transaction();
+    let entries;
+
+    try {
+      entries = await updateLeaderboard(tournamentId, t);
+      await t.commit();
+    } catch (error) {
+      await t.rollback();
+      throw error;
+    }
+
+    const escrow = await Escrow.findOne({ where: { tournament_id: tournamentId } });
+    let payouts;
+
+    if (escrow.status === 'completed') {
+      // Paid by an earlier run that stopped before recording it
+      payouts = (await Payout.findAll({ where: { escrow_id: escrow.id } }))
+        .map(payout => ({ user_id: payout.user_id, payout_id: payout.id, amount: parseFloat(payout.amount) }));
+    } else {
+      const pot = parseFloat(escrow.amount);
+      const prizes = calculatePrizes(entries, tournament.prize_tiers, roundCurrency(pot - roundCurrency(pot * auth.platformFee)));
+
+      ({ payouts } = await escrowService.releaseEscrowPrizes(
+        escrow.id,
+        prizes.map(prize => ({ userId: prize.entry.user_id, amount: prize.amount }))
+      ));
+    }
+
+    for (const entry of entries) {
+      const payout = payouts.find(candidate => candidate.user_id === entry.user_id);
+
+      if (payout) {
+        await entry.update({ prize_amount: payout.amount, payout_id: payout.payout_id });
+      }
+    }
+
+    await tournament.update({
+      status: 'completed',
+      completed_at: new Date()
+    });
+
+    entries.forEach(entry => notify(entry.user_id, NOTIFICATION_TYPES.TOURNAMENT_COMPLETED, {
+      tournament_id: tournament.id,
+      rank: entry.rank,
+      points: entry.points,
+      prize_amount: parseFloat(entry.prize_amount)
+    }));
+
+    logger.info(`Tournament ${tournament.id} completed`, { entries: entries.length, prizes: payouts.length });
+
+    return {
+      tournament,
+      payouts
+    };
+  } catch (error) {
+    logger.error(`Error completing tournament: ${error.message}`, { tournamentId });
+    throw error;
+  }
+};
+
+/**
+ * Score every tournament pick on a finished event and update the leaderboards
+ * it affects. Picks on a cancelled event are void. Tournaments with no events
+ * left to play are completed and paid out.
+ * @param {string} eventId - Event ID
+ * @returns {Promise<number>} Number of tournaments updated
+ */
+const scoreEvent = async (eventId) => {
+  try {
+    const event = await Event.findByPk(eventId);
+
+    if (!event) {
+      throw new Error('Event not found');
+    }
+
+    if (!['completed', 'cancelled'].includes(event.status)) {
+      return 0;
+    }
+
+    const fixtures = await TournamentEvent.findAll({
+      where: { event_id: eventId },
+      include: [
+        {
+          model: Tournament,
+          as: 'tournament',
+          where: { status: 'open' }
+        }
+      ]
+    });
+
+    const result = event.status === 'cancelled' ? null : getResultSelection(event.home_score, event.away_score);
+    let updated = 0;
+
+    for (const fixture of fixtures) {
+      const { tournament } = fixture;
+
+      try {
+        const t = await sequelize.transaction();
+
+        try {
+          const picks = await TournamentPick.findAll({
+            where: { tournament_id: tournament.id, event_id: eventId, status: 'pending' },
+            transaction: t
+          });
+
+          const points = getPickPoints(tournament.scoring, fixture.round);
+
+          for (const pick of picks) {
+            if (result === null) {
+              await pick.update({ status: 'void' }, { transaction: t });
+            } else {
+              const won = pick.selection === result;
+              await pick.update({ status: won ? 'won' : 'lost', points: won ? points : 0 }, { transaction: t });
+            }
+          }
+
+          await updateLeaderboard(tournament.id, t);
+          await t.commit();
+        } catch (error) {
+          await t.rollback();
+          throw error;
+        }
+
+        updated += 1;
+
+        if (await allEventsFinished(tournament.id)) {
+          await completeTournament(tournament.id);
+        }
+      } catch (error) {
+        logger.error(`Error scoring tournament ${tournament.id}: ${error.message}`, { eventId });
+      }
+    }
+
+    return updated;
+  } catch (error) {
+    logger.error(`Error scoring tournament picks: ${error.message}`, { eventId });
+    throw error;
+  }
+};
+
+/**
+ * Get tournaments, optionally filtered by league and status
+ * @param {Object} options - Query options (leagueId, status, limit, offset)
+ * @returns {Promise<Object>} Tournaments and total
+ */
+const getTournaments = async (options = {}) => {
+  try {
+    const { leagueId, status, limit = 20, offset = 0 } = options;
+    const where = {};
+
+    if (leagueId) {
+      where.league_id = leagueId;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    const tournaments = await Tournament.findAndCountAll({
+      where,
+      include: [
+        {
+          model: League,
+          as: 'league'
+        }
+      ],
+      limit,
+      offset,
+      order: [['registration_closes_at', 'ASC']]
+    });
+
+    return {
+      total: tournaments.count,
+      tournaments: tournaments.rows,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting tournaments: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a tournament with its events by round and the size of its prize pool
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Object>} Tournament details
+ */
+const getTournament = async (tournamentId) => {
+  try {
+    const tournament = await Tournament.findByPk(tournamentId, {
+      include: [
+        {
+          model: League,
+          as: 'league'
+        },
+        {
+          model: User,
+          as: 'creator',
+          attributes: ['id', 'username']
+        },
+        {
+          model: TournamentEvent,
+          as: 'fixtures',
+          include: [{ model: Event, as: 'event' }]
+        },
+        {
+          model: Escrow,
+          as: 'escrow',
+          attributes: ['amount', 'status']
+        }
+      ],
+      order: [[{ model: TournamentEvent, as: 'fixtures' }, 'round', 'ASC']]
+    });
+
+    if (!tournament) {
+      throw new Error('Tournament not found');
+    }
+
+    const data = tournament.toJSON();
+    data.entry_count = await TournamentEntry.count({ where: { tournament_id: tournamentId } });
+
+    return data;
+  } catch (error) {
+    logger.error(`Error getting tournament: ${error.message}`, { tournamentId });
+    throw error;
+  }
+};
+
+/**
+ * Get a tournament's leaderboard
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} options - Query options (limit, offset)
+ * @returns {Promise<Object>} Entries in rank order, and total
+ */
+const getLeaderboard = async (tournamentId, options = {}) => {
+  try {
+    const { limit = 50, offset = 0 } = options;
+
+    const entries = await TournamentEntry.findAndCountAll({
+      where: { tournament_id: tournamentId },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'username']
+        }
+      ],
+      limit,
+      offset,
+      order: [['points', 'DESC'], ['correct_picks', 'DESC'], ['created_at', 'ASC']]
+    });
+
+    return {
+      total: entries.count,
+      entries: entries.rows,
+      limit,
+      offset
+    };
+  } catch (error) {
+    logger.error(`Error getting leaderboard: ${error.message}`, { tournamentId });
+    throw error;
+  }
+};
+
+/**
+ * Get a user's picks in a tournament
+ * @param {string} userId - User ID
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<Array<Object>>} Picks with their events
+ */
+const getUserPicks = async (userId, tournamentId) => {
+  try {
+    const entry = await TournamentEntry.findOne({
+      where: { tournament_id: tournamentId, user_id: userId }
+    });
+
+    if (!entry) {
+      throw new Error('You have not entered this tournament');
+    }
+
+    return await TournamentPick.findAll({
+      where: { entry_id: entry.id },
+      include: [{ model: Event, as: 'event' }],
+      order: [['created_at', 'ASC']]
+    });
+  } catch (error) {
+    logger.error(`Error getting tournament picks: ${error.message}`, { userId, tournamentId });
+    throw error;
+  }
+};
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  calculatePrizes,
+  createTournament,
+  addTournamentEvents,
+  joinTournament,
+  submitPicks,
+  scoreEvent,
+  completeTournament,
+  getTournaments,
+  getTournament,
+  getLeaderboard,
+  getUserPicks
+};
@@ -163,6 +163,10 @@ class UserService {
       delete updateData.kyc_verified;
       delete updateData.kyc_verification_date;
       delete updateData.account_status;
+      delete updateData.role;
+      delete updateData.reputation_score;
+      delete updateData.settled_bets_count;
+      delete updateData.vip_tier;
       
       // Update user
       await user.update(updateData);
@@ -12,12 +12,13 @@ const logger = require('../config/logger');
  * Create a wallet for a user
  * @param {string} userId - User ID
  * @param {string} currency - Currency code (default: USD)
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Object>} Created wallet
  */
-const createWallet = async (userId, currency = 'USD') => {
+const createWallet = async (userId, currency = 'USD', transaction) => {
   try {
     // Check if user exists
-    const user = await User.findByPk(userId);
+    const user = await User.findByPk(userId, { transaction });
     if (!user) {
       throw new Error('User not found');
     }
@@ -27,7 +28,8 @@ const createWallet = async (userId, currency = 'USD') => {
       where: {
         user_id: userId,
         currency
-      }
+      },
+      transaction
     });
     
     if (existingWallet) {
@@ -49,7 +51,7 @@ const createWallet = async (userId, currency = 'USD') => {
       stripeCustomerId = customer.id;
       
       // Update user with Stripe customer ID
-      await user.update({ stripe_customer_id: stripeCustomerId });
+      await user.update({ stripe_customer_id: stripeCustomerId }, { transaction });
     }
     
     // Create wallet
@@ -59,7 +61,7 @@ const createWallet = async (userId, currency = 'USD') => {
       currency,
       status: 'active',
       stripe_customer_id: stripeCustomerId
-    });
+    }, { transaction });
     
     logger.info(`Wallet created for user ${userId}`, { wallet_id: wallet.id });
     
@@ -74,20 +76,22 @@ const createWallet = async (userId, currency = 'USD') => {
  * Get a user's wallet
  * @param {string} userId - User ID
  * @param {string} currency - Currency code (default: USD)
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Object>} Wallet
  */
-const getWallet = async (userId, currency = 'USD') => {
+const getWallet = async (userId, currency = 'USD', transaction) => {
   try {
     const wallet = await Wallet.findOne({
       where: {
         user_id: userId,
         currency
-      }
+      },
+      transaction
     });
     
     if (!wallet) {
       // Create wallet if it doesn't exist
-      return await createWallet(userId, currency);
+      return await createWallet(userId, currency, transaction);
     }
     
     return wallet;
@@ -0,0 +1,52 @@
+/**
+ * Cursor helpers
+ *
+ * Keyset pagination cursors. A cursor holds the sort value and ID of the last
+ * row on a page, so the next page starts strictly after it however many rows
+ * are added or removed in between. Cursors are opaque to clients: base64url
+ * encoded JSON tagged with the sort they belong to.
+ */
+
+/**
+ * Encode the position after a row
+ * @param {string} sort - Sort the cursor belongs to
+ * @param {*} value - Sort value of the last row
+ * @param {string} id - ID of the last row
+ * @returns {string} Cursor
+ */
+const encodeCursor = (sort, value, id) => {
+  const sortValue = value instanceof Date ? value.toISOString() : value;
+  return Buffer.from(JSON.stringify({ s: sort, v: sortValue, id })).toString('base64url');
+};
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {string} sort - Sort the page is being read in
+ * @returns {Object} Sort value and ID of the last row seen
+ * @throws {Error} If the cursor is malformed or belongs to another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded !== 'object' || !decoded.id || decoded.v === undefined) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (decoded.s !== sort) {
+    throw new Error('Cursor belongs to a different sort order');
+  }
+
+  return { value: decoded.v, id: decoded.id };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
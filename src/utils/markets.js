@@ -0,0 +1,126 @@
+/**
+ * Market helpers
+ *
+ * Maps a bet's type and details onto the two-way market it belongs to, so
+ * bets on the same event and line can be gathered into one order book.
+ *
+ * Market keys:
+ *   moneyline          - selections 'home' / 'away'
+ *   spread:<line>      - selections 'home' / 'away', line applied to the home score
+ *   over_under:<total> - selections 'over' / 'under'
+ *
+ * Pools and tournaments pick from the three-way full-time result instead:
+ * 'home' / 'draw' / 'away'.
+ */
+
+const MARKET_SELECTIONS = {
+  moneyline: ['home', 'away'],
+  spread: ['home', 'away'],
+  over_under: ['over', 'under']
+};
+
+const RESULT_SELECTIONS = ['home', 'draw', 'away'];
+
+/**
+ * Format a line so equal lines always produce the same key
+ * @param {number|string} line - Spread or total
+ * @returns {string} Normalised line
+ */
+const formatLine = (line) => {
+  const value = parseFloat(line);
+
+  if (!Number.isFinite(value)) {
+    throw new Error('Market line must be a number');
+  }
+
+  return String(Math.round(value * 100) / 100);
+};
+
+/**
+ * Get the market key for a bet
+ * @param {string} betType - Bet type
+ * @param {Object} betDetails - Bet details
+ * @returns {string|null} Market key, or null if the bet does not trade on a two-way market
+ */
+const getMarketKey = (betType, betDetails = {}) => {
+  switch (betType) {
+    case 'moneyline':
+      return 'moneyline';
+    case 'spread':
+      return `spread:${formatLine(betDetails.spread)}`;
+    case 'over_under':
+      return `over_under:${formatLine(betDetails.total)}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Split a market key into its bet type and line
+ * @param {string} marketKey - Market key
+ * @returns {Object} Bet type, line and selections
+ */
+const parseMarketKey = (marketKey) => {
+  const [betType, line] = String(marketKey).split(':');
+  const selections = MARKET_SELECTIONS[betType];
+
+  if (!selections || (betType !== 'moneyline' && line === undefined)) {
+    throw new Error(`Unknown market: ${marketKey}`);
+  }
+
+  return {
+    betType,
+    line: line === undefined ? null : parseFloat(line),
+    selections
+  };
+};
+
+/**
+ * Get the other selection in a two-way market
+ * @param {string} marketKey - Market key
+ * @param {string} pick - Selection
+ * @returns {string} Opposite selection
+ */
+const getOppositePick = (marketKey, pick) => {
+  const { selections } = parseMarketKey(marketKey);
+
+  if (!selections.includes(pick)) {
+    throw new Error(`Invalid selection '${pick}' for market ${marketKey}`);
+  }
+
+  return selections[0] === pick ? selections[1] : selections[0];
+};
+
+/**
+ * Decimal odds a taker gets on the other side of a bet posted at the given odds
+ * @param {number|string} odds - Decimal odds of the posted bet
+ * @returns {number} Decimal odds for the taker
+ */
+const getCounterOdds = (odds) => {
+  const value = parseFloat(odds);
+  return Math.round((value / (value - 1)) * 100) / 100;
+};
+
+/**
+ * Get the full-time result of a score as a three-way selection
+ * @param {number} homeScore - Home score
+ * @param {number} awayScore - Away score
+ * @returns {string} 'home', 'draw' or 'away'
+ */
+const getResultSelection = (homeScore, awayScore) => {
+  if (homeScore > awayScore) {
+    return 'home';
+  }
+
+  return homeScore < awayScore ? 'away' : 'draw';
+};
+
+module.exports = {
+  MARKET_SELECTIONS,
+  RESULT_SELECTIONS,
+  getMarketKey,
+  parseMarketKey,
+  getOppositePick,
+  getCounterOdds,
+  getResultSelection
+};
@@ -0,0 +1,291 @@
+/**
+ * Odds helpers
+ *
+ * Bets, matches and payouts always hold decimal odds. Anything quoted in
+ * another format is converted here on the way in and rendered here on the
+ * way out, so American odds can never reach `stake * odds`.
+ *
+ * Formats:
+ *   decimal    - 2.50 (total return per unit staked)
+ *   american   - +150 / -200
+ *   fractional - 3/2 (profit / stake)
+ *   hong_kong  - 1.50 (profit per unit staked)
+ *   implied    - 0.4 or "40%" (probability the price implies)
+ */
+
+const ODDS_FORMATS = {
+  DECIMAL: 'decimal',
+  AMERICAN: 'american',
+  FRACTIONAL: 'fractional',
+  HONG_KONG: 'hong_kong',
+  IMPLIED: 'implied'
+};
+
+// Decimal odds the platform accepts
+const MIN_DECIMAL_ODDS = 1.01;
+const MAX_DECIMAL_ODDS = 1001;
+
+// Format customers expect by country; everywhere else gets decimal
+const REGION_ODDS_FORMATS = {
+  US: ODDS_FORMATS.AMERICAN,
+  CA: ODDS_FORMATS.AMERICAN,
+  GB: ODDS_FORMATS.FRACTIONAL,
+  UK: ODDS_FORMATS.FRACTIONAL,
+  IE: ODDS_FORMATS.FRACTIONAL,
+  HK: ODDS_FORMATS.HONG_KONG
+};
+
+const roundTo = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Check whether a format name is supported
+ * @param {string} format - Odds format
+ * @returns {boolean} True if supported
+ */
+const isOddsFormat = (format) => Object.values(ODDS_FORMATS).includes(format);
+
+/**
+ * Check odds are decimal odds the platform can price a bet at
+ * @param {number|string} odds - Decimal odds
+ * @returns {number} Odds as a number
+ * @throws {Error} If the odds are not valid decimal odds
+ */
+const assertDecimalOdds = (odds) => {
+  const value = parseFloat(odds);
+
+  if (!Number.isFinite(value) || value < MIN_DECIMAL_ODDS || value > MAX_DECIMAL_ODDS) {
+    throw new Error(`Odds must be decimal odds between ${MIN_DECIMAL_ODDS} and ${MAX_DECIMAL_ODDS}`);
+  }
+
+  return value;
+};
+
+/**
+ * Parse fractional odds such as "5/2", "5-2" or "evens"
+ * @param {string|number} value - Fractional odds
+ * @returns {number} Profit per unit staked
+ */
+const parseFractional = (value) => {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'evens' || text === 'evs') {
+    return 1;
+  }
+
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*[/-]\s*(\d+(?:\.\d+)?)$/);
+
+  if (!match || parseFloat(match[2]) === 0) {
+    throw new Error('Fractional odds must look like 5/2');
+  }
+
+  return parseFloat(match[1]) / parseFloat(match[2]);
+};
+
+/**
+ * Convert odds quoted in any format to decimal odds
+ * @param {number|string} value - Quoted odds
+ * @param {string} format - Format they are quoted in
+ * @returns {number} Decimal odds, rounded to 2 places
+ */
+const toDecimal = (value, format = ODDS_FORMATS.DECIMAL) => {
+  let decimal;
+
+  switch (format) {
+    case ODDS_FORMATS.DECIMAL:
+      decimal = parseFloat(value);
+      break;
+    case ODDS_FORMATS.AMERICAN: {
+      const american = parseFloat(value);
+
+      if (!(american >= 100 || american <= -100)) {
+        throw new Error('American odds must be +100 or more, or -100 or less');
+      }
+
+      decimal = american > 0 ? 1 + american / 100 : 1 + 100 / Math.abs(american);
+      break;
+    }
+    case ODDS_FORMATS.FRACTIONAL:
+      decimal = 1 + parseFractional(value);
+      break;
+    case ODDS_FORMATS.HONG_KONG:
+      decimal = 1 + parseFloat(value);
+      break;
+    case ODDS_FORMATS.IMPLIED: {
+      const text = String(value).trim();
+      const probability = text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text);
+
+      if (!(probability > 0 && probability < 1)) {
+        throw new Error('Implied probability must be between 0 and 1 (or 0% and 100%)');
+      }
+
+      decimal = 1 / probability;
+      break;
+    }
+    default:
+      throw new Error(`Unsupported odds format: ${format}`);
+  }
+
+  return assertDecimalOdds(roundTo(decimal, 2));
+};
+
+/**
+ * Approximate a ratio as a fraction with a small denominator
+ * @param {number} value - Ratio
+ * @returns {string} Fraction such as "10/11"
+ */
+const toFraction = (value) => {
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  let x = value;
+
+  for (let i = 0; i < 20; i++) {
+    const a = Math.floor(x);
+    const [h2, k2] = [a * h1 + h0, a * k1 + k0];
+
+    if (k2 > 100) {
+      break;
+    }
+
+    [h0, h1, k0, k1] = [h1, h2, k1, k2];
+
+    // Decimal odds carry 2 places, so anything closer than that is the same price
+    if (Math.abs(h1 / k1 - value) < 0.005 || x === a) {
+      break;
+    }
+
+    x = 1 / (x - a);
+  }
+
+  return `${h1}/${k1}`;
+};
+
+/**
+ * Convert decimal odds to another format
+ * @param {number|string} odds - Decimal odds
+ * @param {string} format - Target format
+ * @returns {number|string} Odds in the target format (fractional odds are a string)
+ */
+const fromDecimal = (odds, format = ODDS_FORMATS.DECIMAL) => {
+  const decimal = assertDecimalOdds(odds);
+
+  switch (format) {
+    case ODDS_FORMATS.DECIMAL:
+      return decimal;
+    case ODDS_FORMATS.AMERICAN:
+      return decimal >= 2
+        ? Math.round((decimal - 1) * 100)
+        : Math.round(-100 / (decimal - 1));
+    case ODDS_FORMATS.FRACTIONAL:
+      return toFraction(decimal - 1);
+    case ODDS_FORMATS.HONG_KONG:
+      return roundTo(decimal - 1, 2);
+    case ODDS_FORMATS.IMPLIED:
+      return roundTo(1 / decimal, 4);
+    default:
+      throw new Error(`Unsupported odds format: ${format}`);
+  }
+};
+
+/**
+ * Convert odds between any two formats
+ * @param {number|string} value - Quoted odds
+ * @param {string} from - Format they are quoted in
+ * @param {string} to - Target format
+ * @returns {number|string} Odds in the target format
+ */
+const convertOdds = (value, from, to) => fromDecimal(toDecimal(value, from), to);
+
+/**
+ * Render decimal odds for display
+ * @param {number|string} odds - Decimal odds
+ * @param {string} format - Display format
+ * @returns {string} Display string, e.g. "+150", "3/2" or "40.0%"
+ */
+const formatOdds = (odds, format = ODDS_FORMATS.DECIMAL) => {
+  const value = fromDecimal(odds, format);
+
+  switch (format) {
+    case ODDS_FORMATS.AMERICAN:
+      return value > 0 ? `+${value}` : String(value);
+    case ODDS_FORMATS.IMPLIED:
+      return `${(value * 100).toFixed(1)}%`;
+    case ODDS_FORMATS.FRACTIONAL:
+      return value;
+    default:
+      return value.toFixed(2);
+  }
+};
+
+/**
+ * Calculate the total return on a stake
+ * @param {number|string} stake - Stake
+ * @param {number|string} odds - Decimal odds
+ * @returns {number} Stake times odds, rounded to cents
+ * @throws {Error} If the odds are not decimal odds
+ */
+const calculatePayout = (stake, odds) =>
+  roundTo(parseFloat(stake) * assertDecimalOdds(odds), 2);
+
+/**
+ * Get the odds format customers in a country expect
+ * @param {string} country - ISO country code
+ * @returns {string} Odds format
+ */
+const getRegionOddsFormat = (country) =>
+  REGION_ODDS_FORMATS[String(country || '').trim().toUpperCase()] || ODDS_FORMATS.DECIMAL;
+
+/**
+ * Work out which format to use for a user: an explicit request, then their
+ * preference, then their country's convention
+ * @param {Object} user - User (optional)
+ * @param {string} requested - Explicitly requested format (optional)
+ * @returns {string} Odds format
+ */
+const resolveOddsFormat = (user, requested) => {
+  if (requested) {
+    return requested;
+  }
+
+  if (user && user.odds_format) {
+    return user.odds_format;
+  }
+
+  return user ? getRegionOddsFormat(user.country) : ODDS_FORMATS.DECIMAL;
+};
+
+/**
+ * Add a display string for a record's odds in the given format
+ * @param {Object} record - Model instance or plain object with decimal odds
+ * @param {string} format - Display format
+ * @returns {Object} Plain object with odds_display added
+ */
+const withOddsDisplay = (record, format) => {
+  const data = record && typeof record.toJSON === 'function' ? record.toJSON() : { ...record };
+
+  if (data.odds !== undefined && data.odds !== null) {
+    data.odds_display = {
+      format,
+      value: formatOdds(data.odds, format)
+    };
+  }
+
+  return data;
+};
+
+module.exports = {
+  ODDS_FORMATS,
+  MIN_DECIMAL_ODDS,
+  MAX_DECIMAL_ODDS,
+  isOddsFormat,
+  assertDecimalOdds,
+  toDecimal,
+  fromDecimal,
+  convertOdds,
+  formatOdds,
+  calculatePayout,
+  getRegionOddsFormat,
+  resolveOddsFormat,
+  withOddsDisplay
+};
@@ -16,6 +16,27 @@ const Bet = require('../../src/models/Bet');
 const BetMatch = require('../../src/models/BetMatch');
 const Escrow = require('../../src/models/Escrow');
 const Payout = require('../../src/models/Payout');
+const SettlementReport = require('../../src/models/SettlementReport');
+const ParlayLeg = require('../../src/models/ParlayLeg');
+const LiveBetRequest = require('../../src/models/LiveBetRequest');
+const PositionListing = require('../../src/models/PositionListing');
+const BetInvite = require('../../src/models/BetInvite');
+const BetOffer = require('../../src/models/BetOffer');
+const Pool = require('../../src/models/Pool');
+const PoolEntry = require('../../src/models/PoolEntry');
+const Tournament = require('../../src/models/Tournament');
+const TournamentEvent = require('../../src/models/TournamentEvent');
+const TournamentEntry = require('../../src/models/TournamentEntry');
+const TournamentPick = require('../../src/models/TournamentPick');
+const BettingLimit = require('../../src/models/BettingLimit');
+const FeeRule = require('../../src/models/FeeRule');
+const MarketConsensus = require('../../src/models/MarketConsensus');
+const BetVersion = require('../../src/models/BetVersion');
+const DisputeCase = require('../../src/models/DisputeCase');
+const DisputeMessage = require('../../src/models/DisputeMessage');
+const DisputeEvidence = require('../../src/models/DisputeEvidence');
+const DisputeTransition = require('../../src/models/DisputeTransition');
+const ReconciliationReport = require('../../src/models/ReconciliationReport');
 
 // Define model associations for testing
 const setupAssociations = () => {
@@ -45,6 +66,7 @@ const setupAssociations = () => {
   // Event associations
   Event.belongsTo(League, { foreignKey: 'league_id', as: 'league' });
   Event.hasMany(Bet, { foreignKey: 'event_id', as: 'bets' });
+  Event.hasOne(SettlementReport, { foreignKey: 'event_id', as: 'settlementReport' });
   
   // Bet associations
   Bet.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
@@ -66,6 +88,89 @@ const setupAssociations = () => {
   Payout.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
   Payout.belongsTo(Escrow, { foreignKey: 'escrow_id', as: 'escrow' });
   Payout.belongsTo(Transaction, { foreignKey: 'transaction_id', as: 'transaction' });
+  
+  // SettlementReport associations
+  SettlementReport.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  
+  // ParlayLeg associations
+  Bet.hasMany(ParlayLeg, { foreignKey: 'bet_id', as: 'legs' });
+  ParlayLeg.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+  ParlayLeg.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  
+  // LiveBetRequest associations
+  LiveBetRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  LiveBetRequest.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  
+  // PositionListing associations
+  BetMatch.hasMany(PositionListing, { foreignKey: 'bet_match_id', as: 'listings' });
+  PositionListing.belongsTo(BetMatch, { foreignKey: 'bet_match_id', as: 'betMatch' });
+  PositionListing.belongsTo(User, { foreignKey: 'seller_id', as: 'seller' });
+  PositionListing.belongsTo(User, { foreignKey: 'buyer_id', as: 'buyer' });
+  
+  // BetInvite associations
+  Bet.hasMany(BetInvite, { foreignKey: 'bet_id', as: 'invites' });
+  BetInvite.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+  BetInvite.belongsTo(User, { foreignKey: 'user_id', as: 'invitee' });
+  BetInvite.belongsTo(User, { foreignKey: 'invited_by', as: 'inviter' });
+  
+  // BetOffer associations
+  Bet.hasMany(BetOffer, { foreignKey: 'bet_id', as: 'offers' });
+  BetOffer.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+  BetOffer.belongsTo(User, { foreignKey: 'taker_id', as: 'taker' });
+  
+  // Pool associations
+  Pool.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  Pool.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
+  Pool.hasMany(PoolEntry, { foreignKey: 'pool_id', as: 'entries' });
+  PoolEntry.belongsTo(Pool, { foreignKey: 'pool_id', as: 'pool' });
+  PoolEntry.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  
+  // Tournament associations
+  Tournament.belongsTo(League, { foreignKey: 'league_id', as: 'league' });
+  Tournament.belongsTo(User, { foreignKey: 'creator_id', as: 'creator' });
+  Tournament.hasOne(Escrow, { foreignKey: 'tournament_id', as: 'escrow' });
+  Escrow.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+  Tournament.hasMany(TournamentEvent, { foreignKey: 'tournament_id', as: 'fixtures' });
+  TournamentEvent.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+  TournamentEvent.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  Tournament.hasMany(TournamentEntry, { foreignKey: 'tournament_id', as: 'entries' });
+  TournamentEntry.belongsTo(Tournament, { foreignKey: 'tournament_id', as: 'tournament' });
+  TournamentEntry.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  TournamentEntry.hasMany(TournamentPick, { foreignKey: 'entry_id', as: 'picks' });
+  TournamentPick.belongsTo(TournamentEntry, { foreignKey: 'entry_id', as: 'entry' });
+  TournamentPick.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  
+  // BettingLimit associations
+  BettingLimit.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  BettingLimit.belongsTo(Sport, { foreignKey: 'sport_id', as: 'sport' });
+  
+  // FeeRule associations
+  FeeRule.belongsTo(Sport, { foreignKey: 'sport_id', as: 'sport' });
+  
+  // MarketConsensus associations
+  MarketConsensus.belongsTo(Event, { foreignKey: 'event_id', as: 'event' });
+  
+  // BetVersion associations
+  Bet.hasMany(BetVersion, { foreignKey: 'bet_id', as: 'versions' });
+  BetVersion.belongsTo(Bet, { foreignKey: 'bet_id', as: 'bet' });
+  
+  // DisputeCase associations
+  Escrow.hasOne(DisputeCase, { foreignKey: 'escrow_id', as: 'dispute' });
+  DisputeCase.belongsTo(Escrow, { foreignKey: 'escrow_id', as: 'escrow' });
+  DisputeCase.belongsTo(User, { foreignKey: 'opened_by', as: 'opener' });
+  DisputeCase.belongsTo(User, { foreignKey: 'respondent_id', as: 'respondent' });
+  DisputeCase.hasMany(DisputeMessage, { foreignKey: 'dispute_id', as: 'messages' });
+  DisputeMessage.belongsTo(DisputeCase, { foreignKey: 'dispute_id', as: 'dispute' });
+  DisputeMessage.belongsTo(User, { foreignKey: 'author_id', as: 'author' });
+  DisputeCase.hasMany(DisputeEvidence, { foreignKey: 'dispute_id', as: 'evidence' });
+  DisputeEvidence.belongsTo(DisputeCase, { foreignKey: 'dispute_id', as: 'dispute' });
+  DisputeEvidence.belongsTo(User, { foreignKey: 'uploaded_by', as: 'uploader' });
+  DisputeCase.hasMany(DisputeTransition, { foreignKey: 'dispute_id', as: 'transitions' });
+  DisputeTransition.belongsTo(DisputeCase, { foreignKey: 'dispute_id', as: 'dispute' });
+  DisputeTransition.belongsTo(User, { foreignKey: 'actor_id', as: 'actor' });
+  
+  // ReconciliationReport associations
+  ReconciliationReport.belongsTo(User, { foreignKey: 'triggered_by', as: 'triggeredBy' });
 };
 
 /**
@@ -128,7 +233,28 @@ module.exports = {
     Bet,
     BetMatch,
     Escrow,
-    Payout
+    Payout,
+    SettlementReport,
+    ParlayLeg,
+    LiveBetRequest,
+    PositionListing,
+    BetInvite,
+    BetOffer,
+    Pool,
+    PoolEntry,
+    Tournament,
+    TournamentEvent,
+    TournamentEntry,
+    TournamentPick,
+    BettingLimit,
+    FeeRule,
+    MarketConsensus,
+    BetVersion,
+    DisputeCase,
+    DisputeMessage,
+    DisputeEvidence,
+    DisputeTransition,
+    ReconciliationReport
   }
 };
 
@@ -0,0 +1,139 @@
+/**
+ * Smoke tests for the HTTP app
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const routes = require('../../src/routes');
+const { User } = require('../../src/models');
+const escrowService = require('../../src/services/escrowService');
+const walletService = require('../../src/services/walletService');
+const internationalizationService = require('../../src/services/internationalizationService');
+const { createApp } = require('../../src/server');
+
+describe('Server', () => {
+  beforeAll(async () => {
+    await internationalizationService.initialize();
+  });
+
+  it('should load every route module', () => {
+    // Assert
+    expect(typeof routes).toBe('function');
+  });
+
+  it('should build the app and serve the API status', async () => {
+    // Arrange
+    const app = createApp();
+
+    // Act
+    const response = await request(app).get('/api/v1/status');
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('PlayChaCha API is running');
+  });
+
+  it('should answer unknown API paths with 404', async () => {
+    // Arrange
+    const app = createApp();
+
+    // Act
+    const response = await request(app).get('/api/v1/no-such-route');
+
+    // Assert
+    expect(response.status).toBe(404);
+  });
+
+  describe('escrow routes', () => {
+    const user = { id: 'user-id', role: 'user', account_status: 'active' };
+    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+    let app;
+
+    beforeEach(() => {
+      app = createApp();
+      jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+      jest.spyOn(escrowService, 'createEscrow').mockResolvedValue({});
+      jest.spyOn(escrowService, 'releaseEscrow').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep non-admins from creating or releasing escrows', async () => {
+      // Act
+      const created = await request(app)
+        .post('/api/v1/escrow')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ bet_match_id: 'bet-match-id' });
+      const released = await request(app)
+        .post('/api/v1/escrow/escrow-id/release')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ winner_id: user.id });
+
+      // Assert
+      expect(created.status).toBe(403);
+      expect(released.status).toBe(403);
+      expect(escrowService.createEscrow).not.toHaveBeenCalled();
+      expect(escrowService.releaseEscrow).not.toHaveBeenCalled();
+    });
+
+    it('should only show an escrow to the parties of its bet', async () => {
+      // Arrange
+      jest.spyOn(escrowService, 'getEscrow').mockRejectedValue(
+        new Error('Only the parties to a bet and admins can view its escrow')
+      );
+
+      // Act
+      const response = await request(app)
+        .get('/api/v1/escrow/escrow-id')
+        .set('Authorization', `Bearer ${token}`);
+
+      // Assert
+      expect(response.status).toBe(403);
+      expect(escrowService.getEscrow).toHaveBeenCalledWith('escrow-id', user);
+    });
+  });
+
+  describe('wallet routes', () => {
+    const user = { id: 'user-id', role: 'user', account_status: 'active' };
+    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+    let app;
+
+    beforeEach(() => {
+      app = createApp();
+      jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+      jest.spyOn(walletService, 'processDeposit').mockResolvedValue({ status: 'completed' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should reject an invalid deposit with 400', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/wallet/deposit')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: -5 });
+
+      // Assert
+      expect(response.status).toBe(400);
+      expect(walletService.processDeposit).not.toHaveBeenCalled();
+    });
+
+    it('should pass a valid deposit through to the controller', async () => {
+      // Act
+      const response = await request(app)
+        .post('/api/v1/wallet/deposit')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 25, payment_method_id: 'pm-id' });
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(walletService.processDeposit).toHaveBeenCalledWith(user.id, 25, 'pm-id', 'USD');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for Bet Expiry Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet } = models;
+
+// Mock the betting service so expiry does not touch wallets
+jest.mock('../../../src/services/bettingService', () => ({
+  expireBet: jest.fn()
+}));
+
+// Import the mocked betting service
+const bettingService = require('../../../src/services/bettingService');
+const { onNotification, NOTIFICATION_TYPES } = require('../../../src/services/notificationService');
+
+// Import the bet expiry service after mocking dependencies
+const betExpiryService = require('../../../src/services/betExpiryService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Bet Expiry Service', () => {
+  let creator, event, notifications, unsubscribe;
+
+  const createBet = (status, expiryOffset) => Bet.create({
+    creator_id: creator.id,
+    event_id: event.id,
+    bet_type: 'moneyline',
+    bet_details: { pick: 'home' },
+    odds: 2.00,
+    stake_amount: 40.00,
+    potential_payout: 80.00,
+    status,
+    expiry_time: new Date(Date.now() + expiryOffset)
+  });
+
+  beforeEach(async () => {
+    // Create test user and event
+    creator = await User.create({
+      username: 'creator',
+      email: 'creator@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_654321'
+    });
+
+    bettingService.expireBet.mockImplementation(async (betId) => ({
+      bet: await Bet.findByPk(betId),
+      refundAmount: 40
+    }));
+
+    // Collect notifications sent during the test
+    notifications = [];
+    unsubscribe = onNotification(notification => notifications.push(notification));
+  });
+
+  afterEach(() => {
+    // Nothing to remove if setup failed before subscribing
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  });
+
+  describe('expireStaleBets', () => {
+    it('should expire open and suspended bets past their expiry time', async () => {
+      // Arrange
+      const stale = await createBet('open', -60000);
+      const suspended = await createBet('suspended', -60000);
+      await createBet('open', 60000);
+      await createBet('matched', -60000);
+
+      // Act
+      const result = await betExpiryService.expireStaleBets();
+
+      // Assert
+      expect(result).toEqual({ expired: 2, failed: 0, refunded: 80 });
+      expect(bettingService.expireBet).toHaveBeenCalledTimes(2);
+      expect(bettingService.expireBet).toHaveBeenCalledWith(stale.id);
+      expect(bettingService.expireBet).toHaveBeenCalledWith(suspended.id);
+    });
+
+    it('should notify the creator of each expired bet', async () => {
+      // Arrange
+      const stale = await createBet('open', -60000);
+
+      // Act
+      await betExpiryService.expireStaleBets();
+
+      // Assert
+      expect(notifications).toEqual([
+        expect.objectContaining({
+          user_id: creator.id,
+          type: NOTIFICATION_TYPES.BET_EXPIRED,
+          data: { bet_id: stale.id, refund_amount: 40 }
+        })
+      ]);
+    });
+
+    it('should skip bets another run already expired', async () => {
+      // Arrange
+      await createBet('open', -60000);
+      bettingService.expireBet.mockResolvedValue(null);
+
+      // Act
+      const result = await betExpiryService.expireStaleBets();
+
+      // Assert
+      expect(result).toEqual({ expired: 0, failed: 0, refunded: 0 });
+      expect(notifications).toEqual([]);
+    });
+
+    it('should carry on past a bet that fails to expire', async () => {
+      // Arrange
+      await createBet('open', -120000);
+      await createBet('open', -60000);
+      bettingService.expireBet.mockRejectedValueOnce(new Error('Wallet not found'));
+
+      // Act
+      const result = await betExpiryService.expireStaleBets();
+
+      // Assert
+      expect(result).toEqual({ expired: 1, failed: 1, refunded: 40 });
+    });
+  });
+});
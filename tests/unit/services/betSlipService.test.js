@@ -0,0 +1,145 @@
+/**
+ * Unit tests for Bet Slip Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Sport, League, Event, Bet, BetMatch } = models;
+const betSlipService = require('../../../src/services/betSlipService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Bet Slip Service', () => {
+  let user, otherUser, event, openBet;
+
+  const createUser = async (username) => {
+    const created = await User.create({
+      username,
+      email: `${username}@example.com`,
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    await Wallet.create({
+      user_id: created.id,
+      balance: 300.00,
+      currency: 'USD'
+    });
+
+    return created;
+  };
+
+  const placeLine = (stake, pick = 'home') => ({
+    action: 'place',
+    event_id: event.id,
+    bet_type: 'moneyline',
+    bet_details: { pick },
+    odds: 2.0,
+    stake_amount: stake
+  });
+
+  const getBalance = async (owner) => parseFloat((await Wallet.findOne({ where: { user_id: owner.id } })).balance);
+
+  beforeEach(async () => {
+    user = await createUser('testuser');
+    otherUser = await createUser('otheruser');
+
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_123456'
+    });
+
+    openBet = await Bet.create({
+      creator_id: otherUser.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'away' },
+      market_key: 'moneyline',
+      odds: 2.0,
+      stake_amount: 100,
+      potential_payout: 200,
+      status: 'open',
+      expiry_time: event.start_time
+    });
+  });
+
+  it('should place new bets and take open bets together', async () => {
+    // Act
+    const slip = await betSlipService.placeSlip(user.id, [
+      placeLine(100),
+      { action: 'take', bet_id: openBet.id, stake_amount: 50 }
+    ]);
+
+    // Assert
+    expect(slip.status).toBe('accepted');
+    expect(slip.total_stake).toBe(150);
+    expect(slip.lines.map(line => line.status)).toEqual(['placed', 'matched']);
+    expect(await getBalance(user)).toBe(150);
+    expect(await BetMatch.count({ where: { taker_id: user.id } })).toBe(1);
+  });
+
+  it('should roll back the whole slip when a line fails in all-or-nothing mode', async () => {
+    // Act
+    const slip = await betSlipService.placeSlip(user.id, [
+      placeLine(200),
+      placeLine(150, 'away')
+    ]);
+
+    // Assert
+    expect(slip.status).toBe('rejected');
+    expect(slip.lines[0].status).toBe('rolled_back');
+    expect(slip.lines[1]).toMatchObject({ status: 'failed', error: { message: 'Insufficient balance' } });
+    expect(await getBalance(user)).toBe(300);
+    expect(await Bet.count({ where: { creator_id: user.id } })).toBe(0);
+  });
+
+  it('should keep the lines that went through in accept-partial mode', async () => {
+    // Act
+    const slip = await betSlipService.placeSlip(user.id, [
+      placeLine(200),
+      { action: 'take', bet_id: openBet.id, stake_amount: 500 },
+      placeLine(50, 'away')
+    ], { mode: 'accept_partial' });
+
+    // Assert
+    expect(slip.status).toBe('partial');
+    expect(slip.lines.map(line => line.status)).toEqual(['placed', 'failed', 'placed']);
+    expect(slip.lines[1].error.message).toContain('exceeds');
+    expect(await getBalance(user)).toBe(50);
+
+    const reloaded = await Bet.findByPk(openBet.id);
+    expect(parseFloat(reloaded.matched_amount)).toBe(0);
+  });
+
+  it('should throw error for an empty slip', async () => {
+    // Act & Assert
+    await expect(betSlipService.placeSlip(user.id, []))
+      .rejects.toThrow('A bet slip must have between 1 and 20 lines');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for Betting Limit Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, BetMatch, BettingLimit } = models;
+const bettingLimitService = require('../../../src/services/bettingLimitService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Betting Limit Service', () => {
+  let user, otherUser, sport, event;
+
+  const createUser = (username, country = 'US') => User.create({
+    username,
+    email: `${username}@example.com`,
+    password_hash: 'Password123!',
+    date_of_birth: '1990-01-01',
+    country
+  });
+
+  const createBet = (creator, overrides = {}) => Bet.create({
+    creator_id: creator.id,
+    event_id: event.id,
+    bet_type: 'moneyline',
+    bet_details: { team: 'home' },
+    odds: 2.0,
+    stake_amount: 100,
+    potential_payout: 200,
+    status: 'open',
+    ...overrides
+  });
+
+  const check = (stake, overrides = {}) => bettingLimitService.assertBetWithinLimits({
+    userId: user.id,
+    event,
+    betType: 'moneyline',
+    stake,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    user = await createUser('testuser');
+    otherUser = await createUser('otheruser');
+
+    sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_123456'
+    });
+  });
+
+  describe('resolveLimits', () => {
+    it('should take the most restrictive value of each limit', () => {
+      // Act
+      const limits = bettingLimitService.resolveLimits([
+        { min_stake: '5.00', max_stake: '500.00', max_open_exposure: null, max_bets_per_event: 3 },
+        { min_stake: '10.00', max_stake: '200.00', max_open_exposure: '1000.00', max_bets_per_event: null }
+      ]);
+
+      // Assert
+      expect(limits).toEqual({
+        min_stake: 10,
+        max_stake: 200,
+        max_open_exposure: 1000,
+        max_bets_per_event: 3
+      });
+    });
+  });
+
+  describe('assertBetWithinLimits', () => {
+    it('should pass when no rule applies', async () => {
+      // Arrange
+      await BettingLimit.create({ name: 'UK cap', region: 'GB', max_stake: 10 });
+      await BettingLimit.create({ name: 'Inactive', max_stake: 10, active: false });
+
+      // Act & Assert
+      await expect(check(100)).resolves.toBeDefined();
+    });
+
+    it('should reject a stake above the maximum for the sport and bet type', async () => {
+      // Arrange
+      await BettingLimit.create({ name: 'Football moneyline', sport_id: sport.id, bet_type: 'moneyline', max_stake: 50 });
+
+      // Act & Assert
+      await expect(check(75)).rejects.toMatchObject({ code: 'STAKE_ABOVE_MAXIMUM', statusCode: 400 });
+      await expect(check(75, { betType: 'spread' })).resolves.toBeDefined();
+    });
+
+    it('should reject a stake below the minimum for the user\'s region', async () => {
+      // Arrange
+      await BettingLimit.create({ name: 'US minimum', region: 'US', min_stake: 5 });
+
+      // Act & Assert
+      await expect(check(2)).rejects.toMatchObject({ code: 'STAKE_BELOW_MINIMUM' });
+    });
+
+    it('should count stakes on open bets and active matches towards exposure', async () => {
+      // Arrange
+      await BettingLimit.create({ name: 'Exposure', user_id: user.id, max_open_exposure: 300 });
+
+      await createBet(user, { stake_amount: 150, cancelled_amount: 50 });
+      await createBet(user, { stake_amount: 500, status: 'settled' });
+
+      const otherBet = await createBet(otherUser);
+      await BetMatch.create({
+        bet_id: otherBet.id,
+        taker_id: user.id,
+        stake_amount: 100,
+        creator_stake: 100,
+        potential_payout: 194,
+        odds: 2.0,
+        status: 'active',
+        platform_fee: 6
+      });
+
+      // Act
+      const exposure = await bettingLimitService.getOpenExposure(user.id);
+
+      // Assert
+      expect(exposure).toBe(200);
+      await expect(check(100)).resolves.toBeDefined();
+      await expect(check(101)).rejects.toMatchObject({ code: 'EXPOSURE_LIMIT_EXCEEDED' });
+    });
+
+    it('should reject a bet once the user has reached the per-event limit', async () => {
+      // Arrange
+      await BettingLimit.create({ name: 'Per event', max_bets_per_event: 2 });
+
+      await createBet(user);
+      await createBet(user, { status: 'cancelled' });
+      await createBet(user);
+
+      // Act & Assert
+      await expect(check(10)).rejects.toMatchObject({ code: 'EVENT_BET_LIMIT_EXCEEDED' });
+    });
+  });
+
+  describe('createLimit', () => {
+    it('should throw error if the rule sets no limit', async () => {
+      // Act & Assert
+      await expect(bettingLimitService.createLimit(user.id, { name: 'Empty', sport_id: sport.id }))
+        .rejects.toThrow('A betting limit must set at least one limit');
+    });
+
+    it('should throw error if the minimum stake is above the maximum', async () => {
+      // Act & Assert
+      await expect(bettingLimitService.createLimit(user.id, { name: 'Backwards', min_stake: 50, max_stake: 10 }))
+        .rejects.toThrow('Minimum stake cannot be above maximum stake');
+    });
+  });
+});
@@ -0,0 +1,573 @@
+/**
+ * Unit tests for Betting Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Sport, League, Event, Bet, BetVersion } = models;
+const bettingService = require('../../../src/services/bettingService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Betting Service', () => {
+  const creatorId = 'creator-id';
+  const takerId = 'taker-id';
+  const betMatch = { taker_id: takerId };
+
+  const buildBet = (betType, betDetails) => ({
+    creator_id: creatorId,
+    bet_type: betType,
+    bet_details: betDetails
+  });
+
+  describe('determineWinner', () => {
+    describe('moneyline', () => {
+      it('should award the creator when their pick wins', () => {
+        // Arrange
+        const bet = buildBet('moneyline', { pick: 'home' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 3, away_score: 1 }, betMatch);
+
+        // Assert
+        expect(winner).toBe(creatorId);
+      });
+
+      it('should award the taker when the creator pick loses', () => {
+        // Arrange
+        const bet = buildBet('moneyline', { pick: 'away' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 3, away_score: 1 }, betMatch);
+
+        // Assert
+        expect(winner).toBe(takerId);
+      });
+
+      it('should push on a draw', () => {
+        // Arrange
+        const bet = buildBet('moneyline', { pick: 'home' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 2, away_score: 2 }, betMatch);
+
+        // Assert
+        expect(winner).toBe('push');
+      });
+    });
+
+    describe('spread', () => {
+      it('should award the creator when the pick covers', () => {
+        // Arrange
+        const bet = buildBet('spread', { pick: 'home', spread: '-3.5' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 24, away_score: 20 }, betMatch);
+
+        // Assert
+        expect(winner).toBe(creatorId);
+      });
+
+      it('should push when the result lands exactly on the number', () => {
+        // Arrange
+        const bet = buildBet('spread', { pick: 'home', spread: '-3' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 23, away_score: 20 }, betMatch);
+
+        // Assert
+        expect(winner).toBe('push');
+      });
+    });
+
+    describe('over_under', () => {
+      it('should award the creator when the total goes over', () => {
+        // Arrange
+        const bet = buildBet('over_under', { pick: 'over', total: '44.5' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 24, away_score: 21 }, betMatch);
+
+        // Assert
+        expect(winner).toBe(creatorId);
+      });
+
+      it('should push when the total is hit exactly', () => {
+        // Arrange
+        const bet = buildBet('over_under', { pick: 'under', total: '45' });
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 24, away_score: 21 }, betMatch);
+
+        // Assert
+        expect(winner).toBe('push');
+      });
+    });
+
+    describe('prop', () => {
+      it('should map the prop outcome onto the creator or taker', () => {
+        // Arrange
+        const bet = buildBet('prop', { prop_type: 'first_to_score', pick: 'home' });
+        const stats = { first_to_score: 'away' };
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 1, away_score: 2, stats }, betMatch);
+
+        // Assert
+        expect(winner).toBe(takerId);
+      });
+
+      it('should push when the prop lands on the line', () => {
+        // Arrange
+        const bet = buildBet('prop', {
+          prop_type: 'player_stat', player: 'Erling Haaland', stat: 'shots', line: 4, pick: 'under'
+        });
+        const stats = { players: { 'Erling Haaland': { shots: 4 } } };
+
+        // Act
+        const winner = bettingService.determineWinner(bet, { home_score: 1, away_score: 0, stats }, betMatch);
+
+        // Assert
+        expect(winner).toBe('push');
+      });
+    });
+
+    it('should award the taker of the bet match being settled', () => {
+      // Arrange
+      const bet = buildBet('moneyline', { pick: 'home' });
+
+      // Act
+      const winner = bettingService.determineWinner(
+        bet,
+        { home_score: 0, away_score: 1 },
+        { taker_id: 'second-taker-id' }
+      );
+
+      // Assert
+      expect(winner).toBe('second-taker-id');
+    });
+
+    it('should award whoever bought the creator side', () => {
+      // Arrange
+      const bet = buildBet('moneyline', { pick: 'home' });
+
+      // Act
+      const winner = bettingService.determineWinner(
+        bet,
+        { home_score: 2, away_score: 1 },
+        { taker_id: takerId, creator_holder_id: 'buyer-id' }
+      );
+
+      // Assert
+      expect(winner).toBe('buyer-id');
+    });
+
+    it('should award whoever bought the taker side', () => {
+      // Arrange
+      const bet = buildBet('moneyline', { pick: 'home' });
+
+      // Act
+      const winner = bettingService.determineWinner(
+        bet,
+        { home_score: 0, away_score: 1 },
+        { taker_id: takerId, taker_holder_id: 'buyer-id' }
+      );
+
+      // Assert
+      expect(winner).toBe('buyer-id');
+    });
+
+    it('should throw error for an unknown bet type', () => {
+      // Arrange
+      const bet = buildBet('teaser', {});
+
+      // Act & Assert
+      expect(() => bettingService.determineWinner(bet, { home_score: 1, away_score: 0 }, betMatch)).toThrow('Unknown bet type');
+    });
+  });
+
+  describe('calculateFill', () => {
+    const bet = {
+      odds: '2.50',
+      stake_amount: '100.00',
+      matched_amount: '40.00'
+    };
+
+    it('should fill everything still unmatched when no stake is given', () => {
+      // Act
+      const fill = bettingService.calculateFill(bet);
+
+      // Assert
+      expect(fill.creatorStake).toBe(60);
+      expect(fill.takerStake).toBe(90);
+    });
+
+    it('should cover a proportional part of the creator stake', () => {
+      // Act
+      const fill = bettingService.calculateFill(bet, 30);
+
+      // Assert
+      expect(fill.creatorStake).toBe(20);
+      expect(fill.takerStake).toBe(30);
+    });
+
+    it('should throw error when the stake exceeds what is left', () => {
+      // Act & Assert
+      expect(() => bettingService.calculateFill(bet, 90.01)).toThrow('exceeds the 90 still available');
+    });
+
+    it('should throw error when the stake is below the minimum', () => {
+      // Act & Assert
+      expect(() => bettingService.calculateFill(bet, 0.5)).toThrow('Stake amount must be at least 1');
+    });
+
+    it('should throw error when the bet is fully matched', () => {
+      // Act & Assert
+      expect(() => bettingService.calculateFill({ ...bet, matched_amount: '100.00' })).toThrow('no unmatched stake');
+    });
+  });
+
+  describe('getAvailableBets', () => {
+    let trusted, unknown, league, tonight, nextWeek;
+
+    const createEvent = (homeTeam, awayTeam, startOffset) => Event.create({
+      league_id: league.id,
+      home_team: homeTeam,
+      away_team: awayTeam,
+      start_time: new Date(Date.now() + startOffset),
+      status: 'scheduled',
+      api_event_id: `ext_${homeTeam}_${awayTeam}`
+    });
+
+    const postBet = (creator, event, odds, stake, overrides = {}) => Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      market_key: 'moneyline',
+      odds,
+      stake_amount: stake,
+      potential_payout: odds * stake,
+      status: 'open',
+      expiry_time: event.start_time,
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      trusted = await User.create({
+        username: 'trusted',
+        email: 'trusted@example.com',
+        password_hash: 'Password123!',
+        date_of_birth: '1990-01-01',
+        settled_bets_count: 40,
+        reputation_score: 95
+      });
+
+      unknown = await User.create({
+        username: 'unknown',
+        email: 'unknown@example.com',
+        password_hash: 'Password123!',
+        date_of_birth: '1990-01-01'
+      });
+
+      const sport = await Sport.create({
+        name: 'Football',
+        api_sport_key: 'soccer_epl'
+      });
+
+      league = await League.create({
+        sport_id: sport.id,
+        name: 'Premier League',
+        api_league_key: 'epl'
+      });
+
+      tonight = await createEvent('Arsenal', 'Chelsea', 3600000); // In an hour
+      nextWeek = await createEvent('Liverpool', 'Everton', 7 * 86400000);
+    });
+
+    it('should filter by kickoff window, odds range and creator reputation', async () => {
+      // Arrange
+      const wanted = await postBet(trusted, tonight, 2.1, 50);
+      await postBet(trusted, tonight, 3.5, 50);
+      await postBet(trusted, nextWeek, 2.1, 50);
+      await postBet(unknown, tonight, 2.1, 50);
+
+      // Act
+      const result = await bettingService.getAvailableBets({
+        startsBefore: new Date(Date.now() + 86400000),
+        minOdds: 1.5,
+        maxOdds: 2.5,
+        minReputation: 80
+      });
+
+      // Assert
+      expect(result.bets.map(bet => bet.id)).toEqual([wanted.id]);
+      expect(result.next_cursor).toBeNull();
+    });
+
+    it('should page through a sort with cursors without repeating or skipping bets', async () => {
+      // Arrange
+      const stakes = [300, 100, 200, 200, 50];
+      const posted = [];
+      for (const stake of stakes) {
+        posted.push(await postBet(trusted, tonight, 2, stake));
+      }
+
+      // Act
+      const first = await bettingService.getAvailableBets({}, { sort: 'largest_stake', limit: 2 });
+      const second = await bettingService.getAvailableBets({}, { sort: 'largest_stake', limit: 2, cursor: first.next_cursor });
+      const third = await bettingService.getAvailableBets({}, { sort: 'largest_stake', limit: 2, cursor: second.next_cursor });
+
+      // Assert
+      const seen = [...first.bets, ...second.bets, ...third.bets];
+      expect(seen.map(bet => parseFloat(bet.stake_amount))).toEqual([300, 200, 200, 100, 50]);
+      expect(new Set(seen.map(bet => bet.id)).size).toBe(posted.length);
+      expect(third.next_cursor).toBeNull();
+    });
+
+    it('should sort by soonest kickoff', async () => {
+      // Arrange
+      const later = await postBet(trusted, nextWeek, 2, 50);
+      const sooner = await postBet(trusted, tonight, 2, 50);
+
+      // Act
+      const result = await bettingService.getAvailableBets({}, { sort: 'soonest_start' });
+
+      // Assert
+      expect(result.bets.map(bet => bet.id)).toEqual([sooner.id, later.id]);
+    });
+
+    it('should throw error for a cursor from another sort', async () => {
+      // Arrange
+      await postBet(trusted, tonight, 2, 50);
+      await postBet(trusted, tonight, 2, 60);
+      const page = await bettingService.getAvailableBets({}, { sort: 'best_odds', limit: 1 });
+
+      // Act & Assert
+      await expect(bettingService.getAvailableBets({}, { sort: 'newest', cursor: page.next_cursor }))
+        .rejects.toThrow('Cursor belongs to a different sort order');
+    });
+  });
+
+  describe('amendBet', () => {
+    let creator, taker, bet;
+
+    const createUser = async (username) => {
+      const created = await User.create({
+        username,
+        email: `${username}@example.com`,
+        password_hash: 'Password123!',
+        date_of_birth: '1990-01-01'
+      });
+
+      await Wallet.create({
+        user_id: created.id,
+        balance: 200.00,
+        currency: 'USD'
+      });
+
+      return created;
+    };
+
+    const getBalance = async (owner) => parseFloat((await Wallet.findOne({ where: { user_id: owner.id } })).balance);
+
+    beforeEach(async () => {
+      creator = await createUser('creator');
+      taker = await createUser('taker');
+
+      const sport = await Sport.create({
+        name: 'Football',
+        api_sport_key: 'soccer_epl'
+      });
+
+      const league = await League.create({
+        sport_id: sport.id,
+        name: 'Premier League',
+        api_league_key: 'epl'
+      });
+
+      const event = await Event.create({
+        league_id: league.id,
+        home_team: 'Arsenal',
+        away_team: 'Chelsea',
+        start_time: new Date(Date.now() + 86400000), // Tomorrow
+        status: 'scheduled',
+        api_event_id: 'ext_123456'
+      });
+
+      bet = await bettingService.createBet(creator.id, {
+        event_id: event.id,
+        bet_type: 'moneyline',
+        bet_details: { pick: 'home' },
+        odds: 2.0,
+        stake_amount: 100
+      });
+    });
+
+    it('should charge the stake difference and keep the previous terms', async () => {
+      // Act
+      const amended = await bettingService.amendBet(creator.id, bet.id, { odds: 2.5, stake_amount: 150 });
+
+      // Assert
+      expect(amended.version).toBe(2);
+      expect(parseFloat(amended.potential_payout)).toBe(375);
+      expect(await getBalance(creator)).toBe(50);
+
+      const versions = await BetVersion.findAll({ where: { bet_id: bet.id }, order: [['version', 'ASC']] });
+      expect(versions.map(version => version.change_type)).toEqual(['created', 'amended']);
+      expect(parseFloat(versions[0].odds)).toBe(2);
+      expect(parseFloat(versions[1].stake_amount)).toBe(150);
+    });
+
+    it('should refund the stake taken off', async () => {
+      // Act
+      await bettingService.amendBet(creator.id, bet.id, { stake_amount: 40 });
+
+      // Assert
+      expect(await getBalance(creator)).toBe(160);
+    });
+
+    it('should refuse a take at terms that have since been amended', async () => {
+      // Arrange
+      await bettingService.amendBet(creator.id, bet.id, { odds: 1.8 });
+
+      // Act & Assert
+      await expect(bettingService.takeBet(taker.id, bet.id, { bet_version: 1 }))
+        .rejects.toThrow('Bet has been amended since you viewed it');
+    });
+
+    it('should record the version each taker matched', async () => {
+      // Arrange
+      await bettingService.amendBet(creator.id, bet.id, { odds: 1.8 });
+      await bettingService.takeBet(taker.id, bet.id, { stake_amount: 50, bet_version: 2 });
+
+      // Act
+      const history = await bettingService.getBetVersions({ id: taker.id, role: 'user' }, bet.id);
+
+      // Assert
+      expect(history.current_version).toBe(2);
+      expect(history.versions).toHaveLength(2);
+      expect(history.matches[0].bet_version).toBe(2);
+    });
+
+    it('should throw error when the bet has been partly matched', async () => {
+      // Arrange
+      await bettingService.takeBet(taker.id, bet.id, { stake_amount: 50 });
+
+      // Act & Assert
+      await expect(bettingService.amendBet(creator.id, bet.id, { odds: 3 }))
+        .rejects.toThrow('Bets that have been partly matched cannot be amended');
+    });
+
+    it('should throw error when someone else amends the bet', async () => {
+      // Act & Assert
+      await expect(bettingService.amendBet(taker.id, bet.id, { odds: 3 }))
+        .rejects.toThrow('Only the creator can amend this bet');
+    });
+  });
+
+  describe('voidBet', () => {
+    let creator, taker, event, bet;
+
+    const createUser = async (username) => {
+      const created = await User.create({
+        username,
+        email: `${username}@example.com`,
+        password_hash: 'Password123!',
+        date_of_birth: '1990-01-01'
+      });
+
+      await Wallet.create({
+        user_id: created.id,
+        balance: 200.00,
+        currency: 'USD'
+      });
+
+      return created;
+    };
+
+    const getBalance = async (owner) => parseFloat((await Wallet.findOne({ where: { user_id: owner.id } })).balance);
+
+    beforeEach(async () => {
+      creator = await createUser('creator');
+      taker = await createUser('taker');
+
+      const sport = await Sport.create({
+        name: 'Football',
+        api_sport_key: 'soccer_epl'
+      });
+
+      const league = await League.create({
+        sport_id: sport.id,
+        name: 'Premier League',
+        api_league_key: 'epl'
+      });
+
+      event = await Event.create({
+        league_id: league.id,
+        home_team: 'Arsenal',
+        away_team: 'Chelsea',
+        start_time: new Date(Date.now() + 86400000), // Tomorrow
+        status: 'scheduled',
+        api_event_id: 'ext_123456'
+      });
+
+      bet = await bettingService.createBet(creator.id, {
+        event_id: event.id,
+        bet_type: 'moneyline',
+        bet_details: { pick: 'home' },
+        odds: 2.0,
+        stake_amount: 100
+      });
+    });
+
+    it('should refund the unmatched stake once', async () => {
+      // Act
+      await bettingService.voidBet(bet.id, 'event_cancelled');
+
+      // Assert
+      expect(await getBalance(creator)).toBe(200);
+      await expect(bettingService.voidBet(bet.id, 'event_cancelled'))
+        .rejects.toThrow('Bet can no longer be voided, current status: refunded');
+      expect(await getBalance(creator)).toBe(200);
+    });
+
+    it('should close the bet and refund a leftover too small to be matched', async () => {
+      // Act
+      await bettingService.takeBet(taker.id, bet.id, { stake_amount: 99.5 });
+
+      // Assert
+      const updatedBet = await Bet.findByPk(bet.id);
+      expect(updatedBet.status).toBe('matched');
+      expect(parseFloat(updatedBet.matched_amount)).toBe(99.5);
+      expect(parseFloat(updatedBet.cancelled_amount)).toBe(0.5);
+      expect(await getBalance(creator)).toBe(100.5);
+    });
+
+    it('should refuse new stakes on a cancelled event', async () => {
+      // Arrange
+      await event.update({ status: 'cancelled' });
+
+      // Act & Assert
+      await expect(bettingService.takeBet(taker.id, bet.id, { stake_amount: 50 }))
+        .rejects.toThrow('Cannot take bet on a cancelled event');
+      await expect(bettingService.createBet(creator.id, {
+        event_id: event.id,
+        bet_type: 'moneyline',
+        bet_details: { pick: 'away' },
+        odds: 2.0,
+        stake_amount: 50
+      })).rejects.toThrow('Cannot place bet on a cancelled event');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for Cash-Out Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Transaction, Sport, League, Event, Bet, BetMatch, Escrow, PositionListing } = models;
+
+// Mock the wallet service
+jest.mock('../../../src/services/walletService', () => ({
+  getWallet: jest.fn(),
+  updateBalance: jest.fn()
+}));
+
+// Import the mocked wallet service
+const walletService = require('../../../src/services/walletService');
+
+// Import the cash-out service after mocking dependencies
+const cashOutService = require('../../../src/services/cashOutService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Cash-Out Service', () => {
+  let creator, taker, buyer, wallets, event, betMatch, escrow;
+
+  const createUser = (username) => User.create({
+    username,
+    email: `${username}@example.com`,
+    password_hash: 'Password123!',
+    date_of_birth: '1990-01-01',
+    country: 'US'
+  });
+
+  beforeEach(async () => {
+    // Create test users and wallets
+    creator = await createUser('creator');
+    taker = await createUser('taker');
+    buyer = await createUser('buyer');
+
+    wallets = {};
+
+    for (const user of [creator, taker, buyer]) {
+      wallets[user.id] = await Wallet.create({
+        user_id: user.id,
+        balance: 200.00,
+        currency: 'USD',
+        status: 'active'
+      });
+    }
+
+    // Mock wallet service methods
+    walletService.getWallet.mockImplementation(async (userId) => wallets[userId]);
+    walletService.updateBalance.mockImplementation(async (walletId, amount) => {
+      const wallet = Object.values(wallets).find(w => w.id === walletId);
+      wallet.balance = parseFloat(wallet.balance) + amount;
+      return wallet;
+    });
+
+    // Create an upcoming event with an active bet match on it
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_654321'
+    });
+
+    const bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.00,
+      stake_amount: 100.00,
+      potential_payout: 200.00,
+      status: 'matched',
+      matched_amount: 100.00
+    });
+
+    escrow = Escrow.build({
+      amount: 200.00,
+      platform_fee: 6.00,
+      status: 'active'
+    });
+
+    betMatch = await BetMatch.create({
+      bet_id: bet.id,
+      taker_id: taker.id,
+      stake_amount: 100.00,
+      creator_stake: 100.00,
+      potential_payout: 194.00,
+      platform_fee: 6.00,
+      status: 'active',
+      escrow_id: escrow.id
+    });
+
+    escrow.bet_match_id = betMatch.id;
+    await escrow.save();
+  });
+
+  describe('listPosition', () => {
+    it('should list the side the user holds', async () => {
+      // Act
+      const listing = await cashOutService.listPosition(taker.id, betMatch.id, 120);
+
+      // Assert
+      expect(listing.side).toBe('taker');
+      expect(listing.status).toBe('open');
+      expect(parseFloat(listing.price)).toBe(120);
+    });
+
+    it('should throw error if the user is not part of the match', async () => {
+      // Act & Assert
+      await expect(cashOutService.listPosition(buyer.id, betMatch.id, 120)).rejects.toThrow('do not hold a side');
+    });
+
+    it('should throw error if the price is not below what the side can win', async () => {
+      // Act & Assert
+      await expect(cashOutService.listPosition(taker.id, betMatch.id, 194)).rejects.toThrow('less than the 194');
+    });
+
+    it('should throw error once the event has finished', async () => {
+      // Arrange
+      await event.update({ status: 'completed', home_score: 1, away_score: 0 });
+
+      // Act & Assert
+      await expect(cashOutService.listPosition(taker.id, betMatch.id, 120)).rejects.toThrow('event has finished');
+    });
+  });
+
+  describe('buyPosition', () => {
+    it('should hand the taker side to the buyer and record both ledger entries', async () => {
+      // Arrange
+      const listing = await cashOutService.listPosition(taker.id, betMatch.id, 120);
+
+      // Act
+      const result = await cashOutService.buyPosition(buyer.id, listing.id);
+
+      // Assert
+      expect(result.listing.status).toBe('sold');
+      expect(result.listing.buyer_id).toBe(buyer.id);
+
+      const updatedMatch = await BetMatch.findByPk(betMatch.id);
+      expect(updatedMatch.taker_holder_id).toBe(buyer.id);
+      expect(updatedMatch.taker_id).toBe(taker.id);
+
+      const entries = await Transaction.findAll({ where: { reference_id: listing.id } });
+      expect(entries.map(entry => entry.type).sort()).toEqual(['position_purchase', 'position_sale']);
+
+      expect(walletService.getWallet).toHaveBeenCalledWith(buyer.id, 'USD', expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(wallets[buyer.id].id, -120, expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(wallets[taker.id].id, 120, expect.anything());
+    });
+
+    it('should record the buyer as holder of a sold creator side', async () => {
+      // Arrange
+      const listing = await cashOutService.listPosition(creator.id, betMatch.id, 90);
+
+      // Act
+      await cashOutService.buyPosition(buyer.id, listing.id);
+
+      // Assert
+      const updatedMatch = await BetMatch.findByPk(betMatch.id);
+      expect(updatedMatch.creator_holder_id).toBe(buyer.id);
+      expect(updatedMatch.taker_id).toBe(taker.id);
+    });
+
+    it('should throw error if the buyer holds the other side', async () => {
+      // Arrange
+      const listing = await cashOutService.listPosition(taker.id, betMatch.id, 120);
+
+      // Act & Assert
+      await expect(cashOutService.buyPosition(creator.id, listing.id)).rejects.toThrow('other side');
+    });
+
+    it('should throw error if the listing was already sold', async () => {
+      // Arrange
+      const listing = await cashOutService.listPosition(taker.id, betMatch.id, 120);
+      await cashOutService.buyPosition(buyer.id, listing.id);
+
+      // Act & Assert
+      await expect(cashOutService.buyPosition(buyer.id, listing.id)).rejects.toThrow('Listing is not open');
+    });
+
+    it('should throw error if the buyer cannot afford it', async () => {
+      // Arrange
+      const listing = await cashOutService.listPosition(taker.id, betMatch.id, 120);
+      await wallets[buyer.id].update({ balance: 50.00 });
+
+      // Act & Assert
+      await expect(cashOutService.buyPosition(buyer.id, listing.id)).rejects.toThrow('Insufficient balance');
+
+      const unchanged = await PositionListing.findByPk(listing.id);
+      expect(unchanged.status).toBe('open');
+    });
+  });
+
+  describe('getOwnershipHistory', () => {
+    it('should list every sale of the match in order', async () => {
+      // Arrange
+      const listing = await cashOutService.listPosition(taker.id, betMatch.id, 120);
+      await cashOutService.buyPosition(buyer.id, listing.id);
+
+      // Act
+      const history = await cashOutService.getOwnershipHistory(betMatch.id);
+
+      // Assert
+      expect(history.length).toBe(1);
+      expect(history[0].side).toBe('taker');
+      expect(history[0].from_user_id).toBe(taker.id);
+      expect(history[0].to_user_id).toBe(buyer.id);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Unit tests for Challenge Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, BetInvite } = models;
+
+// Mock the betting service so challenges do not touch wallets
+jest.mock('../../../src/services/bettingService', () => ({
+  createBet: jest.fn(),
+  takeBet: jest.fn(),
+  cancelBet: jest.fn()
+}));
+
+// Import the mocked betting service
+const bettingService = require('../../../src/services/bettingService');
+const { onNotification, NOTIFICATION_TYPES } = require('../../../src/services/notificationService');
+
+// Import the challenge service after mocking dependencies
+const challengeService = require('../../../src/services/challengeService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Challenge Service', () => {
+  let creator, friend, event, bet, notifications, unsubscribe;
+
+  const createUser = (username) => User.create({
+    username,
+    email: `${username}@example.com`,
+    password_hash: 'Password123!',
+    date_of_birth: '1990-01-01',
+    country: 'US'
+  });
+
+  const createChallengeInvite = () => BetInvite.create({
+    bet_id: bet.id,
+    user_id: friend.id,
+    invited_by: creator.id,
+    kind: 'challenge'
+  });
+
+  beforeEach(async () => {
+    // Create test users
+    creator = await createUser('creator');
+    friend = await createUser('friend');
+
+    // Create an upcoming event with a private bet on it
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_654321'
+    });
+
+    bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.00,
+      stake_amount: 50.00,
+      potential_payout: 100.00,
+      status: 'open',
+      visibility: 'private',
+      invite_code: 'A1B2C3D4E5',
+      expiry_time: new Date(Date.now() + 3600000)
+    });
+
+    // Collect notifications sent during the test
+    notifications = [];
+    unsubscribe = onNotification(notification => notifications.push(notification));
+  });
+
+  afterEach(() => {
+    // Nothing to remove if setup failed before subscribing
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  });
+
+  describe('createChallenge', () => {
+    it('should create a private bet aimed at the named user', async () => {
+      // Arrange
+      bettingService.createBet.mockResolvedValue(bet);
+
+      // Act
+      await challengeService.createChallenge(creator.id, 'friend', { event_id: event.id, stake_amount: 50 });
+
+      // Assert
+      expect(bettingService.createBet).toHaveBeenCalledWith(
+        creator.id,
+        expect.objectContaining({ visibility: 'private', invitees: ['friend'] }),
+        { challenge: true }
+      );
+    });
+  });
+
+  describe('acceptChallenge', () => {
+    it('should take the bet for the challenged user', async () => {
+      // Arrange
+      const invite = await createChallengeInvite();
+      bettingService.takeBet.mockResolvedValue({ betMatch: { id: 'bet-match-id' } });
+
+      // Act
+      await challengeService.acceptChallenge(friend.id, invite.id);
+
+      // Assert
+      expect(bettingService.takeBet).toHaveBeenCalledWith(friend.id, bet.id);
+    });
+
+    it('should throw error if the challenge was sent to someone else', async () => {
+      // Arrange
+      const invite = await createChallengeInvite();
+
+      // Act & Assert
+      await expect(challengeService.acceptChallenge(creator.id, invite.id)).rejects.toThrow('Challenge not found');
+    });
+
+    it('should throw error if the challenge was already declined', async () => {
+      // Arrange
+      const invite = await createChallengeInvite();
+      await invite.update({ status: 'declined' });
+
+      // Act & Assert
+      await expect(challengeService.acceptChallenge(friend.id, invite.id)).rejects.toThrow('no longer pending');
+      expect(bettingService.takeBet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('declineChallenge', () => {
+    it('should refund the challenger and notify them', async () => {
+      // Arrange
+      const invite = await createChallengeInvite();
+
+      // Act
+      const declined = await challengeService.declineChallenge(friend.id, invite.id);
+
+      // Assert
+      expect(declined.status).toBe('declined');
+      expect(bettingService.cancelBet).toHaveBeenCalledWith(creator.id, bet.id);
+      expect(notifications).toEqual([
+        expect.objectContaining({ user_id: creator.id, type: NOTIFICATION_TYPES.CHALLENGE_DECLINED })
+      ]);
+    });
+  });
+
+  describe('getBetByInviteCode', () => {
+    it('should find the private bet the code belongs to', async () => {
+      // Act
+      const found = await challengeService.getBetByInviteCode('A1B2C3D4E5');
+
+      // Assert
+      expect(found.id).toBe(bet.id);
+    });
+
+    it('should throw error for an unknown code', async () => {
+      // Act & Assert
+      await expect(challengeService.getBetByInviteCode('FFFFFFFFFF')).rejects.toThrow('Invite code not found');
+    });
+  });
+
+  describe('expireInvites', () => {
+    it('should expire invites that ran out and notify both sides of a challenge', async () => {
+      // Arrange
+      const invite = await createChallengeInvite();
+      await bet.update({ expiry_time: new Date(Date.now() - 1000) });
+
+      // Act
+      const expired = await challengeService.expireInvites();
+
+      // Assert
+      expect(expired).toBe(1);
+      expect((await BetInvite.findByPk(invite.id)).status).toBe('expired');
+      expect(notifications.map(notification => notification.user_id).sort())
+        .toEqual([creator.id, friend.id].sort());
+    });
+
+    it('should leave invites that have not lapsed alone', async () => {
+      // Arrange
+      await createChallengeInvite();
+
+      // Act
+      const expired = await challengeService.expireInvites();
+
+      // Assert
+      expect(expired).toBe(0);
+    });
+  });
+});
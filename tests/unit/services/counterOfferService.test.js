@@ -0,0 +1,194 @@
+/**
+ * Unit tests for Counter-Offer Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, BetOffer } = models;
+
+// Mock the betting service so accepted offers do not touch wallets
+jest.mock('../../../src/services/bettingService', () => ({
+  calculateFill: jest.fn(),
+  takeBet: jest.fn()
+}));
+
+// Import the mocked betting service
+const bettingService = require('../../../src/services/bettingService');
+
+// Import the counter-offer service after mocking dependencies
+const counterOfferService = require('../../../src/services/counterOfferService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Counter-Offer Service', () => {
+  let creator, taker, bet;
+
+  const createUser = (username) => User.create({
+    username,
+    email: `${username}@example.com`,
+    password_hash: 'Password123!',
+    date_of_birth: '1990-01-01',
+    country: 'US'
+  });
+
+  beforeEach(async () => {
+    // Create test users
+    creator = await createUser('creator');
+    taker = await createUser('taker');
+
+    // Create an upcoming event with an open bet on it
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    const event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_654321'
+    });
+
+    bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.50,
+      stake_amount: 100.00,
+      potential_payout: 250.00,
+      status: 'open',
+      expiry_time: new Date(Date.now() + 86400000)
+    });
+
+    bettingService.takeBet.mockResolvedValue({ betMatch: { id: 'bet-match-id' }, escrow: { id: 'escrow-id' } });
+  });
+
+  describe('proposeOffer', () => {
+    it('should open a negotiation at the proposed terms', async () => {
+      // Act
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+
+      // Assert
+      expect(offer.status).toBe('pending');
+      expect(offer.proposed_by).toBe('taker');
+      expect(parseFloat(offer.odds)).toBe(2.2);
+      expect(bettingService.calculateFill).toHaveBeenCalledWith(expect.anything(), 60, 2.2);
+    });
+
+    it('should throw error if the bet cannot cover the proposed stake', async () => {
+      // Arrange
+      bettingService.calculateFill.mockImplementationOnce(() => {
+        throw new Error('Stake amount exceeds the 150 still available on this bet');
+      });
+
+      // Act & Assert
+      await expect(counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.50, stake_amount: 500 }))
+        .rejects.toThrow('exceeds');
+    });
+
+    it('should throw error if the taker already has a negotiation open', async () => {
+      // Arrange
+      await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+
+      // Act & Assert
+      await expect(counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.10, stake_amount: 60 }))
+        .rejects.toThrow('already have a negotiation open');
+    });
+  });
+
+  describe('counterOffer', () => {
+    it('should close the offer and hand the next move to the other party', async () => {
+      // Arrange
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+
+      // Act
+      const counter = await counterOfferService.counterOffer(creator.id, offer.id, { odds: 2.35, stake_amount: 60 });
+
+      // Assert
+      expect(counter.proposed_by).toBe('creator');
+      expect(counter.parent_offer_id).toBe(offer.id);
+      expect(new Date(counter.expires_at).getTime()).toBe(new Date(offer.expires_at).getTime());
+      expect((await BetOffer.findByPk(offer.id)).status).toBe('countered');
+    });
+
+    it('should throw error if the proposer tries to answer their own offer', async () => {
+      // Arrange
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+
+      // Act & Assert
+      await expect(counterOfferService.counterOffer(taker.id, offer.id, { odds: 2.30, stake_amount: 60 }))
+        .rejects.toThrow('Only the other party');
+    });
+  });
+
+  describe('acceptOffer', () => {
+    it('should match the bet through takeBet at the agreed terms', async () => {
+      // Arrange
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+      const counter = await counterOfferService.counterOffer(creator.id, offer.id, { odds: 2.35, stake_amount: 60 });
+
+      // Act
+      const result = await counterOfferService.acceptOffer(taker.id, counter.id);
+
+      // Assert
+      expect(bettingService.takeBet).toHaveBeenCalledWith(taker.id, bet.id, { stake_amount: 60, odds: 2.35 });
+      expect(result.offer.status).toBe('accepted');
+      expect(result.offer.bet_match_id).toBe('bet-match-id');
+    });
+
+    it('should leave the offer pending if the bet cannot be matched', async () => {
+      // Arrange
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+      bettingService.takeBet.mockRejectedValue(new Error('Insufficient balance'));
+
+      // Act & Assert
+      await expect(counterOfferService.acceptOffer(creator.id, offer.id)).rejects.toThrow('Insufficient balance');
+      expect((await BetOffer.findByPk(offer.id)).status).toBe('pending');
+    });
+
+    it('should throw error once the thread has expired', async () => {
+      // Arrange
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+      await offer.update({ expires_at: new Date(Date.now() - 1000) });
+
+      // Act & Assert
+      await expect(counterOfferService.acceptOffer(creator.id, offer.id)).rejects.toThrow('Offer has expired');
+      expect(bettingService.takeBet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('should expire pending offers whose thread has lapsed', async () => {
+      // Arrange
+      const offer = await counterOfferService.proposeOffer(taker.id, bet.id, { odds: 2.20, stake_amount: 60 });
+      await offer.update({ expires_at: new Date(Date.now() - 1000) });
+
+      // Act
+      const expired = await counterOfferService.expireOffers();
+
+      // Assert
+      expect(expired).toBe(1);
+      expect((await BetOffer.findByPk(offer.id)).status).toBe('expired');
+    });
+  });
+});
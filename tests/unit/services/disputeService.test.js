@@ -0,0 +1,230 @@
+/**
+ * Unit tests for Dispute Service
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Thumbnails are made with sharp, whose native binary is not needed here;
+// the mock records the resize and writes an empty thumbnail
+jest.mock('sharp', () => {
+  const fs = require('fs');
+  const pipeline = {
+    rotate: jest.fn(() => pipeline),
+    resize: jest.fn(() => pipeline),
+    jpeg: jest.fn(() => pipeline),
+    toFile: jest.fn(async (filePath) => {
+      fs.writeFileSync(filePath, '');
+      return {};
+    })
+  };
+
+  return jest.fn(() => pipeline);
+});
+
+// Keep test uploads out of the working tree
+const uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dispute-evidence-'));
+process.env.UPLOAD_PATH = uploadRoot;
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, BetMatch, Escrow, DisputeCase } = models;
+const disputeService = require('../../../src/services/disputeService');
+const escrowService = require('../../../src/services/escrowService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+  fs.rmSync(uploadRoot, { recursive: true, force: true });
+});
+
+describe('Dispute Service', () => {
+  let creator, taker, admin, escrow;
+
+  const createUser = (username, role = 'user') => User.create({
+    username,
+    email: `${username}@example.com`,
+    password_hash: 'Password123!',
+    date_of_birth: '1990-01-01',
+    role
+  });
+
+  // Store an image the way the evidence upload middleware does
+  const uploadImage = async () => {
+    const dir = path.join(uploadRoot, 'disputes');
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, `${Date.now()}.png`);
+
+    fs.writeFileSync(filePath, Buffer.from('final score screenshot'));
+
+    return {
+      path: filePath,
+      originalname: 'final-score.png',
+      mimetype: 'image/png',
+      size: fs.statSync(filePath).size
+    };
+  };
+
+  beforeEach(async () => {
+    creator = await createUser('creator');
+    taker = await createUser('taker');
+    admin = await createUser('admin', 'admin');
+
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    const event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() - 7200000), // Two hours ago
+      status: 'completed',
+      api_event_id: 'ext_123456'
+    });
+
+    const bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      market_key: 'moneyline',
+      odds: 2.0,
+      stake_amount: 100,
+      potential_payout: 200,
+      status: 'matched',
+      expiry_time: event.start_time
+    });
+
+    const betMatch = await BetMatch.create({
+      bet_id: bet.id,
+      taker_id: taker.id,
+      stake_amount: 100,
+      potential_payout: 200,
+      platform_fee: 6,
+      status: 'active'
+    });
+
+    escrow = await Escrow.create({
+      bet_match_id: betMatch.id,
+      amount: 200.00,
+      status: 'active',
+      platform_fee: 6.00
+    });
+  });
+
+  it('should open a case against the other party when an escrow is disputed', async () => {
+    // Act
+    const result = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+
+    // Assert
+    expect(result.dispute).toMatchObject({
+      opened_by: creator.id,
+      respondent_id: taker.id,
+      status: 'opened',
+      reason: 'The match was abandoned'
+    });
+  });
+
+  it('should put the case under review once the respondent replies', async () => {
+    // Arrange
+    const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+
+    // Act
+    await disputeService.postMessage(creator, dispute.id, 'See the league announcement');
+    const afterOpener = await DisputeCase.findByPk(dispute.id);
+    await disputeService.postMessage(taker, dispute.id, 'It was completed after a delay');
+    const afterRespondent = await DisputeCase.findByPk(dispute.id);
+
+    // Assert
+    expect(afterOpener.status).toBe('opened');
+    expect(afterRespondent.status).toBe('under_review');
+
+    const thread = await disputeService.getCase(admin, dispute.id);
+    expect(thread.messages.map(message => message.author_role)).toEqual(['party', 'party']);
+  });
+
+  it('should wait on the party an admin asks and accept their evidence as the reply', async () => {
+    // Arrange
+    const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+    await disputeService.requestResponse(admin.id, dispute.id, creator.id, 'Please upload a screenshot');
+
+    // Act
+    const evidence = await disputeService.addEvidence(creator, dispute.id, await uploadImage(), 'Final score');
+
+    // Assert
+    const reloaded = await DisputeCase.findByPk(dispute.id);
+    expect(reloaded.status).toBe('under_review');
+    expect(reloaded.awaiting_party_id).toBeNull();
+
+    const thumbnail = await disputeService.getEvidenceFile(taker, dispute.id, evidence.id, true);
+    expect(fs.existsSync(thumbnail.path)).toBe(true);
+    expect(sharp().resize).toHaveBeenCalledWith(320, 320, expect.objectContaining({ fit: 'inside' }));
+  });
+
+  it('should throw error when someone outside the bet posts to the case', async () => {
+    // Arrange
+    const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+    const outsider = await createUser('outsider');
+
+    // Act & Assert
+    await expect(disputeService.postMessage(outsider, dispute.id, 'Hello'))
+      .rejects.toThrow('Only the parties to a dispute and admins can access it');
+  });
+
+  it('should let a party appeal a resolved case once', async () => {
+    // Arrange
+    const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+    await disputeService.markResolved(escrow.id, { adminId: admin.id, outcome: 'refunded' });
+
+    // Act
+    const appealed = await disputeService.appealCase(taker.id, dispute.id, 'The result stood');
+
+    // Assert
+    expect(appealed.status).toBe('appealed');
+    await disputeService.decideAppeal(admin.id, dispute.id, 'Refund upheld');
+    await expect(disputeService.appealCase(creator.id, dispute.id, 'Again'))
+      .rejects.toThrow('This dispute has already been appealed');
+  });
+
+  it('should not resolve a case twice', async () => {
+    // Arrange
+    await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+    await escrowService.resolveDispute(escrow.id, null, admin.id, 'Refunded');
+
+    // Act & Assert
+    await expect(escrowService.resolveDispute(escrow.id, taker.id, admin.id, 'Taker wins'))
+      .rejects.toThrow('Escrow is not disputed');
+    await expect(disputeService.markResolved(escrow.id, { adminId: admin.id, outcome: 'winner_declared' }))
+      .rejects.toThrow('Dispute has already been resolved');
+  });
+
+  it('should list disputed escrows in the admin queue with their thread', async () => {
+    // Arrange
+    const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+    await disputeService.postMessage(taker, dispute.id, 'It was completed after a delay');
+
+    // Act
+    const queue = await escrowService.getDisputedEscrows();
+
+    // Assert
+    expect(queue.count).toBe(1);
+    expect(queue.rows[0].get('dispute').messages).toHaveLength(1);
+  });
+});
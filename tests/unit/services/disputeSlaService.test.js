@@ -0,0 +1,185 @@
+/**
+ * Unit tests for Dispute SLA Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Sport, League, Event, Bet, BetMatch, Escrow, DisputeCase, DisputeTransition } = models;
+const escrowService = require('../../../src/services/escrowService');
+const disputeService = require('../../../src/services/disputeService');
+const disputeSlaService = require('../../../src/services/disputeSlaService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Dispute SLA Service', () => {
+  let creator, taker, admin, event, escrow;
+
+  const createUser = async (username, role = 'user') => {
+    const user = await User.create({
+      username,
+      email: `${username}@example.com`,
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      role
+    });
+
+    await Wallet.create({
+      user_id: user.id,
+      balance: 0,
+      currency: 'USD'
+    });
+
+    return user;
+  };
+
+  // Move a case's deadline into the past
+  const expire = (dispute, field) => DisputeCase.update(
+    { [field]: new Date(Date.now() - 60000) },
+    { where: { id: dispute.id } }
+  );
+
+  beforeEach(async () => {
+    creator = await createUser('creator');
+    taker = await createUser('taker');
+    admin = await createUser('admin', 'admin');
+
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() - 7200000), // Two hours ago
+      status: 'completed',
+      api_event_id: 'ext_123456'
+    });
+
+    const bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.0,
+      stake_amount: 100,
+      potential_payout: 200,
+      status: 'matched',
+      expiry_time: event.start_time
+    });
+
+    const betMatch = await BetMatch.create({
+      bet_id: bet.id,
+      taker_id: taker.id,
+      stake_amount: 100,
+      potential_payout: 200,
+      platform_fee: 6,
+      status: 'active'
+    });
+
+    escrow = await Escrow.create({
+      bet_match_id: betMatch.id,
+      amount: 200.00,
+      status: 'active',
+      platform_fee: 6.00
+    });
+  });
+
+  describe('resolveUnansweredDisputes', () => {
+    it('should release the escrow to the filer when the respondent misses the deadline', async () => {
+      // Arrange
+      const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+      await expire(dispute, 'response_due_at');
+
+      // Act
+      const result = await disputeSlaService.resolveUnansweredDisputes();
+
+      // Assert
+      expect(result).toEqual({ resolved: 1, failed: 0 });
+
+      const reloadedEscrow = await Escrow.findByPk(escrow.id);
+      expect(reloadedEscrow.status).toBe('completed');
+      expect(reloadedEscrow.winner_id).toBe(creator.id);
+
+      const wallet = await Wallet.findOne({ where: { user_id: creator.id } });
+      expect(parseFloat(wallet.balance)).toBe(194);
+
+      const transition = await DisputeTransition.findOne({ where: { dispute_id: dispute.id, event: 'default_resolved' } });
+      expect(transition).toMatchObject({ from_status: 'opened', to_status: 'resolved', actor_id: null });
+    });
+
+    it('should leave cases the respondent has answered', async () => {
+      // Arrange
+      const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+      await disputeService.postMessage(taker, dispute.id, 'It was completed after a delay');
+      await expire(dispute, 'response_due_at');
+
+      // Act
+      const result = await disputeSlaService.resolveUnansweredDisputes();
+
+      // Assert
+      expect(result).toEqual({ resolved: 0, failed: 0 });
+      expect((await Escrow.findByPk(escrow.id)).status).toBe('disputed');
+    });
+  });
+
+  describe('escalateStaleDisputes', () => {
+    it('should move cases no admin has acted on to the senior queue', async () => {
+      // Arrange
+      const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+      await expire(dispute, 'admin_due_at');
+
+      // Act
+      const result = await disputeSlaService.escalateStaleDisputes();
+
+      // Assert
+      expect(result).toEqual({ escalated: 1, failed: 0 });
+
+      const senior = await escrowService.getDisputedEscrows({ queue: 'senior' });
+      const standard = await escrowService.getDisputedEscrows({ queue: 'standard' });
+      expect(senior.count).toBe(1);
+      expect(standard.count).toBe(0);
+      expect(senior.rows[0].get('dispute').transitions.map(step => step.event)).toEqual(['opened', 'escalated']);
+    });
+
+    it('should restart the clock when an admin acts on the case', async () => {
+      // Arrange
+      const { dispute } = await escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned');
+      await expire(dispute, 'admin_due_at');
+      await disputeService.startReview(admin.id, dispute.id);
+
+      // Act
+      const result = await disputeSlaService.escalateStaleDisputes();
+
+      // Assert
+      expect(result).toEqual({ escalated: 0, failed: 0 });
+      expect((await DisputeCase.findByPk(dispute.id)).queue).toBe('standard');
+    });
+  });
+
+  it('should throw error when a dispute is raised after the settlement window', async () => {
+    // Arrange
+    await event.update({ start_time: new Date(Date.now() - (disputeService.SETTLEMENT_WINDOW_HOURS + 1) * 3600000) });
+
+    // Act & Assert
+    await expect(escrowService.createDispute(escrow.id, creator.id, 'The match was abandoned'))
+      .rejects.toThrow(`Disputes must be raised within ${disputeService.SETTLEMENT_WINDOW_HOURS} hours of the event`);
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
-const { User, Wallet, Transaction, Sport, League, Event, Bet, BetMatch, Escrow, Payout } = models;
+const { User, Wallet, Transaction, Sport, League, Event, Bet, BetMatch, Escrow, Payout, Tournament } = models;
 
 // Mock the wallet service
 jest.mock('../../../src/services/walletService', () => ({
@@ -117,17 +117,22 @@ describe('Escrow Service', () => {
     bet = await Bet.create({
       creator_id: creator.id,
       event_id: event.id,
-      amount: 100.00,
-      odds: 1.95,
-      stake: 'home_team',
-      status: 'open',
-      description: 'Manchester United to win'
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.00,
+      stake_amount: 100.00,
+      potential_payout: 200.00,
+      status: 'matched',
+      matched_amount: 100.00
     });
     
     // Create test bet match
     betMatch = await BetMatch.create({
       bet_id: bet.id,
       taker_id: taker.id,
+      stake_amount: 100.00,
+      creator_stake: 100.00,
+      potential_payout: 194.00,
       status: 'matched',
       matched_at: new Date()
     });
@@ -154,8 +159,8 @@ describe('Escrow Service', () => {
       expect(escrow.status).toBe('active');
       
       // Verify wallet service called correctly
-      expect(walletService.getWallet).toHaveBeenCalledWith(creator.id);
-      expect(walletService.getWallet).toHaveBeenCalledWith(taker.id);
+      expect(walletService.getWallet).toHaveBeenCalledWith(creator.id, 'USD', expect.anything());
+      expect(walletService.getWallet).toHaveBeenCalledWith(taker.id, 'USD', expect.anything());
       expect(walletService.updateBalance).toHaveBeenCalledWith(creatorWallet.id, -100.00, expect.anything());
       expect(walletService.updateBalance).toHaveBeenCalledWith(takerWallet.id, -100.00, expect.anything());
       
@@ -171,6 +176,19 @@ describe('Escrow Service', () => {
       expect(updatedBetMatch.escrow_created_at).toBeDefined();
     });
     
+    it('should hold each side\'s own stake when the odds are uneven', async () => {
+      // Arrange
+      await betMatch.update({ creator_stake: 50.00, stake_amount: 100.00 });
+      
+      // Act
+      const result = await escrowService.createEscrow(betMatch.id);
+      
+      // Assert
+      expect(parseFloat(result.amount)).toBe(150.00);
+      expect(walletService.updateBalance).toHaveBeenCalledWith(creatorWallet.id, -50.00, expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(takerWallet.id, -100.00, expect.anything());
+    });
+    
     it('should throw error if bet match not found', async () => {
       // Act & Assert
       await expect(escrowService.createEscrow(999999)).rejects.toThrow('Bet match not found');
@@ -320,6 +338,95 @@ describe('Escrow Service', () => {
     });
   });
   
+  describe('releaseReducedEscrow', () => {
+    let escrow;
+    
+    beforeEach(async () => {
+      escrow = await Escrow.create({
+        bet_match_id: betMatch.id,
+        amount: 200.00,
+        status: 'active',
+        platform_fee: 6.00
+      });
+    });
+    
+    it('should pay the winner their share and refund the rest', async () => {
+      // Act
+      const result = await escrowService.releaseReducedEscrow(escrow.id, creator.id, 150.00, 'parlay_leg_void');
+      
+      // Assert: the fee is charged on the 150 paid out only
+      expect(result.amount).toBe(145.50);
+      expect(result.payouts.length).toBe(2);
+      
+      const updatedEscrow = await Escrow.findByPk(escrow.id);
+      expect(updatedEscrow.status).toBe('completed');
+      expect(updatedEscrow.winner_id).toBe(creator.id);
+      expect(parseFloat(updatedEscrow.platform_fee)).toBe(4.50);
+      
+      expect(walletService.updateBalance).toHaveBeenCalledWith(creatorWallet.id, 145.50, expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(takerWallet.id, 50.00, expect.anything());
+    });
+    
+    it('should throw error if the share is more than the escrow holds', async () => {
+      // Act & Assert
+      await expect(escrowService.releaseReducedEscrow(escrow.id, creator.id, 250.00, 'parlay_leg_void'))
+        .rejects.toThrow('Winner share must be greater than 0');
+    });
+  });
+  
+  describe('refundEscrow', () => {
+    let escrow;
+    
+    beforeEach(async () => {
+      // Uneven stakes: creator put in 120, taker 80
+      await betMatch.update({ stake_amount: 80.00, status: 'active' });
+      
+      escrow = await Escrow.create({
+        bet_match_id: betMatch.id,
+        amount: 200.00,
+        status: 'active',
+        platform_fee: 6.00
+      });
+    });
+    
+    it('should refund each party their own stake without a platform fee', async () => {
+      // Act
+      const result = await escrowService.refundEscrow(escrow.id, 'push');
+      
+      // Assert
+      expect(result.status).toBe('refunded');
+      expect(result.reason).toBe('push');
+      expect(result.payouts.length).toBe(2);
+      
+      // Verify escrow updated in database
+      const updatedEscrow = await Escrow.findByPk(escrow.id);
+      expect(updatedEscrow.status).toBe('refunded');
+      expect(parseFloat(updatedEscrow.platform_fee)).toBe(0);
+      expect(updatedEscrow.released_at).toBeDefined();
+      
+      // Verify bet match updated
+      const updatedBetMatch = await BetMatch.findByPk(betMatch.id);
+      expect(updatedBetMatch.status).toBe('refunded');
+      
+      // Verify payouts created for both parties
+      const payouts = await Payout.findAll({ where: { escrow_id: escrow.id } });
+      expect(payouts.length).toBe(2);
+      
+      // Verify wallet service called correctly
+      expect(walletService.updateBalance).toHaveBeenCalledWith(creatorWallet.id, 120.00, expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(takerWallet.id, 80.00, expect.anything());
+    });
+    
+    it('should throw error if escrow is not active', async () => {
+      // Arrange
+      escrow.status = 'refunded';
+      await escrow.save();
+      
+      // Act & Assert
+      await expect(escrowService.refundEscrow(escrow.id, 'push')).rejects.toThrow('Escrow is not active');
+    });
+  });
+  
   describe('createDispute', () => {
     let escrow;
     
@@ -355,13 +462,48 @@ describe('Escrow Service', () => {
       await expect(escrowService.createDispute(999999, creator.id, 'reason')).rejects.toThrow('Escrow not found');
     });
     
-    it('should throw error if escrow is not active', async () => {
+    it('should throw error if escrow was refunded', async () => {
       // Arrange
-      escrow.status = 'completed';
+      escrow.status = 'refunded';
       await escrow.save();
       
       // Act & Assert
-      await expect(escrowService.createDispute(escrow.id, creator.id, 'reason')).rejects.toThrow('Escrow is not active');
+      await expect(escrowService.createDispute(escrow.id, creator.id, 'reason')).rejects.toThrow('Escrow cannot be disputed');
+    });
+    
+    it('should dispute an auto-settled escrow and take back its payout', async () => {
+      // Arrange
+      await escrowService.releaseEscrow(escrow.id, taker.id);
+      await takerWallet.save();
+      
+      // Act
+      const result = await escrowService.createDispute(escrow.id, creator.id, 'Incorrect result recorded');
+      
+      // Assert
+      expect(result.status).toBe('disputed');
+      expect(result.winner_id).toBeNull();
+      expect(parseFloat(takerWallet.balance)).toBe(200.00);
+      
+      const payout = await Payout.findOne({ where: { escrow_id: escrow.id } });
+      expect(payout.status).toBe('reversed');
+      
+      const reversal = await Transaction.findOne({ where: { wallet_id: takerWallet.id, amount: -194.00 } });
+      expect(reversal).not.toBeNull();
+      
+      const updatedBetMatch = await BetMatch.findByPk(betMatch.id);
+      expect(updatedBetMatch.status).toBe('disputed');
+    });
+    
+    it('should not dispute a settled escrow whose winnings have been withdrawn', async () => {
+      // Arrange
+      await escrowService.releaseEscrow(escrow.id, taker.id);
+      await takerWallet.update({ balance: 50.00 });
+      
+      // Act & Assert
+      await expect(escrowService.createDispute(escrow.id, creator.id, 'reason')).rejects.toThrow('already been spent or withdrawn');
+      
+      const updatedEscrow = await Escrow.findByPk(escrow.id);
+      expect(updatedEscrow.status).toBe('completed');
     });
     
     it('should throw error if user is not part of the bet', async () => {
@@ -485,5 +627,152 @@ describe('Escrow Service', () => {
       await expect(escrowService.resolveDispute(escrow.id, creator.id, admin.id, 'notes')).rejects.toThrow('Escrow is not disputed');
     });
   });
+  
+  describe('resolveDisputeSplit', () => {
+    let escrow, admin;
+    
+    beforeEach(async () => {
+      admin = await User.create({
+        username: 'admin',
+        email: 'admin@example.com',
+        password: 'Password123!',
+        first_name: 'Admin',
+        last_name: 'User',
+        role: 'admin'
+      });
+      
+      escrow = await Escrow.create({
+        bet_match_id: betMatch.id,
+        amount: 200.00,
+        status: 'disputed',
+        platform_fee: 6.00,
+        dispute_reason: 'Ambiguous result'
+      });
+      
+      await betMatch.update({ status: 'disputed' });
+    });
+    
+    it('should pay each share with its own transaction and payout', async () => {
+      // Act
+      const result = await escrowService.resolveDisputeSplit(
+        escrow.id,
+        { creator: 120.50, taker: 79.50 },
+        admin.id,
+        'Partial refund, fee waived'
+      );
+      
+      // Assert
+      expect(result.resolution).toBe('split');
+      expect(result.allocation).toEqual({ creator: 120.50, taker: 79.50, platform: 0 });
+      expect(result.payouts.map(payout => payout.share)).toEqual(['creator', 'taker']);
+      
+      const payouts = await Payout.findAll({ where: { escrow_id: escrow.id } });
+      expect(payouts.map(payout => parseFloat(payout.amount)).sort()).toEqual([120.5, 79.5]);
+      
+      const transactions = await Transaction.findAll({ where: { reference_id: escrow.id } });
+      expect(transactions).toHaveLength(2);
+      
+      const updatedEscrow = await Escrow.findByPk(escrow.id);
+      expect(updatedEscrow.status).toBe('completed');
+      expect(parseFloat(updatedEscrow.platform_fee)).toBe(0);
+      
+      expect(walletService.updateBalance).toHaveBeenCalledWith(creatorWallet.id, 120.50, expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(takerWallet.id, 79.50, expect.anything());
+      expect(walletService.getWallet).toHaveBeenCalledWith(creator.id, 'USD', expect.anything());
+    });
+    
+    it('should throw error if the escrow was already resolved', async () => {
+      // Arrange
+      await escrowService.resolveDisputeSplit(escrow.id, { creator: 100, taker: 100 }, admin.id, 'Even split');
+      
+      // Act & Assert
+      await expect(escrowService.resolveDisputeSplit(escrow.id, { creator: 100, taker: 100 }, admin.id, 'Even split'))
+        .rejects.toThrow('Escrow is not disputed, current status: completed');
+      
+      expect(await Payout.count({ where: { escrow_id: escrow.id } })).toBe(2);
+    });
+    
+    it('should throw error if the allocation does not add up to the escrow amount', async () => {
+      // Act & Assert
+      await expect(escrowService.resolveDisputeSplit(escrow.id, { creator: 100, taker: 99.99 }, admin.id, 'notes'))
+        .rejects.toThrow('Allocation must add up to the escrow amount of 200.00');
+      
+      expect(await Payout.count({ where: { escrow_id: escrow.id } })).toBe(0);
+    });
+    
+    it('should throw error if a share has fractions of a cent', async () => {
+      // Act & Assert
+      await expect(escrowService.resolveDisputeSplit(escrow.id, { creator: 100.005, taker: 99.995 }, admin.id, 'notes'))
+        .rejects.toThrow('The creator share must be a non-negative amount in whole cents');
+    });
+    
+    it('should throw error if a platform share is given without a platform account', async () => {
+      // Act & Assert
+      await expect(escrowService.resolveDisputeSplit(escrow.id, { creator: 97, taker: 97, platform: 6 }, admin.id, 'notes'))
+        .rejects.toThrow('A platform account must be configured to take a platform share');
+    });
+  });
+  
+  describe('releaseEscrowPrizes', () => {
+    let escrow;
+    
+    beforeEach(async () => {
+      // Create a tournament escrow holding two entry fees
+      const tournament = await Tournament.create({
+        league_id: league.id,
+        creator_id: creator.id,
+        name: 'Weekly pick\'em',
+        entry_fee: 100.00,
+        prize_tiers: [70, 30],
+        registration_closes_at: event.start_time
+      });
+      
+      escrow = await Escrow.create({
+        tournament_id: tournament.id,
+        amount: 200.00,
+        status: 'active',
+        platform_fee: 0
+      });
+    });
+    
+    it('should pay each prize and keep the rest as the platform fee', async () => {
+      // Act
+      const result = await escrowService.releaseEscrowPrizes(escrow.id, [
+        { userId: creator.id, amount: 135.80 },
+        { userId: taker.id, amount: 58.20 }
+      ]);
+      
+      // Assert
+      expect(result.payouts).toHaveLength(2);
+      expect(await Payout.count({ where: { escrow_id: escrow.id } })).toBe(2);
+      
+      const updatedEscrow = await Escrow.findByPk(escrow.id);
+      expect(updatedEscrow.status).toBe('completed');
+      expect(parseFloat(updatedEscrow.platform_fee)).toBe(6.00);
+      
+      expect(walletService.updateBalance).toHaveBeenCalledWith(creatorWallet.id, 135.80, expect.anything());
+      expect(walletService.updateBalance).toHaveBeenCalledWith(takerWallet.id, 58.20, expect.anything());
+    });
+    
+    it('should throw error if the prizes exceed the escrow', async () => {
+      // Act & Assert
+      await expect(escrowService.releaseEscrowPrizes(escrow.id, [{ userId: creator.id, amount: 250.00 }]))
+        .rejects.toThrow('Prizes exceed the funds held in escrow');
+    });
+    
+    it('should throw error for a bet match escrow', async () => {
+      // Arrange
+      const betEscrow = await Escrow.create({
+        bet_match_id: betMatch.id,
+        amount: 200.00,
+        status: 'active',
+        platform_fee: 6.00
+      });
+      
+      // Act & Assert
+      await expect(escrowService.releaseEscrowPrizes(betEscrow.id, []))
+        .rejects.toThrow('Only tournament escrows can be released as prizes');
+    });
+  });
 });
 
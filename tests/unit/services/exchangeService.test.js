@@ -0,0 +1,268 @@
+/**
+ * Unit tests for Exchange Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet } = models;
+
+// Mock the betting service so matching does not touch wallets
+jest.mock('../../../src/services/bettingService', () => ({
+  takeBet: jest.fn(),
+  createBet: jest.fn()
+}));
+
+// Import the mocked betting service
+const bettingService = require('../../../src/services/bettingService');
+
+// Import the exchange service after mocking dependencies
+const exchangeService = require('../../../src/services/exchangeService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Exchange Service', () => {
+  let backer, layer, trader, event;
+
+  const createOffer = (user, pick, odds, stake, extra = {}) => Bet.create({
+    creator_id: user.id,
+    event_id: event.id,
+    bet_type: 'moneyline',
+    bet_details: { pick },
+    market_key: 'moneyline',
+    odds,
+    stake_amount: stake,
+    potential_payout: odds * stake,
+    status: 'open',
+    expiry_time: new Date(Date.now() + 86400000),
+    ...extra
+  });
+
+  beforeEach(async () => {
+    // Create test users
+    backer = await User.create({
+      username: 'backer',
+      email: 'backer@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    layer = await User.create({
+      username: 'layer',
+      email: 'layer@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    trader = await User.create({
+      username: 'trader',
+      email: 'trader@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    // Create an upcoming event
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_654321'
+    });
+  });
+
+  describe('getOrderBook', () => {
+    it('should aggregate open offers into price levels per selection', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 2.50, 100);
+      await createOffer(layer, 'home', 2.50, 50);
+      await createOffer(layer, 'home', 3.00, 20);
+      await createOffer(backer, 'away', 2.00, 40, { matched_amount: 10 });
+
+      // Act
+      const book = await exchangeService.getOrderBook(event.id, 'moneyline');
+
+      // Assert
+      expect(book.selections.home.lay).toEqual([
+        { odds: 2.5, amount: 150, offers: 2 },
+        { odds: 3, amount: 20, offers: 1 }
+      ]);
+      expect(book.selections.home.best_lay).toBe(2.5);
+
+      // Laying home at 2.50 means backing away at 1.67 for 1.5x the stake
+      expect(book.selections.away.back).toEqual([
+        { odds: 1.67, amount: 225, offers: 2 },
+        { odds: 1.5, amount: 40, offers: 1 }
+      ]);
+      expect(book.selections.away.best_back).toBe(1.67);
+
+      // Only the unmatched 30 of the away offer is left
+      expect(book.selections.away.lay).toEqual([{ odds: 2, amount: 30, offers: 1 }]);
+      expect(book.matched_volume).toBe(0);
+    });
+
+    it('should leave out expired offers', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 2.50, 100, { expiry_time: new Date(Date.now() - 1000) });
+
+      // Act
+      const book = await exchangeService.getOrderBook(event.id, 'moneyline');
+
+      // Assert
+      expect(book.selections.home.lay).toEqual([]);
+      expect(book.selections.home.best_lay).toBeNull();
+    });
+
+    it('should throw error for an unknown market', async () => {
+      // Act & Assert
+      await expect(exchangeService.getOrderBook(event.id, 'corners:9.5')).rejects.toThrow('Unknown market');
+    });
+  });
+
+  describe('placeOffer', () => {
+    const offer = (odds, stake) => ({
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'away' },
+      odds,
+      stake_amount: stake
+    });
+
+    beforeEach(() => {
+      bettingService.takeBet.mockImplementation(async (userId, betId, { stake_amount }) => ({
+        betMatch: { id: `match-${betId}`, stake_amount }
+      }));
+      bettingService.createBet.mockImplementation(async (userId, betData) => ({
+        id: 'resting-bet',
+        ...betData
+      }));
+    });
+
+    it('should match crossing offers at the best price first', async () => {
+      // Arrange
+      const cheaper = await createOffer(backer, 'home', 3.00, 10);
+      const better = await createOffer(layer, 'home', 2.00, 100);
+
+      // Act
+      const result = await exchangeService.placeOffer(trader.id, offer(1.50, 120));
+
+      // Assert: home at 2.00 gives away at 2.00, home at 3.00 only gives 1.50
+      expect(bettingService.takeBet).toHaveBeenNthCalledWith(1, trader.id, better.id, expect.objectContaining({ stake_amount: 100 }));
+      expect(bettingService.takeBet).toHaveBeenNthCalledWith(2, trader.id, cheaper.id, expect.objectContaining({ stake_amount: 20 }));
+      expect(result.matched_amount).toBe(120);
+      expect(result.restingBet).toBeNull();
+      expect(bettingService.createBet).not.toHaveBeenCalled();
+    });
+
+    it('should rest whatever is left when no offer crosses', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 3.00, 10);
+
+      // Act
+      const result = await exchangeService.placeOffer(trader.id, offer(1.80, 50));
+
+      // Assert
+      expect(bettingService.takeBet).not.toHaveBeenCalled();
+      expect(bettingService.createBet).toHaveBeenCalledWith(trader.id, expect.objectContaining({ odds: 1.80, stake_amount: 50 }));
+      expect(result.unmatched_amount).toBe(50);
+    });
+
+    it('should never match a user against their own offers', async () => {
+      // Arrange
+      await createOffer(trader, 'home', 2.00, 100);
+
+      // Act
+      await exchangeService.placeOffer(trader.id, offer(1.50, 50));
+
+      // Assert
+      expect(bettingService.takeBet).not.toHaveBeenCalled();
+    });
+
+    it('should skip offers another user took first', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 2.00, 30);
+      await createOffer(layer, 'home', 2.00, 30);
+      bettingService.takeBet.mockRejectedValueOnce(new Error('Bet is not open for matching'));
+
+      // Act
+      const result = await exchangeService.placeOffer(trader.id, offer(2.00, 60));
+
+      // Assert
+      expect(result.matches.length).toBe(1);
+      expect(result.unmatched_amount).toBe(30);
+    });
+
+    it('should skip offers that expired after the book was read', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 2.00, 30);
+      await createOffer(layer, 'home', 2.00, 30);
+      bettingService.takeBet.mockRejectedValueOnce(new Error('Bet has expired'));
+
+      // Act
+      const result = await exchangeService.placeOffer(trader.id, offer(2.00, 60));
+
+      // Assert
+      expect(result.matches.length).toBe(1);
+      expect(result.unmatched_amount).toBe(30);
+    });
+
+    it('should place the fills and the resting bet in one transaction', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 2.00, 30);
+
+      // Act
+      await exchangeService.placeOffer(trader.id, offer(2.00, 50));
+
+      // Assert: each fill runs in a savepoint of the transaction the resting bet uses
+      const [, , { transaction: savepoint }] = bettingService.takeBet.mock.calls[0];
+      const [, , { transaction }] = bettingService.createBet.mock.calls[0];
+      expect(savepoint.parent).toBe(transaction);
+    });
+
+    it('should throw error and leave no fills behind when the resting bet fails', async () => {
+      // Arrange
+      await createOffer(backer, 'home', 2.00, 30);
+      bettingService.createBet.mockRejectedValueOnce(new Error('Insufficient balance'));
+
+      // Act & Assert
+      await expect(exchangeService.placeOffer(trader.id, offer(2.00, 50))).rejects.toThrow('Insufficient balance');
+
+      const [, , { transaction: savepoint }] = bettingService.takeBet.mock.calls[0];
+      expect(savepoint.parent.finished).toBe('rollback');
+    });
+
+    it('should reject bets that do not trade on a two-way market', async () => {
+      // Act & Assert
+      await expect(exchangeService.placeOffer(trader.id, {
+        ...offer(2.00, 10),
+        bet_type: 'prop',
+        bet_details: { prop_type: 'first_to_score', pick: 'home' }
+      })).rejects.toThrow('Only moneyline, spread and over/under bets');
+    });
+  });
+});
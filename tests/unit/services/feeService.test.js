@@ -0,0 +1,219 @@
+/**
+ * Unit tests for Fee Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, BetMatch, Escrow, FeeRule } = models;
+const feeService = require('../../../src/services/feeService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Fee Service', () => {
+  let creator, taker, sport, event;
+
+  const createUser = (username, country = 'US') => User.create({
+    username,
+    email: `${username}@example.com`,
+    password_hash: 'Password123!',
+    date_of_birth: '1990-01-01',
+    country
+  });
+
+  const quote = (overrides = {}) => feeService.quoteMatchFees({
+    creatorId: creator.id,
+    takerId: taker.id,
+    event,
+    creatorStake: 100,
+    takerStake: 50,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    creator = await createUser('creator');
+    taker = await createUser('taker', 'GB');
+
+    sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_123456'
+    });
+  });
+
+  describe('calculateFee', () => {
+    it('should charge each basis on its own amount', () => {
+      // Act & Assert
+      expect(feeService.calculateFee({ basis: 'pot', rate: 0.05 }, 100, 50)).toBe(7.5);
+      expect(feeService.calculateFee({ basis: 'winner_stake', rate: 0.05 }, 100, 50)).toBe(5);
+      expect(feeService.calculateFee({ basis: 'net_winnings', rate: 0.05 }, 100, 50)).toBe(2.5);
+      expect(feeService.calculateFee({ basis: 'flat', flat_amount: 2 }, 100, 50)).toBe(2);
+    });
+
+    it('should apply the discount and never take more than the loser staked', () => {
+      // Act & Assert
+      expect(feeService.calculateFee({ basis: 'pot', rate: 0.05, discount: 0.2 }, 100, 50)).toBe(6);
+      expect(feeService.calculateFee({ basis: 'flat', flat_amount: 10 }, 100, 4)).toBe(4);
+    });
+  });
+
+  describe('quoteMatchFees', () => {
+    it('should fall back to the global fee on the pot when no rule applies', async () => {
+      // Act
+      const result = await quote();
+
+      // Assert
+      expect(result.fee_rule.creator).toMatchObject({ rule_id: null, basis: 'pot', rate: 0.03 });
+      expect(result.fees).toEqual({ creator: 4.5, taker: 4.5 });
+      expect(result.platform_fee).toBe(4.5);
+    });
+
+    it('should prefer a sport override to a region rule and charge each side its own terms', async () => {
+      // Arrange
+      await FeeRule.create({ name: 'UK', basis: 'pot', rate: 0.04, region: 'GB' });
+      const football = await FeeRule.create({ name: 'Football', basis: 'net_winnings', rate: 0.1, sport_id: sport.id });
+
+      // Act
+      const result = await quote();
+
+      // Assert
+      expect(result.fee_rule.creator.rule_id).toBe(football.id);
+      expect(result.fee_rule.taker.rule_id).toBe(football.id);
+      expect(result.fees).toEqual({ creator: 5, taker: 10 });
+      expect(result.platform_fee).toBe(10);
+    });
+
+    it('should apply a promotion only to the side that used its code', async () => {
+      // Arrange
+      await FeeRule.create({ name: 'Free takes', basis: 'flat', flat_amount: 0, promotion_code: 'FREEBET' });
+
+      // Act
+      const result = await quote({ takerPromotionCode: 'freebet' });
+
+      // Assert
+      expect(result.fee_rule.taker).toMatchObject({ name: 'Free takes', promotion_code: 'FREEBET' });
+      expect(result.fees).toEqual({ creator: 4.5, taker: 0 });
+    });
+
+    it('should pick the highest volume tier a user has reached', async () => {
+      // Arrange
+      await FeeRule.create({ name: 'Base', basis: 'pot', rate: 0.04 });
+      await FeeRule.create({ name: 'High volume', basis: 'pot', rate: 0.02, min_volume: 500 });
+
+      const bet = await Bet.create({
+        creator_id: taker.id,
+        event_id: event.id,
+        bet_type: 'moneyline',
+        bet_details: { pick: 'home' },
+        odds: 2.0,
+        stake_amount: 600,
+        potential_payout: 1200,
+        status: 'matched'
+      });
+      await BetMatch.create({
+        bet_id: bet.id,
+        taker_id: creator.id,
+        stake_amount: 600,
+        creator_stake: 600,
+        potential_payout: 1200,
+        status: 'active'
+      });
+
+      // Act
+      const result = await quote();
+
+      // Assert
+      expect(result.fee_rule.creator).toMatchObject({ name: 'High volume', volume: 600 });
+      expect(result.fee_rule.taker).toMatchObject({ name: 'High volume', volume: 600 });
+      expect(result.fees).toEqual({ creator: 3, taker: 3 });
+    });
+
+    it('should give a VIP the discount of the rule that applies to them', async () => {
+      // Arrange
+      await creator.update({ vip_tier: 2 });
+      await FeeRule.create({ name: 'Base', basis: 'pot', rate: 0.04, vip_discounts: { 2: 0.5 } });
+
+      // Act
+      const result = await quote();
+
+      // Assert
+      expect(result.fee_rule.creator).toMatchObject({ discount: 0.5 });
+      expect(result.fees).toEqual({ creator: 3, taker: 6 });
+    });
+
+    it('should ignore rules outside their validity window', async () => {
+      // Arrange
+      await FeeRule.create({
+        name: 'Last weekend',
+        basis: 'flat',
+        flat_amount: 0,
+        ends_at: new Date(Date.now() - 86400000)
+      });
+
+      // Act
+      const result = await quote();
+
+      // Assert
+      expect(result.fee_rule.creator.rule_id).toBeNull();
+    });
+  });
+
+  describe('calculateEscrowFee', () => {
+    it('should charge the winner under the terms stored on the escrow', async () => {
+      // Arrange
+      const { fee_rule } = await quote();
+      await FeeRule.create({ name: 'Changed later', basis: 'pot', rate: 0.5 });
+
+      const escrow = Escrow.build({ amount: 150, platform_fee: 4.5, fee_rule });
+      escrow.betMatch = { creator_stake: 100, stake_amount: 50 };
+
+      // Act & Assert
+      expect(feeService.calculateEscrowFee(escrow, 'taker')).toBe(4.5);
+    });
+
+    it('should keep the stored fee for escrows created without fee terms', () => {
+      // Arrange
+      const escrow = Escrow.build({ amount: 200, platform_fee: 6 });
+
+      // Act & Assert
+      expect(feeService.calculateEscrowFee(escrow, 'creator')).toBe(6);
+    });
+  });
+
+  describe('createRule', () => {
+    it('should throw error if a flat fee has no amount', async () => {
+      // Act & Assert
+      await expect(feeService.createRule(creator.id, { name: 'Flat', basis: 'flat' }))
+        .rejects.toThrow('A flat fee rule must set a flat amount');
+    });
+
+    it('should throw error if a VIP discount is not a fraction', async () => {
+      // Act & Assert
+      await expect(feeService.createRule(creator.id, { name: 'VIP', rate: 0.03, vip_discounts: { 1: 5 } }))
+        .rejects.toThrow('VIP discounts must map tiers from 1 up to a fraction between 0 and 1');
+    });
+  });
+});
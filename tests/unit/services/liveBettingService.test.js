@@ -0,0 +1,270 @@
+/**
+ * Unit tests for Live Betting Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, LiveBetRequest } = models;
+
+// Mock the betting service so accepted requests do not touch wallets
+jest.mock('../../../src/services/bettingService', () => ({
+  createBet: jest.fn(),
+  takeBet: jest.fn()
+}));
+
+// Import the mocked betting service
+const bettingService = require('../../../src/services/bettingService');
+
+// Import the live betting service after mocking dependencies
+const liveBettingService = require('../../../src/services/liveBettingService');
+const { REJECTION_REASONS } = liveBettingService;
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Live Betting Service', () => {
+  let creator, taker, event, openBet;
+
+  const betData = () => ({
+    event_id: event.id,
+    bet_type: 'moneyline',
+    bet_details: { pick: 'home' },
+    odds: 2.20,
+    stake_amount: 25.00
+  });
+
+  // Move a request's acceptance time into the past
+  const makeDue = (request) => request.update({ accept_at: new Date(Date.now() - 1000) });
+
+  beforeEach(async () => {
+    // Create test users
+    creator = await User.create({
+      username: 'creator',
+      email: 'creator@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    taker = await User.create({
+      username: 'taker',
+      email: 'taker@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    // Create a live event in a sport with an 8 second delay
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl',
+      live_bet_delay_seconds: 8
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() - 1800000), // Kicked off half an hour ago
+      status: 'live',
+      home_score: 0,
+      away_score: 0,
+      api_event_id: 'ext_654321'
+    });
+
+    openBet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'away' },
+      odds: 3.50,
+      stake_amount: 10.00,
+      potential_payout: 35.00,
+      status: 'open',
+      expiry_time: new Date(Date.now() + 600000)
+    });
+
+    bettingService.createBet.mockResolvedValue({ id: openBet.id });
+    bettingService.takeBet.mockResolvedValue({ betMatch: { id: 'bet-match-id' } });
+  });
+
+  describe('submitBet', () => {
+    it('should hold a bet on a live event for the sport delay', async () => {
+      // Act
+      const before = Date.now();
+      const result = await liveBettingService.submitBet(taker.id, betData());
+
+      // Assert
+      expect(result.pending).toBe(true);
+      expect(result.request.status).toBe('pending');
+      expect(result.request.score_version).toBe(0);
+      expect(new Date(result.request.accept_at).getTime()).toBeGreaterThanOrEqual(before + 8000);
+      expect(bettingService.createBet).not.toHaveBeenCalled();
+    });
+
+    it('should place a pre-match bet straight away', async () => {
+      // Arrange
+      await event.update({ status: 'scheduled', start_time: new Date(Date.now() + 86400000) });
+
+      // Act
+      const result = await liveBettingService.submitBet(taker.id, betData());
+
+      // Assert
+      expect(result.pending).toBe(false);
+      expect(bettingService.createBet).toHaveBeenCalledWith(taker.id, expect.objectContaining({ event_id: event.id }));
+    });
+
+    it('should throw error while the market is suspended', async () => {
+      // Arrange
+      await event.update({ suspended_until: new Date(Date.now() + 30000) });
+
+      // Act & Assert
+      await expect(liveBettingService.submitBet(taker.id, betData())).rejects.toThrow('Market is suspended');
+    });
+  });
+
+  describe('processRequest', () => {
+    it('should place the bet once the delay is over', async () => {
+      // Arrange
+      const { request } = await liveBettingService.submitBet(taker.id, betData());
+      await makeDue(request);
+
+      // Act
+      const processed = await liveBettingService.processRequest(request.id);
+
+      // Assert
+      expect(processed.status).toBe('accepted');
+      expect(bettingService.createBet).toHaveBeenCalledWith(
+        taker.id,
+        expect.any(Object),
+        expect.objectContaining({ inPlay: true, transaction: expect.anything() })
+      );
+    });
+
+    it('should reject the request when the bet is refused', async () => {
+      // Arrange
+      const { request } = await liveBettingService.submitBet(taker.id, betData());
+      await makeDue(request);
+      bettingService.createBet.mockRejectedValueOnce(new Error('Insufficient balance'));
+
+      // Act
+      const processed = await liveBettingService.processRequest(request.id);
+
+      // Assert
+      expect(processed.status).toBe('rejected');
+      expect(processed.rejection_reason).toBe('Rejected: Insufficient balance');
+      expect(processed.processed_at).not.toBeNull();
+    });
+
+    it('should leave a request alone until its delay is over', async () => {
+      // Arrange
+      const { request } = await liveBettingService.submitBet(taker.id, betData());
+
+      // Act
+      const processed = await liveBettingService.processRequest(request.id);
+
+      // Assert
+      expect(processed.status).toBe('pending');
+      expect(bettingService.createBet).not.toHaveBeenCalled();
+    });
+
+    it('should reject a take when the score changed during the delay', async () => {
+      // Arrange
+      const { request } = await liveBettingService.submitTake(taker.id, openBet.id, {});
+      await event.update({ score_version: 1 });
+      await makeDue(request);
+
+      // Act
+      const processed = await liveBettingService.processRequest(request.id);
+
+      // Assert
+      expect(processed.status).toBe('rejected');
+      expect(processed.rejection_reason).toBe(REJECTION_REASONS.SCORE_CHANGED);
+      expect(bettingService.takeBet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordScore', () => {
+    it('should suspend the market and open bets and reject pending requests on a score change', async () => {
+      // Arrange
+      const { request } = await liveBettingService.submitTake(taker.id, openBet.id, {});
+
+      // Act
+      const result = await liveBettingService.recordScore(event.id, 1, 0);
+
+      // Assert
+      expect(result.changed).toBe(true);
+      expect(result.suspendedBets).toBe(1);
+      expect(result.event.score_version).toBe(1);
+      expect(liveBettingService.isMarketSuspended(result.event)).toBe(true);
+
+      const updatedBet = await Bet.findByPk(openBet.id);
+      expect(updatedBet.status).toBe('suspended');
+
+      const updatedRequest = await LiveBetRequest.findByPk(request.id);
+      expect(updatedRequest.status).toBe('rejected');
+      expect(updatedRequest.rejection_reason).toBe(REJECTION_REASONS.SCORE_CHANGED);
+    });
+
+    it('should not suspend anything when the score is unchanged', async () => {
+      // Act
+      const result = await liveBettingService.recordScore(event.id, 0, 0);
+
+      // Assert
+      expect(result.changed).toBe(false);
+      expect((await Bet.findByPk(openBet.id)).status).toBe('open');
+    });
+
+    it('should not treat the first score at kickoff as a change', async () => {
+      // Arrange
+      await event.update({ home_score: null, away_score: null });
+
+      // Act
+      const result = await liveBettingService.recordScore(event.id, 0, 0);
+
+      // Assert
+      expect(result.changed).toBe(false);
+      expect(result.event.score_version).toBe(0);
+      expect(result.event.home_score).toBe(0);
+      expect((await Bet.findByPk(openBet.id)).status).toBe('open');
+    });
+  });
+
+  describe('resumeBet', () => {
+    it('should re-open a suspended bet once the market is back', async () => {
+      // Arrange
+      await openBet.update({ status: 'suspended' });
+
+      // Act
+      const bet = await liveBettingService.resumeBet(creator.id, openBet.id);
+
+      // Assert
+      expect(bet.status).toBe('open');
+    });
+
+    it('should throw error while the market is still suspended', async () => {
+      // Arrange
+      await openBet.update({ status: 'suspended' });
+      await event.update({ suspended_until: new Date(Date.now() + 30000) });
+
+      // Act & Assert
+      await expect(liveBettingService.resumeBet(creator.id, openBet.id)).rejects.toThrow('Market is suspended');
+    });
+  });
+});
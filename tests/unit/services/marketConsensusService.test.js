@@ -0,0 +1,178 @@
+/**
+ * Unit tests for Market Consensus Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, MarketConsensus } = models;
+const marketConsensusService = require('../../../src/services/marketConsensusService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Market Consensus Service', () => {
+  let event;
+
+  const h2h = (home, away, draw) => ({
+    key: 'h2h',
+    outcomes: [
+      { name: 'Arsenal', price: home },
+      { name: 'Chelsea', price: away },
+      ...(draw ? [{ name: 'Draw', price: draw }] : [])
+    ]
+  });
+
+  beforeEach(async () => {
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_123456'
+    });
+  });
+
+  describe('buildConsensus', () => {
+    it('should take the median fair price across bookmakers with the margin removed', () => {
+      // Act
+      const [moneyline] = marketConsensusService.buildConsensus(event, [
+        { key: 'book_a', markets: [h2h(1.87, 1.87)] },
+        { key: 'book_b', markets: [h2h(1.91, 1.91)] },
+        { key: 'book_c', markets: [h2h(1.5, 2.5)] }
+      ]);
+
+      // Assert
+      expect(moneyline.market_key).toBe('moneyline');
+      expect(moneyline.fair_odds).toEqual({ home: 2, away: 2 });
+      expect(moneyline.bookmaker_count).toBe(3);
+    });
+
+    it('should price moneyline as draw no bet when the feed is three-way', () => {
+      // Act
+      const [moneyline] = marketConsensusService.buildConsensus(event, [
+        { key: 'book_a', markets: [h2h(2.5, 2.5, 4)] }
+      ]);
+
+      // Assert
+      expect(moneyline.fair_odds).toEqual({ home: 2, away: 2 });
+    });
+
+    it('should key spreads by the home line and totals by the total', () => {
+      // Act
+      const consensus = marketConsensusService.buildConsensus(event, [{
+        key: 'book_a',
+        markets: [
+          { key: 'spreads', outcomes: [{ name: 'Arsenal', price: 1.9, point: -1.5 }, { name: 'Chelsea', price: 1.9, point: 1.5 }] },
+          { key: 'totals', outcomes: [{ name: 'Over', price: 1.9, point: 2.5 }, { name: 'Under', price: 1.9, point: 2.5 }] }
+        ]
+      }]);
+
+      // Assert
+      expect(consensus.map(market => market.market_key)).toEqual(['spread:-1.5', 'over_under:2.5']);
+    });
+  });
+
+  describe('checkOfferPrice', () => {
+    beforeEach(async () => {
+      await marketConsensusService.recordConsensus(event, [{ key: 'book_a', markets: [h2h(1.9, 1.9)] }]);
+    });
+
+    it('should flag odds that stray from the fair price', async () => {
+      // Act
+      const assessment = await marketConsensusService.checkOfferPrice({
+        eventId: event.id,
+        marketKey: 'moneyline',
+        pick: 'home',
+        odds: 2.3
+      });
+
+      // Assert
+      expect(assessment).toEqual({ fair_odds: 2, value: 0.15, flagged: true });
+    });
+
+    it('should refuse odds too far from the fair price', async () => {
+      // Act & Assert
+      await expect(marketConsensusService.checkOfferPrice({
+        eventId: event.id,
+        marketKey: 'moneyline',
+        pick: 'home',
+        odds: 3
+      })).rejects.toMatchObject({ code: 'ODDS_OFF_MARKET' });
+    });
+
+    it('should pass when the consensus is out of date', async () => {
+      // Arrange
+      await MarketConsensus.update({ priced_at: new Date(Date.now() - 2 * 3600000) }, { where: {} });
+
+      // Act
+      const assessment = await marketConsensusService.checkOfferPrice({
+        eventId: event.id,
+        marketKey: 'moneyline',
+        pick: 'home',
+        odds: 3
+      });
+
+      // Assert
+      expect(assessment).toBeNull();
+    });
+  });
+
+  describe('attachMarketValue', () => {
+    it('should show the taker\'s odds against the fair price of their side', async () => {
+      // Arrange
+      await marketConsensusService.recordConsensus(event, [{ key: 'book_a', markets: [h2h(1.52, 3.04)] }]);
+
+      const creator = await User.create({
+        username: 'creator',
+        email: 'creator@example.com',
+        password_hash: 'Password123!',
+        date_of_birth: '1990-01-01'
+      });
+
+      const bet = await Bet.create({
+        creator_id: creator.id,
+        event_id: event.id,
+        bet_type: 'moneyline',
+        bet_details: { pick: 'home' },
+        market_key: 'moneyline',
+        odds: 1.4,
+        stake_amount: 100,
+        potential_payout: 140,
+        status: 'open'
+      });
+
+      // Act
+      await marketConsensusService.attachMarketValue([bet]);
+
+      // Assert
+      // Taker backs away at 1.4 / 0.4 = 3.5 against a fair 3.0
+      expect(bet.get('market_value')).toEqual({
+        taker_odds: 3.5,
+        fair_odds: 3,
+        value: 0.1667,
+        flagged: true
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for Parlay Service
+ */
+
+const parlayService = require('../../../src/services/parlayService');
+const { OUTCOMES } = parlayService;
+
+describe('Parlay Service', () => {
+  const legs = [
+    { event_id: 'event-1', bet_type: 'moneyline', bet_details: { pick: 'home' }, odds: 2.00 },
+    { event_id: 'event-2', bet_type: 'spread', bet_details: { pick: 'away', spread: '-1.5' }, odds: 1.90 },
+    { event_id: 'event-3', bet_type: 'over_under', bet_details: { pick: 'over', total: 2.5 }, odds: 1.75 }
+  ];
+
+  describe('validateParlayLegs', () => {
+    it('should accept a valid parlay', () => {
+      // Act & Assert
+      expect(parlayService.validateParlayLegs(legs)).toBe(true);
+    });
+
+    it('should reject a parlay with a single leg', () => {
+      // Act & Assert
+      expect(() => parlayService.validateParlayLegs([legs[0]])).toThrow('between 2 and 10 legs');
+    });
+
+    it('should reject two legs on the same event', () => {
+      // Arrange
+      const sameEvent = [legs[0], { ...legs[1], event_id: 'event-1' }];
+
+      // Act & Assert
+      expect(() => parlayService.validateParlayLegs(sameEvent)).toThrow('different event');
+    });
+
+    it('should name the leg that is invalid', () => {
+      // Arrange
+      const invalid = [legs[0], { ...legs[1], bet_details: { pick: 'away' } }];
+
+      // Act & Assert
+      expect(() => parlayService.validateParlayLegs(invalid)).toThrow('Leg 2 requires');
+    });
+
+    it('should validate prop legs with the prop rules', () => {
+      // Arrange
+      const withProp = [legs[0], {
+        event_id: 'event-4',
+        bet_type: 'prop',
+        bet_details: { prop_type: 'first_to_score', pick: 'both' },
+        odds: 2.10
+      }];
+
+      // Act & Assert
+      expect(() => parlayService.validateParlayLegs(withProp)).toThrow("Leg 2: First to score props require a pick");
+    });
+  });
+
+  describe('calculateParlayOdds', () => {
+    it('should multiply the leg odds', () => {
+      // Act & Assert
+      expect(parlayService.calculateParlayOdds(legs)).toBe(6.65);
+    });
+  });
+
+  describe('determineParlayOutcome', () => {
+    const withStatuses = (...statuses) => legs.map((leg, index) => ({ ...leg, status: statuses[index] }));
+
+    it('should wait while any leg is pending', () => {
+      // Act
+      const result = parlayService.determineParlayOutcome(withStatuses('lost', 'pending', 'won'));
+
+      // Assert
+      expect(result.outcome).toBe(OUTCOMES.PENDING);
+    });
+
+    it('should award the taker when any leg loses', () => {
+      // Act
+      const result = parlayService.determineParlayOutcome(withStatuses('won', 'lost', 'won'));
+
+      // Assert
+      expect(result.outcome).toBe(OUTCOMES.TAKER);
+    });
+
+    it('should award the creator at the full odds when every leg wins', () => {
+      // Act
+      const result = parlayService.determineParlayOutcome(withStatuses('won', 'won', 'won'));
+
+      // Assert
+      expect(result).toEqual({ outcome: OUTCOMES.CREATOR, odds: 6.65 });
+    });
+
+    it('should drop void and pushed legs and recompute the odds', () => {
+      // Act
+      const result = parlayService.determineParlayOutcome(withStatuses('won', 'void', 'push'));
+
+      // Assert
+      expect(result).toEqual({ outcome: OUTCOMES.CREATOR, odds: 2 });
+    });
+
+    it('should push when no leg is left', () => {
+      // Act
+      const result = parlayService.determineParlayOutcome(withStatuses('void', 'push', 'void'));
+
+      // Assert
+      expect(result.outcome).toBe(OUTCOMES.PUSH);
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Unit tests for Pool Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Sport, League, Event, Pool, PoolEntry } = models;
+const { onNotification, NOTIFICATION_TYPES } = require('../../../src/services/notificationService');
+const poolService = require('../../../src/services/poolService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Pool Service', () => {
+  let creator, users, event;
+
+  const createUser = async (username) => {
+    const user = await User.create({
+      username,
+      email: `${username}@example.com`,
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    await Wallet.create({
+      user_id: user.id,
+      balance: 500.00,
+      currency: 'USD'
+    });
+
+    return user;
+  };
+
+  const createPool = (poolType, overrides = {}) => poolService.createPool(creator.id, {
+    event_id: event.id,
+    name: 'Derby pool',
+    pool_type: poolType,
+    entry_fee: 50,
+    ...overrides
+  });
+
+  const getBalance = async (user) => parseFloat((await Wallet.findOne({ where: { user_id: user.id } })).balance);
+
+  beforeEach(async () => {
+    // Create test users
+    creator = await createUser('creator');
+    users = [await createUser('alice'), await createUser('bob'), await createUser('carol')];
+
+    // Create an upcoming event
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() + 86400000), // Tomorrow
+      status: 'scheduled',
+      api_event_id: 'ext_654321'
+    });
+  });
+
+  describe('createPool', () => {
+    it('should close entries at kick-off by default', async () => {
+      // Act
+      const pool = await createPool('winner_takes_all');
+
+      // Assert
+      expect(pool.status).toBe('open');
+      expect(new Date(pool.closes_at).getTime()).toBe(new Date(event.start_time).getTime());
+    });
+
+    it('should throw error if the pool closes after the event starts', async () => {
+      // Act & Assert
+      await expect(createPool('winner_takes_all', { closes_at: new Date(Date.now() + 2 * 86400000) }))
+        .rejects.toThrow('Pool must close between now and the event start time');
+    });
+
+    it('should throw error if the entry cap is below the minimum participants', async () => {
+      // Act & Assert
+      await expect(createPool('winner_takes_all', { max_entries: 3, min_participants: 4 }))
+        .rejects.toThrow('Entry cap cannot be below');
+    });
+  });
+
+  describe('joinPool', () => {
+    it('should move the entry fee from the wallet into the pot', async () => {
+      // Arrange
+      const pool = await createPool('winner_takes_all');
+
+      // Act
+      const entry = await poolService.joinPool(users[0].id, pool.id, { selection: 'home', stake_amount: 200 });
+
+      // Assert
+      expect(parseFloat(entry.stake_amount)).toBe(50);
+      expect(await getBalance(users[0])).toBe(450);
+      expect(parseFloat((await Pool.findByPk(pool.id)).pot_amount)).toBe(50);
+    });
+
+    it('should take the chosen stake in a pari-mutuel pool', async () => {
+      // Arrange
+      const pool = await createPool('pari_mutuel', { entry_fee: 10 });
+
+      // Act
+      const entry = await poolService.joinPool(users[0].id, pool.id, { selection: 'away', stake_amount: 120 });
+
+      // Assert
+      expect(parseFloat(entry.stake_amount)).toBe(120);
+      expect(await getBalance(users[0])).toBe(380);
+    });
+
+    it('should throw error once the pool is full', async () => {
+      // Arrange
+      const pool = await createPool('winner_takes_all', { max_entries: 2 });
+      await poolService.joinPool(users[0].id, pool.id, { selection: 'home' });
+      await poolService.joinPool(users[1].id, pool.id, { selection: 'away' });
+
+      // Act & Assert
+      await expect(poolService.joinPool(users[2].id, pool.id, { selection: 'draw' }))
+        .rejects.toThrow('Pool is full');
+      expect(await getBalance(users[2])).toBe(500);
+    });
+
+    it('should throw error if the user has already entered', async () => {
+      // Arrange
+      const pool = await createPool('winner_takes_all');
+      await poolService.joinPool(users[0].id, pool.id, { selection: 'home' });
+
+      // Act & Assert
+      await expect(poolService.joinPool(users[0].id, pool.id, { selection: 'away' }))
+        .rejects.toThrow('already entered');
+    });
+
+    it('should throw error if a score contest entry has no score guess', async () => {
+      // Arrange
+      const pool = await createPool('score_contest');
+
+      // Act & Assert
+      await expect(poolService.joinPool(users[0].id, pool.id, { selection: 'home' }))
+        .rejects.toThrow('Score guesses must be whole numbers');
+    });
+  });
+
+  describe('closePools', () => {
+    it('should refund pools that failed to fill and lock the rest', async () => {
+      // Arrange
+      const unfilled = await createPool('winner_takes_all', { min_participants: 3 });
+      const filled = await createPool('winner_takes_all');
+
+      await poolService.joinPool(users[0].id, unfilled.id, { selection: 'home' });
+      await poolService.joinPool(users[0].id, filled.id, { selection: 'home' });
+      await poolService.joinPool(users[1].id, filled.id, { selection: 'away' });
+
+      await Pool.update({ closes_at: new Date(Date.now() - 1000) }, { where: {} });
+
+      const notifications = [];
+      const unsubscribe = onNotification(notification => notifications.push(notification));
+
+      // Act
+      const result = await poolService.closePools();
+      unsubscribe();
+
+      // Assert
+      expect(result).toEqual({ locked: 1, refunded: 1, failed: 0 });
+      expect((await Pool.findByPk(unfilled.id)).status).toBe('refunded');
+      expect((await Pool.findByPk(filled.id)).status).toBe('locked');
+      expect(await getBalance(users[0])).toBe(450);
+      expect(notifications).toEqual([
+        expect.objectContaining({ user_id: users[0].id, type: NOTIFICATION_TYPES.POOL_REFUNDED })
+      ]);
+    });
+  });
+
+  describe('settlePool', () => {
+    it('should split a pari-mutuel pot pro rata between the winners after the fee', async () => {
+      // Arrange
+      const pool = await createPool('pari_mutuel', { entry_fee: 10 });
+      await poolService.joinPool(users[0].id, pool.id, { selection: 'home', stake_amount: 100 });
+      await poolService.joinPool(users[1].id, pool.id, { selection: 'home', stake_amount: 50 });
+      await poolService.joinPool(users[2].id, pool.id, { selection: 'away', stake_amount: 150 });
+
+      // Act
+      const settled = await poolService.settlePool(pool.id, { home_score: 2, away_score: 1 });
+
+      // Assert
+      expect(settled.status).toBe('settled');
+      expect(parseFloat(settled.platform_fee)).toBe(9);
+      expect(await getBalance(users[0])).toBe(594);
+      expect(await getBalance(users[1])).toBe(547);
+      expect(await getBalance(users[2])).toBe(350);
+    });
+
+    it('should give a score contest to the closest guess after tie-breaks', async () => {
+      // Arrange
+      const pool = await createPool('score_contest');
+      // Both one goal off; only alice has the right result
+      await poolService.joinPool(users[0].id, pool.id, { predicted_home_score: 2, predicted_away_score: 0 });
+      await poolService.joinPool(users[1].id, pool.id, { predicted_home_score: 1, predicted_away_score: 1 });
+      await poolService.joinPool(users[2].id, pool.id, { predicted_home_score: 0, predicted_away_score: 3 });
+
+      // Act
+      await poolService.settlePool(pool.id, { home_score: 2, away_score: 1 });
+
+      // Assert
+      const entries = await PoolEntry.findAll({ where: { pool_id: pool.id } });
+      const winner = entries.find(entry => entry.status === 'won');
+
+      expect(entries.filter(entry => entry.status === 'won')).toHaveLength(1);
+      expect(winner.user_id).toBe(users[0].id);
+      expect(parseFloat(winner.payout_amount)).toBe(145.5);
+    });
+
+    it('should split the pot between score guesses still tied', async () => {
+      // Arrange
+      const pool = await createPool('score_contest');
+      await poolService.joinPool(users[0].id, pool.id, { predicted_home_score: 1, predicted_away_score: 0 });
+      await poolService.joinPool(users[1].id, pool.id, { predicted_home_score: 1, predicted_away_score: 0 });
+      await poolService.joinPool(users[2].id, pool.id, { predicted_home_score: 0, predicted_away_score: 0 });
+
+      // Act
+      await poolService.settlePool(pool.id, { home_score: 1, away_score: 0 });
+
+      // Assert
+      expect(await getBalance(users[0])).toBe(522.75);
+      expect(await getBalance(users[1])).toBe(522.75);
+      expect(await getBalance(users[2])).toBe(450);
+    });
+
+    it('should refund everyone if nobody picked the result', async () => {
+      // Arrange
+      const pool = await createPool('winner_takes_all');
+      await poolService.joinPool(users[0].id, pool.id, { selection: 'home' });
+      await poolService.joinPool(users[1].id, pool.id, { selection: 'away' });
+
+      // Act
+      const refunded = await poolService.settlePool(pool.id, { home_score: 0, away_score: 0 });
+
+      // Assert
+      expect(refunded.status).toBe('refunded');
+      expect(refunded.result).toEqual({ reason: 'no_winner' });
+      expect(await getBalance(users[0])).toBe(500);
+      expect(await getBalance(users[1])).toBe(500);
+    });
+
+    it('should do nothing for a pool that has already settled', async () => {
+      // Arrange
+      const pool = await createPool('winner_takes_all');
+      await poolService.joinPool(users[0].id, pool.id, { selection: 'home' });
+      await poolService.joinPool(users[1].id, pool.id, { selection: 'away' });
+      await poolService.settlePool(pool.id, { home_score: 1, away_score: 0 });
+
+      // Act
+      const result = await poolService.settlePool(pool.id, { home_score: 1, away_score: 0 });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(await getBalance(users[0])).toBe(547);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for Prop Bet Service
+ */
+
+const propBetService = require('../../../src/services/propBetService');
+const { OUTCOMES } = propBetService;
+
+describe('Prop Bet Service', () => {
+  describe('validatePropDetails', () => {
+    it('should accept a valid player stat prop', () => {
+      // Arrange
+      const details = {
+        prop_type: 'player_stat',
+        player: 'Patrick Mahomes',
+        stat: 'passing_yards',
+        line: 275.5,
+        pick: 'over'
+      };
+
+      // Act & Assert
+      expect(propBetService.validatePropDetails(details)).toBe(true);
+    });
+
+    it('should accept valid first to score, exact score and yes/no props', () => {
+      // Act & Assert
+      expect(propBetService.validatePropDetails({ prop_type: 'first_to_score', pick: 'away' })).toBe(true);
+      expect(propBetService.validatePropDetails({ prop_type: 'exact_score', home_score: 2, away_score: 1 })).toBe(true);
+      expect(propBetService.validatePropDetails({
+        prop_type: 'yes_no',
+        proposition: 'overtime',
+        question: 'Will the game go to overtime?',
+        pick: 'no'
+      })).toBe(true);
+    });
+
+    it('should reject an unknown prop type', () => {
+      // Act & Assert
+      expect(() => propBetService.validatePropDetails({ prop_type: 'coin_toss' })).toThrow('Prop type must be one of');
+    });
+
+    it('should reject a player stat prop without a numeric line', () => {
+      // Arrange
+      const details = {
+        prop_type: 'player_stat',
+        player: 'Patrick Mahomes',
+        stat: 'passing_yards',
+        line: '275.5',
+        pick: 'over'
+      };
+
+      // Act & Assert
+      expect(() => propBetService.validatePropDetails(details)).toThrow('non-negative numeric line');
+    });
+
+    it('should reject an exact score prop with fractional scores', () => {
+      // Act & Assert
+      expect(() => propBetService.validatePropDetails({ prop_type: 'exact_score', home_score: 1.5, away_score: 0 }))
+        .toThrow('non-negative integer');
+    });
+  });
+
+  describe('determinePropOutcome', () => {
+    const eventResult = {
+      home_score: 27,
+      away_score: 24,
+      stats: {
+        first_to_score: 'away',
+        players: {
+          'Patrick Mahomes': { passing_yards: 312, touchdowns: 3 }
+        },
+        propositions: {
+          overtime: false
+        }
+      }
+    };
+
+    it('should settle player stat props against the recorded line', () => {
+      // Act & Assert
+      expect(propBetService.determinePropOutcome({
+        prop_type: 'player_stat', player: 'Patrick Mahomes', stat: 'passing_yards', line: 275.5, pick: 'over'
+      }, eventResult)).toBe(OUTCOMES.CREATOR);
+
+      expect(propBetService.determinePropOutcome({
+        prop_type: 'player_stat', player: 'Patrick Mahomes', stat: 'passing_yards', line: 275.5, pick: 'under'
+      }, eventResult)).toBe(OUTCOMES.TAKER);
+    });
+
+    it('should push a player stat prop that lands exactly on the line', () => {
+      // Act & Assert
+      expect(propBetService.determinePropOutcome({
+        prop_type: 'player_stat', player: 'Patrick Mahomes', stat: 'touchdowns', line: 3, pick: 'over'
+      }, eventResult)).toBe(OUTCOMES.PUSH);
+    });
+
+    it('should settle first to score props and push when nobody scored', () => {
+      // Act & Assert
+      expect(propBetService.determinePropOutcome({ prop_type: 'first_to_score', pick: 'away' }, eventResult))
+        .toBe(OUTCOMES.CREATOR);
+
+      expect(propBetService.determinePropOutcome(
+        { prop_type: 'first_to_score', pick: 'home' },
+        { ...eventResult, stats: { first_to_score: 'none' } }
+      )).toBe(OUTCOMES.PUSH);
+    });
+
+    it('should settle exact score props against the final score', () => {
+      // Act & Assert
+      expect(propBetService.determinePropOutcome({ prop_type: 'exact_score', home_score: 27, away_score: 24 }, eventResult))
+        .toBe(OUTCOMES.CREATOR);
+      expect(propBetService.determinePropOutcome({ prop_type: 'exact_score', home_score: 24, away_score: 27 }, eventResult))
+        .toBe(OUTCOMES.TAKER);
+    });
+
+    it('should settle yes/no props against the recorded answer', () => {
+      // Act & Assert
+      expect(propBetService.determinePropOutcome({
+        prop_type: 'yes_no', proposition: 'overtime', question: 'Overtime?', pick: 'no'
+      }, eventResult)).toBe(OUTCOMES.CREATOR);
+    });
+
+    it('should throw error when the stat needed is not recorded yet', () => {
+      // Act & Assert
+      expect(() => propBetService.determinePropOutcome({
+        prop_type: 'player_stat', player: 'Travis Kelce', stat: 'receptions', line: 6.5, pick: 'over'
+      }, eventResult)).toThrow('No receptions recorded for Travis Kelce');
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for Reconciliation Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Transaction, Sport, League, Event, Bet, BetMatch, Escrow, ReconciliationReport } = models;
+const escrowService = require('../../../src/services/escrowService');
+const reconciliationService = require('../../../src/services/reconciliationService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Reconciliation Service', () => {
+  let creator, taker, admin, escrow;
+
+  // A user who deposited 100 and staked 50 of it
+  const createUser = async (username, role = 'user') => {
+    const user = await User.create({
+      username,
+      email: `${username}@example.com`,
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      role
+    });
+
+    const wallet = await Wallet.create({
+      user_id: user.id,
+      balance: 50,
+      currency: 'USD'
+    });
+
+    await Transaction.bulkCreate([
+      { wallet_id: wallet.id, amount: 100, type: 'deposit', status: 'completed' },
+      { wallet_id: wallet.id, amount: -50, type: 'bet', status: 'completed' }
+    ]);
+
+    return user;
+  };
+
+  beforeEach(async () => {
+    creator = await createUser('creator');
+    taker = await createUser('taker');
+    admin = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      role: 'admin'
+    });
+
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    const league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    const event = await Event.create({
+      league_id: league.id,
+      home_team: 'Arsenal',
+      away_team: 'Chelsea',
+      start_time: new Date(Date.now() - 7200000), // Two hours ago
+      status: 'completed',
+      api_event_id: 'ext_123456'
+    });
+
+    const bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.0,
+      stake_amount: 50,
+      matched_amount: 50,
+      potential_payout: 100,
+      status: 'matched'
+    });
+
+    const betMatch = await BetMatch.create({
+      bet_id: bet.id,
+      taker_id: taker.id,
+      stake_amount: 50,
+      potential_payout: 100,
+      status: 'active'
+    });
+
+    escrow = await Escrow.create({
+      bet_match_id: betMatch.id,
+      amount: 100.00,
+      status: 'active',
+      platform_fee: 3.00
+    });
+  });
+
+  describe('runReconciliation', () => {
+    it('should balance once an escrow has been released with its fee', async () => {
+      // Arrange
+      await escrowService.releaseEscrow(escrow.id, creator.id);
+
+      // Act
+      const report = await reconciliationService.runReconciliation(admin.id);
+
+      // Assert
+      expect(report.status).toBe('balanced');
+      expect(report.triggered_by).toBe(admin.id);
+      expect(report.mismatch_count).toBe(0);
+      expect(report.totals).toMatchObject({
+        wallet_balances: 197,
+        held: { escrows: 0, open_bets: 0, pools: 0 },
+        deposits: 200,
+        withdrawals: 0,
+        fees: { escrows: 3, pools: 0 },
+        difference: 0
+      });
+    });
+
+    it('should report a wallet balance that drifted from its transactions', async () => {
+      // Arrange
+      await Wallet.increment('balance', { by: 10, where: { user_id: taker.id } });
+
+      // Act
+      const report = await reconciliationService.runReconciliation();
+
+      // Assert
+      expect(report.status).toBe('mismatched');
+      expect(report.triggered_by).toBeNull();
+      expect(report.totals.difference).toBe(10);
+      expect(report.mismatches).toEqual(expect.arrayContaining([
+        expect.objectContaining({ check: 'ledger_totals', difference: 10 }),
+        expect.objectContaining({ check: 'wallet_balance', user_id: taker.id, expected: 50, actual: 60 })
+      ]));
+    });
+
+    it('should report a completed escrow that was never paid out', async () => {
+      // Arrange
+      await escrow.update({ status: 'completed', winner_id: creator.id });
+
+      // Act
+      const report = await reconciliationService.runReconciliation();
+
+      // Assert
+      expect(report.status).toBe('mismatched');
+      expect(report.mismatches).toEqual(expect.arrayContaining([
+        expect.objectContaining({ check: 'escrow_payouts', escrow_id: escrow.id, expected: 97, actual: 0 })
+      ]));
+
+      const stored = await reconciliationService.getReport(report.id);
+      expect(stored.mismatch_count).toBe(report.mismatches.length);
+    });
+  });
+
+  describe('getReports', () => {
+    it('should list reports newest first without their mismatches', async () => {
+      // Arrange
+      await reconciliationService.runReconciliation();
+      await Wallet.increment('balance', { by: 10, where: { user_id: taker.id } });
+      const latest = await reconciliationService.runReconciliation();
+
+      // Act
+      const result = await reconciliationService.getReports({ status: 'mismatched' });
+
+      // Assert
+      expect(result.total).toBe(1);
+      expect(result.reports[0].id).toBe(latest.id);
+      expect(result.reports[0].mismatches).toBeUndefined();
+      expect(await ReconciliationReport.count()).toBe(2);
+    });
+  });
+
+  it('should throw error if report not found', async () => {
+    // Act & Assert
+    await expect(reconciliationService.getReport('00000000-0000-0000-0000-000000000000'))
+      .rejects.toThrow('Reconciliation report not found');
+  });
+});
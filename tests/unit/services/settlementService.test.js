@@ -0,0 +1,377 @@
+/**
+ * Unit tests for Settlement Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Sport, League, Event, Bet, BetMatch, Escrow, SettlementReport, ParlayLeg } = models;
+
+// Mock the escrow service so settlement does not touch wallets
+jest.mock('../../../src/services/escrowService', () => ({
+  releaseEscrow: jest.fn(),
+  releaseReducedEscrow: jest.fn(),
+  refundEscrow: jest.fn()
+}));
+
+// Import the mocked escrow service
+const escrowService = require('../../../src/services/escrowService');
+
+// Import the settlement service after mocking dependencies
+const settlementService = require('../../../src/services/settlementService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Settlement Service', () => {
+  let creator, taker, league, event, bet, betMatch, escrow;
+
+  beforeEach(async () => {
+    // Create test users
+    creator = await User.create({
+      username: 'creator',
+      email: 'creator@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    taker = await User.create({
+      username: 'taker',
+      email: 'taker@example.com',
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    // Create a completed event: home side won 3-1
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    event = await Event.create({
+      league_id: league.id,
+      home_team: 'Manchester United',
+      away_team: 'Liverpool',
+      start_time: new Date(Date.now() - 86400000), // Yesterday
+      status: 'completed',
+      home_score: 3,
+      away_score: 1,
+      api_event_id: 'ext_123456'
+    });
+
+    // Creator backed the home side, taker matched it
+    bet = await Bet.create({
+      creator_id: creator.id,
+      event_id: event.id,
+      bet_type: 'moneyline',
+      bet_details: { pick: 'home' },
+      odds: 2.00,
+      stake_amount: 100.00,
+      potential_payout: 200.00,
+      status: 'matched'
+    });
+
+    escrow = Escrow.build({
+      amount: 200.00,
+      platform_fee: 6.00,
+      status: 'active'
+    });
+
+    betMatch = await BetMatch.create({
+      bet_id: bet.id,
+      taker_id: taker.id,
+      stake_amount: 100.00,
+      potential_payout: 194.00,
+      platform_fee: 6.00,
+      status: 'active',
+      escrow_id: escrow.id
+    });
+
+    escrow.bet_match_id = betMatch.id;
+    await escrow.save();
+
+    // Mirror what the real release does to escrow and bet match
+    escrowService.releaseEscrow.mockImplementation(async (escrowId, winnerId) => {
+      await Escrow.update(
+        { status: 'completed', winner_id: winnerId, released_at: new Date() },
+        { where: { id: escrowId } }
+      );
+      await BetMatch.update({ status: 'settled' }, { where: { escrow_id: escrowId } });
+
+      return {
+        payout_id: 'payout_mock_123',
+        amount: 194.00,
+        status: 'completed',
+        escrow_id: escrowId
+      };
+    });
+
+    // Mirror what the real refund does to escrow and bet match
+    escrowService.refundEscrow.mockImplementation(async (escrowId, reason) => {
+      await Escrow.update(
+        { status: 'refunded', platform_fee: 0, released_at: new Date() },
+        { where: { id: escrowId } }
+      );
+      await BetMatch.update({ status: 'refunded' }, { where: { escrow_id: escrowId } });
+
+      return {
+        escrow_id: escrowId,
+        status: 'refunded',
+        reason,
+        payouts: []
+      };
+    });
+  });
+
+  describe('settleEvent', () => {
+    it('should settle active bet matches and record a report', async () => {
+      // Act
+      const report = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(report.status).toBe('completed');
+      expect(report.total_matches).toBe(1);
+      expect(report.settled_count).toBe(1);
+      expect(report.failed_count).toBe(0);
+      expect(report.results[betMatch.id].outcome).toBe('settled');
+      expect(report.results[betMatch.id].winner_id).toBe(creator.id);
+      expect(report.completed_at).toBeDefined();
+
+      expect(escrowService.releaseEscrow).toHaveBeenCalledTimes(1);
+      expect(escrowService.releaseEscrow).toHaveBeenCalledWith(escrow.id, creator.id);
+
+      // Verify the bet is closed
+      const updatedBet = await Bet.findByPk(bet.id);
+      expect(updatedBet.status).toBe('settled');
+    });
+
+    it('should not release escrow again when run twice', async () => {
+      // Arrange
+      await settlementService.settleEvent(event.id);
+
+      // Act
+      const report = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(report.status).toBe('completed');
+      expect(escrowService.releaseEscrow).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record escrow released by an interrupted run without paying again', async () => {
+      // Arrange: escrow was paid out but the report was never written
+      await escrow.update({ status: 'completed', winner_id: creator.id });
+
+      // Act
+      const report = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(report.status).toBe('completed');
+      expect(report.results[betMatch.id].outcome).toBe('settled');
+      expect(report.results[betMatch.id].recovered).toBe(true);
+      expect(escrowService.releaseEscrow).not.toHaveBeenCalled();
+    });
+
+    it('should mark the report partial and retry failed matches on the next run', async () => {
+      // Arrange
+      escrowService.releaseEscrow.mockRejectedValueOnce(new Error('Wallet is not active'));
+
+      // Act
+      const firstRun = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(firstRun.status).toBe('partial');
+      expect(firstRun.failed_count).toBe(1);
+      expect(firstRun.results[betMatch.id].error).toBe('Wallet is not active');
+
+      // Act
+      const secondRun = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(secondRun.status).toBe('completed');
+      expect(secondRun.settled_count).toBe(1);
+      expect(secondRun.failed_count).toBe(0);
+      expect(escrowService.releaseEscrow).toHaveBeenCalledTimes(2);
+    });
+
+    it('should refund both stakes when a moneyline ends in a draw', async () => {
+      // Arrange
+      await event.update({ home_score: 2, away_score: 2 });
+
+      // Act
+      const report = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(report.status).toBe('completed');
+      expect(report.results[betMatch.id].result).toBe('push');
+      expect(escrowService.refundEscrow).toHaveBeenCalledWith(escrow.id, 'push');
+      expect(escrowService.releaseEscrow).not.toHaveBeenCalled();
+    });
+
+    it('should void matched and open bets when the event is cancelled', async () => {
+      // Arrange
+      await event.update({ status: 'cancelled', home_score: null, away_score: null });
+
+      // Act
+      const report = await settlementService.settleEvent(event.id);
+
+      // Assert
+      expect(report.status).toBe('completed');
+      expect(report.results[betMatch.id].result).toBe('void');
+      expect(report.refunded_bets).toBe(1);
+      expect(escrowService.refundEscrow).toHaveBeenCalledWith(escrow.id, 'event_cancelled');
+      expect(escrowService.releaseEscrow).not.toHaveBeenCalled();
+
+      const updatedBet = await Bet.findByPk(bet.id);
+      expect(updatedBet.status).toBe('refunded');
+    });
+
+    describe('parlays', () => {
+      let laterEvent, parlay, parlayMatch, parlayEscrow;
+
+      beforeEach(async () => {
+        laterEvent = await Event.create({
+          league_id: league.id,
+          home_team: 'Arsenal',
+          away_team: 'Chelsea',
+          start_time: new Date(Date.now() - 3600000), // An hour ago
+          status: 'live',
+          api_event_id: 'ext_654321'
+        });
+
+        // Home on both events at 2.00 and 3.00, so 6.00 combined
+        parlay = await Bet.create({
+          creator_id: creator.id,
+          event_id: event.id,
+          bet_type: 'parlay',
+          bet_details: { legs: [] },
+          odds: 6.00,
+          stake_amount: 10.00,
+          potential_payout: 60.00,
+          status: 'matched'
+        });
+
+        await ParlayLeg.bulkCreate([
+          { bet_id: parlay.id, event_id: event.id, leg_number: 1, bet_type: 'moneyline', bet_details: { pick: 'home' }, odds: 2.00 },
+          { bet_id: parlay.id, event_id: laterEvent.id, leg_number: 2, bet_type: 'moneyline', bet_details: { pick: 'home' }, odds: 3.00 }
+        ]);
+
+        parlayEscrow = Escrow.build({
+          amount: 60.00,
+          platform_fee: 1.80,
+          status: 'active'
+        });
+
+        parlayMatch = await BetMatch.create({
+          bet_id: parlay.id,
+          taker_id: taker.id,
+          stake_amount: 50.00,
+          creator_stake: 10.00,
+          potential_payout: 58.20,
+          platform_fee: 1.80,
+          status: 'active',
+          escrow_id: parlayEscrow.id
+        });
+
+        parlayEscrow.bet_match_id = parlayMatch.id;
+        await parlayEscrow.save();
+
+        escrowService.releaseReducedEscrow.mockImplementation(async (escrowId, winnerId, grossAmount) => {
+          await Escrow.update({ status: 'completed', winner_id: winnerId }, { where: { id: escrowId } });
+          await BetMatch.update({ status: 'settled' }, { where: { escrow_id: escrowId } });
+
+          return { payout_id: 'payout_mock_456', amount: grossAmount, status: 'completed', escrow_id: escrowId };
+        });
+      });
+
+      it('should hold the parlay escrow until the last leg resolves', async () => {
+        // Act
+        const report = await settlementService.settleEvent(event.id);
+
+        // Assert: only the single bet is paid, the parlay leg is recorded as won
+        expect(report.status).toBe('completed');
+        expect(report.results[parlayMatch.id]).toBeUndefined();
+        expect(escrowService.releaseEscrow).toHaveBeenCalledTimes(1);
+        expect(escrowService.releaseEscrow).not.toHaveBeenCalledWith(parlayEscrow.id, expect.anything());
+
+        const legs = await ParlayLeg.findAll({ where: { bet_id: parlay.id }, order: [['leg_number', 'ASC']] });
+        expect(legs.map(leg => leg.status)).toEqual(['won', 'pending']);
+
+        // Act: the last leg's home side wins too
+        await laterEvent.update({ status: 'completed', home_score: 2, away_score: 0 });
+        const laterReport = await settlementService.settleEvent(laterEvent.id);
+
+        // Assert
+        expect(laterReport.results[parlayMatch.id].winner_id).toBe(creator.id);
+        expect(escrowService.releaseEscrow).toHaveBeenCalledWith(parlayEscrow.id, creator.id);
+
+        const updatedParlay = await Bet.findByPk(parlay.id);
+        expect(updatedParlay.status).toBe('settled');
+      });
+
+      it('should pay out at the recomputed odds when a leg is voided', async () => {
+        // Arrange
+        await settlementService.settleEvent(event.id);
+        await laterEvent.update({ status: 'cancelled' });
+
+        // Act
+        const report = await settlementService.settleEvent(laterEvent.id);
+
+        // Assert: 10 staked at the remaining 2.00 returns 20 of the 60 held
+        expect(report.results[parlayMatch.id].odds).toBe(2);
+        expect(escrowService.releaseReducedEscrow)
+          .toHaveBeenCalledWith(parlayEscrow.id, creator.id, 20, 'parlay_leg_void');
+      });
+
+      it('should award the parlay to the taker when a leg loses', async () => {
+        // Arrange
+        await settlementService.settleEvent(event.id);
+        await laterEvent.update({ status: 'completed', home_score: 0, away_score: 1 });
+
+        // Act
+        await settlementService.settleEvent(laterEvent.id);
+
+        // Assert
+        expect(escrowService.releaseEscrow).toHaveBeenCalledWith(parlayEscrow.id, taker.id);
+      });
+    });
+
+    it('should throw error if event is not finished', async () => {
+      // Arrange
+      await event.update({ status: 'live' });
+
+      // Act & Assert
+      await expect(settlementService.settleEvent(event.id)).rejects.toThrow('Event is not finished');
+    });
+  });
+
+  describe('settleFinishedEvents', () => {
+    it('should only pick up events without a completed report', async () => {
+      // Arrange
+      await settlementService.settleEvent(event.id);
+
+      // Act
+      const reports = await settlementService.settleFinishedEvents();
+
+      // Assert
+      expect(reports.length).toBe(0);
+      expect(await SettlementReport.count()).toBe(1);
+    });
+  });
+});
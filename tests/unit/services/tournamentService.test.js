@@ -0,0 +1,306 @@
+/**
+ * Unit tests for Tournament Service
+ */
+
+const { models, connect, clearDatabase, closeDatabase } = require('../../helpers/db-helper');
+const { User, Wallet, Sport, League, Event, Escrow, Tournament, TournamentEntry, TournamentPick } = models;
+
+// Mock the escrow service so prize payouts do not touch wallets
+jest.mock('../../../src/services/escrowService', () => ({
+  releaseEscrowPrizes: jest.fn()
+}));
+
+// Import the mocked escrow service
+const escrowService = require('../../../src/services/escrowService');
+
+// Import the tournament service after mocking dependencies
+const tournamentService = require('../../../src/services/tournamentService');
+
+// Setup and teardown
+beforeAll(async () => {
+  await connect();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.clearAllMocks();
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+describe('Tournament Service', () => {
+  let creator, alice, bob, carol, league, firstEvent, secondEvent;
+
+  const createUser = async (username) => {
+    const user = await User.create({
+      username,
+      email: `${username}@example.com`,
+      password_hash: 'Password123!',
+      date_of_birth: '1990-01-01',
+      country: 'US'
+    });
+
+    await Wallet.create({
+      user_id: user.id,
+      balance: 500.00,
+      currency: 'USD'
+    });
+
+    return user;
+  };
+
+  const createEvent = (homeTeam, awayTeam, startOffset) => Event.create({
+    league_id: league.id,
+    home_team: homeTeam,
+    away_team: awayTeam,
+    start_time: new Date(Date.now() + startOffset),
+    status: 'scheduled',
+    api_event_id: `ext_${homeTeam}_${awayTeam}`
+  });
+
+  const createBracket = () => tournamentService.createTournament(creator.id, {
+    league_id: league.id,
+    name: 'Cup bracket',
+    format: 'bracket',
+    entry_fee: 100,
+    prize_tiers: [70, 30],
+    events: [
+      { event_id: firstEvent.id, round: 1 },
+      { event_id: secondEvent.id, round: 2 }
+    ]
+  });
+
+  const finishEvent = (event, homeScore, awayScore) => event.update({
+    status: 'completed',
+    home_score: homeScore,
+    away_score: awayScore
+  });
+
+  beforeEach(async () => {
+    // Create test users
+    creator = await createUser('creator');
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    carol = await createUser('carol');
+
+    // Create a league with two upcoming events
+    const sport = await Sport.create({
+      name: 'Football',
+      api_sport_key: 'soccer_epl'
+    });
+
+    league = await League.create({
+      sport_id: sport.id,
+      name: 'Premier League',
+      api_league_key: 'epl'
+    });
+
+    firstEvent = await createEvent('Arsenal', 'Chelsea', 86400000); // Tomorrow
+    secondEvent = await createEvent('Liverpool', 'Everton', 7 * 86400000); // Next week
+
+    escrowService.releaseEscrowPrizes.mockImplementation(async (escrowId, prizes) => ({
+      escrow_id: escrowId,
+      status: 'completed',
+      payouts: prizes.map(prize => ({ user_id: prize.userId, payout_id: null, amount: prize.amount }))
+    }));
+  });
+
+  describe('createTournament', () => {
+    it('should close registration at the first event and open an escrow for entry fees', async () => {
+      // Act
+      const tournament = await createBracket();
+
+      // Assert
+      expect(new Date(tournament.registration_closes_at).getTime()).toBe(new Date(firstEvent.start_time).getTime());
+      expect(tournament.scoring).toEqual({ correct_pick: 1, round_multiplier: 2 });
+
+      const escrow = await Escrow.findOne({ where: { tournament_id: tournament.id } });
+      expect(escrow.status).toBe('active');
+      expect(parseFloat(escrow.amount)).toBe(0);
+    });
+
+    it('should throw error if the prize tiers do not add up to 100', async () => {
+      // Act & Assert
+      await expect(tournamentService.createTournament(creator.id, {
+        league_id: league.id,
+        name: 'Weekly pick\'em',
+        entry_fee: 10,
+        prize_tiers: [60, 30],
+        events: [{ event_id: firstEvent.id }]
+      })).rejects.toThrow('Prize tiers must add up to 100');
+    });
+
+    it('should throw error if an event is in another league', async () => {
+      // Arrange
+      const otherLeague = await League.create({
+        sport_id: league.sport_id,
+        name: 'La Liga',
+        api_league_key: 'laliga'
+      });
+      await firstEvent.update({ league_id: otherLeague.id });
+
+      // Act & Assert
+      await expect(createBracket()).rejects.toThrow('is not in this tournament\'s league');
+    });
+  });
+
+  describe('joinTournament', () => {
+    it('should move the entry fee from the wallet into escrow', async () => {
+      // Arrange
+      const tournament = await createBracket();
+
+      // Act
+      await tournamentService.joinTournament(alice.id, tournament.id);
+
+      // Assert
+      const wallet = await Wallet.findOne({ where: { user_id: alice.id } });
+      const escrow = await Escrow.findOne({ where: { tournament_id: tournament.id } });
+
+      expect(parseFloat(wallet.balance)).toBe(400);
+      expect(parseFloat(escrow.amount)).toBe(100);
+    });
+
+    it('should throw error once registration has closed', async () => {
+      // Arrange
+      const tournament = await createBracket();
+      await Tournament.update({ registration_closes_at: new Date(Date.now() - 1000) }, { where: { id: tournament.id } });
+
+      // Act & Assert
+      await expect(tournamentService.joinTournament(alice.id, tournament.id))
+        .rejects.toThrow('Tournament registration has closed');
+    });
+  });
+
+  describe('submitPicks', () => {
+    it('should let an entrant change a pick before the event starts', async () => {
+      // Arrange
+      const tournament = await createBracket();
+      await tournamentService.joinTournament(alice.id, tournament.id);
+      await tournamentService.submitPicks(alice.id, tournament.id, [{ event_id: firstEvent.id, selection: 'home' }]);
+
+      // Act
+      await tournamentService.submitPicks(alice.id, tournament.id, [{ event_id: firstEvent.id, selection: 'draw' }]);
+
+      // Assert
+      const picks = await TournamentPick.findAll({ where: { tournament_id: tournament.id } });
+      expect(picks).toHaveLength(1);
+      expect(picks[0].selection).toBe('draw');
+    });
+
+    it('should throw error once the event has started', async () => {
+      // Arrange
+      const tournament = await createBracket();
+      await tournamentService.joinTournament(alice.id, tournament.id);
+      await firstEvent.update({ start_time: new Date(Date.now() - 1000) });
+
+      // Act & Assert
+      await expect(tournamentService.submitPicks(alice.id, tournament.id, [{ event_id: firstEvent.id, selection: 'home' }]))
+        .rejects.toThrow('are locked');
+    });
+  });
+
+  describe('scoreEvent', () => {
+    let tournament;
+
+    beforeEach(async () => {
+      tournament = await createBracket();
+
+      const picks = {
+        [alice.id]: ['home', 'away'],
+        [bob.id]: ['home', 'home'],
+        [carol.id]: ['away', 'away']
+      };
+
+      for (const user of [alice, bob, carol]) {
+        await tournamentService.joinTournament(user.id, tournament.id);
+        await tournamentService.submitPicks(user.id, tournament.id, [
+          { event_id: firstEvent.id, selection: picks[user.id][0] },
+          { event_id: secondEvent.id, selection: picks[user.id][1] }
+        ]);
+      }
+    });
+
+    it('should score picks and update the leaderboard as results land', async () => {
+      // Arrange
+      await finishEvent(firstEvent, 2, 0);
+
+      // Act
+      const updated = await tournamentService.scoreEvent(firstEvent.id);
+
+      // Assert
+      expect(updated).toBe(1);
+
+      const alicesEntry = await TournamentEntry.findOne({ where: { user_id: alice.id } });
+      const carolsEntry = await TournamentEntry.findOne({ where: { user_id: carol.id } });
+
+      expect(alicesEntry.points).toBe(1);
+      expect(alicesEntry.rank).toBe(1);
+      expect(carolsEntry.points).toBe(0);
+      expect(carolsEntry.rank).toBe(3);
+      expect(escrowService.releaseEscrowPrizes).not.toHaveBeenCalled();
+    });
+
+    it('should weight later bracket rounds and pay the prize tiers once every event is in', async () => {
+      // Arrange
+      await finishEvent(firstEvent, 2, 0);
+      await tournamentService.scoreEvent(firstEvent.id);
+      await finishEvent(secondEvent, 0, 1);
+
+      // Act
+      await tournamentService.scoreEvent(secondEvent.id);
+
+      // Assert
+      const escrow = await Escrow.findOne({ where: { tournament_id: tournament.id } });
+
+      // 300 in escrow less the 3% fee, split 70/30 between alice (3 points) and carol (2 points)
+      expect(escrowService.releaseEscrowPrizes).toHaveBeenCalledWith(escrow.id, [
+        { userId: alice.id, amount: 203.70 },
+        { userId: carol.id, amount: 87.30 }
+      ]);
+      expect((await Tournament.findByPk(tournament.id)).status).toBe('completed');
+    });
+
+    it('should void picks on a cancelled event', async () => {
+      // Arrange
+      await firstEvent.update({ status: 'cancelled' });
+
+      // Act
+      await tournamentService.scoreEvent(firstEvent.id);
+
+      // Assert
+      const picks = await TournamentPick.findAll({ where: { event_id: firstEvent.id } });
+      expect(picks.every(pick => pick.status === 'void')).toBe(true);
+    });
+  });
+
+  describe('calculatePrizes', () => {
+    it('should let tied entries split the tiers their positions cover', () => {
+      // Arrange
+      const entries = [
+        { user_id: 'a', rank: 1 },
+        { user_id: 'b', rank: 1 },
+        { user_id: 'c', rank: 3 }
+      ];
+
+      // Act
+      const prizes = tournamentService.calculatePrizes(entries, [50, 30, 20], 100);
+
+      // Assert
+      expect(prizes.map(prize => prize.amount)).toEqual([40, 40, 20]);
+    });
+
+    it('should scale the paid tiers up when there are fewer entries than tiers', () => {
+      // Act
+      const prizes = tournamentService.calculatePrizes(
+        [{ user_id: 'a', rank: 1 }, { user_id: 'b', rank: 2 }],
+        [50, 30, 20],
+        100
+      );
+
+      // Assert
+      expect(prizes.map(prize => prize.amount)).toEqual([62.5, 37.5]);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for cursor helpers
+ */
+
+const { encodeCursor, decodeCursor } = require('../../../src/utils/cursor');
+
+describe('Cursor helpers', () => {
+  describe('decodeCursor', () => {
+    it('should round-trip the sort value and ID', () => {
+      // Arrange
+      const startTime = new Date('2026-01-01T15:00:00Z');
+
+      // Act
+      const cursor = encodeCursor('soonest_start', startTime, 'bet-1');
+
+      // Assert
+      expect(decodeCursor(cursor, 'soonest_start')).toEqual({ value: '2026-01-01T15:00:00.000Z', id: 'bet-1' });
+    });
+
+    it('should reject a cursor from another sort order', () => {
+      // Arrange
+      const cursor = encodeCursor('best_odds', '1.90', 'bet-1');
+
+      // Act & Assert
+      expect(() => decodeCursor(cursor, 'largest_stake')).toThrow('Cursor belongs to a different sort order');
+    });
+
+    it('should reject a malformed cursor', () => {
+      // Act & Assert
+      expect(() => decodeCursor('not-a-cursor', 'newest')).toThrow('Invalid cursor');
+      expect(() => decodeCursor(Buffer.from('{"s":"newest"}').toString('base64url'), 'newest')).toThrow('Invalid cursor');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for odds helpers
+ */
+
+const odds = require('../../../src/utils/odds');
+const { ODDS_FORMATS } = odds;
+
+describe('Odds helpers', () => {
+  describe('toDecimal', () => {
+    it('should convert American odds on both sides of even money', () => {
+      // Act & Assert
+      expect(odds.toDecimal(150, ODDS_FORMATS.AMERICAN)).toBe(2.5);
+      expect(odds.toDecimal(-110, ODDS_FORMATS.AMERICAN)).toBe(1.91);
+    });
+
+    it('should convert fractional, Hong Kong and implied probability odds', () => {
+      // Act & Assert
+      expect(odds.toDecimal('5/2', ODDS_FORMATS.FRACTIONAL)).toBe(3.5);
+      expect(odds.toDecimal('evens', ODDS_FORMATS.FRACTIONAL)).toBe(2);
+      expect(odds.toDecimal(0.9, ODDS_FORMATS.HONG_KONG)).toBe(1.9);
+      expect(odds.toDecimal('40%', ODDS_FORMATS.IMPLIED)).toBe(2.5);
+      expect(odds.toDecimal(0.4, ODDS_FORMATS.IMPLIED)).toBe(2.5);
+    });
+
+    it('should reject American odds between -100 and +100', () => {
+      // Act & Assert
+      expect(() => odds.toDecimal(50, ODDS_FORMATS.AMERICAN)).toThrow('American odds must be');
+    });
+
+    it('should reject an unknown format', () => {
+      // Act & Assert
+      expect(() => odds.toDecimal(2, 'malay')).toThrow('Unsupported odds format');
+    });
+  });
+
+  describe('formatOdds', () => {
+    it('should render decimal odds in every format', () => {
+      // Act & Assert
+      expect(odds.formatOdds(1.91, ODDS_FORMATS.DECIMAL)).toBe('1.91');
+      expect(odds.formatOdds(1.91, ODDS_FORMATS.AMERICAN)).toBe('-110');
+      expect(odds.formatOdds(2.5, ODDS_FORMATS.AMERICAN)).toBe('+150');
+      expect(odds.formatOdds(1.91, ODDS_FORMATS.FRACTIONAL)).toBe('10/11');
+      expect(odds.formatOdds(2.5, ODDS_FORMATS.HONG_KONG)).toBe('1.50');
+      expect(odds.formatOdds(2.5, ODDS_FORMATS.IMPLIED)).toBe('40.0%');
+    });
+  });
+
+  describe('convertOdds', () => {
+    it('should convert between two non-decimal formats', () => {
+      // Act & Assert
+      expect(odds.convertOdds(-200, ODDS_FORMATS.AMERICAN, ODDS_FORMATS.FRACTIONAL)).toBe('1/2');
+    });
+  });
+
+  describe('calculatePayout', () => {
+    it('should multiply the stake by decimal odds', () => {
+      // Act & Assert
+      expect(odds.calculatePayout(10, 2.5)).toBe(25);
+    });
+
+    it('should refuse odds that are not decimal', () => {
+      // Act & Assert
+      expect(() => odds.calculatePayout(10, -110)).toThrow('decimal odds');
+      expect(() => odds.calculatePayout(10, 5000)).toThrow('decimal odds');
+    });
+  });
+
+  describe('resolveOddsFormat', () => {
+    it('should prefer an explicit request, then the user preference, then the region', () => {
+      // Arrange
+      const american = { country: 'US', odds_format: null };
+      const preferring = { country: 'US', odds_format: ODDS_FORMATS.DECIMAL };
+
+      // Act & Assert
+      expect(odds.resolveOddsFormat(american, ODDS_FORMATS.IMPLIED)).toBe(ODDS_FORMATS.IMPLIED);
+      expect(odds.resolveOddsFormat(preferring)).toBe(ODDS_FORMATS.DECIMAL);
+      expect(odds.resolveOddsFormat(american)).toBe(ODDS_FORMATS.AMERICAN);
+      expect(odds.resolveOddsFormat({ country: 'GB' })).toBe(ODDS_FORMATS.FRACTIONAL);
+      expect(odds.resolveOddsFormat(null)).toBe(ODDS_FORMATS.DECIMAL);
+    });
+  });
+});